@@ -31,6 +31,20 @@ if (IS_CHROME_ENV) {
   });
 }
 
+// ========== MESSAGING ==========
+// messaging.js is a plain script shared with the content scripts and pages;
+// importing it for its side effect defines globalThis.BetterGeminiMessaging
+import './messaging.js';
+
+const Messaging = globalThis.BetterGeminiMessaging;
+const { MESSAGE_TYPES, ERROR_CODES, MessagingError } = Messaging;
+
+// ========== SETTINGS SCHEMA ==========
+// Shared the same way: defines globalThis.BetterGeminiSettingsSchema
+import './settings-schema.js';
+
+const SettingsSchema = globalThis.BetterGeminiSettingsSchema;
+
 // ========== CONSTANTS ==========
 
 /**
@@ -39,6 +53,238 @@ if (IS_CHROME_ENV) {
  */
 const GEMINI_BASE_URL = 'https://gemini.google.com/app';
 
+/**
+ * Gemini origin, for account-specific app URLs (/u/<index>/app)
+ */
+const GEMINI_ORIGIN = 'https://gemini.google.com';
+
+/**
+ * chrome.storage.sync key for the Google account (authuser index) launches
+ * open in. Absent or null = plain /app, i.e. the browser's default account
+ */
+const DEFAULT_ACCOUNT_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.defaultAccount;
+
+/**
+ * Model keys accepted by the inline "@model" omnibox token
+ * Must match CONFIG.MODELS in content/features/default-model.js
+ */
+const LAUNCH_MODELS = ['flash-lite', 'flash', 'fast', 'thinking', 'pro'];
+
+/**
+ * Thinking levels accepted by the inline "!effort" omnibox token
+ * Must match CONFIG.EFFORTS in content/features/default-model.js
+ */
+const LAUNCH_EFFORTS = ['standard', 'extended'];
+
+/**
+ * URL parameters read by default-model.js as a one-shot override for the chat
+ */
+const MODEL_URL_PARAM = 'model';
+const EFFORT_URL_PARAM = 'effort';
+
+/**
+ * URL parameter telling injector.js to fill in the prompt without sending it
+ * (bg_submit=0). Must match CONFIG.SUBMIT_PARAM in content/injector.js
+ */
+const SUBMIT_URL_PARAM = 'bg_submit';
+
+/**
+ * Leading omnibox token for a prefill-only launch: "gem ? draft a reply"
+ */
+const PREFILL_TOKEN = '?';
+
+/**
+ * chrome.storage.sync key for whether omnibox launches send the prompt
+ * right away (absent = auto-submit)
+ */
+const AUTO_SUBMIT_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.autoSubmit;
+
+/**
+ * chrome.storage.sync key holding the user's prompt templates
+ * Each template is { alias: 'tldr', template: 'Summarize: {{input}}' }
+ */
+const TEMPLATES_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.promptTemplates;
+
+/**
+ * Token inside a template that is replaced with the text typed after the alias.
+ * Templates without the token get the text appended after a blank line.
+ */
+const TEMPLATE_INPUT_TOKEN = '{{input}}';
+
+/**
+ * chrome.storage.local key holding prompts sent from the omnibox
+ * Kept in local storage: history is per-device and would overflow sync quotas
+ */
+const HISTORY_STORAGE_KEY = 'betterGemini_history';
+
+/**
+ * chrome.storage.sync key for the history opt-out toggle (absent = enabled)
+ */
+const HISTORY_ENABLED_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.historyEnabled;
+
+/**
+ * Maximum number of prompts kept in history (oldest are dropped first)
+ */
+const HISTORY_MAX_ENTRIES = 100;
+
+/**
+ * Maximum number of history matches shown under the "Ask Gemini" suggestion
+ */
+const HISTORY_SUGGESTION_LIMIT = 5;
+
+/**
+ * chrome.storage.sync key holding the user's saved Gems
+ * Each Gem is { name: 'reviewer', id: '1a2b3c' } for gemini.google.com/gem/1a2b3c
+ */
+const GEMS_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.gems;
+
+/**
+ * chrome.storage.local key for the index of past chats seen in Gemini's sidebar
+ * Each entry is { title, url, timestamp }, most recently seen first
+ */
+const CHAT_INDEX_STORAGE_KEY = 'betterGemini_chatIndex';
+
+/**
+ * Maximum number of chats kept in the index (least recently seen are dropped first)
+ */
+const CHAT_INDEX_MAX_ENTRIES = 500;
+
+/**
+ * Maximum number of chats suggested for a ">query" search
+ */
+const CHAT_SUGGESTION_LIMIT = 5;
+
+/**
+ * Path of a single conversation, e.g. /app/abc123, /u/1/app/abc123 or /gem/xyz/abc123
+ */
+const CHAT_PATH_PATTERN = /^(?:\/u\/\d+)?\/(?:app|gem\/[\w-]+)\/[\w-]+\/?$/;
+
+/**
+ * Placeholders filled in from the page the user is on when a prompt is launched
+ */
+const PROMPT_PLACEHOLDERS = ['clipboard', 'selection', 'url', 'title', 'date'];
+
+/**
+ * Keyboard commands declared under "commands" in manifest.json
+ */
+const COMMANDS = {
+  askClipboard: 'ask-clipboard',
+  askSelection: 'ask-selection',
+  focusGemini: 'focus-gemini'
+};
+
+/**
+ * Offscreen document used to read the clipboard (service workers have no DOM)
+ */
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen/offscreen.html';
+
+/**
+ * Extension pages opened after installing and after updating
+ */
+const ONBOARDING_PAGE_PATH = 'onboarding/onboarding.html';
+const CHANGELOG_PAGE_PATH = 'changelog/changelog.html';
+
+/**
+ * chrome.storage.sync key for opening the changelog after an update (default on)
+ */
+const SHOW_UPDATE_NOTES_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.showUpdateNotes;
+
+/**
+ * chrome.storage.sync key holding the user's context menu prompt templates
+ * An object keyed by menu kind; missing or empty kinds use the built-in prompts
+ * (SettingsSchema.DEFAULTS.contextMenuTemplates)
+ */
+const CONTEXT_MENU_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.contextMenuTemplates;
+
+/**
+ * Context menu entries, keyed by kind
+ * Templates may use {{selection}}, {{url}}, {{title}}, {{link}}, {{clipboard}} and {{date}}
+ */
+const CONTEXT_MENU_ITEMS = {
+  selection: {
+    id: 'betterGemini_askSelection',
+    title: 'Ask Gemini about "%s"',
+    contexts: ['selection'],
+    defaultTemplate: SettingsSchema.DEFAULTS.contextMenuTemplates.selection
+  },
+  page: {
+    id: 'betterGemini_summarizePage',
+    title: 'Summarize this page with Gemini',
+    contexts: ['page'],
+    defaultTemplate: SettingsSchema.DEFAULTS.contextMenuTemplates.page
+  },
+  link: {
+    id: 'betterGemini_explainLink',
+    title: 'Explain this link with Gemini',
+    contexts: ['link'],
+    defaultTemplate: SettingsSchema.DEFAULTS.contextMenuTemplates.link
+  }
+};
+
+/**
+ * "Send page to Gemini" context menu entry
+ * Not templated like the entries above: the page's readable text is sent as-is
+ */
+const SEND_PAGE_MENU_ITEM = {
+  id: 'betterGemini_sendPage',
+  title: 'Send page to Gemini',
+  contexts: ['page']
+};
+
+/**
+ * Omnibox token that sends the active page's readable text along with the prompt
+ * Example: "gem !page what are the main arguments?"
+ */
+const PAGE_TOKEN = '!page';
+
+/**
+ * Size budget for page text sent to Gemini (characters)
+ * Long prompts go through the session storage handoff, so this is about
+ * keeping the prompt reasonable, not about URL length.
+ */
+const PAGE_CONTEXT_MAX_CHARS = 30000;
+
+/**
+ * chrome.storage.sync key for where prompts are opened:
+ *   - "currentTab": follow how the launch was invoked (default)
+ *   - "newTab": plain Enter opens a new tab instead of replacing the current one
+ *   - "geminiTab": reuse the most recently used Gemini tab
+ */
+const TARGET_TAB_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.targetTab;
+const TARGET_TABS = SettingsSchema.TARGET_TABS;
+const DEFAULT_TARGET_TAB = SettingsSchema.DEFAULTS.targetTab;
+
+/**
+ * chrome.storage.sync key for what a reused Gemini tab does with the prompt:
+ * "new" starts a new chat, "current" continues the chat already open
+ */
+const GEMINI_TAB_CHAT_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.geminiTabChat;
+const DEFAULT_GEMINI_TAB_CHAT = SettingsSchema.DEFAULTS.geminiTabChat;
+
+/**
+ * Tab URL pattern for finding open Gemini tabs (covered by host_permissions)
+ */
+const GEMINI_TAB_URL_PATTERN = 'https://gemini.google.com/*';
+
+/**
+ * Timing for talking to the content script in a reused Gemini tab
+ */
+const TAB_MESSAGE_TIMEOUT_MS = 1000; // Per ping
+const TAB_PING_ATTEMPTS = 5; // The content script loads at document_idle, after "complete"
+const TAB_PING_RETRY_DELAY_MS = 500;
+const TAB_LOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Long prompt handoff: prompts whose encoded form exceeds the limit are kept in
+ * chrome.storage.session under a one-time token, and only the token goes in the
+ * URL (keeping pasted logs and code out of URL limits and browser history).
+ * Must match CONFIG.TOKEN_PARAM / CONFIG.HANDOFF_KEY_PREFIX in content/injector.js
+ */
+const HANDOFF_URL_PARAM = 'bg_token';
+const HANDOFF_KEY_PREFIX = 'betterGemini_handoff_';
+const HANDOFF_MIN_ENCODED_LENGTH = 1500;
+const HANDOFF_TTL_MS = 5 * 60 * 1000; // Unredeemed prompts are dropped after this
+
 // ========== UTILITY FUNCTIONS ==========
 
 /**
@@ -61,37 +307,1326 @@ function logError(...args) {
 
 // ========== URL BUILDING ==========
 
+/**
+ * Gemini app URL for a Google account
+ *
+ * @param {number|null} [account] - authuser index; null/undefined = default account
+ * @returns {string} - e.g. "https://gemini.google.com/u/1/app"
+ */
+function getGeminiAppUrl(account) {
+  if (account === null || account === undefined) {
+    return GEMINI_BASE_URL;
+  }
+  return `${GEMINI_ORIGIN}/u/${account}/app`;
+}
+
+/**
+ * Base URL a launch opens: the saved Gem if one was picked, otherwise the app
+ *
+ * @param {object} [options] - Launch options
+ * @param {number} [options.account] - authuser index (see getGeminiAppUrl)
+ * @param {string} [options.gem] - Gem id, e.g. "1a2b3c"
+ * @returns {string} - e.g. "https://gemini.google.com/u/1/gem/1a2b3c"
+ */
+function getLaunchBaseUrl(options = {}) {
+  if (!options.gem) {
+    return getGeminiAppUrl(options.account);
+  }
+  const accountPrefix = options.account === null || options.account === undefined ? '' : `/u/${options.account}`;
+  return `${GEMINI_ORIGIN}${accountPrefix}/gem/${encodeURIComponent(options.gem)}`;
+}
+
+/**
+ * Read the account index from a Gemini URL
+ *
+ * @param {string} url
+ * @returns {number|null} - null for URLs without a /u/<index> prefix
+ */
+function getAccountFromUrl(url) {
+  try {
+    const match = /^\/u\/(\d+)(?:\/|$)/.exec(new URL(url).pathname);
+    return match ? Number(match[1]) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Append the one-shot launch options to a Gemini URL
+ *
+ * @param {string} url - URL to extend (may already have a query string)
+ * @param {object} [options] - Launch options
+ * @param {string} [options.model] - Model key, e.g. "pro"
+ * @param {string} [options.effort] - Thinking level, e.g. "extended"
+ * @param {boolean} [options.submit] - false to fill in the prompt without sending it
+ * (options.account and options.gem pick the base URL instead, see getLaunchBaseUrl)
+ * @returns {string}
+ */
+function appendLaunchParams(url, options = {}) {
+  const params = [];
+  if (options.model) {
+    params.push(`${MODEL_URL_PARAM}=${encodeURIComponent(options.model)}`);
+  }
+  if (options.effort) {
+    params.push(`${EFFORT_URL_PARAM}=${encodeURIComponent(options.effort)}`);
+  }
+  if (options.submit === false) {
+    params.push(`${SUBMIT_URL_PARAM}=0`);
+  }
+
+  if (params.length === 0) {
+    return url;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}${params.join('&')}`;
+}
+
 /**
  * Build the Gemini URL with the encoded prompt parameter
  *
  * @param {string} prompt - The user's prompt text
  * @param {string} [urlParam] - Optional URL parameter name (for testing)
+ * @param {object} [options] - Optional model / effort overrides (see appendLaunchParams)
  * @returns {string} - The complete URL with encoded prompt
  */
-function buildGeminiUrl(prompt, urlParam = URL_PARAM) {
+function buildGeminiUrl(prompt, urlParam = URL_PARAM, options = {}) {
   // Use encodeURIComponent to safely encode the prompt for URL transmission
   // This handles special characters, spaces, unicode, emojis, etc.
   const encodedPrompt = encodeURIComponent(prompt);
 
-  return `${GEMINI_BASE_URL}?${urlParam}=${encodedPrompt}`;
-}
+  return appendLaunchParams(`${getLaunchBaseUrl(options)}?${urlParam}=${encodedPrompt}`, options);
+}
+
+// ========== PROMPT HANDOFF ==========
+
+/**
+ * Check whether a prompt is too long to put in the URL
+ *
+ * @param {string} prompt
+ * @returns {boolean}
+ */
+function shouldHandoffPrompt(prompt) {
+  return encodeURIComponent(prompt).length > HANDOFF_MIN_ENCODED_LENGTH;
+}
+
+/**
+ * Create an unguessable one-time token
+ * @returns {string}
+ */
+function createHandoffToken() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Store a prompt in session storage for the content script to redeem
+ * Expired handoffs left behind by tabs that never loaded are removed on the way.
+ *
+ * @param {string} prompt
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {number} [now] - Current time (for testing)
+ * @returns {Promise<string|null>} - The token, or null if session storage is unavailable
+ */
+async function storePromptHandoff(prompt, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), now = Date.now()) {
+  if (!chromeApi || !chromeApi.storage || !chromeApi.storage.session) {
+    return null;
+  }
+
+  try {
+    const session = chromeApi.storage.session;
+    const stored = await session.get(null);
+    const expired = Object.keys(stored).filter(key =>
+      key.startsWith(HANDOFF_KEY_PREFIX) && !(stored[key] && stored[key].expires > now)
+    );
+    if (expired.length > 0) {
+      await session.remove(expired);
+    }
+
+    const token = createHandoffToken();
+    await session.set({ [HANDOFF_KEY_PREFIX + token]: { prompt, expires: now + HANDOFF_TTL_MS } });
+    return token;
+  } catch (error) {
+    logError('Failed to store prompt handoff:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the launch URL for a prompt, handing long prompts off through
+ * session storage and falling back to the plain URL if that fails
+ *
+ * @param {string} prompt - The user's prompt text
+ * @param {string} [urlParam] - Optional URL parameter name (for testing)
+ * @param {object} [options] - Optional model / effort overrides (see appendLaunchParams)
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<string>}
+ */
+async function buildLaunchUrl(prompt, urlParam = URL_PARAM, options = {}, chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (shouldHandoffPrompt(prompt)) {
+    const token = await storePromptHandoff(prompt, chromeApi);
+    if (token) {
+      log('Handing off long prompt with token');
+      return appendLaunchParams(`${getLaunchBaseUrl(options)}?${HANDOFF_URL_PARAM}=${encodeURIComponent(token)}`, options);
+    }
+  }
+
+  return buildGeminiUrl(prompt, urlParam, options);
+}
+
+// ========== HELPER FUNCTIONS ==========
+
+/**
+ * Escape XML special characters for omnibox suggestion descriptions
+ * Chrome's omnibox uses XML for formatting, so we need to escape special chars
+ *
+ * @param {string} str - String to escape
+ * @returns {string} - Escaped string safe for XML
+ */
+function escapeXml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ========== PLACEHOLDERS ==========
+
+/**
+ * Replace {{name}} placeholders with the given values
+ * Placeholders without a value are left untouched
+ *
+ * @param {string} template - Text containing {{name}} placeholders
+ * @param {Object<string, string>} values - Replacement values by name
+ * @returns {string}
+ */
+function fillPlaceholders(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  ));
+}
+
+/**
+ * Which page placeholders a prompt uses
+ *
+ * @param {string} text
+ * @returns {string[]} - Names from PROMPT_PLACEHOLDERS
+ */
+function getUsedPlaceholders(text) {
+  return PROMPT_PLACEHOLDERS.filter(name => text.includes(`{{${name}}}`));
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The tab the user is looking at
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<object|null>}
+ */
+async function getActiveTab(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  try {
+    const [tab] = await chromeApi.tabs.query({ active: true, lastFocusedWindow: true });
+    return tab || null;
+  } catch (error) {
+    logError('Failed to get active tab:', error);
+    return null;
+  }
+}
+
+/**
+ * Look up the values of the page placeholders a prompt uses
+ * The clipboard and selection are only read when the prompt asks for them.
+ *
+ * @param {string} text - Prompt or template
+ * @param {object|null} tab - The page the prompt is about
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {string[]} [skip] - Placeholders the caller fills in itself
+ * @param {Date} [now] - Date for {{date}} (for testing)
+ * @returns {Promise<Object<string, string>>}
+ */
+async function resolvePlaceholderValues(text, tab, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), skip = [], now = new Date()) {
+  const values = {};
+
+  for (const name of getUsedPlaceholders(text)) {
+    if (skip.includes(name)) {
+      continue;
+    }
+    switch (name) {
+      case 'clipboard':
+        values.clipboard = (await readClipboard(chromeApi)).trim();
+        break;
+      case 'selection':
+        values.selection = await readSelection(tab, chromeApi);
+        break;
+      case 'url':
+        values.url = (tab && tab.url) || '';
+        break;
+      case 'title':
+        values.title = (tab && tab.title) || '';
+        break;
+      case 'date':
+        values.date = formatDate(now);
+        break;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Fill a prompt's page placeholders in a single pass, so text pulled from the
+ * page can't itself expand into more placeholders
+ *
+ * @param {string} text - Prompt after template expansion
+ * @param {object|null} tab - The page the prompt is about
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {Date} [now] - Date for {{date}} (for testing)
+ * @returns {Promise<string>}
+ */
+async function resolvePromptPlaceholders(text, tab, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), now = new Date()) {
+  const values = await resolvePlaceholderValues(text, tab, chromeApi, [], now);
+  return fillPlaceholders(text, values).trim();
+}
+
+// ========== LAUNCH MODIFIERS ==========
+
+/**
+ * Strip leading "@model", "!effort", "~account", "?" (prefill only) and "!page" tokens from omnibox text
+ * Parsing stops at the first word that isn't a known modifier, so an "@" or "!"
+ * later in the prompt (or an unknown one up front) is left untouched.
+ *
+ * Example: "@pro !extended explain CRDTs"
+ *   -> { text: "explain CRDTs", model: "pro", effort: "extended" }
+ * Example: "? draft a reply" -> { text: "draft a reply", submit: false }
+ * Example: "~1 plan my week" -> { text: "plan my week", account: 1 }
+ * Example: "!page key points?" -> { text: "key points?", page: true }
+ *
+ * @param {string} text - Trimmed omnibox text
+ * @returns {{text: string, model?: string, effort?: string, account?: number, submit?: boolean, page?: boolean}}
+ */
+function parseLaunchModifiers(text) {
+  const modifiers = {};
+  let rest = text;
+
+  for (;;) {
+    const match = /^(\S+)(?:\s+|$)/.exec(rest);
+    if (!match) {
+      break;
+    }
+
+    const token = match[1].toLowerCase();
+    const value = token.slice(1);
+
+    if (token.startsWith('@') && !modifiers.model && LAUNCH_MODELS.includes(value)) {
+      modifiers.model = value;
+    } else if (token === PAGE_TOKEN && !modifiers.page) {
+      modifiers.page = true;
+    } else if (token.startsWith('!') && !modifiers.effort && LAUNCH_EFFORTS.includes(value)) {
+      modifiers.effort = value;
+    } else if (/^~\d{1,2}$/.test(token) && modifiers.account === undefined) {
+      modifiers.account = Number(value);
+    } else if (token === PREFILL_TOKEN && modifiers.submit === undefined) {
+      modifiers.submit = false;
+    } else {
+      break;
+    }
+
+    rest = rest.slice(match[0].length);
+  }
+
+  return { text: rest.trim(), ...modifiers };
+}
+
+/**
+ * Human-readable summary of launch modifiers for suggestion descriptions
+ *
+ * @param {{model?: string, effort?: string, account?: number, submit?: boolean, page?: boolean}} modifiers
+ * @returns {string} - e.g. "pro, extended" or "" when there are none
+ */
+function describeLaunchModifiers(modifiers) {
+  return [
+    modifiers.model,
+    modifiers.effort,
+    modifiers.account !== undefined ? `account ${modifiers.account}` : null,
+    modifiers.submit === false ? 'prefill only' : null,
+    modifiers.page ? 'with page content' : null
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Load the administrator's policies from chrome.storage.managed
+ * Never throws - without policies nothing is enforced
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<object>} - See normalizeManagedPolicies() in settings-schema.js
+ */
+async function loadManagedPolicies(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  return SettingsSchema.loadManagedPolicies(chromeApi && chromeApi.storage && chromeApi.storage.managed);
+}
+
+/**
+ * Check whether omnibox launches should send the prompt right away
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<boolean>}
+ */
+async function isAutoSubmitEnabled(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if ((await loadManagedPolicies(chromeApi)).prefillOnly) {
+    return false;
+  }
+
+  try {
+    if (chromeApi && chromeApi.storage && chromeApi.storage.sync) {
+      const result = await chromeApi.storage.sync.get(AUTO_SUBMIT_STORAGE_KEY);
+      return result[AUTO_SUBMIT_STORAGE_KEY] !== false;
+    }
+  } catch (error) {
+    logError('Failed to load auto-submit setting:', error);
+  }
+  return true;
+}
+
+// ========== PROMPT TEMPLATES ==========
+
+/**
+ * Load the prompt templates: the shared library set by policy, then the user's
+ * own from chrome.storage.sync (a shared alias wins over the user's)
+ * Never throws - a missing storage API or read error yields no templates
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<Array<{alias: string, template: string}>>}
+ */
+async function loadPromptTemplates(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!chromeApi || !chromeApi.storage || !chromeApi.storage.sync) {
+    return [];
+  }
+
+  const { promptLibrary } = await loadManagedPolicies(chromeApi);
+
+  try {
+    const result = await chromeApi.storage.sync.get(TEMPLATES_STORAGE_KEY);
+    const templates = result[TEMPLATES_STORAGE_KEY];
+    return SettingsSchema.mergePromptLibrary(
+      Array.isArray(templates) ? templates.filter(t => t && t.alias && t.template) : [],
+      promptLibrary
+    );
+  } catch (error) {
+    logError('Failed to load prompt templates:', error);
+    return promptLibrary;
+  }
+}
+
+/**
+ * Split omnibox text of the form "/alias rest of text" into its parts
+ *
+ * @param {string} text - Trimmed omnibox text
+ * @returns {{alias: string, input: string}|null} - null if text has no alias
+ */
+function parseTemplateAlias(text) {
+  const match = /^\/([\w-]+)(?:\s+([\s\S]*))?$/.exec(text);
+  if (!match) {
+    return null;
+  }
+  return { alias: match[1].toLowerCase(), input: (match[2] || '').trim() };
+}
+
+/**
+ * Find a template by alias (case-insensitive)
+ *
+ * @param {string} alias - Alias without the leading slash
+ * @param {Array} templates - Templates from loadPromptTemplates()
+ * @returns {object|null}
+ */
+function findTemplate(alias, templates) {
+  return templates.find(t => t.alias.toLowerCase() === alias.toLowerCase()) || null;
+}
+
+/**
+ * Expand a leading "/alias" into its full prompt template
+ * Text without an alias, or with an unknown one, is returned unchanged
+ *
+ * @param {string} text - Trimmed omnibox text, e.g. "/tldr some article"
+ * @param {Array} templates - Templates from loadPromptTemplates()
+ * @returns {string} - The prompt to send
+ */
+function expandPromptTemplate(text, templates) {
+  const parsed = parseTemplateAlias(text);
+  if (!parsed) {
+    return text;
+  }
+
+  const template = findTemplate(parsed.alias, templates);
+  if (!template) {
+    log('Unknown template alias, sending text as-is:', parsed.alias);
+    return text;
+  }
+
+  if (template.template.includes(TEMPLATE_INPUT_TOKEN)) {
+    return template.template.split(TEMPLATE_INPUT_TOKEN).join(parsed.input).trim();
+  }
+
+  return parsed.input ? `${template.template}\n\n${parsed.input}` : template.template;
+}
+
+/**
+ * Build omnibox suggestions for templates whose alias matches what's typed
+ * Only suggests while the user is still typing the alias (no space yet)
+ *
+ * @param {string} text - Trimmed omnibox text
+ * @param {Array} templates - Templates from loadPromptTemplates()
+ * @returns {Array<{content: string, description: string}>}
+ */
+function getTemplateSuggestions(text, templates) {
+  const match = /^\/([\w-]*)$/.exec(text);
+  if (!match) {
+    return [];
+  }
+
+  const typed = match[1].toLowerCase();
+  return templates
+    .filter(t => t.alias.toLowerCase().startsWith(typed))
+    .map(t => ({
+      content: `/${t.alias} `,
+      description: `<match>/${escapeXml(t.alias)}</match> <dim>${escapeXml(t.template.substring(0, 80))}</dim>`
+    }));
+}
+
+// ========== SAVED GEMS ==========
+
+/**
+ * Load the user's saved Gems from chrome.storage.sync
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<Array<{name: string, id: string}>>}
+ */
+async function loadGems(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!chromeApi || !chromeApi.storage || !chromeApi.storage.sync) {
+    return [];
+  }
+
+  try {
+    const result = await chromeApi.storage.sync.get(GEMS_STORAGE_KEY);
+    const gems = result[GEMS_STORAGE_KEY];
+    return Array.isArray(gems) ? gems.filter(g => g && g.name && g.id) : [];
+  } catch (error) {
+    logError('Failed to load saved Gems:', error);
+    return [];
+  }
+}
+
+/**
+ * Split a leading "#name" off omnibox text and look up the saved Gem
+ * Unknown names are left alone so prompts like "#1 priority" still work.
+ *
+ * @param {string} text - Omnibox text (after launch modifiers)
+ * @param {Array<{name: string, id: string}>} gems - From loadGems()
+ * @returns {{gem: {name: string, id: string}, text: string}|null}
+ */
+function resolveGemLaunch(text, gems) {
+  const match = /^#([\w-]+)(?:\s+|$)/.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const name = match[1].toLowerCase();
+  const gem = gems.find(g => g.name.toLowerCase() === name);
+  if (!gem) {
+    return null;
+  }
+
+  return { gem, text: text.slice(match[0].length).trim() };
+}
+
+/**
+ * Suggest saved Gems while the user is typing "#name"
+ *
+ * @param {string} text - Omnibox text (after launch modifiers)
+ * @param {Array<{name: string, id: string}>} gems - From loadGems()
+ * @returns {Array<{content: string, description: string}>}
+ */
+function getGemSuggestions(text, gems) {
+  const match = /^#([\w-]*)$/.exec(text);
+  if (!match) {
+    return [];
+  }
+
+  const typed = match[1].toLowerCase();
+  return gems
+    .filter(g => g.name.toLowerCase().startsWith(typed))
+    .map(g => ({
+      content: `#${g.name} `,
+      description: `<match>#${escapeXml(g.name)}</match> <dim>Gem</dim>`
+    }));
+}
+
+// ========== CHAT INDEX ==========
+
+/**
+ * Whether a URL opens a specific Gemini conversation
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isGeminiChatUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin === GEMINI_ORIGIN && CHAT_PATH_PATTERN.test(parsed.pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Load the indexed chats, most recently seen first
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<Array<{title: string, url: string, timestamp: number}>>}
+ */
+async function loadChatIndex(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!chromeApi || !chromeApi.storage || !chromeApi.storage.local) {
+    return [];
+  }
+
+  try {
+    const result = await chromeApi.storage.local.get(CHAT_INDEX_STORAGE_KEY);
+    const index = result[CHAT_INDEX_STORAGE_KEY];
+    return Array.isArray(index) ? index : [];
+  } catch (error) {
+    logError('Failed to load chat index:', error);
+    return [];
+  }
+}
+
+/**
+ * Merge the chats currently listed in Gemini's sidebar into the index
+ * The sidebar only lists recent chats, so older entries are kept behind them.
+ *
+ * @param {Array<{title: string, url: string}>} chats - Sidebar chats, in sidebar order
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {number} [now] - Timestamp to record (for testing)
+ */
+async function updateChatIndex(chats, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), now = Date.now()) {
+  if (!Array.isArray(chats) || !chromeApi || !chromeApi.storage || !chromeApi.storage.local) {
+    return;
+  }
+
+  // The list comes from a content script, so keep only well-formed chat links
+  const seen = new Set();
+  const fresh = [];
+  chats.forEach(chat => {
+    if (!chat || typeof chat.title !== 'string' || !isGeminiChatUrl(chat.url)) {
+      return;
+    }
+    const title = chat.title.replace(/\s+/g, ' ').trim();
+    if (!title || seen.has(chat.url)) {
+      return;
+    }
+    seen.add(chat.url);
+    fresh.push({ title, url: chat.url, timestamp: now });
+  });
+
+  if (fresh.length === 0) {
+    return;
+  }
+
+  try {
+    const index = await loadChatIndex(chromeApi);
+    const updated = [...fresh, ...index.filter(entry => !seen.has(entry.url))].slice(0, CHAT_INDEX_MAX_ENTRIES);
+    await chromeApi.storage.local.set({ [CHAT_INDEX_STORAGE_KEY]: updated });
+  } catch (error) {
+    logError('Failed to update chat index:', error);
+  }
+}
+
+/**
+ * Read the query out of a ">query" chat search
+ *
+ * @param {string} text - Trimmed omnibox text
+ * @returns {string|null} - The query (possibly empty), or null if this isn't a search
+ */
+function parseChatSearch(text) {
+  return text.startsWith('>') ? text.slice(1).trim() : null;
+}
+
+/**
+ * Find indexed chats whose titles fuzzy-match the query, best matches first
+ * An empty query lists the most recently seen chats.
+ *
+ * @param {string} query - From parseChatSearch()
+ * @param {Array<{title: string, url: string}>} index - From loadChatIndex()
+ * @param {number} [limit] - Maximum number of matches
+ * @returns {Array<{title: string, url: string}>}
+ */
+function findChatMatches(query, index, limit = CHAT_SUGGESTION_LIMIT) {
+  if (!query) {
+    return index.slice(0, limit);
+  }
+
+  return index
+    .map(chat => ({ chat, score: fuzzyScore(query, chat.title) }))
+    .filter(match => match.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(match => match.chat);
+}
+
+/**
+ * Omnibox suggestions for matching chats
+ * The suggestion content is the chat URL, which handleInputEntered opens directly.
+ *
+ * @param {Array<{title: string, url: string}>} chats - From findChatMatches()
+ * @returns {Array<{content: string, description: string}>}
+ */
+function getChatSuggestions(chats) {
+  return chats.map(chat => ({
+    content: chat.url,
+    description: `<dim>Chat:</dim> ${escapeXml(chat.title.substring(0, 120))} <url>${escapeXml(chat.url)}</url>`
+  }));
+}
+
+/**
+ * Open a past chat, honoring the target tab preference
+ *
+ * @param {string} url - Chat URL
+ * @param {string} disposition - How the launch was invoked
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ */
+async function openChat(url, disposition, chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  const { targetTab } = await loadLaunchPreferences(chromeApi);
+
+  try {
+    log('Opening chat:', url);
+    await navigateToUrl(url, resolveDisposition(disposition, targetTab), chromeApi);
+  } catch (error) {
+    logError('Error opening chat:', error);
+  }
+}
+
+// ========== PROMPT HISTORY ==========
+
+/**
+ * Whether the user allows prompts to be recorded (opt-out, enabled by default)
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<boolean>}
+ */
+async function isHistoryEnabled(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!chromeApi || !chromeApi.storage || !chromeApi.storage.sync) {
+    return false;
+  }
+
+  try {
+    const result = await chromeApi.storage.sync.get(HISTORY_ENABLED_STORAGE_KEY);
+    return result[HISTORY_ENABLED_STORAGE_KEY] !== false;
+  } catch (error) {
+    logError('Failed to read history setting:', error);
+    return false;
+  }
+}
+
+/**
+ * Load recorded prompts, newest first
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<Array<{text: string, timestamp: number}>>}
+ */
+async function loadHistory(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!chromeApi || !chromeApi.storage || !chromeApi.storage.local) {
+    return [];
+  }
+
+  try {
+    const result = await chromeApi.storage.local.get(HISTORY_STORAGE_KEY);
+    const history = result[HISTORY_STORAGE_KEY];
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    logError('Failed to load history:', error);
+    return [];
+  }
+}
+
+/**
+ * Record a prompt in history (most recent first, de-duplicated, capped)
+ * Does nothing when the user has opted out. Never throws.
+ *
+ * @param {string} text - The omnibox text as typed (before template expansion)
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {number} [now] - Optional timestamp (for testing)
+ */
+async function recordHistory(text, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), now = Date.now()) {
+  if (!(await isHistoryEnabled(chromeApi))) {
+    return;
+  }
+
+  try {
+    const history = await loadHistory(chromeApi);
+    const updated = [
+      { text, timestamp: now },
+      ...history.filter(entry => entry.text !== text)
+    ].slice(0, HISTORY_MAX_ENTRIES);
+
+    await chromeApi.storage.local.set({ [HISTORY_STORAGE_KEY]: updated });
+  } catch (error) {
+    logError('Failed to record history:', error);
+  }
+}
+
+/**
+ * Score how well a query fuzzy-matches a candidate string
+ * Substring matches rank highest; otherwise every query character must appear
+ * in order, and fewer gaps between them rank higher.
+ *
+ * @param {string} query - What the user typed
+ * @param {string} candidate - A past prompt
+ * @returns {number|null} - Higher is better, null if it doesn't match
+ */
+function fuzzyScore(query, candidate) {
+  const q = query.toLowerCase();
+  const c = candidate.toLowerCase();
+
+  const index = c.indexOf(q);
+  if (index !== -1) {
+    return 1000 - index;
+  }
+
+  let gaps = 0;
+  let position = -1;
+  for (const char of q) {
+    const next = c.indexOf(char, position + 1);
+    if (next === -1) {
+      return null;
+    }
+    if (position !== -1) {
+      gaps += next - position - 1;
+    }
+    position = next;
+  }
+
+  return 500 - gaps;
+}
+
+/**
+ * Find past prompts that fuzzy-match the typed text, best matches first
+ * Ties keep history order, so more recent prompts win.
+ *
+ * @param {string} text - Trimmed omnibox text
+ * @param {Array<{text: string, timestamp: number}>} history - From loadHistory()
+ * @param {number} [limit] - Maximum number of matches
+ * @returns {Array<{text: string, timestamp: number}>}
+ */
+function findHistoryMatches(text, history, limit = HISTORY_SUGGESTION_LIMIT) {
+  return history
+    .filter(entry => entry.text !== text)
+    .map(entry => ({ entry, score: fuzzyScore(text, entry.text) }))
+    .filter(match => match.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(match => match.entry);
+}
+
+// ========== OMNIBOX SUGGESTIONS ==========
+
+/**
+ * Build the omnibox suggestions for the current input
+ *
+ * @param {string} text - Raw omnibox text after the keyword
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<Array<{content: string, description: string}>>}
+ */
+async function getOmniboxSuggestions(text, chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  const trimmedText = text.trim();
+
+  // Only show suggestions if there's actual content
+  if (!trimmedText) {
+    return [];
+  }
+
+  // ">query" searches the chats seen in Gemini's sidebar
+  const chatQuery = parseChatSearch(trimmedText);
+  if (chatQuery !== null) {
+    return getChatSuggestions(findChatMatches(chatQuery, await loadChatIndex(chromeApi)));
+  }
+
+  // While typing "/ali", offer the matching template aliases
+  const templates = await loadPromptTemplates(chromeApi);
+  const templateSuggestions = getTemplateSuggestions(trimmedText, templates);
+  if (templateSuggestions.length > 0) {
+    return templateSuggestions;
+  }
+
+  const modifiers = parseLaunchModifiers(trimmedText);
+  const summary = describeLaunchModifiers(modifiers);
+
+  // While typing "#gem" (possibly after modifiers), offer the matching saved Gems
+  const gems = await loadGems(chromeApi);
+  const modifierPrefix = trimmedText.slice(0, trimmedText.length - modifiers.text.length);
+  const gemSuggestions = getGemSuggestions(modifiers.text, gems);
+  if (gemSuggestions.length > 0) {
+    return gemSuggestions.map(suggestion => ({ ...suggestion, content: modifierPrefix + suggestion.content }));
+  }
+
+  // A suggestion showing what the user is about to send
+  const gemLaunch = resolveGemLaunch(modifiers.text, gems);
+  const target = gemLaunch ? `Ask Gem <match>#${escapeXml(gemLaunch.gem.name)}</match>` : 'Ask Gemini';
+  const shownText = gemLaunch ? gemLaunch.text : (summary ? modifiers.text : trimmedText);
+  const suggestions = [
+    {
+      content: trimmedText,
+      description: `${target}${summary ? ` <dim>(${escapeXml(summary)})</dim>` : ''}: "${escapeXml(shownText)}"`
+    }
+  ];
+
+  // Followed by similar prompts the user sent before
+  if (await isHistoryEnabled(chromeApi)) {
+    const history = await loadHistory(chromeApi);
+    findHistoryMatches(trimmedText, history).forEach(entry => {
+      suggestions.push({
+        content: entry.text,
+        description: `<dim>History:</dim> ${escapeXml(entry.text.substring(0, 120))}`
+      });
+    });
+  }
+
+  return suggestions;
+}
+
+// ========== CONTEXT MENUS ==========
+
+/**
+ * Load context menu templates, falling back to the defaults per kind
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<Object<string, string>>} - Template by menu kind
+ */
+async function loadContextMenuTemplates(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  let stored = {};
+
+  try {
+    if (chromeApi && chromeApi.storage && chromeApi.storage.sync) {
+      const result = await chromeApi.storage.sync.get(CONTEXT_MENU_STORAGE_KEY);
+      stored = result[CONTEXT_MENU_STORAGE_KEY] || {};
+    }
+  } catch (error) {
+    logError('Failed to load context menu templates:', error);
+  }
+
+  const templates = {};
+  Object.entries(CONTEXT_MENU_ITEMS).forEach(([kind, item]) => {
+    templates[kind] = (stored[kind] || '').trim() || item.defaultTemplate;
+  });
+  return templates;
+}
+
+/**
+ * Find the menu kind ("selection", "page", "link") for a context menu item id
+ *
+ * @param {string} menuItemId
+ * @returns {string|null}
+ */
+function getContextMenuKind(menuItemId) {
+  const entry = Object.entries(CONTEXT_MENU_ITEMS).find(([, item]) => item.id === menuItemId);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Build the prompt for a context menu click
+ *
+ * @param {string} kind - Menu kind from getContextMenuKind()
+ * @param {object} info - chrome.contextMenus.OnClickData
+ * @param {object} [tab] - The tab the menu was opened in
+ * @param {Object<string, string>} templates - From loadContextMenuTemplates()
+ * @param {Object<string, string>} [pageValues] - Other placeholders, from resolvePlaceholderValues()
+ * @returns {string} - The prompt, or '' if there is nothing to ask about
+ */
+function buildContextMenuPrompt(kind, info, tab, templates, pageValues = {}) {
+  const values = {
+    ...pageValues,
+    selection: (info.selectionText || '').trim(),
+    url: info.pageUrl || (tab && tab.url) || '',
+    title: (tab && tab.title) || '',
+    link: info.linkUrl || ''
+  };
+
+  if ((kind === 'selection' && !values.selection) || (kind === 'link' && !values.link)) {
+    return '';
+  }
+
+  return fillPlaceholders(templates[kind], values).trim();
+}
+
+/**
+ * (Re)create the context menu entries
+ * Called from onInstalled, as menus persist across service worker restarts
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ */
+function createContextMenus(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!chromeApi || !chromeApi.contextMenus) {
+    return;
+  }
+
+  chromeApi.contextMenus.removeAll(() => {
+    [...Object.values(CONTEXT_MENU_ITEMS), SEND_PAGE_MENU_ITEM].forEach(item => {
+      chromeApi.contextMenus.create({
+        id: item.id,
+        title: item.title,
+        contexts: item.contexts
+      });
+    });
+    log('Context menus created');
+  });
+}
+
+/**
+ * Handle a click on one of our context menu entries
+ * Opens Gemini in a new tab next to the page so the user keeps their place
+ *
+ * @param {object} info - chrome.contextMenus.OnClickData
+ * @param {object} [tab] - The tab the menu was opened in
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {string} [urlParam] - Optional URL parameter name (for testing)
+ */
+async function handleContextMenuClick(info, tab, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), urlParam = URL_PARAM) {
+  if (info.menuItemId === SEND_PAGE_MENU_ITEM.id) {
+    log('Context menu clicked: send page');
+    await sendPageToGemini('', tab, 'newForegroundTab', {}, chromeApi, urlParam);
+    return;
+  }
+
+  const kind = getContextMenuKind(info.menuItemId);
+  if (!kind) {
+    return;
+  }
+
+  log('Context menu clicked:', kind);
+
+  // The click data already has the selection; the rest ({{clipboard}}, {{date}}) is looked up
+  const templates = await loadContextMenuTemplates(chromeApi);
+  const pageValues = await resolvePlaceholderValues(templates[kind], tab, chromeApi, ['selection']);
+  const prompt = buildContextMenuPrompt(kind, info, tab, templates, pageValues);
+  if (!prompt) {
+    log('Nothing to ask about, ignoring context menu click');
+    return;
+  }
+
+  await launchPrompt(prompt, 'newForegroundTab', {}, chromeApi, urlParam);
+}
+
+// ========== KEYBOARD COMMANDS ==========
+
+/**
+ * Read plain text from the clipboard through the offscreen document
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<string>} - '' if the clipboard is empty or can't be read
+ */
+async function readClipboard(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!chromeApi || !chromeApi.offscreen) {
+    return '';
+  }
+
+  try {
+    await chromeApi.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['CLIPBOARD'],
+      justification: 'Read the clipboard for the "Ask Gemini about clipboard" shortcut'
+    });
+  } catch (error) {
+    // Most likely still open from an earlier read; reuse it
+    log('Offscreen document not created:', error.message);
+  }
+
+  try {
+    const result = await Messaging.sendMessage(MESSAGE_TYPES.READ_CLIPBOARD, {}, { chromeApi });
+    return result && typeof result.text === 'string' ? result.text : '';
+  } catch (error) {
+    logError('Failed to read clipboard:', error);
+    return '';
+  } finally {
+    await Promise.resolve(chromeApi.offscreen.closeDocument()).catch(() => {});
+  }
+}
+
+/**
+ * Read the text selected in a tab (including inside text fields)
+ *
+ * @param {object} tab - The tab the command was invoked in
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<string>} - '' if nothing is selected or the page can't be scripted
+ */
+async function readSelection(tab, chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!tab || tab.id === undefined || !chromeApi || !chromeApi.scripting) {
+    return '';
+  }
+
+  try {
+    const [injection] = await chromeApi.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => {
+        const active = document.activeElement;
+        if (active && /^(TEXTAREA|INPUT)$/.test(active.tagName) && typeof active.selectionStart === 'number') {
+          return active.value.slice(active.selectionStart, active.selectionEnd);
+        }
+        return window.getSelection().toString();
+      }
+    });
+    return injection && typeof injection.result === 'string' ? injection.result.trim() : '';
+  } catch (error) {
+    // chrome:// pages, the Web Store, etc. can't be scripted
+    logError('Failed to read selection:', error);
+    return '';
+  }
+}
+
+/**
+ * Handle one of the global keyboard commands
+ * Prompts open in a new tab like the context menu, through the same launch pipeline.
+ *
+ * @param {string} command - Command name from manifest.json
+ * @param {object} [tab] - The active tab when the shortcut was pressed
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {string} [urlParam] - Optional URL parameter name (for testing)
+ */
+async function handleCommand(command, tab, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), urlParam = URL_PARAM) {
+  log('Command received:', command);
+
+  switch (command) {
+    case COMMANDS.askClipboard: {
+      const text = (await readClipboard(chromeApi)).trim();
+      if (!text) {
+        log('Clipboard is empty, ignoring command');
+        return;
+      }
+      await launchPrompt(text, 'newForegroundTab', {}, chromeApi, urlParam);
+      return;
+    }
+
+    case COMMANDS.askSelection: {
+      // Same prompt as the "Ask Gemini about ..." context menu entry
+      const selectionText = await readSelection(tab, chromeApi);
+      const templates = await loadContextMenuTemplates(chromeApi);
+      const pageValues = await resolvePlaceholderValues(templates.selection, tab, chromeApi, ['selection']);
+      const prompt = buildContextMenuPrompt('selection', { selectionText }, tab, templates, pageValues);
+      if (!prompt) {
+        log('Nothing selected, ignoring command');
+        return;
+      }
+      await launchPrompt(prompt, 'newForegroundTab', {}, chromeApi, urlParam);
+      return;
+    }
+
+    case COMMANDS.focusGemini: {
+      const geminiTab = await findRecentGeminiTab(chromeApi);
+      if (geminiTab) {
+        await focusTab(geminiTab, chromeApi);
+      } else {
+        await launchPrompt('', 'newForegroundTab', {}, chromeApi, urlParam);
+      }
+      return;
+    }
+
+    default:
+      log('Unknown command:', command);
+  }
+}
+
+// ========== PAGE CONTENT ==========
+
+/**
+ * Extract the main readable text of the current page (Readability-style)
+ *
+ * Runs inside the page via chrome.scripting.executeScript, so it must not use
+ * anything from this file. Paragraph-like elements score their parent (and
+ * half for the grandparent) by length and commas; the best container wins,
+ * widened to an enclosing <article>/<main> if there is one. Navigation,
+ * scripts and other chrome are dropped before converting to text.
+ *
+ * @returns {{title: string, url: string, text: string}}
+ */
+function extractReadableText() {
+  const NOISE_SELECTOR = 'script, style, noscript, template, svg, canvas, iframe, nav, header, footer, aside, form, ' +
+    'button, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"], [hidden]';
+  const BLOCK_TAGS = /^(P|DIV|SECTION|ARTICLE|MAIN|H[1-6]|LI|UL|OL|DL|DT|DD|PRE|BLOCKQUOTE|TABLE|TR|FIGURE|FIGCAPTION|BR|HR)$/;
+
+  // Score containers by the paragraphs they hold
+  const scores = new Map();
+  document.querySelectorAll('p, pre, blockquote, td').forEach(el => {
+    if (el.closest(NOISE_SELECTOR)) {
+      return;
+    }
+    const text = el.textContent.trim();
+    if (text.length < 25) {
+      return;
+    }
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parentElement;
+    if (parent) {
+      scores.set(parent, (scores.get(parent) || 0) + score);
+      if (parent.parentElement) {
+        scores.set(parent.parentElement, (scores.get(parent.parentElement) || 0) + score / 2);
+      }
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, el) => {
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  });
+
+  const landmark = best
+    ? best.closest('article, main, [role="main"]')
+    : document.querySelector('article, main, [role="main"]');
+  const root = (landmark || best || document.body).cloneNode(true);
+  root.querySelectorAll(NOISE_SELECTOR).forEach(el => el.remove());
+
+  // Convert to text, keeping block boundaries and preformatted whitespace
+  const parts = [];
+  const endsWithNewline = () => parts.length === 0 || parts[parts.length - 1].endsWith('\n');
+  const newline = () => {
+    if (parts.length > 0) {
+      parts[parts.length - 1] = parts[parts.length - 1].replace(/ +$/, '');
+    }
+    parts.push('\n');
+  };
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      const text = node.nodeValue.replace(/\s+/g, ' ');
+      parts.push(endsWithNewline() ? text.replace(/^ /, '') : text);
+      return;
+    }
+    if (node.nodeType !== 1) {
+      return;
+    }
+    const isBlock = BLOCK_TAGS.test(node.tagName);
+    if (isBlock) {
+      newline();
+    }
+    if (node.tagName === 'PRE') {
+      parts.push(node.textContent);
+    } else {
+      node.childNodes.forEach(walk);
+    }
+    if (isBlock) {
+      newline();
+    }
+  };
+  walk(root);
+
+  return {
+    title: document.title,
+    url: window.location.href,
+    text: parts.join('').replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+/**
+ * Shorten text to a size budget, cutting at a paragraph or word boundary
+ *
+ * @param {string} text
+ * @param {number} [maxChars]
+ * @returns {{text: string, truncated: boolean}}
+ */
+function truncateText(text, maxChars = PAGE_CONTEXT_MAX_CHARS) {
+  if (text.length <= maxChars) {
+    return { text, truncated: false };
+  }
+
+  const slice = text.slice(0, maxChars);
+  const minCut = Math.floor(maxChars * 0.8);
+  const paragraphCut = slice.lastIndexOf('\n\n');
+  const wordCut = slice.lastIndexOf(' ');
+  const cut = paragraphCut >= minCut ? paragraphCut : (wordCut >= minCut ? wordCut : maxChars);
+  return { text: slice.slice(0, cut).trim(), truncated: true };
+}
+
+/**
+ * Read the readable content of a tab
+ *
+ * @param {object} tab - The page to read
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<{title: string, url: string, text: string}|null>} - null if the page can't be scripted
+ */
+async function extractPageContent(tab, chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!tab || tab.id === undefined || !chromeApi || !chromeApi.scripting) {
+    return null;
+  }
+
+  try {
+    const [injection] = await chromeApi.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: extractReadableText
+    });
+    const page = injection && injection.result;
+    return page && typeof page.text === 'string' ? page : null;
+  } catch (error) {
+    // chrome:// pages, the Web Store, PDFs, etc. can't be scripted
+    logError('Failed to read page content:', error);
+    return null;
+  }
+}
+
+/**
+ * Build a prompt with the page content first and the question after it
+ *
+ * @param {{title: string, url: string, text: string}} page
+ * @param {string} question - May be empty
+ * @returns {string}
+ */
+function buildPagePrompt(page, question) {
+  const { text, truncated } = truncateText(page.text || '');
+  const lines = [`Page: ${page.title || page.url}`, `URL: ${page.url}`];
+
+  if (text) {
+    lines.push('', '"""', text, '"""');
+    if (truncated) {
+      lines.push('(Page content was shortened to fit.)');
+    }
+  }
+
+  if (question) {
+    lines.push('', question);
+  }
 
-// ========== HELPER FUNCTIONS ==========
+  return lines.join('\n');
+}
 
 /**
- * Escape XML special characters for omnibox suggestion descriptions
- * Chrome's omnibox uses XML for formatting, so we need to escape special chars
+ * Send the readable content of a tab to Gemini, followed by the question
+ * Without a question the prompt is only prefilled so the user can ask one.
  *
- * @param {string} str - String to escape
- * @returns {string} - Escaped string safe for XML
+ * @param {string} question - What to ask about the page (may be empty)
+ * @param {object} tab - The page to send
+ * @param {string} disposition - How the launch was invoked
+ * @param {object} [options] - Launch options, as for launchPrompt()
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {string} [urlParam] - Optional URL parameter name (for testing)
  */
-function escapeXml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+async function sendPageToGemini(question, tab, disposition, options = {}, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), urlParam = URL_PARAM) {
+  if (!tab) {
+    log('No page to send');
+    return;
+  }
+
+  // Pages that can't be scripted are still sent by title and URL
+  const page = await extractPageContent(tab, chromeApi) || { title: tab.title || '', url: tab.url || '', text: '' };
+  const launchOptions = question ? options : { ...options, submit: false };
+  await launchPrompt(buildPagePrompt(page, question), disposition, launchOptions, chromeApi, urlParam);
 }
 
 // ========== NAVIGATION ==========
@@ -149,33 +1684,278 @@ async function navigateToUrl(url, disposition, chromeApi = (typeof chrome !== 'u
   }
 }
 
-// ========== INPUT HANDLER ==========
+// ========== TARGET TAB ==========
 
 /**
- * Handle omnibox input entered (user pressed Enter or clicked suggestion)
- * This is the main handler that navigates to Gemini with the user's prompt
+ * Load the target tab and default account preferences
  *
- * @param {string} text - The text entered by the user after "gem "
- * @param {string} disposition - How the URL should be opened
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<{targetTab: string, geminiTabChat: string, defaultAccount: number|null}>}
+ */
+async function loadLaunchPreferences(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  const preferences = { targetTab: DEFAULT_TARGET_TAB, geminiTabChat: DEFAULT_GEMINI_TAB_CHAT, defaultAccount: null };
+
+  try {
+    if (chromeApi && chromeApi.storage && chromeApi.storage.sync) {
+      const result = await chromeApi.storage.sync.get([
+        TARGET_TAB_STORAGE_KEY,
+        GEMINI_TAB_CHAT_STORAGE_KEY,
+        DEFAULT_ACCOUNT_STORAGE_KEY
+      ]);
+      if (TARGET_TABS.includes(result[TARGET_TAB_STORAGE_KEY])) {
+        preferences.targetTab = result[TARGET_TAB_STORAGE_KEY];
+      }
+      if (result[GEMINI_TAB_CHAT_STORAGE_KEY] === 'current') {
+        preferences.geminiTabChat = 'current';
+      }
+      if (Number.isInteger(result[DEFAULT_ACCOUNT_STORAGE_KEY]) && result[DEFAULT_ACCOUNT_STORAGE_KEY] >= 0) {
+        preferences.defaultAccount = result[DEFAULT_ACCOUNT_STORAGE_KEY];
+      }
+    }
+  } catch (error) {
+    logError('Failed to load launch preferences:', error);
+  }
+
+  return preferences;
+}
+
+/**
+ * Apply the "newTab" preference to a disposition
+ * Only plain Enter ("currentTab") is affected; explicit new-tab modifiers win
+ *
+ * @param {string} disposition - How the launch was invoked
+ * @param {string} targetTab - Preference from loadLaunchPreferences()
+ * @returns {string}
+ */
+function resolveDisposition(disposition, targetTab) {
+  if (targetTab === 'newTab' && disposition === 'currentTab') {
+    return 'newForegroundTab';
+  }
+  return disposition;
+}
+
+/**
+ * Find the Gemini tab the user used most recently
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {number} [account] - Only consider tabs signed in to this account
+ *   (tabs without a /u/<index> prefix count as account 0)
+ * @returns {Promise<object|null>} - The tab, or null if none is open
+ */
+async function findRecentGeminiTab(chromeApi = (typeof chrome !== 'undefined' ? chrome : null), account = undefined) {
+  const tabs = await chromeApi.tabs.query({ url: GEMINI_TAB_URL_PATTERN });
+  const geminiTabs = (tabs || []).filter(tab =>
+    tab.id !== undefined && typeof tab.url === 'string' && tab.url.startsWith(`${GEMINI_ORIGIN}/`) &&
+    (account === undefined || (getAccountFromUrl(tab.url) ?? 0) === account)
+  );
+
+  if (geminiTabs.length === 0) {
+    return null;
+  }
+
+  return geminiTabs.reduce((recent, tab) =>
+    (tab.lastAccessed || 0) > (recent.lastAccessed || 0) ? tab : recent
+  );
+}
+
+/**
+ * Check whether a Gemini URL is a fresh chat rather than an existing conversation
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isNewChatUrl(url) {
+  try {
+    return /^(?:\/u\/\d+)?\/app\/?$/.test(new URL(url).pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Send a typed message to a tab's content scripts
+ * Resolves null instead of rejecting when nothing answers in time or the handler fails
+ *
+ * @param {number} tabId
+ * @param {string} type - One of MESSAGE_TYPES
+ * @param {object} payload
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {number} [timeoutMs] - Give up after this long (0 = wait for the answer)
+ * @returns {Promise<*|null>} - The handler's result
+ */
+async function sendTabMessage(tabId, type, payload, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), timeoutMs = 0) {
+  try {
+    return await Messaging.sendMessage(type, payload, { tabId, timeout: timeoutMs, chromeApi });
+  } catch (error) {
+    log(`"${type}" to tab ${tabId} failed:`, error.code || error.message);
+    return null;
+  }
+}
+
+/**
+ * Check that the injector content script in a tab is alive
+ *
+ * @param {number} tabId
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {number} [attempts] - Number of pings before giving up
+ * @returns {Promise<boolean>}
+ */
+async function pingTab(tabId, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), attempts = TAB_PING_ATTEMPTS) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const response = await sendTabMessage(tabId, MESSAGE_TYPES.PING, {}, chromeApi, TAB_MESSAGE_TIMEOUT_MS);
+    if (response && response.status === 'alive') {
+      return true;
+    }
+    if (attempt < attempts) {
+      await new Promise(resolve => setTimeout(resolve, TAB_PING_RETRY_DELAY_MS));
+    }
+  }
+  return false;
+}
+
+/**
+ * Wait for a tab to finish loading after navigating it
+ *
+ * @param {number} tabId
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {number} [timeoutMs]
+ * @returns {Promise<boolean>} - False if the tab did not finish loading in time
+ */
+function waitForTabLoad(tabId, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), timeoutMs = TAB_LOAD_TIMEOUT_MS) {
+  return new Promise(resolve => {
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        finish(true);
+      }
+    };
+    const timer = setTimeout(() => finish(false), timeoutMs);
+
+    function finish(loaded) {
+      clearTimeout(timer);
+      chromeApi.tabs.onUpdated.removeListener(listener);
+      resolve(loaded);
+    }
+
+    chromeApi.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Bring a tab and its window to the front
+ *
+ * @param {object} tab
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ */
+async function focusTab(tab, chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  await chromeApi.tabs.update(tab.id, { active: true });
+  if (chromeApi.windows && tab.windowId !== undefined) {
+    await chromeApi.windows.update(tab.windowId, { focused: true });
+  }
+}
+
+/**
+ * Send a prompt to the most recently used Gemini tab (on the launch's account, if set)
+ *
+ * The tab is focused, optionally moved to a new chat, and the prompt is
+ * delivered with the injector's INJECT_PROMPT message. If the content script
+ * does not answer PING the tab is navigated to the usual bg_prompt URL instead.
+ *
+ * @param {string} prompt - The prompt to send
+ * @param {{model?: string, effort?: string, account?: number, submit?: boolean, gem?: string}} options - Launch overrides
+ * @param {string} geminiTabChat - "new" or "current"
  * @param {object} [chromeApi] - Optional Chrome API object (for testing)
  * @param {string} [urlParam] - Optional URL parameter name (for testing)
+ * @returns {Promise<boolean>} - False if no Gemini tab could be used
  */
-async function handleInputEntered(text, disposition, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), urlParam = URL_PARAM) {
-  log('Input entered:', { text, disposition });
+async function launchInGeminiTab(prompt, options, geminiTabChat, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), urlParam = URL_PARAM) {
+  try {
+    const tab = await findRecentGeminiTab(chromeApi, options.account);
+    if (!tab) {
+      log('No open Gemini tab to reuse');
+      return false;
+    }
 
-  // Handle empty or whitespace-only input
-  const trimmedText = text.trim();
+    log('Reusing Gemini tab', tab.id);
+    await focusTab(tab, chromeApi);
 
-  if (!trimmedText) {
-    // If no text provided, just open Gemini home page
-    log('Empty input, navigating to Gemini home');
-    await navigateToUrl(GEMINI_BASE_URL, disposition, chromeApi);
-    return;
+    // Stay on the tab's account unless the launch asked for one
+    const tabAccount = getAccountFromUrl(tab.url);
+    const navigateTab = async () => {
+      const tabOptions = { ...options, account: options.account ?? tabAccount };
+      const geminiUrl = await buildLaunchUrl(prompt, urlParam, tabOptions, chromeApi);
+      await chromeApi.tabs.update(tab.id, { url: geminiUrl });
+    };
+
+    // Gems and model / thinking level overrides are applied on page load, so
+    // they always go through the URL (which also means a new chat)
+    if (options.gem || options.model || options.effort) {
+      await navigateTab();
+      return true;
+    }
+
+    if (geminiTabChat === 'new' && !isNewChatUrl(tab.url)) {
+      await chromeApi.tabs.update(tab.id, { url: getGeminiAppUrl(tabAccount) });
+      await waitForTabLoad(tab.id, chromeApi);
+    }
+
+    if (!(await pingTab(tab.id, chromeApi))) {
+      log('Content script did not answer, falling back to URL');
+      await navigateTab();
+      return true;
+    }
+
+    const response = await sendTabMessage(tab.id, MESSAGE_TYPES.INJECT_PROMPT, { prompt, submit: options.submit !== false }, chromeApi);
+    if (!response || !response.success) {
+      log('Injection by message failed, falling back to URL');
+      await navigateTab();
+    }
+    return true;
+  } catch (error) {
+    logError('Could not reuse Gemini tab:', error);
+    return false;
+  }
+}
+
+// ========== PROMPT LAUNCH ==========
+
+/**
+ * Open Gemini with a prompt - the shared launch path for every entry point
+ * Honors the target tab preference, and falls back to the Gemini home page
+ * if navigating with the prompt fails.
+ *
+ * @param {string} prompt - Final prompt text (may be empty to just open a chat)
+ * @param {string} disposition - How to open the URL (see navigateToUrl)
+ * @param {object} [options] - Optional model / effort overrides (see appendLaunchParams)
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {string} [urlParam] - Optional URL parameter name (for testing)
+ */
+async function launchPrompt(prompt, disposition, options = {}, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), urlParam = URL_PARAM) {
+  const { targetTab, geminiTabChat, defaultAccount } = await loadLaunchPreferences(chromeApi);
+
+  // A prefill-only policy applies to every entry point, not just the omnibox
+  if (options.submit !== false && (await loadManagedPolicies(chromeApi)).prefillOnly) {
+    options = { ...options, submit: false };
+  }
+
+  // "~N" picks the account for this launch, otherwise the default account setting
+  if (options.account === undefined && defaultAccount !== null) {
+    options = { ...options, account: defaultAccount };
   }
 
+  // A background tab was asked for explicitly, so don't pull a Gemini tab forward
+  if (prompt && targetTab === 'geminiTab' && disposition !== 'newBackgroundTab') {
+    if (await launchInGeminiTab(prompt, options, geminiTabChat, chromeApi, urlParam)) {
+      return;
+    }
+  }
+
+  disposition = resolveDisposition(disposition, targetTab);
+
   try {
-    // Construct the URL with the encoded prompt
-    const geminiUrl = buildGeminiUrl(trimmedText, urlParam);
+    // Construct the URL with the encoded prompt (options alone just open a new chat)
+    const geminiUrl = prompt
+      ? await buildLaunchUrl(prompt, urlParam, options, chromeApi)
+      : appendLaunchParams(getLaunchBaseUrl(options), { model: options.model, effort: options.effort });
     log('Navigating to:', geminiUrl);
 
     // Navigate based on the disposition
@@ -196,10 +1976,244 @@ async function handleInputEntered(text, disposition, chromeApi = (typeof chrome
   }
 }
 
+// ========== INPUT HANDLER ==========
+
+/**
+ * Handle omnibox input entered (user pressed Enter or clicked suggestion)
+ * This is the main handler that navigates to Gemini with the user's prompt
+ *
+ * @param {string} text - The text entered by the user after "gem "
+ * @param {string} disposition - How the URL should be opened
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @param {string} [urlParam] - Optional URL parameter name (for testing)
+ */
+async function handleInputEntered(text, disposition, chromeApi = (typeof chrome !== 'undefined' ? chrome : null), urlParam = URL_PARAM) {
+  log('Input entered:', { text, disposition });
+
+  // Handle empty or whitespace-only input
+  const trimmedText = text.trim();
+
+  if (!trimmedText) {
+    // If no text provided, just open Gemini home page (on the default account)
+    log('Empty input, navigating to Gemini home');
+    await launchPrompt('', disposition, {}, chromeApi, urlParam);
+    return;
+  }
+
+  // A chat picked from the ">query" suggestions arrives as its URL
+  if (isGeminiChatUrl(trimmedText)) {
+    await openChat(trimmedText, disposition, chromeApi);
+    return;
+  }
+
+  // Enter on ">query" itself opens the best match; with no match it is sent as a prompt
+  const chatQuery = parseChatSearch(trimmedText);
+  if (chatQuery) {
+    const [chat] = findChatMatches(chatQuery, await loadChatIndex(chromeApi), 1);
+    if (chat) {
+      await openChat(chat.url, disposition, chromeApi);
+      return;
+    }
+  }
+
+  // Pull off leading "@model" / "!effort" / "~account" / "?" / "!page" tokens for a one-shot override
+  const { text: modifiedText, ...modifiers } = parseLaunchModifiers(trimmedText);
+
+  // "#name" opens a saved Gem instead of a plain chat
+  const gemLaunch = resolveGemLaunch(modifiedText, await loadGems(chromeApi));
+  const promptText = gemLaunch ? gemLaunch.text : modifiedText;
+  if (gemLaunch) {
+    modifiers.gem = gemLaunch.gem.id;
+  }
+
+  // Without "?" the global auto-submit setting decides
+  if (modifiers.submit === undefined && !(await isAutoSubmitEnabled(chromeApi))) {
+    modifiers.submit = false;
+  }
+
+  // Expand "/alias" shortcuts into their stored prompt template
+  const templates = await loadPromptTemplates(chromeApi);
+  let prompt = expandPromptTemplate(promptText, templates);
+
+  // Fill {{selection}}, {{url}}, etc. from the page the user is on
+  if (getUsedPlaceholders(prompt).length > 0) {
+    prompt = await resolvePromptPlaceholders(prompt, await getActiveTab(chromeApi), chromeApi);
+  }
+
+  // Remember what was typed so it can be suggested again later
+  await recordHistory(trimmedText, chromeApi);
+
+  // "!page" sends the page the user is on along with the prompt
+  const { page, ...launchOptions } = modifiers;
+  if (page) {
+    await sendPageToGemini(prompt, await getActiveTab(chromeApi), disposition, launchOptions, chromeApi, urlParam);
+    return;
+  }
+
+  await launchPrompt(prompt, disposition, launchOptions, chromeApi, urlParam);
+}
+
+// ========== INSTALL & UPDATE ==========
+
+/**
+ * Whether the changelog should open after updates
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<boolean>}
+ */
+async function isUpdateNotesEnabled(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  try {
+    const result = await chromeApi.storage.sync.get(SHOW_UPDATE_NOTES_STORAGE_KEY);
+    return result[SHOW_UPDATE_NOTES_STORAGE_KEY] !== false;
+  } catch (error) {
+    logError('Failed to load update notes setting:', error);
+    return true;
+  }
+}
+
+/**
+ * Upgrade stored settings to the current schema version
+ * Failures are logged and leave storage untouched, as every reader falls back to defaults.
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<object|null>} - The migration summary, or null on error
+ */
+async function migrateStoredSettings(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  try {
+    const summary = await SettingsSchema.migrateSettings(chromeApi.storage.sync);
+    if (summary.from !== summary.to) {
+      log('Settings migrated:', summary);
+    }
+    return summary;
+  } catch (error) {
+    logError('Failed to migrate settings:', error);
+    return null;
+  }
+}
+
+/**
+ * Handle chrome.runtime.onInstalled
+ * Migrates stored settings, then opens the onboarding page on first install,
+ * and the changelog after an update to a new version unless the user turned
+ * update notes off.
+ *
+ * @param {{reason: string, previousVersion?: string}} details
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Promise<string|null>} - The page that was opened, if any
+ */
+async function handleInstalled(details, chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  createContextMenus(chromeApi);
+
+  if (details.reason === 'install' || details.reason === 'update') {
+    await migrateStoredSettings(chromeApi);
+  }
+
+  if (details.reason === 'install') {
+    log('Extension installed');
+    const url = chromeApi.runtime.getURL(ONBOARDING_PAGE_PATH);
+    await chromeApi.tabs.create({ url });
+    return url;
+  }
+
+  if (details.reason === 'update') {
+    const version = chromeApi.runtime.getManifest().version;
+    log('Extension updated to version', version);
+
+    // Reloading an unpacked extension also reports an update, to the same version
+    if (details.previousVersion === version || !(await isUpdateNotesEnabled(chromeApi))) {
+      return null;
+    }
+
+    const url = `${chromeApi.runtime.getURL(CHANGELOG_PAGE_PATH)}?from=${encodeURIComponent(details.previousVersion || '')}`;
+    await chromeApi.tabs.create({ url });
+    return url;
+  }
+
+  return null;
+}
+
+// ========== MESSAGE HANDLERS ==========
+
+/**
+ * Toolbar badge shown on a Gemini tab while a response is being generated
+ */
+const GENERATING_BADGE_TEXT = '…';
+const GENERATING_BADGE_COLOR = '#1a73e8';
+
+/**
+ * Whether a message came from a content script on Gemini
+ * @param {object} sender - chrome.runtime.MessageSender
+ * @returns {boolean}
+ */
+function isGeminiSender(sender) {
+  return !!(sender && sender.tab && sender.url && sender.url.startsWith(`${GEMINI_ORIGIN}/`));
+}
+
+/**
+ * Show or clear the "generating" badge for the sender's tab
+ *
+ * @param {{generating: boolean}} payload
+ * @param {object} sender - chrome.runtime.MessageSender
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ */
+async function updateGenerationBadge({ generating }, sender, chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  if (!chromeApi || !chromeApi.action) {
+    return;
+  }
+
+  const tabId = sender.tab.id;
+  await chromeApi.action.setBadgeText({ tabId, text: generating ? GENERATING_BADGE_TEXT : '' });
+  if (generating) {
+    await chromeApi.action.setBadgeBackgroundColor({ tabId, color: GENERATING_BADGE_COLOR });
+  }
+}
+
+/**
+ * Handlers for messages addressed to the service worker (see messaging.js)
+ *
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {Object<string, function(object, object): Promise<*>>} - Keyed by message type
+ */
+function createMessageHandlers(chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  return {
+    // Sidebar chats reported by the keyboard shortcuts feature on Gemini pages
+    [MESSAGE_TYPES.INDEX_CHATS]: async ({ chats }, sender) => {
+      if (!isGeminiSender(sender)) {
+        throw new MessagingError(ERROR_CODES.FORBIDDEN, 'Chats can only be indexed from Gemini');
+      }
+      await updateChatIndex(chats, chromeApi);
+      return { indexed: chats.length };
+    },
+
+    // The popup's "Ask Gemini" box works like typing after "gem" in the address bar
+    [MESSAGE_TYPES.LAUNCH_PROMPT]: async ({ prompt }, sender) => {
+      if (sender.tab) {
+        throw new MessagingError(ERROR_CODES.FORBIDDEN, 'Web pages cannot launch prompts');
+      }
+      await handleInputEntered(prompt, 'newForegroundTab', chromeApi);
+      return null;
+    },
+
+    // Gemini started or finished answering in a tab
+    [MESSAGE_TYPES.GENERATION_STATUS]: async (payload, sender) => {
+      if (!isGeminiSender(sender)) {
+        throw new MessagingError(ERROR_CODES.FORBIDDEN, 'Generation status can only come from Gemini');
+      }
+      await updateGenerationBadge(payload, sender, chromeApi);
+      return null;
+    },
+  };
+}
+
 // ========== CHROME EXTENSION INITIALIZATION ==========
 // Only register Chrome event listeners when running in extension context
 
 if (IS_CHROME_ENV) {
+  // Let the injector content script redeem long prompt handoffs
+  if (chrome.storage.session && chrome.storage.session.setAccessLevel) {
+    chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' })
+      .catch(error => logError('Failed to open session storage to content scripts:', error));
+  }
+
   // ========== OMNIBOX EVENT HANDLERS ==========
 
   /**
@@ -209,18 +2223,11 @@ if (IS_CHROME_ENV) {
   chrome.omnibox.onInputChanged.addListener((text, suggest) => {
     log('Input changed:', text);
 
-    const trimmedText = text.trim();
-
-    // Only show suggestion if there's actual content
-    if (trimmedText) {
-      // Provide a suggestion showing what the user is about to send
-      suggest([
-        {
-          content: trimmedText,
-          description: `Ask Gemini: "${escapeXml(trimmedText)}"`
-        }
-      ]);
-    }
+    getOmniboxSuggestions(text).then(suggestions => {
+      if (suggestions.length > 0) {
+        suggest(suggestions);
+      }
+    });
   });
 
   /**
@@ -230,34 +2237,43 @@ if (IS_CHROME_ENV) {
     await handleInputEntered(text, disposition);
   });
 
-  // ========== LIFECYCLE EVENTS ==========
+  // ========== CONTEXT MENU EVENT HANDLERS ==========
 
   /**
-   * Handle extension installation and updates
+   * Handle clicks on the "Ask Gemini" context menu entries
    */
-  chrome.runtime.onInstalled.addListener((details) => {
-    if (details.reason === 'install') {
-      log('Extension installed');
-      // Could open onboarding page here if needed
-    } else if (details.reason === 'update') {
-      log('Extension updated to version', chrome.runtime.getManifest().version);
-    }
-  });
+  if (chrome.contextMenus) {
+    chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+      await handleContextMenuClick(info, tab);
+    });
+  }
+
+  // ========== KEYBOARD COMMANDS ==========
 
   /**
-   * Message listener for content script communication
-   * Currently a placeholder for future functionality
+   * Handle the global shortcuts (chrome://extensions/shortcuts)
    */
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    log('Message received:', message);
+  if (chrome.commands) {
+    chrome.commands.onCommand.addListener(async (command, tab) => {
+      await handleCommand(command, tab);
+    });
+  }
 
-    // Handle specific message types here as needed
-    // For now, just acknowledge receipt
-    sendResponse({ received: true });
+  // ========== LIFECYCLE EVENTS ==========
 
-    return false; // No async response
+  /**
+   * Handle extension installation and updates
+   */
+  chrome.runtime.onInstalled.addListener(async (details) => {
+    await handleInstalled(details);
   });
 
+  /**
+   * Typed messages from content scripts, the popup and the offscreen document
+   * Anything that isn't a known protocol message is left for other listeners
+   */
+  chrome.runtime.onMessage.addListener(Messaging.createRouter(createMessageHandlers()));
+
   // ========== INITIALIZATION ==========
 
   /**
@@ -278,10 +2294,99 @@ if (IS_CHROME_ENV) {
 if (IS_TEST_ENV) {
   module.exports = {
     buildGeminiUrl,
+    appendLaunchParams,
+    shouldHandoffPrompt,
+    storePromptHandoff,
+    buildLaunchUrl,
+    HANDOFF_URL_PARAM,
+    HANDOFF_KEY_PREFIX,
+    HANDOFF_TTL_MS,
+    parseLaunchModifiers,
+    describeLaunchModifiers,
+    loadManagedPolicies,
+    isAutoSubmitEnabled,
+    AUTO_SUBMIT_STORAGE_KEY,
     escapeXml,
     navigateToUrl,
     handleInputEntered,
+    launchPrompt,
+    fillPlaceholders,
+    loadContextMenuTemplates,
+    getContextMenuKind,
+    buildContextMenuPrompt,
+    createContextMenus,
+    handleContextMenuClick,
+    CONTEXT_MENU_ITEMS,
+    CONTEXT_MENU_STORAGE_KEY,
+    loadLaunchPreferences,
+    resolveDisposition,
+    findRecentGeminiTab,
+    isNewChatUrl,
+    sendTabMessage,
+    pingTab,
+    waitForTabLoad,
+    launchInGeminiTab,
+    TARGET_TAB_STORAGE_KEY,
+    GEMINI_TAB_CHAT_STORAGE_KEY,
+    loadPromptTemplates,
+    parseTemplateAlias,
+    expandPromptTemplate,
+    getTemplateSuggestions,
+    isHistoryEnabled,
+    loadHistory,
+    recordHistory,
+    fuzzyScore,
+    findHistoryMatches,
+    getOmniboxSuggestions,
     GEMINI_BASE_URL,
+    getGeminiAppUrl,
+    getLaunchBaseUrl,
+    loadGems,
+    resolveGemLaunch,
+    getGemSuggestions,
+    GEMS_STORAGE_KEY,
+    isGeminiChatUrl,
+    loadChatIndex,
+    updateChatIndex,
+    parseChatSearch,
+    findChatMatches,
+    getChatSuggestions,
+    openChat,
+    CHAT_INDEX_STORAGE_KEY,
+    isUpdateNotesEnabled,
+    migrateStoredSettings,
+    handleInstalled,
+    ONBOARDING_PAGE_PATH,
+    CHANGELOG_PAGE_PATH,
+    SHOW_UPDATE_NOTES_STORAGE_KEY,
+    isGeminiSender,
+    updateGenerationBadge,
+    createMessageHandlers,
+    GENERATING_BADGE_TEXT,
+    getUsedPlaceholders,
+    formatDate,
+    getActiveTab,
+    resolvePlaceholderValues,
+    resolvePromptPlaceholders,
+    PROMPT_PLACEHOLDERS,
+    extractReadableText,
+    truncateText,
+    extractPageContent,
+    buildPagePrompt,
+    sendPageToGemini,
+    SEND_PAGE_MENU_ITEM,
+    PAGE_CONTEXT_MAX_CHARS,
+    readClipboard,
+    readSelection,
+    handleCommand,
+    COMMANDS,
+    CHAT_INDEX_MAX_ENTRIES,
+    getAccountFromUrl,
+    DEFAULT_ACCOUNT_STORAGE_KEY,
+    TEMPLATES_STORAGE_KEY,
+    HISTORY_STORAGE_KEY,
+    HISTORY_ENABLED_STORAGE_KEY,
+    HISTORY_MAX_ENTRIES,
     // Allow tests to configure these
     setConfig: (config) => {
       if (config.URL_PARAM !== undefined) URL_PARAM = config.URL_PARAM;
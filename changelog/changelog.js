@@ -0,0 +1,147 @@
+/**
+ * Better Gemini - Changelog Page Script
+ *
+ * Opened by background.js after an update (with ?from=<previous version>) unless
+ * update notes are turned off. Versions newer than the previous one are marked new.
+ */
+
+// Storage key (settings-schema.js)
+const SHOW_UPDATE_NOTES_STORAGE_KEY = globalThis.BetterGeminiSettingsSchema.STORAGE_KEYS.showUpdateNotes;
+
+/**
+ * Release notes, newest first. Add an entry when bumping the manifest version.
+ */
+const RELEASE_NOTES = [
+  {
+    version: '1.0.8',
+    changes: [
+      'Saved Gems: launch them from the address bar with gem #name',
+      'Search and reopen past chats with gem >words',
+      'Keyboard shortcuts that work on any site: ask about the clipboard or selection, or jump to Gemini',
+      'Page placeholders ({{url}}, {{title}}, {{selection}}, {{clipboard}}, {{date}}) in prompts and templates',
+      'Send the readable text of the current page to Gemini with !page, the popup or the right-click menu',
+      'Ask Gemini straight from the toolbar popup, which also shows the current model and exports the open chat',
+      'A badge on the toolbar icon while Gemini is writing a response',
+      'A welcome tour after installing, and these notes after updating'
+    ]
+  }
+];
+
+// DOM element references
+const elements = {
+  versionSummary: null,
+  releaseList: null,
+  hideUpdateNotes: null,
+  saveStatus: null
+};
+
+/**
+ * Initialize DOM element references
+ */
+function initializeElements() {
+  elements.versionSummary = document.getElementById('versionSummary');
+  elements.releaseList = document.getElementById('releaseList');
+  elements.hideUpdateNotes = document.getElementById('hideUpdateNotes');
+  elements.saveStatus = document.getElementById('saveStatus');
+}
+
+/**
+ * Compare dotted version strings numerically
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Render the release notes, marking versions newer than the previous install
+ * @param {string} previousVersion - '' when opened directly
+ */
+function renderReleaseNotes(previousVersion) {
+  RELEASE_NOTES.forEach(release => {
+    const section = document.createElement('section');
+    section.className = 'settings-section release';
+
+    const header = document.createElement('div');
+    header.className = 'section-header';
+
+    const title = document.createElement('h2');
+    title.textContent = `Version ${release.version}`;
+    header.appendChild(title);
+
+    if (previousVersion && compareVersions(release.version, previousVersion) > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'release-badge';
+      badge.textContent = 'New';
+      header.appendChild(badge);
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'settings-card release-changes';
+    release.changes.forEach(change => {
+      const item = document.createElement('li');
+      item.textContent = change;
+      list.appendChild(item);
+    });
+
+    section.append(header, list);
+    elements.releaseList.appendChild(section);
+  });
+}
+
+/**
+ * Load the "don't show update notes" setting
+ */
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.sync.get(SHOW_UPDATE_NOTES_STORAGE_KEY);
+    elements.hideUpdateNotes.checked = result[SHOW_UPDATE_NOTES_STORAGE_KEY] === false;
+  } catch (error) {
+    console.error('[Better Gemini Changelog] Error loading settings:', error);
+  }
+}
+
+/**
+ * Save the "don't show update notes" setting
+ */
+async function saveSettings() {
+  try {
+    await chrome.storage.sync.set({ [SHOW_UPDATE_NOTES_STORAGE_KEY]: !elements.hideUpdateNotes.checked });
+    elements.saveStatus.textContent = 'Saved';
+    elements.saveStatus.className = 'save-status success';
+  } catch (error) {
+    console.error('[Better Gemini Changelog] Error saving settings:', error);
+    elements.saveStatus.textContent = 'Error saving settings';
+    elements.saveStatus.className = 'save-status error';
+  }
+}
+
+/**
+ * Initialize the changelog page
+ */
+function initialize() {
+  initializeElements();
+
+  const previousVersion = new URLSearchParams(window.location.search).get('from') || '';
+  const { version } = chrome.runtime.getManifest();
+  elements.versionSummary.textContent = previousVersion
+    ? `Updated from ${previousVersion} to ${version}`
+    : `You're on version ${version}`;
+
+  renderReleaseNotes(previousVersion);
+  loadSettings();
+  elements.hideUpdateNotes.addEventListener('change', saveSettings);
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', initialize);
@@ -72,7 +72,16 @@ const CONFIG = {
   storageKeys: {
     settings: 'betterGemini_settings',
     history: 'betterGemini_history',
+    historyEnabled: 'betterGemini_historyEnabled',
     shortcuts: 'betterGemini_shortcuts',
+    promptTemplates: 'betterGemini_promptTemplates',
+    contextMenuTemplates: 'betterGemini_contextMenuTemplates',
+    targetTab: 'betterGemini_targetTab',
+    geminiTabChat: 'betterGemini_geminiTabChat',
+    autoSubmit: 'betterGemini_autoSubmit',
+    defaultAccount: 'betterGemini_defaultAccount',
+    gems: 'betterGemini_gems',
+    chatIndex: 'betterGemini_chatIndex',
   },
 
   // Default user settings
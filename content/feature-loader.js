@@ -15,16 +15,14 @@
   var IS_BROWSER_ENV = typeof window !== 'undefined' && typeof document !== 'undefined' && typeof chrome !== 'undefined';
 
   // ========== CONFIGURATION ==========
-  var STORAGE_KEY = 'betterGemini_features';
+  // settings-schema.js is loaded before this script (see manifest.json)
+  var SettingsSchema = globalThis.BetterGeminiSettingsSchema ||
+    (IS_TEST_ENV ? require('../settings-schema.js') : null);
+
+  var STORAGE_KEY = SettingsSchema.STORAGE_KEYS.features;
 
   // Default settings - all features enabled by default
-  var DEFAULT_SETTINGS = {
-    exportMarkdown: true,
-    exportFullChat: true,
-    keyboardShortcuts: true,
-    widerChatWidth: true,
-    defaultModel: true,
-  };
+  var DEFAULT_SETTINGS = SettingsSchema.FEATURE_DEFAULTS;
 
   // ========== LOGGING ==========
   function log(message, data) {
@@ -52,12 +50,16 @@
     keyboardShortcuts: false,
     widerChatWidth: false,
     defaultModel: false,
+    sensitiveDataGuard: false,
   };
 
+  // Administrator policies from chrome.storage.managed, refreshed by loadSettings()
+  var managedPolicies = SettingsSchema.NO_POLICIES;
+
   // ========== SETTINGS MANAGEMENT ==========
 
   /**
-   * Loads settings from chrome.storage.sync
+   * Loads settings from chrome.storage.sync, with managed policies applied over them
    * Returns default settings if none exist or on error
    * @returns {Promise<Object>} Settings object
    */
@@ -66,9 +68,12 @@
       try {
         if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
           chrome.storage.sync.get(STORAGE_KEY, function(result) {
-            var settings = result[STORAGE_KEY] || DEFAULT_SETTINGS;
-            log('Settings loaded:', settings);
-            resolve(settings);
+            SettingsSchema.loadManagedPolicies(chrome.storage.managed).then(function(policies) {
+              managedPolicies = policies;
+              var settings = SettingsSchema.applyManagedFeatures(result[STORAGE_KEY], policies);
+              log('Settings loaded:', settings);
+              resolve(settings);
+            });
           });
         } else {
           resolve(DEFAULT_SETTINGS);
@@ -263,6 +268,46 @@
     }
   }
 
+  /**
+   * Initializes the Sensitive Data Guard feature
+   */
+  function initSensitiveDataGuard() {
+    if (featuresInitialized.sensitiveDataGuard) {
+      return;
+    }
+
+    if (window.BetterGeminiSensitiveDataGuard && typeof window.BetterGeminiSensitiveDataGuard.init === 'function') {
+      try {
+        window.BetterGeminiSensitiveDataGuard.init();
+        featuresInitialized.sensitiveDataGuard = true;
+        log('Sensitive Data Guard feature initialized');
+      } catch (error) {
+        logError('Failed to initialize Sensitive Data Guard:', error);
+      }
+    } else {
+      logError('Sensitive Data Guard feature not found on window');
+    }
+  }
+
+  /**
+   * Destroys (disables) the Sensitive Data Guard feature
+   */
+  function destroySensitiveDataGuard() {
+    if (!featuresInitialized.sensitiveDataGuard) {
+      return;
+    }
+
+    if (window.BetterGeminiSensitiveDataGuard && typeof window.BetterGeminiSensitiveDataGuard.destroy === 'function') {
+      try {
+        window.BetterGeminiSensitiveDataGuard.destroy();
+        featuresInitialized.sensitiveDataGuard = false;
+        log('Sensitive Data Guard feature destroyed');
+      } catch (error) {
+        logError('Failed to destroy Sensitive Data Guard:', error);
+      }
+    }
+  }
+
   // ========== MAIN INITIALIZATION ==========
 
   /**
@@ -295,23 +340,40 @@
         initDefaultModel();
       }
 
+      if (settings.sensitiveDataGuard !== false) {
+        initSensitiveDataGuard();
+      }
+
       log('Feature initialization complete');
     });
   }
 
   /**
-   * Handles settings changes from the options page
+   * Handles settings changes from the options page, and policy changes
    * @param {Object} changes - Changes object from chrome.storage.onChanged
    * @param {string} areaName - Storage area name
    */
   function handleSettingsChange(changes, areaName) {
+    if (areaName === 'managed') {
+      // Re-read the policies along with the user's settings
+      loadSettings().then(applySettings);
+      return;
+    }
+
     if (areaName !== 'sync' || !changes[STORAGE_KEY]) {
       return;
     }
 
-    var newSettings = changes[STORAGE_KEY].newValue || DEFAULT_SETTINGS;
+    var newSettings = SettingsSchema.applyManagedFeatures(changes[STORAGE_KEY].newValue, managedPolicies);
     log('Settings changed:', newSettings);
+    applySettings(newSettings);
+  }
 
+  /**
+   * Starts and stops features to match new settings
+   * @param {Object} newSettings - Effective feature toggles
+   */
+  function applySettings(newSettings) {
     // Handle Export Markdown - can only be enabled (no destroy function)
     if (newSettings.exportMarkdown !== false && !featuresInitialized.exportMarkdown) {
       initExportMarkdown();
@@ -344,6 +406,13 @@
     } else if (newSettings.defaultModel === false && featuresInitialized.defaultModel) {
       destroyDefaultModel();
     }
+
+    // Handle Sensitive Data Guard
+    if (newSettings.sensitiveDataGuard !== false && !featuresInitialized.sensitiveDataGuard) {
+      initSensitiveDataGuard();
+    } else if (newSettings.sensitiveDataGuard === false && featuresInitialized.sensitiveDataGuard) {
+      destroySensitiveDataGuard();
+    }
   }
 
   // ========== BROWSER INITIALIZATION ==========
@@ -382,21 +451,25 @@
       initKeyboardShortcuts: initKeyboardShortcuts,
       initWiderChat: initWiderChat,
       initDefaultModel: initDefaultModel,
+      initSensitiveDataGuard: initSensitiveDataGuard,
       destroyExportFullChat: destroyExportFullChat,
       destroyKeyboardShortcuts: destroyKeyboardShortcuts,
       destroyWiderChat: destroyWiderChat,
       destroyDefaultModel: destroyDefaultModel,
+      destroySensitiveDataGuard: destroySensitiveDataGuard,
       DEFAULT_SETTINGS: DEFAULT_SETTINGS,
       STORAGE_KEY: STORAGE_KEY,
       getFeaturesInitialized: function() { return Object.assign({}, featuresInitialized); },
       // Reset function for testing - resets internal state
       _resetForTesting: function() {
+        managedPolicies = SettingsSchema.NO_POLICIES;
         featuresInitialized = {
           exportMarkdown: false,
           exportFullChat: false,
           keyboardShortcuts: false,
           widerChatWidth: false,
           defaultModel: false,
+          sensitiveDataGuard: false,
         };
       },
     };
@@ -13,6 +13,11 @@
  *  - The lineup varies by account (e.g. "Flash-Lite / Flash / Pro" or
  *    "Flash / Thinking / Pro"); an unavailable preference simply no-ops.
  *  - A "Thinking level" submenu (Standard / Extended) controls reasoning effort.
+ *
+ * Omnibox launches ("gem @pro !extended ...") pass ?model= / ?effort= in the URL.
+ * Those are a one-shot override: they win over the stored preferences for the
+ * chat they open (including when /app becomes /app/<id> after sending), and the
+ * stored preferences resume on the next chat.
  */
 
 (function() {
@@ -51,6 +56,10 @@
       CURRENT_MODEL_LABEL: '.input-area-switch-label',
     },
 
+    // URL params set by background.js for a one-shot override
+    URL_PARAM_MODEL: 'model',
+    URL_PARAM_EFFORT: 'effort',
+
     // Storage keys
     STORAGE_KEY: 'betterGemini_defaultModel',
     STORAGE_KEY_EFFORT: 'betterGemini_thinkingLevel',
@@ -109,11 +118,14 @@
   // ============================================================================
 
   let currentPreferredModel = null;
+  let managedModel = null; // Model set by administrator policy; wins over the stored preference
   let currentPreferredEffort = null;
   let isApplying = false;
   let observer = null;
   let lastAppliedUrl = null;
   let urlModelOverride = null; // Model from URL query param
+  let urlEffortOverride = null; // Effort from URL query param
+  let overrideChatPath = null; // Path of the chat a URL override was applied to
 
   // ============================================================================
   // URL QUERY PARAM HANDLING
@@ -126,7 +138,7 @@
   function getModelFromUrl() {
     try {
       const urlParams = new URLSearchParams(window.location.search);
-      const model = urlParams.get('model');
+      const model = urlParams.get(CONFIG.URL_PARAM_MODEL);
       if (model && CONFIG.MODELS[model]) {
         log('Model from URL param:', model);
         return model;
@@ -138,21 +150,57 @@
   }
 
   /**
-   * Removes the model param from the URL without triggering navigation.
+   * Gets the thinking-effort level from URL query parameter if present.
+   * @returns {string|null} Effort key or null
+   */
+  function getEffortFromUrl() {
+    try {
+      const urlParams = new URLSearchParams(window.location.search);
+      const effort = urlParams.get(CONFIG.URL_PARAM_EFFORT);
+      if (effort && CONFIG.EFFORTS[effort]) {
+        log('Effort from URL param:', effort);
+        return effort;
+      }
+    } catch (error) {
+      logError('Failed to parse URL for effort param', error);
+    }
+    return null;
+  }
+
+  /**
+   * Removes the model and effort params from the URL without triggering navigation.
    */
   function cleanModelFromUrl() {
     try {
       const url = new URL(window.location.href);
-      if (url.searchParams.has('model')) {
-        url.searchParams.delete('model');
+      if (url.searchParams.has(CONFIG.URL_PARAM_MODEL) || url.searchParams.has(CONFIG.URL_PARAM_EFFORT)) {
+        url.searchParams.delete(CONFIG.URL_PARAM_MODEL);
+        url.searchParams.delete(CONFIG.URL_PARAM_EFFORT);
         history.replaceState(null, '', url.toString());
-        log('Cleaned model param from URL');
+        log('Cleaned model/effort params from URL');
       }
     } catch (error) {
       logError('Failed to clean model from URL', error);
     }
   }
 
+  /**
+   * Whether `toPath` is still the chat a one-shot override was applied to.
+   * Sending the first prompt of a new chat moves /app to /app/<id> (or
+   * /gem/<gem> to /gem/<gem>/<id>), which is the same conversation.
+   */
+  function isSameChat(fromPath, toPath) {
+    if (fromPath === toPath) return true;
+    return /\/(?:app|gem\/[^/]+)\/?$/.test(fromPath) && toPath.startsWith(fromPath.replace(/\/$/, '') + '/');
+  }
+
+  /**
+   * Whether a previously applied URL override still owns the current chat.
+   */
+  function isOverrideActive() {
+    return !!overrideChatPath && isSameChat(overrideChatPath, window.location.pathname);
+  }
+
   // ============================================================================
   // STORAGE
   // ============================================================================
@@ -170,16 +218,42 @@
   }
 
   /**
-   * Sets up a storage change listener for both the model and effort preferences.
-   * Changing a preference re-applies immediately to the current tab.
+   * Reads the model set by administrator policy (chrome.storage.managed), if any.
+   * @returns {Promise<string|null>} Model key or null
+   */
+  async function loadManagedModel() {
+    const SettingsSchema = globalThis.BetterGeminiSettingsSchema;
+    if (!SettingsSchema || typeof chrome === 'undefined') return null;
+    const policies = await SettingsSchema.loadManagedPolicies(chrome.storage?.managed);
+    return policies.defaultModel;
+  }
+
+  /**
+   * Loads the preferred model: the policy's, else the user's stored choice.
+   */
+  async function loadPreferredModel() {
+    managedModel = await loadManagedModel();
+    currentPreferredModel = managedModel || await loadFromStorage(CONFIG.STORAGE_KEY);
+  }
+
+  /**
+   * Sets up a storage change listener for both the model and effort preferences
+   * (and the model policy). Changing a preference re-applies immediately to the
+   * current tab.
    */
   function setupStorageListener() {
     if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
-      chrome.storage.onChanged.addListener((changes, areaName) => {
+      chrome.storage.onChanged.addListener(async (changes, areaName) => {
+        if (areaName === 'managed') {
+          await loadPreferredModel();
+          lastAppliedUrl = null;
+          waitAndApplyModel();
+          return;
+        }
         if (areaName !== 'sync') return;
         let changed = false;
         if (changes[CONFIG.STORAGE_KEY]) {
-          currentPreferredModel = changes[CONFIG.STORAGE_KEY].newValue || null;
+          currentPreferredModel = managedModel || changes[CONFIG.STORAGE_KEY].newValue || null;
           changed = true;
         }
         if (changes[CONFIG.STORAGE_KEY_EFFORT]) {
@@ -188,8 +262,10 @@
         }
         if (changed) {
           log('Preferences changed', { model: currentPreferredModel, effort: currentPreferredEffort });
-          // Allow re-application even though the URL hasn't changed.
+          // Allow re-application even though the URL hasn't changed. An explicit
+          // preference change also ends any one-shot override.
           lastAppliedUrl = null;
+          overrideChatPath = null;
           waitAndApplyModel();
         }
       });
@@ -417,13 +493,26 @@
     return currentPreferredModel;
   }
 
+  /**
+   * The effort to apply (URL override takes precedence over the stored preference).
+   */
+  function getEffectiveEffort() {
+    if (urlEffortOverride) return urlEffortOverride;
+    return currentPreferredEffort;
+  }
+
+  function hasUrlOverride() {
+    return !!(urlModelOverride || urlEffortOverride);
+  }
+
   /**
    * Applies the preferred model and thinking-effort level if needed.
    * @returns {Promise<boolean>} True if anything was changed.
    */
   async function applyDefaults() {
     const targetModel = getEffectiveModel();
-    const targetEffort = currentPreferredEffort;
+    const targetEffort = getEffectiveEffort();
+    const fromUrl = hasUrlOverride();
 
     if (!targetModel && !targetEffort) {
       log('Nothing to apply (no preferred model or effort)');
@@ -438,8 +527,13 @@
       return false;
     }
 
+    if (!fromUrl && isOverrideActive()) {
+      log('One-shot override active for this chat, keeping it');
+      return false;
+    }
+
     const currentUrl = window.location.href;
-    if (!urlModelOverride && lastAppliedUrl === currentUrl) {
+    if (!fromUrl && lastAppliedUrl === currentUrl) {
       log('Already applied for this URL');
       return false;
     }
@@ -474,11 +568,16 @@
       }
 
       lastAppliedUrl = currentUrl;
-      log('Applied defaults', { model: targetModel, effort: targetEffort, changed: didSomething });
+      log('Applied defaults', { model: targetModel, effort: targetEffort, changed: didSomething, fromUrl });
 
-      if (urlModelOverride) {
-        cleanModelFromUrl();
+      if (fromUrl) {
+        // Clear the override before cleaning the URL: the patched replaceState
+        // re-enters handleNavigation synchronously.
         urlModelOverride = null;
+        urlEffortOverride = null;
+        overrideChatPath = window.location.pathname;
+        cleanModelFromUrl();
+        lastAppliedUrl = window.location.href;
       }
       return didSomething;
 
@@ -502,7 +601,7 @@
       log('Max retries reached, giving up');
       return;
     }
-    if (!currentPreferredModel && !currentPreferredEffort) {
+    if (!currentPreferredModel && !currentPreferredEffort && !hasUrlOverride()) {
       log('No preferences configured');
       return;
     }
@@ -564,8 +663,17 @@
 
     function handleNavigation() {
       log('Navigation detected');
-      lastAppliedUrl = null;
       urlModelOverride = getModelFromUrl();
+      urlEffortOverride = getEffortFromUrl();
+
+      if (!hasUrlOverride() && isOverrideActive()) {
+        // Still the chat the override opened; follow it to its new path.
+        overrideChatPath = window.location.pathname;
+        return;
+      }
+
+      overrideChatPath = null;
+      lastAppliedUrl = null;
       setTimeout(() => waitAndApplyModel(), 500);
     }
 
@@ -582,8 +690,11 @@
       observer = null;
     }
     currentPreferredModel = null;
+    managedModel = null;
     currentPreferredEffort = null;
     urlModelOverride = null;
+    urlEffortOverride = null;
+    overrideChatPath = null;
     isApplying = false;
     lastAppliedUrl = null;
     log('Default model feature destroyed');
@@ -602,9 +713,10 @@
     }
 
     urlModelOverride = getModelFromUrl();
-    if (urlModelOverride) log('URL model override:', urlModelOverride);
+    urlEffortOverride = getEffortFromUrl();
+    if (hasUrlOverride()) log('URL override:', { model: urlModelOverride, effort: urlEffortOverride });
 
-    currentPreferredModel = await loadFromStorage(CONFIG.STORAGE_KEY);
+    await loadPreferredModel();
     currentPreferredEffort = await loadFromStorage(CONFIG.STORAGE_KEY_EFFORT);
     log('Loaded preferences', { model: currentPreferredModel, effort: currentPreferredEffort });
 
@@ -617,12 +729,58 @@
     }
   }
 
+  /**
+   * Applies a ?model= / ?effort= launch override right away, waiting for the
+   * model picker if needed. Called by the injector before it submits a prompt so
+   * the prompt goes to the requested model; works even when the Default Model
+   * feature itself is disabled.
+   * @returns {Promise<boolean>} True if anything was changed.
+   */
+  async function applyUrlOverrides() {
+    urlModelOverride = urlModelOverride || getModelFromUrl();
+    urlEffortOverride = urlEffortOverride || getEffortFromUrl();
+
+    for (let i = 0; i < CONFIG.MAX_RETRIES; i++) {
+      // Nothing (left) to apply - possibly applied by the navigation observer.
+      if (!hasUrlOverride()) return false;
+      if (isModelPickerAvailable() && !isApplying) {
+        return applyDefaults();
+      }
+      await sleep(CONFIG.RETRY_DELAY);
+    }
+    log('Model picker not available; URL override not applied');
+    return false;
+  }
+
   function initializeFeature() {
     setupNavigationObserver();
     setTimeout(() => waitAndApplyModel(), 1000);
     log('Default Model feature initialized');
   }
 
+  // ============================================================================
+  // MESSAGING
+  // ============================================================================
+
+  /**
+   * Answers GET_MODEL (see messaging.js), e.g. for the popup. Registered when
+   * the script loads rather than in init(), so the current model can be read
+   * even when the Default Model feature itself is disabled.
+   */
+  function registerMessageHandlers() {
+    const Messaging = typeof window !== 'undefined' ? window.BetterGeminiMessaging : null;
+    if (!Messaging || typeof chrome === 'undefined' || !chrome.runtime?.onMessage) return;
+
+    chrome.runtime.onMessage.addListener(Messaging.createRouter({
+      [Messaging.MESSAGE_TYPES.GET_MODEL]: () => {
+        const model = getCurrentModel();
+        return { model, name: model ? CONFIG.MODELS[model].name : null };
+      },
+    }));
+  }
+
+  registerMessageHandlers();
+
   // ============================================================================
   // EXPORTS
   // ============================================================================
@@ -635,8 +793,13 @@
       getCurrentModel,
       applyDefaults,
       applyDefaultModel,
+      applyUrlOverrides,
+      getModelFromUrl,
+      getEffortFromUrl,
+      isSameChat,
       nameMatches,
       stripVersionPrefix,
+      loadManagedModel,
     };
   }
 
@@ -648,7 +811,9 @@
       applyDefaults,
       applyDefaultModel,
       applyEffort,
+      applyUrlOverrides,
       getModelFromUrl,
+      getEffortFromUrl,
       // Exposed for debugging / testing
       getPreferredModel: () => currentPreferredModel,
       setPreferredModel: (model) => { currentPreferredModel = model; },
@@ -657,6 +822,8 @@
       getCurrentEffortFromMenu,
       getUrlOverride: () => urlModelOverride,
       setUrlOverride: (model) => { urlModelOverride = model; },
+      getUrlEffortOverride: () => urlEffortOverride,
+      setUrlEffortOverride: (effort) => { urlEffortOverride = effort; },
     };
   }
 
@@ -7,9 +7,13 @@
  *
  * Features:
  * - Floating button anchored above the chat input (clears Gemini's controls)
- * - Exports complete conversation as markdown
+ * - Exports complete conversation as markdown, as a standalone HTML page, as
+ *   structured JSON (per-turn HTML, code blocks, links and tables), or as an
+ *   Obsidian/Logseq note with YAML frontmatter and per-turn block ids
+ * - Markdown layout set by the user's export templates (export-templates.js)
  * - Handles SPA navigation
- * - Download as .md file or copy to clipboard
+ * - Download as .md, .html or .json file, or copy to clipboard
+ * - Selection mode: tick turns (Shift-click for a range) to export only those
  */
 
 (function() {
@@ -23,6 +27,12 @@
     // Button identification
     BUTTON_ID: 'better-gemini-export-chat-btn',
     STYLE_ID: 'better-gemini-export-chat-styles',
+    SELECTION_BAR_ID: 'better-gemini-export-selection-bar',
+
+    // Classes added to .conversation-container while choosing turns to export
+    SELECTABLE_CLASS: 'better-gemini-selectable-turn',
+    SELECTED_CLASS: 'better-gemini-selected-turn',
+    CHECKBOX_CLASS: 'better-gemini-turn-checkbox',
 
     // Selectors for Gemini's UI
     SELECTORS: {
@@ -34,8 +44,20 @@
       CHAT_CONTAINER: 'chat-window-content',
       CHAT_TITLE: 'span.conversation-title.gds-title-m',
       CHAT_TITLE_FALLBACK: 'button.conversation-actions-menu-button span.conversation-title',
+      MODEL_PICKER_BUTTON: '[data-test-id="bard-mode-menu-button"]',
+      MODEL_PICKER_LABEL: '.input-area-switch-label',
     },
 
+    // Conversation id in /app/<id>, /u/1/app/<id> or /gem/<gem>/<id>
+    CONVERSATION_PATH_PATTERN: /^(?:\/u\/\d+)?\/(?:app|gem\/[\w-]+)\/([\w-]+)\/?$/,
+
+    // Images are copied into the HTML export; bigger or slower ones become links
+    HTML_IMAGE_MAX_BYTES: 5 * 1024 * 1024,
+    HTML_IMAGE_TIMEOUT: 10000,
+
+    // Bumped when the shape of the JSON export changes
+    JSON_EXPORT_VERSION: 1,
+
     // Floating button positioning — float ABOVE the chat input rather than
     // over the model selector / send / stop controls in the bottom-right.
     POSITION: {
@@ -65,6 +87,16 @@
     DEBUG: false,
   };
 
+  // export-templates.js is loaded before this script (see manifest.json)
+  const ExportTemplates = globalThis.BetterGeminiExportTemplates ||
+    (typeof module !== 'undefined' && module.exports ? require('../../export-templates.js') : null);
+
+  // messaging.js and settings-schema.js are loaded before this script too
+  const Messaging = globalThis.BetterGeminiMessaging ||
+    (typeof module !== 'undefined' && module.exports ? require('../../messaging.js') : null);
+  const SettingsSchema = globalThis.BetterGeminiSettingsSchema ||
+    (typeof module !== 'undefined' && module.exports ? require('../../settings-schema.js') : null);
+
   // ============================================================================
   // CSS STYLES - Google Material Design 3 Native Style
   // ============================================================================
@@ -230,6 +262,101 @@
     #${CONFIG.BUTTON_ID}.hidden {
       display: none;
     }
+
+    /* Selection mode - a checkbox beside each turn */
+    .${CONFIG.SELECTABLE_CLASS} {
+      position: relative;
+      border-radius: 16px;
+      transition: box-shadow 150ms ease;
+    }
+
+    .${CONFIG.SELECTED_CLASS} {
+      box-shadow: 0 0 0 2px #8ab4f8;
+    }
+
+    .${CONFIG.CHECKBOX_CLASS} {
+      position: absolute;
+      top: 8px;
+      left: -40px;
+      z-index: 2;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 28px;
+      height: 28px;
+      cursor: pointer;
+      user-select: none;
+    }
+
+    .${CONFIG.CHECKBOX_CLASS} input {
+      width: 18px;
+      height: 18px;
+      margin: 0;
+      accent-color: #8ab4f8;
+      cursor: pointer;
+    }
+
+    /* Floating "Export N turns" bar */
+    #${CONFIG.SELECTION_BAR_ID} {
+      position: fixed;
+      bottom: 120px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 9999;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px;
+      background-color: #282a2c;
+      border: 1px solid #3c4043;
+      border-radius: 24px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+      font-family: 'Google Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+    }
+
+    #${CONFIG.SELECTION_BAR_ID} select {
+      height: 36px;
+      padding: 0 12px;
+      color: #e3e3e3;
+      background-color: #1e1f20;
+      border: 1px solid #3c4043;
+      border-radius: 18px;
+      font: inherit;
+      cursor: pointer;
+    }
+
+    #${CONFIG.SELECTION_BAR_ID} button {
+      height: 36px;
+      padding: 0 16px;
+      color: #e3e3e3;
+      background: transparent;
+      border: none;
+      border-radius: 18px;
+      font: inherit;
+      font-weight: 500;
+      cursor: pointer;
+      transition: background-color 150ms ease;
+    }
+
+    #${CONFIG.SELECTION_BAR_ID} button:hover {
+      background-color: rgba(255, 255, 255, 0.08);
+    }
+
+    #${CONFIG.SELECTION_BAR_ID} .selection-export {
+      color: #062e6f;
+      background-color: #a8c7fa;
+    }
+
+    #${CONFIG.SELECTION_BAR_ID} .selection-export:hover {
+      background-color: #d3e3fd;
+    }
+
+    #${CONFIG.SELECTION_BAR_ID} .selection-export:disabled {
+      color: #9aa0a6;
+      background-color: #3c4043;
+      cursor: default;
+    }
   `;
 
   // ============================================================================
@@ -295,10 +422,10 @@
   }
 
   /**
-   * Downloads text as a markdown file
+   * Downloads text as a file (markdown unless another type is given)
    */
-  function downloadAsFile(text, filename) {
-    const blob = new Blob([text], { type: 'text/markdown;charset=utf-8' });
+  function downloadAsFile(text, filename, mimeType = 'text/markdown;charset=utf-8') {
+    const blob = new Blob([text], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -357,13 +484,14 @@
 
   /**
    * Generates a filename based on current date/time and chat title
+   * @param {string} [extension] - File extension, without the dot
    */
-  function generateFilename() {
+  function generateFilename(extension = 'md') {
     const now = new Date();
     const dateStr = now.toISOString().split('T')[0];
     const title = getChatTitle();
     const sanitizedTitle = sanitizeFilename(title);
-    return `${sanitizedTitle}-${dateStr}.md`;
+    return `${sanitizedTitle}-${dateStr}.${extension}`;
   }
 
   // ============================================================================
@@ -505,89 +633,912 @@
   // CHAT EXTRACTION
   // ============================================================================
 
+  /**
+   * Turn containers on the page, in order
+   * @returns {HTMLElement[]}
+   */
+  function getConversationContainers() {
+    return Array.from(document.querySelectorAll(CONFIG.SELECTORS.CONVERSATION_CONTAINER));
+  }
+
+  /**
+   * Finds the user and assistant elements of each conversation turn, in order.
+   * In selection mode only the selected turns are included.
+   * @returns {Array<{role: string, element: HTMLElement}>}
+   */
+  function getTurnElements() {
+    const elements = [];
+    const containers = getConversationContainers()
+      .filter(container => !selectedTurns || selectedTurns.has(container));
+
+    containers.forEach(container => {
+      const userEl = container.querySelector(CONFIG.SELECTORS.USER_QUERY) ||
+        container.querySelector(CONFIG.SELECTORS.USER_QUERY_FALLBACK);
+      if (userEl) {
+        elements.push({ role: 'user', element: userEl });
+      }
+
+      const assistantEl = container.querySelector(CONFIG.SELECTORS.MODEL_RESPONSE) ||
+        container.querySelector(CONFIG.SELECTORS.MODEL_RESPONSE_FALLBACK);
+      if (assistantEl) {
+        elements.push({ role: 'assistant', element: assistantEl });
+      }
+    });
+
+    return elements;
+  }
+
   /**
    * Extracts all conversation turns from the page
-   * @returns {Array<{role: string, content: string}>}
+   * `content` is plain text for user turns and markdown for assistant turns;
+   * `element` is the source node, for formats that render the DOM directly.
+   * @returns {Array<{role: string, content: string, element: HTMLElement}>}
    */
   function extractFullChat() {
     const turns = [];
-    const containers = document.querySelectorAll(CONFIG.SELECTORS.CONVERSATION_CONTAINER);
 
-    containers.forEach((container, index) => {
-      // Extract user message
-      let userEl = container.querySelector(CONFIG.SELECTORS.USER_QUERY);
-      if (!userEl) {
-        userEl = container.querySelector(CONFIG.SELECTORS.USER_QUERY_FALLBACK);
+    getTurnElements().forEach(({ role, element }) => {
+      const content = role === 'user'
+        ? element.textContent?.trim()
+        : convertHtmlToMarkdown(element);
+      if (content) {
+        turns.push({ role, content, element });
       }
+    });
 
-      if (userEl) {
-        const userText = userEl.textContent?.trim();
-        if (userText) {
-          turns.push({ role: 'user', content: userText });
-        }
+    log(`Extracted ${turns.length} turns`);
+    return turns;
+  }
+
+  /**
+   * Id of the open conversation, from /app/<id> or /gem/<gem>/<id>
+   * @returns {string|null} null for a new chat that hasn't been sent yet
+   */
+  function getConversationId() {
+    const match = window.location.pathname.match(CONFIG.CONVERSATION_PATH_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Label of the model picker as Gemini shows it, e.g. "2.5 Pro"
+   * @returns {string|null}
+   */
+  function getModelLabel() {
+    const button = document.querySelector(CONFIG.SELECTORS.MODEL_PICKER_BUTTON);
+    if (!button) return null;
+
+    // Same order as default-model.js: accessible name ("Open mode picker,
+    // currently Flash"), then the visible label, then the button text
+    let text = (button.getAttribute('aria-label') || '').match(/currently\s+(.+)$/i)?.[1];
+    if (!text) {
+      const label = button.querySelector(CONFIG.SELECTORS.MODEL_PICKER_LABEL);
+      text = (label || button).textContent;
+    }
+    return text?.trim() || null;
+  }
+
+  /**
+   * The open chat as export templates see it (see export-templates.js)
+   * @param {Array<{role: string, content: string}>} turns
+   * @returns {{title: string, url: string, model: string|null, conversationId: string|null, turns: Array<{role: string, content: string}>}}
+   */
+  function getChatDetails(turns) {
+    return {
+      title: getChatTitle(),
+      url: window.location.href,
+      model: getModelLabel(),
+      conversationId: getConversationId(),
+      turns: turns.map(({ role, content }) => ({ role, content })),
+    };
+  }
+
+  /**
+   * Formats the chat turns as markdown, through an export template
+   * @param {Array<{role: string, content: string}>} turns
+   * @param {{template?: string}} [options] - Template source; the built-in layout by default
+   * @returns {string}
+   * @throws {Error} If the template can't be parsed
+   */
+  function formatChatAsMarkdown(turns, options = {}) {
+    if (turns.length === 0) {
+      return '';
+    }
+
+    const template = options.template || ExportTemplates.DEFAULT_TEMPLATE;
+    return ExportTemplates.renderTemplate(template, getChatDetails(turns));
+  }
+
+  /**
+   * Reads the user's export templates and the one picked for Markdown exports
+   * @returns {Promise<{templates: Array<{name: string, template: string}>, selected: string}>}
+   */
+  async function loadExportTemplates() {
+    const { exportTemplates, markdownTemplate } = SettingsSchema.STORAGE_KEYS;
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
+        const result = await chrome.storage.sync.get([exportTemplates, markdownTemplate]);
+        return {
+          templates: Array.isArray(result[exportTemplates]) ? result[exportTemplates] : [],
+          selected: typeof result[markdownTemplate] === 'string' ? result[markdownTemplate] : '',
+        };
       }
+    } catch (error) {
+      logError('Failed to load export templates', error);
+    }
+    return { templates: [], selected: '' };
+  }
 
-      // Extract assistant response
-      let assistantEl = container.querySelector(CONFIG.SELECTORS.MODEL_RESPONSE);
-      if (!assistantEl) {
-        assistantEl = container.querySelector(CONFIG.SELECTORS.MODEL_RESPONSE_FALLBACK);
+  /**
+   * Picks the template for a Markdown export
+   * @param {{template?: string|null}} context - `template` is the name chosen in
+   *   the menu; the one picked in the options (or the built-in layout) if not given
+   * @returns {Promise<{template: string}>}
+   * @throws {Error} If the named template no longer exists
+   */
+  async function loadMarkdownOptions({ template: name = null }) {
+    const { templates, selected } = await loadExportTemplates();
+    const wanted = name || selected;
+    const match = templates.find(template => template.name === wanted);
+
+    if (name && !match) {
+      throw new Error(`Export template "${name}" not found`);
+    }
+    return { template: match ? match.template : ExportTemplates.DEFAULT_TEMPLATE };
+  }
+
+  // ============================================================================
+  // HTML EXPORT
+  // ============================================================================
+
+  /**
+   * Stylesheet embedded in exported HTML files. Follows the reader's light or
+   * dark preference; code colors use highlight.js class names, which is what
+   * Gemini's own code blocks carry.
+   */
+  const HTML_EXPORT_STYLES = `
+    :root {
+      --bg: #ffffff;
+      --text: #1f1f1f;
+      --muted: #5f6368;
+      --border: #dadce0;
+      --surface: #f0f4f9;
+      --accent: #0b57d0;
+      --code-bg: #f6f8fa;
+      --code-keyword: #a626a4;
+      --code-string: #50a14f;
+      --code-number: #986801;
+      --code-comment: #8e908c;
+      --code-title: #4078f2;
+    }
+
+    @media (prefers-color-scheme: dark) {
+      :root {
+        --bg: #131314;
+        --text: #e3e3e3;
+        --muted: #9aa0a6;
+        --border: #3c4043;
+        --surface: #1e1f20;
+        --accent: #a8c7fa;
+        --code-bg: #1b1c1d;
+        --code-keyword: #c678dd;
+        --code-string: #98c379;
+        --code-number: #d19a66;
+        --code-comment: #7f848e;
+        --code-title: #61afef;
       }
+    }
 
-      if (assistantEl) {
-        const assistantMarkdown = convertHtmlToMarkdown(assistantEl);
-        if (assistantMarkdown) {
-          turns.push({ role: 'assistant', content: assistantMarkdown });
+    * { box-sizing: border-box; }
+
+    body {
+      max-width: 880px;
+      margin: 0 auto;
+      padding: 32px 24px 64px;
+      background: var(--bg);
+      color: var(--text);
+      font-family: 'Google Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 16px;
+      line-height: 1.6;
+    }
+
+    a { color: var(--accent); }
+    h1 { margin: 0 0 4px; font-size: 28px; font-weight: 500; }
+    .export-meta { margin: 0 0 24px; color: var(--muted); font-size: 14px; }
+
+    .toc {
+      margin-bottom: 32px;
+      padding: 16px 20px;
+      background: var(--surface);
+      border-radius: 12px;
+    }
+    .toc h2 { margin: 0 0 8px; font-size: 16px; font-weight: 500; }
+    .toc ol { margin: 0; padding-left: 24px; }
+    .toc li { margin: 2px 0; }
+
+    .turn { margin: 0 0 24px; }
+    .turn-role {
+      margin: 0 0 8px;
+      color: var(--muted);
+      font-size: 13px;
+      font-weight: 500;
+      letter-spacing: 0.5px;
+      text-transform: uppercase;
+    }
+    .turn-user .turn-content {
+      padding: 12px 16px;
+      background: var(--surface);
+      border-radius: 16px;
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+    }
+    .turn-assistant { padding-bottom: 24px; border-bottom: 1px solid var(--border); }
+    .turn-assistant:last-child { border-bottom: none; }
+
+    blockquote {
+      margin: 16px 0;
+      padding: 0 16px;
+      color: var(--muted);
+      border-left: 3px solid var(--border);
+    }
+
+    table { width: 100%; margin: 16px 0; border-collapse: collapse; font-size: 14px; }
+    th, td { padding: 8px 12px; text-align: left; border: 1px solid var(--border); vertical-align: top; }
+    th { background: var(--surface); font-weight: 500; }
+
+    img { max-width: 100%; }
+    .image-link { font-style: italic; }
+
+    code {
+      padding: 2px 4px;
+      background: var(--code-bg);
+      border-radius: 4px;
+      font-family: 'Google Sans Mono', 'SFMono-Regular', Consolas, monospace;
+      font-size: 0.9em;
+    }
+    pre {
+      position: relative;
+      margin: 16px 0;
+      padding: 16px;
+      overflow-x: auto;
+      background: var(--code-bg);
+      border: 1px solid var(--border);
+      border-radius: 12px;
+      line-height: 1.5;
+    }
+    pre[data-lang]::before {
+      content: attr(data-lang);
+      display: block;
+      margin-bottom: 8px;
+      color: var(--muted);
+      font-size: 12px;
+    }
+    pre code { padding: 0; background: none; font-size: 13px; }
+
+    .hljs-keyword, .hljs-built_in, .hljs-selector-tag, .hljs-literal { color: var(--code-keyword); }
+    .hljs-string, .hljs-regexp, .hljs-attr, .hljs-symbol { color: var(--code-string); }
+    .hljs-number, .hljs-type, .hljs-params { color: var(--code-number); }
+    .hljs-comment, .hljs-quote, .hljs-meta { color: var(--code-comment); font-style: italic; }
+    .hljs-title, .hljs-function, .hljs-section, .hljs-name { color: var(--code-title); }
+
+    @media print {
+      .toc { display: none; }
+      pre { white-space: pre-wrap; }
+    }
+  `;
+
+  // Tags copied into the export; any other element is replaced by its children
+  const HTML_EXPORT_TAGS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'hr', 'strong', 'b', 'em', 'i', 'u', 's', 'del',
+    'sub', 'sup', 'code', 'ul', 'ol', 'li', 'blockquote', 'a', 'img',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  ]);
+
+  const HTML_VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+  // Gemini's controls inside a response (copy buttons, code block headers, icons)
+  const HTML_EXPORT_SKIP = 'button, mat-icon, svg, script, style, template, .code-block-decoration, .cdk-visually-hidden';
+
+  // Languages whose line comments start with #
+  const HASH_COMMENT_LANGUAGES = ['python', 'py', 'ruby', 'rb', 'bash', 'sh', 'shell', 'zsh', 'yaml', 'yml', 'toml', 'r', 'perl', 'powershell', 'dockerfile', 'makefile'];
+
+  // Keywords highlighted in code blocks that Gemini didn't highlight itself
+  const CODE_KEYWORDS = [
+    'abstract', 'and', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'def', 'default', 'defer', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends',
+    'false', 'False', 'final', 'finally', 'fn', 'for', 'from', 'func', 'function', 'go', 'if', 'impl',
+    'import', 'in', 'interface', 'is', 'lambda', 'let', 'match', 'mut', 'new', 'nil', 'None', 'not',
+    'null', 'of', 'or', 'package', 'pass', 'private', 'protected', 'pub', 'public', 'raise', 'return',
+    'self', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'throws', 'true', 'True', 'try',
+    'type', 'undefined', 'use', 'var', 'void', 'while', 'with', 'yield',
+  ];
+
+  /**
+   * Escapes text for use in HTML content and attribute values
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Highlights code with a small language-agnostic tokenizer: comments,
+   * strings, numbers and common keywords
+   * @param {string} code - Plain code text
+   * @param {string} [lang] - Language from the code block, if known
+   * @returns {string} Escaped HTML with hljs-* spans
+   */
+  function highlightCode(code, lang = '') {
+    const lineComment = HASH_COMMENT_LANGUAGES.includes(lang.toLowerCase()) ? '#[^\\n]*' : '\\/\\/[^\\n]*';
+    const pattern = new RegExp(
+      `(${lineComment}|\\/\\*[\\s\\S]*?\\*\\/)` +
+      '|("(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\'|`(?:[^`\\\\]|\\\\.)*`)' +
+      '|\\b(\\d+(?:\\.\\d+)?)\\b' +
+      `|\\b(${CODE_KEYWORDS.join('|')})\\b`,
+      'g'
+    );
+    const classes = ['hljs-comment', 'hljs-string', 'hljs-number', 'hljs-keyword'];
+
+    let html = '';
+    let position = 0;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      const group = match.slice(1).findIndex(value => value !== undefined);
+      html += escapeHtml(code.slice(position, match.index)) +
+        `<span class="${classes[group]}">${escapeHtml(match[0])}</span>`;
+      position = match.index + match[0].length;
+    }
+    return html + escapeHtml(code.slice(position));
+  }
+
+  /**
+   * Copies already-highlighted code, keeping only the hljs-* spans
+   * @param {Node} node
+   * @returns {string}
+   */
+  function copyHighlightedCode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeHtml(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const inner = Array.from(node.childNodes).map(copyHighlightedCode).join('');
+    const classes = Array.from(node.classList).filter(name => name.startsWith('hljs-'));
+    return classes.length > 0 ? `<span class="${escapeHtml(classes.join(' '))}">${inner}</span>` : inner;
+  }
+
+  /**
+   * Language of a code block, from its language-* class
+   * @param {HTMLElement} codeEl
+   * @returns {string} e.g. 'python', or '' if unknown
+   */
+  function getCodeLanguage(codeEl) {
+    const langClass = Array.from(codeEl.classList).find(c => c.startsWith('language-'));
+    return langClass ? langClass.replace('language-', '') : '';
+  }
+
+  /**
+   * Renders a code block, keeping Gemini's highlighting or adding our own
+   * @param {HTMLElement} pre
+   * @returns {string}
+   */
+  function renderCodeBlock(pre) {
+    const codeEl = pre.querySelector('code') || pre;
+    const lang = getCodeLanguage(codeEl);
+
+    const body = codeEl.querySelector('[class*="hljs-"]')
+      ? copyHighlightedCode(codeEl)
+      : highlightCode(codeEl.textContent, lang);
+    const langAttrs = lang ? ` data-lang="${escapeHtml(lang)}"` : '';
+    const codeClass = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+
+    return `<pre${langAttrs}><code${codeClass}>${body.replace(/\n+$/, '')}</code></pre>`;
+  }
+
+  /**
+   * Attributes worth keeping on an exported element. Links must be http(s)
+   * (or in-page / mail links) so the file can't run anything.
+   * @param {HTMLElement} node
+   * @param {string} tag
+   * @returns {string}
+   */
+  function exportAttributes(node, tag) {
+    const attrs = [];
+    if (tag === 'a') {
+      const href = node.getAttribute('href') || '';
+      if (/^(https?:|mailto:|#)/i.test(href)) {
+        attrs.push(`href="${escapeHtml(href)}"`);
+      }
+    } else if (tag === 'th' || tag === 'td') {
+      ['colspan', 'rowspan'].forEach(name => {
+        if (/^\d+$/.test(node.getAttribute(name) || '')) {
+          attrs.push(`${name}="${node.getAttribute(name)}"`);
         }
+      });
+    } else if (tag === 'ol' && /^\d+$/.test(node.getAttribute('start') || '')) {
+      attrs.push(`start="${node.getAttribute('start')}"`);
+    }
+    return attrs.length > 0 ? ' ' + attrs.join(' ') : '';
+  }
+
+  /**
+   * An image for the HTML export: inlined if it was fetched, otherwise a link
+   * to it, so the file never loads anything from the network
+   * @param {HTMLImageElement} img
+   * @param {Map<string, string>} images - src -> data: URI, from loadHtmlImages()
+   * @returns {string}
+   */
+  function renderImage(img, images) {
+    const src = img.getAttribute('src') || '';
+    const alt = img.getAttribute('alt') || '';
+    const dataUri = images.get(src) || (/^data:image\/(png|jpe?g|gif|webp);/i.test(src) ? src : null);
+
+    if (dataUri) {
+      return `<img src="${escapeHtml(dataUri)}" alt="${escapeHtml(alt)}">`;
+    }
+    if (/^https?:/i.test(src)) {
+      return `<a class="image-link" href="${escapeHtml(src)}">${escapeHtml(alt ? `Image: ${alt}` : 'Image')}</a>`;
+    }
+    return escapeHtml(alt);
+  }
+
+  /**
+   * Converts a response's DOM into clean, self-contained HTML
+   * Only known formatting tags are kept, with no classes, styles or scripts.
+   * @param {Node} node
+   * @param {Map<string, string>} [images] - Inlined images, from loadHtmlImages()
+   * @returns {string}
+   */
+  function convertElementToHtml(node, images = new Map()) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeHtml(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(HTML_EXPORT_SKIP)) {
+      return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'pre') {
+      return renderCodeBlock(node);
+    }
+    if (tag === 'img') {
+      return renderImage(node, images);
+    }
+
+    const inner = Array.from(node.childNodes).map(child => convertElementToHtml(child, images)).join('');
+    if (!HTML_EXPORT_TAGS.has(tag)) {
+      return inner;
+    }
+    if (HTML_VOID_TAGS.has(tag)) {
+      return `<${tag}${exportAttributes(node, tag)}>`;
+    }
+    return `<${tag}${exportAttributes(node, tag)}>${inner}</${tag}>`;
+  }
+
+  /**
+   * Reads a blob as a data: URI
+   * @param {Blob} blob
+   * @returns {Promise<string>}
+   */
+  function readAsDataUri(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Downloads an image for inlining
+   * @param {string} src
+   * @returns {Promise<string|null>} - data: URI, or null if it can't be had
+   */
+  async function fetchImageAsDataUri(src) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.HTML_IMAGE_TIMEOUT);
+
+    try {
+      const response = await fetch(src, { signal: controller.signal });
+      const blob = response.ok ? await response.blob() : null;
+      if (!blob || !blob.type.startsWith('image/') || blob.size > CONFIG.HTML_IMAGE_MAX_BYTES) {
+        return null;
       }
+      return await readAsDataUri(blob);
+    } catch (error) {
+      log('Could not inline image', src, error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetches the images in the chat so the HTML export can carry them. Images the
+   * page can't fetch (blocked, too big, offline) are left out and become links.
+   * @param {{turns: Array<{element?: HTMLElement}>}} context
+   * @returns {Promise<{images: Map<string, string>}>} - src -> data: URI
+   */
+  async function loadHtmlImages({ turns }) {
+    const sources = new Set();
+    turns.forEach(turn => {
+      turn.element?.querySelectorAll('img').forEach(img => {
+        const src = img.getAttribute('src') || '';
+        if (/^(https?|blob):/i.test(src)) {
+          sources.add(src);
+        }
+      });
     });
 
-    log(`Extracted ${turns.length} turns from ${containers.length} containers`);
-    return turns;
+    const images = new Map();
+    await Promise.all(Array.from(sources).map(async src => {
+      const dataUri = await fetchImageAsDataUri(src);
+      if (dataUri) {
+        images.set(src, dataUri);
+      }
+    }));
+    return { images };
   }
 
   /**
-   * Formats the chat turns as markdown
-   * @param {Array<{role: string, content: string}>} turns
+   * Shortens a user turn for the table of contents
+   * @param {string} text
    * @returns {string}
    */
-  function formatChatAsMarkdown(turns) {
+  function summarizeTurn(text) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > 80 ? line.substring(0, 79) + '…' : line;
+  }
+
+  /**
+   * Formats the chat turns as a standalone HTML document
+   * @param {Array<{role: string, content: string, element?: HTMLElement}>} turns
+   * @param {{images?: Map<string, string>}} [options] - Inlined images, from loadHtmlImages()
+   * @returns {string}
+   */
+  function formatChatAsHtml(turns, options = {}) {
     if (turns.length === 0) {
       return '';
     }
 
-    const lines = [];
-    const chatTitle = getChatTitle();
-
-    // Add header
-    lines.push(`# ${chatTitle}`);
-    lines.push(`*Exported on ${new Date().toLocaleString()}*`);
-    lines.push('');
-    lines.push('---');
-    lines.push('');
+    const images = options.images || new Map();
+    const chatTitle = escapeHtml(getChatTitle());
+    const contents = [];
+    const sections = [];
+    let userTurns = 0;
 
-    turns.forEach((turn, index) => {
+    turns.forEach(turn => {
       if (turn.role === 'user') {
-        lines.push('## User');
-        lines.push('');
-        lines.push(turn.content);
-        lines.push('');
+        userTurns++;
+        const id = `turn-${userTurns}`;
+        contents.push(`<li><a href="#${id}">${escapeHtml(summarizeTurn(turn.content))}</a></li>`);
+        sections.push(
+          `<section class="turn turn-user" id="${id}">\n` +
+          '<h2 class="turn-role">You</h2>\n' +
+          `<div class="turn-content">${escapeHtml(turn.content)}</div>\n` +
+          '</section>'
+        );
       } else {
-        lines.push('## Assistant');
-        lines.push('');
-        lines.push(turn.content);
-        lines.push('');
+        const body = turn.element
+          ? convertElementToHtml(turn.element, images)
+          : `<p>${escapeHtml(turn.content)}</p>`;
+        sections.push(
+          '<section class="turn turn-assistant">\n' +
+          '<h2 class="turn-role">Gemini</h2>\n' +
+          `<div class="turn-content">${body}</div>\n` +
+          '</section>'
+        );
       }
+    });
 
-      // Add separator between conversation turns (not after the last one)
-      if (index < turns.length - 1 && turn.role === 'assistant') {
-        lines.push('---');
-        lines.push('');
-      }
+    const toc = contents.length > 0
+      ? `<nav class="toc">\n<h2>Contents</h2>\n<ol>\n${contents.join('\n')}\n</ol>\n</nav>\n`
+      : '';
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      '<meta name="generator" content="Better Gemini">',
+      `<title>${chatTitle}</title>`,
+      `<style>${HTML_EXPORT_STYLES}</style>`,
+      '</head>',
+      '<body>',
+      '<header>',
+      `<h1>${chatTitle}</h1>`,
+      `<p class="export-meta">Exported on ${escapeHtml(new Date().toLocaleString())}</p>`,
+      '</header>',
+      toc + '<main>',
+      sections.join('\n'),
+      '</main>',
+      '</body>',
+      '</html>',
+      '',
+    ].join('\n');
+  }
+
+  // ============================================================================
+  // JSON EXPORT
+  // ============================================================================
+
+  /**
+   * Code blocks in a turn
+   * @param {HTMLElement} element
+   * @returns {Array<{language: string, code: string}>}
+   */
+  function extractCodeBlocks(element) {
+    return Array.from(element.querySelectorAll('pre')).map(pre => {
+      const codeEl = pre.querySelector('code') || pre;
+      return { language: getCodeLanguage(codeEl), code: codeEl.textContent.replace(/\n+$/, '') };
+    });
+  }
+
+  /**
+   * Links in a turn
+   * @param {HTMLElement} element
+   * @returns {Array<{text: string, href: string}>}
+   */
+  function extractLinks(element) {
+    return Array.from(element.querySelectorAll('a[href]')).map(link => ({
+      text: link.textContent.trim(),
+      href: link.getAttribute('href'),
+    }));
+  }
+
+  /**
+   * Tables in a turn, as cell text. The first row is the header when it uses <th>.
+   * @param {HTMLElement} element
+   * @returns {Array<{headers: string[], rows: string[][]}>}
+   */
+  function extractTables(element) {
+    return Array.from(element.querySelectorAll('table')).map(table => {
+      const rows = Array.from(table.querySelectorAll('tr')).map(row =>
+        Array.from(row.querySelectorAll('th, td')).map(cell => cell.textContent.trim())
+      );
+      const hasHeader = !!table.querySelector('tr')?.querySelector('th');
+      return { headers: hasHeader ? rows.shift() : [], rows };
     });
+  }
+
+  /**
+   * Structured record of one turn. For user turns `markdown` is the prompt as
+   * typed, since Gemini doesn't render it.
+   * @param {{role: string, content: string, element?: HTMLElement}} turn
+   * @param {number} index - Position in the conversation, from 0
+   * @returns {Object}
+   */
+  function describeTurn(turn, index) {
+    const { element } = turn;
+    return {
+      index,
+      role: turn.role,
+      markdown: turn.content,
+      html: element ? element.innerHTML.trim() : '',
+      codeBlocks: element ? extractCodeBlocks(element) : [],
+      links: element ? extractLinks(element) : [],
+      tables: element ? extractTables(element) : [],
+    };
+  }
+
+  /**
+   * Formats the chat turns as JSON, for scripts and other tools
+   * @param {Array<{role: string, content: string, element?: HTMLElement}>} turns
+   * @returns {string}
+   */
+  function formatChatAsJson(turns) {
+    if (turns.length === 0) {
+      return '';
+    }
+
+    const chat = {
+      version: CONFIG.JSON_EXPORT_VERSION,
+      title: getChatTitle(),
+      url: window.location.href,
+      conversationId: getConversationId(),
+      model: getModelLabel(),
+      exportedAt: new Date().toISOString(),
+      turns: turns.map(describeTurn),
+    };
+    return JSON.stringify(chat, null, 2) + '\n';
+  }
+
+  // ============================================================================
+  // NOTE EXPORT (Obsidian / Logseq)
+  // ============================================================================
+
+  /**
+   * Note export settings as the options page ships them
+   * @returns {{filenamePattern: string, tags: string[], turnStyle: string}}
+   */
+  function getNoteDefaults() {
+    const { DEFAULTS } = SettingsSchema;
+    return {
+      filenamePattern: DEFAULTS.noteFilenamePattern,
+      tags: DEFAULTS.noteTags,
+      turnStyle: DEFAULTS.noteTurnStyle,
+    };
+  }
 
+  /**
+   * Reads the note export settings, falling back to the defaults
+   * @returns {Promise<{filenamePattern: string, tags: string[], turnStyle: string}>}
+   */
+  async function loadNoteOptions() {
+    const options = getNoteDefaults();
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
+        const { noteFilenamePattern, noteTags, noteTurnStyle } = SettingsSchema.STORAGE_KEYS;
+        const result = await chrome.storage.sync.get([noteFilenamePattern, noteTags, noteTurnStyle]);
+        if (typeof result[noteFilenamePattern] === 'string' && result[noteFilenamePattern].trim()) {
+          options.filenamePattern = result[noteFilenamePattern];
+        }
+        if (Array.isArray(result[noteTags])) {
+          options.tags = result[noteTags];
+        }
+        if (SettingsSchema.NOTE_TURN_STYLES.includes(result[noteTurnStyle])) {
+          options.turnStyle = result[noteTurnStyle];
+        }
+      }
+    } catch (error) {
+      logError('Failed to load note export settings', error);
+    }
+    return options;
+  }
+
+  /**
+   * Local date as YYYY-MM-DD, the format note vaults use for dates
+   * @param {Date} date
+   * @returns {string}
+   */
+  function formatLocalDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Fills in a note filename pattern. Placeholders: {title}, {date}, {time},
+   * {id} (conversation id) and {model}; unknown ones are left as typed.
+   * @param {string} pattern - e.g. '{title} {date}'
+   * @param {Date} [date] - Export time
+   * @returns {string} Filename ending in .md
+   */
+  function generateNoteFilename(pattern, date = new Date()) {
+    const values = {
+      title: getChatTitle(),
+      date: formatLocalDate(date),
+      time: `${String(date.getHours()).padStart(2, '0')}-${String(date.getMinutes()).padStart(2, '0')}`,
+      id: getConversationId() || '',
+      model: getModelLabel() || '',
+    };
+    const name = pattern
+      .replace(/\{(\w+)\}/g, (placeholder, key) => (Object.hasOwn(values, key) ? values[key] : placeholder))
+      // Characters that are invalid in filenames or break [[links]] in Obsidian
+      .replace(/[<>:"/\\|?*#^[\]]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 100)
+      .trim();
+    return `${name || 'Gemini Chat'}.md`;
+  }
+
+  /**
+   * YAML frontmatter with the chat's details. Strings are written as JSON,
+   * which YAML reads as double-quoted scalars.
+   * @param {string[]} tags
+   * @param {Date} date - Export time
+   * @returns {string}
+   */
+  function buildFrontmatter(tags, date) {
+    const lines = ['---'];
+    lines.push(`title: ${JSON.stringify(getChatTitle())}`);
+    lines.push(`source: ${JSON.stringify(window.location.href)}`);
+
+    const conversationId = getConversationId();
+    if (conversationId) {
+      lines.push(`conversation_id: ${JSON.stringify(conversationId)}`);
+    }
+    lines.push(`exported: ${formatLocalDate(date)}`);
+
+    const model = getModelLabel();
+    if (model) {
+      lines.push(`model: ${JSON.stringify(model)}`);
+    }
+
+    if (tags.length > 0) {
+      lines.push('tags:');
+      tags.forEach(tag => lines.push(`  - ${tag}`));
+    } else {
+      lines.push('tags: []');
+    }
+    lines.push('---');
     return lines.join('\n');
   }
 
+  /**
+   * UUID-shaped block id for a turn. Logseq only resolves ((references)) to
+   * `id::` properties holding a UUID; deriving it from the conversation keeps
+   * the id the same when the chat is exported again.
+   * @param {string} seed - Conversation id, or the title for unsaved chats
+   * @param {number} index - 1-based turn number
+   * @returns {string}
+   */
+  function getTurnBlockUuid(seed, index) {
+    const text = `${seed}#${index}`;
+    // Four FNV-1a hashes with different offsets give the 128 bits
+    const hex = [0x811c9dc5, 0x050c5d1f, 0x2c2e3d7b, 0x6b8b4567].map(offset => {
+      let hash = offset;
+      for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+      }
+      return (hash >>> 0).toString(16).padStart(8, '0');
+    }).join('');
+    // Version 8 (custom) and the RFC 4122 variant, so it parses as a UUID
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  /**
+   * One Logseq block for a turn: a bullet with the speaker, the block id as an
+   * `id::` property, and the message indented under it
+   * @param {string} label - 'You' or 'Gemini'
+   * @param {string} content - Turn Markdown
+   * @param {string} uuid
+   * @returns {string}
+   */
+  function formatOutlineBlock(label, content, uuid) {
+    const lines = content.split('\n').map(line => (line ? `  ${line}` : ''));
+    return [`- **${label}**`, `  id:: ${uuid}`, ...lines].join('\n');
+  }
+
+  /**
+   * Formats the chat turns as a note: YAML frontmatter, then one block per
+   * turn with an id single turns can be linked to. Obsidian styles write a
+   * callout (or heading) followed by a ^turn-N block id; the Logseq outline
+   * writes a bullet per turn with a UUID `id::` property.
+   * @param {Array<{role: string, content: string}>} turns
+   * @param {{tags: string[], turnStyle: string}} [options]
+   * @returns {string}
+   */
+  function formatChatAsNote(turns, options = getNoteDefaults()) {
+    if (turns.length === 0) {
+      return '';
+    }
+
+    const blocks = [buildFrontmatter(options.tags, new Date())];
+
+    if (options.turnStyle === 'outline') {
+      const seed = getConversationId() || getChatTitle();
+      const outline = turns.map((turn, index) =>
+        formatOutlineBlock(turn.role === 'user' ? 'You' : 'Gemini', turn.content, getTurnBlockUuid(seed, index + 1)));
+      blocks.push(outline.join('\n'));
+      return blocks.join('\n\n') + '\n';
+    }
+
+    turns.forEach((turn, index) => {
+      const label = turn.role === 'user' ? 'You' : 'Gemini';
+      if (options.turnStyle === 'heading') {
+        blocks.push(`## ${label}`, turn.content);
+      } else {
+        const type = turn.role === 'user' ? 'question' : 'note';
+        const quoted = turn.content.split('\n').map(line => (line ? `> ${line}` : '>'));
+        blocks.push([`> [!${type}] ${label}`, ...quoted].join('\n'));
+      }
+      // On its own line so it applies to the whole callout, list or code block
+      blocks.push(`^turn-${index + 1}`);
+    });
+
+    return blocks.join('\n\n') + '\n';
+  }
+
   // ============================================================================
   // UI COMPONENTS
   // ============================================================================
@@ -668,21 +1619,89 @@
         </svg>
         Download as .md
       </button>
+      <button data-action="download" data-format="html">
+        <svg viewBox="0 0 24 24">
+          <polyline points="16 18 22 12 16 6"></polyline>
+          <polyline points="8 6 2 12 8 18"></polyline>
+        </svg>
+        Download as HTML
+      </button>
+      <button data-action="download" data-format="json">
+        <svg viewBox="0 0 24 24">
+          <path d="M8 3H7a2 2 0 0 0-2 2v5a2 2 0 0 1-2 2 2 2 0 0 1 2 2v5a2 2 0 0 0 2 2h1"></path>
+          <path d="M16 21h1a2 2 0 0 0 2-2v-5a2 2 0 0 1 2-2 2 2 0 0 1-2-2V5a2 2 0 0 0-2-2h-1"></path>
+        </svg>
+        Download as JSON
+      </button>
+      <button data-action="download" data-format="note">
+        <svg viewBox="0 0 24 24">
+          <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+          <polyline points="14 2 14 8 20 8"></polyline>
+          <line x1="8" y1="13" x2="16" y2="13"></line>
+          <line x1="8" y1="17" x2="13" y2="17"></line>
+        </svg>
+        Download as note (Obsidian/Logseq)
+      </button>
+      <button data-action="select">
+        <svg viewBox="0 0 24 24">
+          <polyline points="9 11 12 14 22 4"></polyline>
+          <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
+        </svg>
+        Export selection…
+      </button>
+      <div class="export-template-items"></div>
     `;
 
-    // Handle menu item clicks
-    menu.querySelectorAll('button').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const action = btn.dataset.action;
-        handleMenuAction(action);
-        hideMenu();
-      });
+    // Handle menu item clicks (template items are added later, so delegate)
+    menu.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) {
+        return;
+      }
+      e.stopPropagation();
+      if (btn.dataset.action === 'select') {
+        enterSelectionMode();
+      } else {
+        handleMenuAction(btn.dataset.action, btn.dataset.format, btn.dataset.template);
+      }
+      hideMenu();
     });
 
     document.body.appendChild(menu);
   }
 
+  /**
+   * Lists the user's export templates at the end of the menu
+   * @param {HTMLElement} menu
+   */
+  async function renderTemplateItems(menu) {
+    const container = menu.querySelector('.export-template-items');
+    if (!container) {
+      return;
+    }
+
+    const { templates } = await loadExportTemplates();
+    container.textContent = '';
+    if (templates.length > 0) {
+      container.appendChild(document.createElement('hr'));
+    }
+    templates.forEach(({ name }) => {
+      const item = document.createElement('button');
+      item.dataset.action = 'download';
+      item.dataset.format = 'markdown';
+      item.dataset.template = name;
+      item.innerHTML = `
+        <svg viewBox="0 0 24 24">
+          <polyline points="4 7 4 4 20 4 20 7"></polyline>
+          <line x1="9" y1="20" x2="15" y2="20"></line>
+          <line x1="12" y1="4" x2="12" y2="20"></line>
+        </svg>
+      `;
+      item.appendChild(document.createTextNode(`Download: ${name}`));
+      container.appendChild(item);
+    });
+  }
+
   /**
    * Shows the export menu
    */
@@ -691,6 +1710,7 @@
     if (menu) {
       repositionButton();
       menu.classList.add('visible');
+      renderTemplateItems(menu);
     }
   }
 
@@ -711,7 +1731,238 @@
     const menu = document.getElementById(`${CONFIG.BUTTON_ID}-menu`);
     if (menu) {
       repositionButton();
-      menu.classList.toggle('visible');
+      if (menu.classList.toggle('visible')) {
+        renderTemplateItems(menu);
+      }
+    }
+  }
+
+  // ============================================================================
+  // SELECTION MODE
+  // ============================================================================
+
+  // Turns chosen with "Export selection…" (their .conversation-container), or
+  // null when not selecting. While set, every export only includes these.
+  let selectedTurns = null;
+  let lastToggledTurn = null;
+
+  /**
+   * Puts a checkbox on every turn and shows the "Export N turns" bar
+   */
+  function enterSelectionMode() {
+    if (selectedTurns) {
+      return;
+    }
+
+    selectedTurns = new Set();
+    lastToggledTurn = null;
+    addTurnCheckboxes();
+    createSelectionBar();
+    document.addEventListener('keydown', handleSelectionKeydown);
+    log('Selection mode on');
+  }
+
+  /**
+   * Removes the checkboxes and the bar; exports include the whole chat again
+   */
+  function exitSelectionMode() {
+    if (!selectedTurns) {
+      return;
+    }
+
+    document.querySelectorAll(`.${CONFIG.CHECKBOX_CLASS}`).forEach(checkbox => checkbox.remove());
+    document.querySelectorAll(`.${CONFIG.SELECTABLE_CLASS}`).forEach(container => {
+      container.classList.remove(CONFIG.SELECTABLE_CLASS, CONFIG.SELECTED_CLASS);
+    });
+    document.getElementById(CONFIG.SELECTION_BAR_ID)?.remove();
+    document.removeEventListener('keydown', handleSelectionKeydown);
+
+    selectedTurns = null;
+    lastToggledTurn = null;
+    log('Selection mode off');
+  }
+
+  /**
+   * Adds a checkbox to turns that don't have one yet (new turns keep arriving
+   * while Gemini answers)
+   */
+  function addTurnCheckboxes() {
+    getConversationContainers().forEach((container, index) => {
+      if (container.querySelector(`:scope > .${CONFIG.CHECKBOX_CLASS}`)) {
+        return;
+      }
+
+      const label = document.createElement('label');
+      label.className = CONFIG.CHECKBOX_CLASS;
+      label.title = 'Shift-click to select a range';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.setAttribute('aria-label', `Select turn ${index + 1} for export`);
+      checkbox.addEventListener('click', handleTurnCheckboxClick);
+
+      label.appendChild(checkbox);
+      container.classList.add(CONFIG.SELECTABLE_CLASS);
+      container.prepend(label);
+    });
+  }
+
+  /**
+   * Selects or clears a turn
+   * @param {HTMLElement} container
+   * @param {boolean} selected
+   */
+  function setTurnSelected(container, selected) {
+    if (selected) {
+      selectedTurns.add(container);
+    } else {
+      selectedTurns.delete(container);
+    }
+    container.classList.toggle(CONFIG.SELECTED_CLASS, selected);
+
+    const checkbox = container.querySelector(`:scope > .${CONFIG.CHECKBOX_CLASS} input`);
+    if (checkbox) {
+      checkbox.checked = selected;
+    }
+  }
+
+  /**
+   * Toggles a turn; with Shift, applies the same state to every turn between
+   * it and the previously clicked one
+   * @param {MouseEvent} event
+   */
+  function handleTurnCheckboxClick(event) {
+    const container = event.target.closest(CONFIG.SELECTORS.CONVERSATION_CONTAINER);
+    if (!selectedTurns || !container) {
+      return;
+    }
+
+    const checked = event.target.checked;
+    const containers = getConversationContainers();
+    const from = containers.indexOf(lastToggledTurn);
+
+    if (event.shiftKey && from !== -1) {
+      const to = containers.indexOf(container);
+      containers
+        .slice(Math.min(from, to), Math.max(from, to) + 1)
+        .forEach(turn => setTurnSelected(turn, checked));
+    } else {
+      setTurnSelected(container, checked);
+    }
+
+    lastToggledTurn = container;
+    updateSelectionBar();
+  }
+
+  /**
+   * Leaves selection mode on Escape
+   * @param {KeyboardEvent} event
+   */
+  function handleSelectionKeydown(event) {
+    if (event.key === 'Escape') {
+      exitSelectionMode();
+    }
+  }
+
+  /**
+   * Number of selected turns still on the page
+   * @returns {number}
+   */
+  function countSelectedTurns() {
+    return selectedTurns
+      ? getConversationContainers().filter(container => selectedTurns.has(container)).length
+      : 0;
+  }
+
+  /**
+   * Creates the floating bar with a format picker, the export button and Cancel
+   */
+  function createSelectionBar() {
+    const bar = document.createElement('div');
+    bar.id = CONFIG.SELECTION_BAR_ID;
+    bar.setAttribute('role', 'toolbar');
+    bar.setAttribute('aria-label', 'Export selected turns');
+
+    const formatSelect = document.createElement('select');
+    formatSelect.className = 'selection-format';
+    formatSelect.setAttribute('aria-label', 'Export format');
+    Object.entries(EXPORT_FORMATS).forEach(([format, spec]) => {
+      formatSelect.appendChild(createFormatOption(spec.label, 'download', format));
+    });
+    formatSelect.appendChild(createFormatOption('Copy as Markdown', 'copy', 'markdown'));
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.className = 'selection-export';
+    exportButton.addEventListener('click', () => exportSelection(formatSelect, exportButton));
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'selection-cancel';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', exitSelectionMode);
+
+    bar.append(formatSelect, exportButton, cancelButton);
+    document.body.appendChild(bar);
+    repositionButton();
+    updateSelectionBar();
+
+    // The user's export templates, after the built-in formats
+    loadExportTemplates().then(({ templates }) => {
+      templates.forEach(({ name }) => {
+        formatSelect.appendChild(createFormatOption(`Template: ${name}`, 'download', 'markdown', name));
+      });
+    });
+  }
+
+  /**
+   * One choice in the selection bar's format picker
+   * @param {string} label
+   * @param {string} action - 'copy' or 'download'
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {string} [template] - Name of an export template
+   * @returns {HTMLOptionElement}
+   */
+  function createFormatOption(label, action, format, template) {
+    const option = document.createElement('option');
+    option.textContent = label;
+    option.dataset.action = action;
+    option.dataset.format = format;
+    if (template) {
+      option.dataset.template = template;
+    }
+    return option;
+  }
+
+  /**
+   * Shows how many turns will be exported, and disables exporting none
+   */
+  function updateSelectionBar() {
+    const exportButton = document.querySelector(`#${CONFIG.SELECTION_BAR_ID} .selection-export`);
+    if (!exportButton) {
+      return;
+    }
+
+    const count = countSelectedTurns();
+    exportButton.textContent = `Export ${count} ${count === 1 ? 'turn' : 'turns'}`;
+    exportButton.disabled = count === 0;
+  }
+
+  /**
+   * Exports the selected turns in the picked format, then leaves selection mode
+   * @param {HTMLSelectElement} formatSelect
+   * @param {HTMLButtonElement} exportButton
+   */
+  async function exportSelection(formatSelect, exportButton) {
+    const { action, format, template } = formatSelect.selectedOptions[0].dataset;
+
+    try {
+      await exportChat(action, format, template || null);
+      exitSelectionMode();
+    } catch (error) {
+      logError('Failed to export selection', error);
+      exportButton.textContent = 'Error!';
+      setTimeout(updateSelectionBar, 2000);
     }
   }
 
@@ -728,35 +1979,88 @@
     toggleMenu();
   }
 
+  /**
+   * Export formats, by name: the file they produce and how turns are rendered.
+   * `loadOptions` reads the format's settings before rendering, given
+   * `{ template, turns }` (the export template picked in the menu, if any, and
+   * the turns being exported), and `filename` replaces the default
+   * title-and-date name.
+   */
+  const EXPORT_FORMATS = {
+    markdown: {
+      label: 'Markdown',
+      extension: 'md',
+      mimeType: 'text/markdown;charset=utf-8',
+      render: formatChatAsMarkdown,
+      loadOptions: loadMarkdownOptions,
+    },
+    html: {
+      label: 'HTML',
+      extension: 'html',
+      mimeType: 'text/html;charset=utf-8',
+      render: formatChatAsHtml,
+      loadOptions: loadHtmlImages,
+    },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8', render: formatChatAsJson },
+    note: {
+      label: 'Note (Obsidian/Logseq)',
+      extension: 'md',
+      mimeType: 'text/markdown;charset=utf-8',
+      render: formatChatAsNote,
+      loadOptions: loadNoteOptions,
+      filename: options => generateNoteFilename(options.filenamePattern),
+    },
+  };
+
+  /**
+   * Exports the open chat
+   * @param {string} action - 'copy' or 'download'
+   * @param {string} [format] - Key of EXPORT_FORMATS
+   * @param {string|null} [template] - Name of an export template, for Markdown
+   * @returns {Promise<{turns: number, filename?: string}>}
+   * @throws {Error} If there is no conversation to export
+   */
+  async function exportChat(action, format = 'markdown', template = null) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unknown export format "${format}"`);
+    }
+
+    const turns = extractFullChat();
+
+    if (turns.length === 0) {
+      throw new Error('No conversation found to export');
+    }
+
+    const options = spec.loadOptions ? await spec.loadOptions({ template, turns }) : undefined;
+    const content = spec.render(turns, options);
+
+    if (action === 'copy') {
+      await copyToClipboard(content);
+      log('Chat copied to clipboard');
+      return { turns: turns.length };
+    }
+
+    const filename = spec.filename ? spec.filename(options) : generateFilename(spec.extension);
+    downloadAsFile(content, filename, spec.mimeType);
+    log('Chat downloaded as', filename);
+    return { turns: turns.length, filename };
+  }
+
   /**
    * Handles menu action selection
    * @param {string} action - 'copy' or 'download'
+   * @param {string} [format] - Key of EXPORT_FORMATS
+   * @param {string} [template] - Name of an export template
    */
-  async function handleMenuAction(action) {
+  async function handleMenuAction(action, format, template) {
     const button = document.getElementById(CONFIG.BUTTON_ID);
     const labelEl = button?.querySelector('.export-label');
     const originalText = labelEl?.textContent || 'Export Chat';
 
     try {
-      const turns = extractFullChat();
-
-      if (turns.length === 0) {
-        throw new Error('No conversation found to export');
-      }
-
-      const markdown = formatChatAsMarkdown(turns);
-
-      if (action === 'copy') {
-        await copyToClipboard(markdown);
-        showFeedback(button, labelEl, 'Copied!', 'success', originalText);
-        log('Chat copied to clipboard');
-      } else if (action === 'download') {
-        const filename = generateFilename();
-        downloadAsFile(markdown, filename);
-        showFeedback(button, labelEl, 'Downloaded!', 'success', originalText);
-        log('Chat downloaded as', filename);
-      }
-
+      await exportChat(action, format, template);
+      showFeedback(button, labelEl, action === 'copy' ? 'Copied!' : 'Downloaded!', 'success', originalText);
     } catch (error) {
       logError('Failed to export chat', error);
       showFeedback(button, labelEl, 'Error!', 'error', originalText);
@@ -885,6 +2189,11 @@
     if (menu) {
       menu.style.bottom = `${bottomOffset + P.BUTTON_HEIGHT + P.MENU_GAP}px`;
     }
+
+    const selectionBar = document.getElementById(CONFIG.SELECTION_BAR_ID);
+    if (selectionBar) {
+      selectionBar.style.bottom = `${bottomOffset}px`;
+    }
   }
 
   /**
@@ -937,6 +2246,10 @@
 
       if (shouldCheck) {
         setTimeout(updateButtonVisibility, 100);
+        if (selectedTurns) {
+          addTurnCheckboxes();
+          updateSelectionBar();
+        }
       }
     });
 
@@ -956,6 +2269,8 @@
    * Removes all UI elements and cleans up
    */
   function destroy() {
+    exitSelectionMode();
+
     // Disconnect observer
     if (observer) {
       observer.disconnect();
@@ -1047,6 +2362,46 @@
     log('Export Full Chat feature initialized');
   }
 
+  // ============================================================================
+  // MESSAGING
+  // ============================================================================
+
+  /**
+   * Downloads the chat when the popup asks, unless an administrator policy
+   * turns Export Full Chat off (the in-page button is never shown then either)
+   * @param {{format?: string, template?: string}} payload
+   * @returns {Promise<{turns: number, filename: string}>}
+   * @throws {MessagingError} For unknown formats, or when disabled by policy
+   */
+  async function handleTriggerExport({ format = 'markdown', template = null }) {
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      throw new Messaging.MessagingError(Messaging.ERROR_CODES.INVALID_PAYLOAD, `Unknown export format "${format}"`);
+    }
+
+    const policies = await SettingsSchema.loadManagedPolicies(chrome.storage?.managed);
+    if (SettingsSchema.applyManagedFeatures({}, policies).exportFullChat === false) {
+      throw new Messaging.MessagingError(Messaging.ERROR_CODES.FORBIDDEN, 'Export Full Chat is turned off by your organization');
+    }
+    return exportChat('download', format, template);
+  }
+
+  /**
+   * Answers TRIGGER_EXPORT (see messaging.js), e.g. from the popup, and
+   * GET_CHAT, which the options page uses to preview export templates.
+   * Registered when the script loads so an explicit request works even with the
+   * floating button turned off. Downloads, as the clipboard needs a focused page.
+   */
+  function registerMessageHandlers() {
+    if (!Messaging || typeof chrome === 'undefined' || !chrome.runtime?.onMessage) return;
+
+    chrome.runtime.onMessage.addListener(Messaging.createRouter({
+      [Messaging.MESSAGE_TYPES.TRIGGER_EXPORT]: handleTriggerExport,
+      [Messaging.MESSAGE_TYPES.GET_CHAT]: () => getChatDetails(extractFullChat()),
+    }));
+  }
+
+  registerMessageHandlers();
+
   // ============================================================================
   // EXPORTS
   // ============================================================================
@@ -1058,7 +2413,20 @@
       destroy,
       extractFullChat,
       formatChatAsMarkdown,
+      formatChatAsHtml,
+      formatChatAsJson,
+      formatChatAsNote,
+      getTurnBlockUuid,
+      generateNoteFilename,
+      getChatDetails,
+      enterSelectionMode,
+      exitSelectionMode,
       convertHtmlToMarkdown,
+      convertElementToHtml,
+      highlightCode,
+      exportChat,
+      handleTriggerExport,
+      EXPORT_FORMATS,
       repositionButton,
       findInputRegion,
       CONFIG,
@@ -1072,6 +2440,10 @@
       destroy,
       extractFullChat,
       formatChatAsMarkdown,
+      formatChatAsHtml,
+      formatChatAsJson,
+      formatChatAsNote,
+      exportChat,
       getChatTitle,
       repositionButton,
       findInputRegion,
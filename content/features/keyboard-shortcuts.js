@@ -37,6 +37,11 @@ const SHORTCUTS_CONFIG = {
     FADE_DURATION: 300,    // Fade animation duration (ms)
   },
 
+  // Sidebar chats are reported to the background for "gem >query" searches
+  CHAT_INDEX: {
+    DEBOUNCE: 1500,        // Wait for the sidebar to settle before reporting (ms)
+  },
+
   // Help popup settings
   HELP_POPUP: {
     WIDTH: '500px',
@@ -48,10 +53,12 @@ const SHORTCUTS_CONFIG = {
     // New chat button (redesign: it is now an <a>, not a <button>)
     NEW_CHAT: [
       'a[href="/app"][aria-label*="New chat"]',
+      'a[href^="/u/"][href$="/app"][aria-label*="New chat"]', // Signed in to another account
       '[aria-label="New chat"]',
       'button[aria-label*="New chat"]',
       'button[data-test-id="new-chat"]',
       'a[href="/app"]',
+      'a[href^="/u/"][href$="/app"]',
     ],
 
     // Send button
@@ -359,43 +366,11 @@ function showToast(message, type = 'info') {
 let helpPopup = null;
 
 /**
- * Keyboard shortcut definitions for help display
+ * Keyboard shortcut definitions for help display (shortcut-definitions.js)
  */
-const SHORTCUT_DEFINITIONS = {
-  'Chat Management': [
-    { keys: `${modKeyLabel}+Shift+O`, description: 'Open new chat' },
-    { keys: `${modKeyLabel}+Shift+Backspace`, description: 'Delete current chat' },
-    { keys: `${modKeyLabel}+B`, description: 'Toggle sidebar' },
-    { keys: 'Alt+1-9', description: 'Go to nth chat in sidebar' },
-    { keys: `${modKeyLabel}+Shift+=`, description: 'Next chat' },
-    { keys: `${modKeyLabel}+Shift+-`, description: 'Previous chat' },
-  ],
-  'Text Input & Editing': [
-    { keys: 'Shift+Esc', description: 'Focus chat input' },
-    { keys: `${modKeyLabel}+Shift+E`, description: 'Edit text' },
-    { keys: `${modKeyLabel}+Shift+;`, description: 'Copy last code block' },
-    { keys: `${modKeyLabel}+Shift+\'`, description: 'Copy second-to-last code block' },
-    { keys: `${modKeyLabel}+Shift+C`, description: 'Copy response' },
-    { keys: `${modKeyLabel}+Shift+K`, description: 'Stop/start generation' },
-  ],
-  'Draft Navigation': [
-    { keys: `${modKeyLabel}+Shift+D`, description: 'Generate more drafts' },
-    { keys: `${modKeyLabel}+Shift+,`, description: 'Previous draft' },
-    { keys: `${modKeyLabel}+Shift+.`, description: 'Next draft' },
-  ],
-  'Sharing': [
-    { keys: `${modKeyLabel}+Shift+L`, description: 'Copy prompt/response link' },
-    { keys: `${modKeyLabel}+Shift+M`, description: 'Copy chat link' },
-  ],
-  'Audio & Files': [
-    { keys: `${modKeyLabel}+Shift+Y`, description: 'Play/pause audio' },
-    { keys: `${modKeyLabel}+Shift+S`, description: 'Voice to text' },
-    { keys: `${modKeyLabel}+O`, description: 'Open file' },
-  ],
-  'Help': [
-    { keys: `${modKeyLabel}+Shift+?`, description: 'Show this help popup' },
-  ],
-};
+const ShortcutDefinitions = globalThis.BetterGeminiShortcutDefinitions ||
+  (typeof module !== 'undefined' && module.exports ? require('../../shortcut-definitions.js') : null);
+const SHORTCUT_DEFINITIONS = ShortcutDefinitions.SHORTCUT_DEFINITIONS;
 
 /**
  * Creates and shows the help popup
@@ -616,6 +591,16 @@ function hideHelpPopup() {
 
 // ========== SHORTCUT ACTIONS ==========
 
+/**
+ * Builds the new chat URL for the account this page is on (/app or /u/<index>/app)
+ * @param {string} [pathname] - Current path (for testing)
+ * @returns {string}
+ */
+function getNewChatUrl(pathname = window.location.pathname) {
+  const match = /^\/u\/\d+(?=\/)/.exec(pathname);
+  return `https://gemini.google.com${match ? match[0] : ''}/app`;
+}
+
 /**
  * Opens a new chat
  */
@@ -626,7 +611,7 @@ function actionNewChat() {
     showToast('New chat opened', 'success');
   } else {
     // Fallback: navigate to new chat URL
-    window.location.href = 'https://gemini.google.com/app';
+    window.location.href = getNewChatUrl();
     showToast('Navigating to new chat', 'info');
   }
   log('Action: New chat');
@@ -951,6 +936,79 @@ function fallbackCopyToClipboard(text) {
   document.body.removeChild(textarea);
 }
 
+// ========== CHAT INDEX SYNC ==========
+
+let chatIndexObserver = null;
+let chatIndexTimer = null;
+let lastReportedChats = '';
+
+/**
+ * Collects the title and URL of each conversation listed in the sidebar
+ * @returns {Array<{title: string, url: string}>}
+ */
+function collectSidebarChats() {
+  const chats = [];
+  queryAllWithSelectors(SHORTCUTS_CONFIG.SELECTORS.CONVERSATIONS).forEach(item => {
+    const link = item.matches('a[href]') ? item : (item.querySelector('a[href]') || item.closest('a[href]'));
+    const titleElement = item.querySelector('.conversation-title') || item;
+    const title = titleElement.textContent.replace(/\s+/g, ' ').trim();
+    if (link && title) {
+      chats.push({ title, url: new URL(link.getAttribute('href'), window.location.origin).href });
+    }
+  });
+  return chats;
+}
+
+/**
+ * Sends the sidebar chats to the background if they changed since last time
+ */
+function reportSidebarChats() {
+  const chats = collectSidebarChats();
+  const serialized = JSON.stringify(chats);
+  if (chats.length === 0 || serialized === lastReportedChats) {
+    return;
+  }
+  lastReportedChats = serialized;
+
+  // Rejects if the extension was reloaded and this content script is orphaned
+  const Messaging = window.BetterGeminiMessaging;
+  Messaging.sendMessage(Messaging.MESSAGE_TYPES.INDEX_CHATS, { chats })
+    .then(() => log('Reported sidebar chats:', chats.length))
+    .catch(err => logError('Failed to report sidebar chats', err));
+}
+
+/**
+ * Reports sidebar chats now and whenever the page changes (debounced)
+ */
+function startChatIndexSync() {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !window.BetterGeminiMessaging ||
+      typeof MutationObserver === 'undefined') {
+    return;
+  }
+
+  const schedule = () => {
+    clearTimeout(chatIndexTimer);
+    chatIndexTimer = setTimeout(reportSidebarChats, SHORTCUTS_CONFIG.CHAT_INDEX.DEBOUNCE);
+  };
+
+  chatIndexObserver = new MutationObserver(schedule);
+  chatIndexObserver.observe(document.body, { childList: true, subtree: true });
+  schedule();
+}
+
+/**
+ * Stops watching the sidebar
+ */
+function stopChatIndexSync() {
+  if (chatIndexObserver) {
+    chatIndexObserver.disconnect();
+    chatIndexObserver = null;
+  }
+  clearTimeout(chatIndexTimer);
+  chatIndexTimer = null;
+  lastReportedChats = '';
+}
+
 // ========== URL PARAMETER HANDLING ==========
 
 /**
@@ -1182,6 +1240,9 @@ function init() {
   // Handle URL prefill
   handleUrlPrefill();
 
+  // Keep the background's index of past chats up to date
+  startChatIndexSync();
+
   isInitialized = true;
   log('Keyboard shortcuts initialized successfully');
 
@@ -1206,6 +1267,9 @@ function destroy() {
   // Remove keydown listener
   document.removeEventListener('keydown', handleKeydown, true);
 
+  // Stop reporting sidebar chats
+  stopChatIndexSync();
+
   // Remove toast container
   if (toastContainer && toastContainer.parentNode) {
     toastContainer.parentNode.removeChild(toastContainer);
@@ -1255,6 +1319,7 @@ if (IS_TEST_ENV) {
     hideHelpPopup,
 
     // Action functions
+    getNewChatUrl,
     actionNewChat,
     actionDeleteChat,
     actionToggleSidebar,
@@ -1282,6 +1347,9 @@ if (IS_TEST_ENV) {
     copyToClipboard,
     handleKeydown,
     handleUrlPrefill,
+    collectSidebarChats,
+    reportSidebarChats,
+    stopChatIndexSync,
   };
 }
 
@@ -0,0 +1,723 @@
+/**
+ * Better Gemini Extension - Sensitive Data Guard Feature
+ *
+ * Scans a prompt for secrets before it is sent to Gemini: API keys, private
+ * keys, AWS credentials, JSON Web Tokens, email addresses and any extra regexes
+ * from the options page. When something matches, an overlay lists what was
+ * found and lets the user redact it, send anyway, or cancel.
+ *
+ * Two paths are covered:
+ * - Launches from the omnibox / context menu: injector.js calls review() before
+ *   clickSendButton(), then allowNextSend() so its own click isn't stopped again.
+ * - Manual sends inside Gemini: Enter in the prompt box and clicks on the send
+ *   button are caught in the capture phase, before Gemini sees them.
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================================================
+  // CONFIGURATION
+  // ============================================================================
+
+  const CONFIG = {
+    STYLE_ID: 'better-gemini-sensitive-data-styles',
+    OVERLAY_ID: 'better-gemini-sensitive-data-overlay',
+
+    // Same as CONFIG.SELECTORS in injector.js
+    SELECTORS: {
+      INPUT_FIELD: [
+        'div[contenteditable="true"]',
+        '.ql-editor[contenteditable="true"]',
+        '[data-placeholder="Enter a prompt here"]',
+        'rich-textarea div[contenteditable="true"]',
+      ],
+      SEND_BUTTON: [
+        'button[aria-label="Send message"]',
+        'button[aria-label="Send"]',
+        'button[data-testid="send-button"]',
+        '.send-button',
+        'button[mattooltip="Send message"]',
+      ],
+    },
+
+    // Built-in detectors. Earlier entries win when two matches overlap, so the
+    // wider ones (a whole key block, a labelled secret) come first.
+    DETECTORS: [
+      {
+        type: 'privateKey',
+        label: 'Private key',
+        tag: 'PRIVATE KEY',
+        // Runs to the END line, or to the end of the prompt for a truncated paste
+        pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----|$)/g,
+      },
+      {
+        type: 'awsSecretKey',
+        label: 'AWS secret access key',
+        tag: 'AWS SECRET KEY',
+        pattern: /\baws_?secret_?access_?key["']?\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+      },
+      {
+        type: 'awsAccessKey',
+        label: 'AWS access key ID',
+        tag: 'AWS ACCESS KEY',
+        pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g,
+      },
+      {
+        type: 'jwt',
+        label: 'JSON Web Token',
+        tag: 'JWT',
+        pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+      },
+      {
+        type: 'apiKey',
+        label: 'API key',
+        tag: 'API KEY',
+        // Google, OpenAI / Anthropic, GitHub, Slack and Stripe key formats
+        pattern: /\b(?:AIza[0-9A-Za-z_-]{35}|sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abposr]-[A-Za-z0-9-]{10,}|[sr]k_live_[A-Za-z0-9]{24,})/g,
+      },
+      {
+        type: 'secret',
+        label: 'Password or secret',
+        tag: 'SECRET',
+        // api_key = "...", "password": "...", DB_PASSWORD=..., client-secret: ...
+        pattern: /(?<![A-Za-z0-9])(?:api[_-]?key|secret[_-]?key|client[_-]?secret|access[_-]?token|auth[_-]?token|password|passwd)["']?\s*[:=]\s*["']?[^\s"',;]{8,}/gi,
+      },
+      {
+        type: 'email',
+        label: 'Email address',
+        tag: 'EMAIL',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+      },
+    ],
+
+    // The overlay lists at most this many findings ("and 3 more")
+    MAX_LISTED: 6,
+
+    // How long allowNextSend() stays good for; covers clickSendButton()'s retries
+    BYPASS_WINDOW: 2000,
+
+    // Wait after rewriting the prompt before clicking send (lets Gemini catch up)
+    SEND_DELAY: 300,
+
+    // Debug mode
+    DEBUG: false,
+  };
+
+  // settings-schema.js is loaded before this script (see manifest.json)
+  const SettingsSchema = globalThis.BetterGeminiSettingsSchema ||
+    (typeof module !== 'undefined' && module.exports ? require('../../settings-schema.js') : null);
+
+  // ============================================================================
+  // CSS STYLES - Matches the other dark Gemini-native overlays
+  // ============================================================================
+
+  const STYLES = `
+    #${CONFIG.OVERLAY_ID} {
+      position: fixed;
+      inset: 0;
+      z-index: 10001;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0, 0, 0, 0.6);
+      font-family: 'Google Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+
+    #${CONFIG.OVERLAY_ID} .bg-sensitive-dialog {
+      width: min(440px, calc(100vw - 48px));
+      padding: 24px;
+      background-color: #282a2c;
+      color: #e3e3e3;
+      border: 1px solid #3c4043;
+      border-radius: 16px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+    }
+
+    #${CONFIG.OVERLAY_ID} h2 {
+      margin: 0 0 8px;
+      font-size: 18px;
+      font-weight: 500;
+      color: #f28b82;
+    }
+
+    #${CONFIG.OVERLAY_ID} p {
+      margin: 0 0 12px;
+      font-size: 14px;
+      color: #c4c7c5;
+    }
+
+    #${CONFIG.OVERLAY_ID} ul {
+      margin: 0 0 20px;
+      padding-left: 20px;
+      font-size: 14px;
+    }
+
+    #${CONFIG.OVERLAY_ID} li {
+      margin-bottom: 4px;
+    }
+
+    #${CONFIG.OVERLAY_ID} code {
+      font-family: 'Google Sans Mono', Consolas, monospace;
+      color: #c2e7ff;
+    }
+
+    #${CONFIG.OVERLAY_ID} .bg-sensitive-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+
+    #${CONFIG.OVERLAY_ID} button {
+      height: 36px;
+      padding: 0 16px;
+      background: transparent;
+      color: #c2e7ff;
+      border: 1px solid #4a5568;
+      border-radius: 18px;
+      font: inherit;
+      font-size: 14px;
+      cursor: pointer;
+    }
+
+    #${CONFIG.OVERLAY_ID} button:hover {
+      background-color: #394457;
+    }
+
+    #${CONFIG.OVERLAY_ID} button:focus-visible {
+      outline: 2px solid #8ab4f8;
+      outline-offset: 2px;
+    }
+
+    #${CONFIG.OVERLAY_ID} button[data-action="redact"] {
+      background-color: #394457;
+      border-color: #394457;
+    }
+  `;
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  function log(message, data = null) {
+    if (CONFIG.DEBUG) {
+      const prefix = '[Better Gemini Sensitive Data]';
+      if (data !== null) console.log(prefix, message, data);
+      else console.log(prefix, message);
+    }
+  }
+
+  function logError(message, error = null) {
+    const prefix = '[Better Gemini Sensitive Data Error]';
+    if (error) console.error(prefix, message, error);
+    else console.error(prefix, message);
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function queryWithSelectors(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  let isInitialized = false;
+  let customDetectors = [];
+  let bypassUntil = 0;
+  let pendingDecision = null;   // { promise, resolve } while the overlay is open
+  let storageListener = null;
+
+  // ============================================================================
+  // DETECTION
+  // ============================================================================
+
+  /**
+   * Turns the user's regex sources into detectors. Invalid ones are skipped.
+   * @param {string[]} sources
+   * @returns {Array<{type: string, label: string, tag: string, pattern: RegExp}>}
+   */
+  function compileCustomPatterns(sources) {
+    if (!Array.isArray(sources)) return [];
+    return sources.reduce((detectors, source) => {
+      try {
+        detectors.push({ type: 'custom', label: 'Custom pattern', tag: 'CUSTOM', pattern: new RegExp(source, 'g') });
+      } catch (error) {
+        logError('Skipping invalid pattern: ' + source, error);
+      }
+      return detectors;
+    }, []);
+  }
+
+  /**
+   * Finds secrets in a prompt
+   * Overlapping matches are collapsed into the earliest detector's.
+   * @param {string} text
+   * @param {Array} [detectors] - Built-in detectors plus the custom ones
+   * @returns {Array<{type: string, label: string, tag: string, value: string, start: number, end: number}>}
+   *   Sorted by position
+   */
+  function scanText(text, detectors = CONFIG.DETECTORS.concat(customDetectors)) {
+    if (typeof text !== 'string' || text === '') return [];
+
+    const matches = [];
+    detectors.forEach((detector, priority) => {
+      const pattern = new RegExp(detector.pattern.source, detector.pattern.flags.includes('g') ? detector.pattern.flags : detector.pattern.flags + 'g');
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        if (match[0] === '') {
+          pattern.lastIndex++;
+          continue;
+        }
+        matches.push({
+          type: detector.type,
+          label: detector.label,
+          tag: detector.tag,
+          value: match[0],
+          start: match.index,
+          end: match.index + match[0].length,
+          priority,
+        });
+      }
+    });
+
+    // Keep the first detector's match wherever two overlap
+    matches.sort((a, b) => a.priority - b.priority || a.start - b.start);
+    const kept = [];
+    matches.forEach(match => {
+      if (!kept.some(other => match.start < other.end && other.start < match.end)) {
+        kept.push(match);
+      }
+    });
+
+    return kept
+      .sort((a, b) => a.start - b.start)
+      .map(({ priority, ...finding }) => finding);
+  }
+
+  /**
+   * Replaces each finding with a [REDACTED ...] marker
+   * @param {string} text
+   * @param {Array} findings - From scanText(text)
+   * @returns {string}
+   */
+  function redactText(text, findings) {
+    let result = '';
+    let position = 0;
+    findings.forEach(finding => {
+      result += text.slice(position, finding.start) + `[REDACTED ${finding.tag}]`;
+      position = finding.end;
+    });
+    return result + text.slice(position);
+  }
+
+  /**
+   * Shortens a finding for display, without showing the secret itself
+   * @param {string} value
+   * @returns {string}
+   */
+  function maskValue(value) {
+    const singleLine = value.replace(/\s+/g, ' ');
+    if (singleLine.length <= 8) {
+      return '•'.repeat(singleLine.length);
+    }
+    return singleLine.slice(0, 4) + '…' + ` (${value.length} characters)`;
+  }
+
+  // ============================================================================
+  // STORAGE
+  // ============================================================================
+
+  async function loadCustomPatterns() {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
+        const key = SettingsSchema.STORAGE_KEYS.sensitivePatterns;
+        const result = await chrome.storage.sync.get(key);
+        customDetectors = compileCustomPatterns(result[key]);
+      }
+    } catch (error) {
+      logError('Failed to load custom patterns', error);
+    }
+  }
+
+  /**
+   * Whether the guard is turned on, read from storage rather than from whether
+   * init() has run: the feature loader only starts features once its own
+   * settings read finishes, and a launch may get here first.
+   * Fails closed - if the settings can't be read, prompts are checked.
+   * @returns {Promise<boolean>}
+   */
+  async function isGuardEnabled() {
+    try {
+      const key = SettingsSchema.STORAGE_KEYS.features;
+      const result = await chrome.storage.sync.get(key);
+      const policies = await SettingsSchema.loadManagedPolicies(chrome.storage.managed);
+      return SettingsSchema.applyManagedFeatures(result[key], policies).sensitiveDataGuard !== false;
+    } catch (error) {
+      logError('Failed to read whether the guard is on, checking anyway', error);
+      return true;
+    }
+  }
+
+  function handleStorageChange(changes, areaName) {
+    const key = SettingsSchema.STORAGE_KEYS.sensitivePatterns;
+    if (areaName === 'sync' && changes[key]) {
+      customDetectors = compileCustomPatterns(changes[key].newValue);
+      log('Custom patterns changed', customDetectors.length);
+    }
+  }
+
+  // ============================================================================
+  // UI COMPONENTS
+  // ============================================================================
+
+  function injectStyles() {
+    if (document.getElementById(CONFIG.STYLE_ID)) {
+      return;
+    }
+
+    const styleEl = document.createElement('style');
+    styleEl.id = CONFIG.STYLE_ID;
+    styleEl.textContent = STYLES;
+    document.head.appendChild(styleEl);
+  }
+
+  /**
+   * Shows the confirmation overlay. Only one is shown at a time; asking again
+   * while it is open returns the same decision.
+   * @param {Array} findings - From scanText()
+   * @returns {Promise<'redact'|'send'|'cancel'>}
+   */
+  function showOverlay(findings) {
+    if (pendingDecision) {
+      return pendingDecision.promise;
+    }
+
+    injectStyles();
+
+    let resolveDecision;
+    const promise = new Promise(resolve => { resolveDecision = resolve; });
+    const previousFocus = document.activeElement;
+
+    const overlay = document.createElement('div');
+    overlay.id = CONFIG.OVERLAY_ID;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'bg-sensitive-dialog';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${CONFIG.OVERLAY_ID}-title`);
+
+    const title = document.createElement('h2');
+    title.id = `${CONFIG.OVERLAY_ID}-title`;
+    title.textContent = 'This prompt may contain sensitive data';
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Better Gemini found the following before sending:';
+
+    const list = document.createElement('ul');
+    findings.slice(0, CONFIG.MAX_LISTED).forEach(finding => {
+      const item = document.createElement('li');
+      const preview = document.createElement('code');
+      preview.textContent = maskValue(finding.value);
+      item.append(`${finding.label}: `, preview);
+      list.appendChild(item);
+    });
+    if (findings.length > CONFIG.MAX_LISTED) {
+      const more = document.createElement('li');
+      more.textContent = `and ${findings.length - CONFIG.MAX_LISTED} more`;
+      list.appendChild(more);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'bg-sensitive-actions';
+    [
+      ['cancel', 'Cancel'],
+      ['send', 'Send anyway'],
+      ['redact', 'Redact and send'],
+    ].forEach(([action, text]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action;
+      button.textContent = text;
+      actions.appendChild(button);
+    });
+
+    dialog.append(title, intro, list, actions);
+    overlay.appendChild(dialog);
+
+    const close = action => {
+      overlay.remove();
+      pendingDecision = null;
+      if (previousFocus && typeof previousFocus.focus === 'function') {
+        previousFocus.focus();
+      }
+      log('Overlay closed:', action);
+      resolveDecision(action);
+    };
+
+    overlay.addEventListener('click', event => {
+      const button = event.target.closest('button[data-action]');
+      if (button) {
+        close(button.dataset.action);
+      } else if (event.target === overlay) {
+        close('cancel');
+      }
+    });
+    overlay.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        close('cancel');
+      }
+    });
+
+    document.body.appendChild(overlay);
+    actions.querySelector('[data-action="redact"]').focus();
+
+    pendingDecision = { promise, close };
+    return promise;
+  }
+
+  /**
+   * Closes the overlay, if open, as if the user had picked `action`
+   * @param {'redact'|'send'|'cancel'} action
+   */
+  function closeOverlay(action) {
+    if (pendingDecision) {
+      pendingDecision.close(action);
+    }
+  }
+
+  // ============================================================================
+  // PROMPT INPUT
+  // ============================================================================
+
+  function getInputText(input) {
+    return (typeof input.innerText === 'string' ? input.innerText : input.textContent) || '';
+  }
+
+  /**
+   * Replaces the prompt text the same way injector.js fills it in, so Gemini's
+   * editor picks up the change
+   */
+  function setInputText(input, text) {
+    input.focus();
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(input);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const inserted = typeof document.execCommand === 'function' && document.execCommand('insertText', false, text);
+    if (!inserted) {
+      input.textContent = text;
+      input.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true }));
+    }
+  }
+
+  // ============================================================================
+  // SEND INTERCEPTION
+  // ============================================================================
+
+  /**
+   * Lets the next send through unchecked, for a prompt the user already reviewed
+   */
+  function allowNextSend() {
+    bypassUntil = Date.now() + CONFIG.BYPASS_WINDOW;
+  }
+
+  function consumeBypass() {
+    const allowed = Date.now() <= bypassUntil;
+    bypassUntil = 0;
+    return allowed;
+  }
+
+  /**
+   * Checks a prompt before it is sent
+   * Resolves straight away with 'send' when the guard is off or nothing matched.
+   * Before init() has run, the stored settings decide whether the guard is on.
+   * @param {string} text
+   * @returns {Promise<{action: 'redact'|'send'|'cancel', text: string, findings: Array}>}
+   *   `text` is the prompt to send (redacted for 'redact')
+   */
+  async function review(text) {
+    if (!isInitialized) {
+      if (!await isGuardEnabled()) {
+        return { action: 'send', text, findings: [] };
+      }
+      await loadCustomPatterns();
+    }
+
+    const findings = scanText(text);
+    if (findings.length === 0) {
+      return { action: 'send', text, findings };
+    }
+
+    log('Sensitive data found:', findings.map(finding => finding.type));
+    const action = await showOverlay(findings);
+    return { action, text: action === 'redact' ? redactText(text, findings) : text, findings };
+  }
+
+  /**
+   * Stops a manual send that would leak something, and finishes it once the
+   * user decides
+   * @param {Event} event - The Enter keydown or send button click
+   * @param {Element} input - The prompt editor
+   */
+  function interceptSend(event, input) {
+    if (!isInitialized || consumeBypass()) {
+      return;
+    }
+
+    const text = getInputText(input);
+    if (!pendingDecision && scanText(text).length === 0) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    if (pendingDecision) {
+      return;
+    }
+
+    review(text).then(async decision => {
+      if (decision.action === 'cancel') {
+        input.focus();
+        return;
+      }
+
+      if (decision.action === 'redact') {
+        setInputText(input, decision.text);
+        await sleep(CONFIG.SEND_DELAY);
+      }
+
+      const sendButton = queryWithSelectors(CONFIG.SELECTORS.SEND_BUTTON);
+      if (!sendButton) {
+        logError('Send button not found, leaving the prompt unsent');
+        input.focus();
+        return;
+      }
+      allowNextSend();
+      sendButton.click();
+    });
+  }
+
+  function handleKeydown(event) {
+    if (event.key !== 'Enter' || event.shiftKey || event.isComposing) {
+      return;
+    }
+    const input = event.target instanceof Element && event.target.closest(CONFIG.SELECTORS.INPUT_FIELD.join(', '));
+    if (input) {
+      interceptSend(event, input);
+    }
+  }
+
+  function handleClick(event) {
+    if (!(event.target instanceof Element) || !event.target.closest(CONFIG.SELECTORS.SEND_BUTTON.join(', '))) {
+      return;
+    }
+    const input = queryWithSelectors(CONFIG.SELECTORS.INPUT_FIELD);
+    if (input) {
+      interceptSend(event, input);
+    }
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  /**
+   * Initializes the guard
+   * - Loads the custom patterns and follows changes to them
+   * - Starts checking manual sends
+   */
+  function init() {
+    if (isInitialized) {
+      return;
+    }
+
+    loadCustomPatterns();
+    if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+      storageListener = handleStorageChange;
+      chrome.storage.onChanged.addListener(storageListener);
+    }
+
+    document.addEventListener('keydown', handleKeydown, true);
+    document.addEventListener('click', handleClick, true);
+
+    isInitialized = true;
+    log('Sensitive Data Guard initialized');
+  }
+
+  /**
+   * Destroys the guard
+   * An open overlay is cancelled, so nothing is sent on the way out.
+   */
+  function destroy() {
+    if (!isInitialized) {
+      return;
+    }
+
+    document.removeEventListener('keydown', handleKeydown, true);
+    document.removeEventListener('click', handleClick, true);
+
+    if (storageListener && typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+      chrome.storage.onChanged.removeListener(storageListener);
+    }
+    storageListener = null;
+
+    closeOverlay('cancel');
+    const styles = document.getElementById(CONFIG.STYLE_ID);
+    if (styles) {
+      styles.remove();
+    }
+
+    customDetectors = [];
+    bypassUntil = 0;
+    isInitialized = false;
+    log('Sensitive Data Guard destroyed');
+  }
+
+  // ============================================================================
+  // EXPORTS
+  // ============================================================================
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      init,
+      destroy,
+      CONFIG,
+      scanText,
+      redactText,
+      maskValue,
+      compileCustomPatterns,
+      review,
+      allowNextSend,
+      showOverlay,
+      closeOverlay,
+      handleKeydown,
+      handleClick,
+      loadCustomPatterns,
+    };
+  }
+
+  if (typeof window !== 'undefined') {
+    window.BetterGeminiSensitiveDataGuard = {
+      init,
+      destroy,
+      review,
+      allowNextSend,
+      scanText,
+      redactText,
+    };
+  }
+
+})();
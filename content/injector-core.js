@@ -6,6 +6,11 @@
 
 export const CONFIG = {
   URL_PARAM: 'bg_prompt',
+  TOKEN_PARAM: 'bg_token',
+  HANDOFF_KEY_PREFIX: 'betterGemini_handoff_',
+  SUBMIT_PARAM: 'bg_submit',
+  PENDING_PROMPT_KEY: 'betterGemini_pendingPrompt',
+  PENDING_PROMPT_TTL: 10 * 60 * 1000,
   TIMEOUTS: {
     DOM_READY: 10000,
     BEFORE_INJECTION: 500,  // Wait after input field appears before injecting
@@ -27,6 +32,12 @@ export const CONFIG = {
       '.send-button',
       'button[mattooltip="Send message"]',
     ],
+    // Stop button, only shown while a response is being generated
+    STOP_BUTTON: [
+      'button[aria-label*="Stop"]',
+      'button[aria-label*="Cancel"]',
+      '[data-test-id="stop-button"]',
+    ],
     // Elements that indicate user IS logged in to Gemini
     LOGGED_IN_INDICATORS: [
       'div[contenteditable="true"]',  // Chat input only appears when logged in
@@ -39,6 +50,12 @@ export const CONFIG = {
       'accounts.google.com/v3/signin',
       'accounts.google.com/ServiceLogin',
     ],
+    // Sign-in links on the signed-out landing page (only checked once the input failed to appear)
+    SIGN_IN_LINKS: [
+      'a[href*="accounts.google.com/ServiceLogin"]',
+      'a[href*="accounts.google.com/v3/signin"]',
+      'a[href*="accounts.google.com/signin"]',
+    ],
   },
   DEBUG: true,
 };
@@ -54,9 +71,41 @@ export function getPromptFromURL(searchString) {
   }
 }
 
+export function getPromptTokenFromURL(searchString) {
+  const urlParams = new URLSearchParams(searchString);
+  return urlParams.get(CONFIG.TOKEN_PARAM) || null;
+}
+
+/**
+ * Redeems a long prompt handoff token (one-time: the entry is always deleted)
+ *
+ * @param {string} token - Token from the bg_token parameter
+ * @param {chrome.storage.StorageArea} storageArea - chrome.storage.session
+ * @param {number} [now] - Current time
+ * @returns {Promise<string|null>} The prompt or null if unknown or expired
+ */
+export async function redeemPromptToken(token, storageArea, now = Date.now()) {
+  const key = CONFIG.HANDOFF_KEY_PREFIX + token;
+  try {
+    const result = await storageArea.get(key);
+    const entry = result[key];
+    await storageArea.remove(key);
+    if (!entry || typeof entry.prompt !== 'string' || !(entry.expires > now)) return null;
+    return entry.prompt;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function shouldAutoSubmit(searchString) {
+  return new URLSearchParams(searchString).get(CONFIG.SUBMIT_PARAM) !== '0';
+}
+
 export function cleanupURL(urlString) {
   const url = new URL(urlString);
   url.searchParams.delete(CONFIG.URL_PARAM);
+  url.searchParams.delete(CONFIG.TOKEN_PARAM);
+  url.searchParams.delete(CONFIG.SUBMIT_PARAM);
   return url.toString();
 }
 
@@ -111,6 +160,49 @@ export function isUserLoggedOut(currentUrl, doc = document) {
   return false;
 }
 
+/**
+ * Checks for Gemini's signed-out landing page: sign-in links but no chat input
+ *
+ * @param {Document} doc - Document object for DOM queries
+ * @returns {boolean}
+ */
+export function isSignInPage(doc = document) {
+  return !queryWithSelectors(CONFIG.SELECTORS.LOGGED_IN_INDICATORS, doc)
+    && !!queryWithSelectors(CONFIG.SELECTORS.SIGN_IN_LINKS, doc);
+}
+
+/**
+ * Saves a prompt to replay after sign-in
+ *
+ * @param {string} prompt - The prompt text
+ * @param {boolean} submit - Whether to send it when replayed
+ * @param {chrome.storage.StorageArea} storageArea - chrome.storage.session
+ * @param {number} [now] - Current time
+ */
+export async function savePendingPrompt(prompt, submit, storageArea, now = Date.now()) {
+  await storageArea.set({
+    [CONFIG.PENDING_PROMPT_KEY]: { prompt, submit, expires: now + CONFIG.PENDING_PROMPT_TTL },
+  });
+}
+
+/**
+ * Loads the prompt saved before sign-in, dropping it if it has expired
+ *
+ * @param {chrome.storage.StorageArea} storageArea - chrome.storage.session
+ * @param {number} [now] - Current time
+ * @returns {Promise<{prompt: string, submit: boolean}|null>}
+ */
+export async function loadPendingPrompt(storageArea, now = Date.now()) {
+  const result = await storageArea.get(CONFIG.PENDING_PROMPT_KEY);
+  const entry = result[CONFIG.PENDING_PROMPT_KEY];
+  if (!entry) return null;
+  if (typeof entry.prompt !== 'string' || !(entry.expires > now)) {
+    await storageArea.remove(CONFIG.PENDING_PROMPT_KEY);
+    return null;
+  }
+  return { prompt: entry.prompt, submit: entry.submit !== false };
+}
+
 export function injectText(inputElement, text) {
   inputElement.focus();
   const selection = window.getSelection();
@@ -145,6 +237,11 @@ export function findSendButton(doc = document) {
   return queryWithSelectors(CONFIG.SELECTORS.SEND_BUTTON, doc);
 }
 
+export function isGenerating(doc = document) {
+  const stopButton = queryWithSelectors(CONFIG.SELECTORS.STOP_BUTTON, doc);
+  return !!stopButton && !stopButton.disabled;
+}
+
 export function clickSendButton(button, attempt = 1, maxAttempts = CONFIG.RETRY.MAX_ATTEMPTS) {
   if (!button) return { success: false, reason: 'not_found' };
   if (button.disabled || button.getAttribute('aria-disabled') === 'true') {
@@ -2,10 +2,11 @@
  * Better Gemini Extension - Content Script Injector
  *
  * This script handles:
- * 1. Detecting bg_prompt URL parameter
+ * 1. Detecting bg_prompt URL parameter (or redeeming a bg_token long prompt handoff)
  * 2. Waiting for Gemini's React app to hydrate
  * 3. Injecting text into the contenteditable input (React-compatible)
- * 4. Auto-submitting the prompt
+ * 4. Auto-submitting the prompt (unless the launch asked for prefill only, or the
+ *    user cancels at the sensitive data check)
  * 5. Cleaning up the URL for clean browser history
  *
  * Note: Content scripts cannot use ES6 module imports directly.
@@ -30,12 +31,31 @@ const CONFIG = {
   // URL parameter name for injecting prompts
   URL_PARAM: 'bg_prompt',
 
+  // URL parameter carrying a one-time token for a long prompt in chrome.storage.session
+  // (must match HANDOFF_URL_PARAM / HANDOFF_KEY_PREFIX in background.js)
+  TOKEN_PARAM: 'bg_token',
+  HANDOFF_KEY_PREFIX: 'betterGemini_handoff_',
+
+  // URL parameter that turns off auto-submit for this launch (bg_submit=0)
+  // (must match SUBMIT_URL_PARAM in background.js)
+  SUBMIT_PARAM: 'bg_submit',
+
+  // Prompt kept in chrome.storage.session while the user signs in, then replayed
+  PENDING_PROMPT_KEY: 'betterGemini_pendingPrompt',
+  PENDING_PROMPT_TTL: 10 * 60 * 1000,  // Give up on the prompt after 10 minutes
+  PENDING_PROMPT_CLAIM_SETTLE: 150,    // Let other tabs' claims land before checking ours
+  PENDING_PROMPT_CLAIM_TTL: 5000,      // A claim left by a tab that closed meanwhile lapses
+
+  // Only a new chat replays the pending prompt: /app, /gem/<id>, with an optional /u/N/
+  NEW_CHAT_PATH_PATTERN: /^(?:\/u\/\d+)?\/(?:app|gem\/[\w-]+)\/?$/,
+
   // Timeout constants (in milliseconds)
   TIMEOUTS: {
     DOM_READY: 10000,        // Max wait time for DOM to be ready
     BEFORE_INJECTION: 500,   // Wait after input field appears before injecting
     AFTER_INJECTION: 300,    // Delay after text injection before clicking send
     RETRY_INTERVAL: 100,     // Interval between retry attempts
+    TOAST: 4000,             // How long the "prompt resumed" toast stays up
   },
 
   // Retry configuration
@@ -63,6 +83,14 @@ const CONFIG = {
       'button[mattooltip="Send message"]',
     ],
 
+    // Stop button, only shown while a response is being generated
+    // (same as STOP_BUTTON in keyboard-shortcuts.js)
+    STOP_BUTTON: [
+      'button[aria-label*="Stop"]',
+      'button[aria-label*="Cancel"]',
+      '[data-test-id="stop-button"]',
+    ],
+
     // Elements that indicate user IS logged in to Gemini
     LOGGED_IN_INDICATORS: [
       'div[contenteditable="true"]',  // Chat input only appears when logged in
@@ -76,6 +104,14 @@ const CONFIG = {
       'accounts.google.com/v3/signin',
       'accounts.google.com/ServiceLogin',
     ],
+
+    // Sign-in links on Gemini's signed-out landing page. Only trusted once the
+    // input field has failed to appear, as signed-in pages link to accounts too
+    SIGN_IN_LINKS: [
+      'a[href*="accounts.google.com/ServiceLogin"]',
+      'a[href*="accounts.google.com/v3/signin"]',
+      'a[href*="accounts.google.com/signin"]',
+    ],
   },
 
   // Debug mode - set to true for verbose logging
@@ -121,17 +157,59 @@ function logError(message, error = null) {
 // ============================================================================
 
 /**
- * Extracts and decodes the bg_prompt parameter from the URL
+ * Redeems a long prompt handoff token from chrome.storage.session
+ * The entry is deleted whether or not it is still valid, so it works only once.
+ * @param {string} token - Token from the bg_token parameter
+ * @param {chrome.storage.StorageArea} [storageArea] - Optional storage area (for testing)
+ * @param {number} [now] - Current time (for testing)
+ * @returns {Promise<string|null>} The prompt or null if the token is unknown or expired
+ */
+async function redeemPromptToken(token, storageArea = (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.session : null), now = Date.now()) {
+  if (!storageArea) {
+    logError('Session storage unavailable, cannot redeem prompt token');
+    return null;
+  }
+
+  const key = CONFIG.HANDOFF_KEY_PREFIX + token;
+
+  try {
+    const result = await storageArea.get(key);
+    const entry = result[key];
+    await storageArea.remove(key);
+
+    if (!entry || typeof entry.prompt !== 'string' || !(entry.expires > now)) {
+      log('Prompt token is unknown or expired');
+      return null;
+    }
+
+    log('Redeemed prompt token:', entry.prompt.substring(0, 50) + '...');
+    return entry.prompt;
+  } catch (e) {
+    logError('Failed to redeem prompt token', e);
+    return null;
+  }
+}
+
+/**
+ * Extracts the prompt from the URL: either the decoded bg_prompt parameter,
+ * or the long prompt behind a bg_token handoff (which is redeemed and deleted)
  * @param {Location} [locationObj] - Optional location object (for testing)
  * @param {string} [urlParam] - Optional URL parameter name (for testing)
- * @returns {string|null} The decoded prompt text or null if not found
+ * @param {chrome.storage.StorageArea} [storageArea] - Optional storage area (for testing)
+ * @returns {Promise<string|null>} The prompt text or null if not found
  */
-function getPromptFromURL(locationObj = (typeof window !== 'undefined' ? window.location : null), urlParam = CONFIG.URL_PARAM) {
+async function getPromptFromURL(locationObj = (typeof window !== 'undefined' ? window.location : null), urlParam = CONFIG.URL_PARAM, storageArea) {
   if (!locationObj) {
     return null;
   }
 
   const urlParams = new URLSearchParams(locationObj.search);
+
+  const token = urlParams.get(CONFIG.TOKEN_PARAM);
+  if (token) {
+    return redeemPromptToken(token, storageArea);
+  }
+
   const encodedPrompt = urlParams.get(urlParam);
 
   if (!encodedPrompt) {
@@ -150,12 +228,24 @@ function getPromptFromURL(locationObj = (typeof window !== 'undefined' ? window.
   }
 }
 
+/**
+ * Checks whether the launch should send the prompt, or only fill it in (bg_submit=0)
+ * @param {Location} [locationObj] - Optional location object (for testing)
+ * @returns {boolean} False for a prefill-only launch
+ */
+function shouldAutoSubmit(locationObj = (typeof window !== 'undefined' ? window.location : null)) {
+  if (!locationObj) {
+    return true;
+  }
+  return new URLSearchParams(locationObj.search).get(CONFIG.SUBMIT_PARAM) !== '0';
+}
+
 // ============================================================================
 // URL CLEANUP
 // ============================================================================
 
 /**
- * Removes the bg_prompt parameter from the URL without triggering navigation
+ * Removes the bg_prompt (and bg_token) parameter from the URL without triggering navigation
  * Uses history.replaceState to maintain clean browser history
  * @param {Window} [windowObj] - Optional window object (for testing)
  * @param {string} [urlParam] - Optional URL parameter name (for testing)
@@ -168,6 +258,8 @@ function cleanupURL(windowObj = (typeof window !== 'undefined' ? window : null),
   try {
     const url = new URL(windowObj.location.href);
     url.searchParams.delete(urlParam);
+    url.searchParams.delete(CONFIG.TOKEN_PARAM);
+    url.searchParams.delete(CONFIG.SUBMIT_PARAM);
 
     // Replace current history entry with clean URL
     windowObj.history.replaceState(
@@ -182,6 +274,200 @@ function cleanupURL(windowObj = (typeof window !== 'undefined' ? window : null),
   }
 }
 
+// ============================================================================
+// PENDING PROMPT (SIGN-IN)
+// ============================================================================
+
+/**
+ * Gets chrome.storage.session, if the content script has access to it
+ * @returns {chrome.storage.StorageArea|null}
+ */
+function getSessionStorage() {
+  return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.session ? chrome.storage.session : null;
+}
+
+/**
+ * Saves a prompt to replay once the user has signed in
+ * @param {string} prompt - The prompt text
+ * @param {boolean} submit - Whether to send it when replayed
+ * @param {chrome.storage.StorageArea} [storageArea] - Optional storage area (for testing)
+ * @param {number} [now] - Current time (for testing)
+ * @returns {Promise<boolean>} True if the prompt was saved
+ */
+async function savePendingPrompt(prompt, submit, storageArea = getSessionStorage(), now = Date.now()) {
+  if (!storageArea) {
+    return false;
+  }
+
+  try {
+    await storageArea.set({
+      [CONFIG.PENDING_PROMPT_KEY]: { prompt, submit, expires: now + CONFIG.PENDING_PROMPT_TTL }
+    });
+    log('Saved pending prompt until sign-in completes');
+    return true;
+  } catch (e) {
+    logError('Failed to save pending prompt', e);
+    return false;
+  }
+}
+
+/**
+ * Loads the prompt saved before sign-in, dropping it if it has expired
+ * @param {chrome.storage.StorageArea} [storageArea] - Optional storage area (for testing)
+ * @param {number} [now] - Current time (for testing)
+ * @returns {Promise<{prompt: string, submit: boolean, expires: number, claimedUntil: number}|null>}
+ */
+async function loadPendingPrompt(storageArea = getSessionStorage(), now = Date.now()) {
+  if (!storageArea) {
+    return null;
+  }
+
+  try {
+    const result = await storageArea.get(CONFIG.PENDING_PROMPT_KEY);
+    const entry = result[CONFIG.PENDING_PROMPT_KEY];
+    if (!entry) {
+      return null;
+    }
+
+    if (typeof entry.prompt !== 'string' || !(entry.expires > now)) {
+      await clearPendingPrompt(storageArea);
+      return null;
+    }
+
+    return {
+      prompt: entry.prompt,
+      submit: entry.submit !== false,
+      expires: entry.expires,
+      claimedUntil: entry.claimedUntil || 0,
+    };
+  } catch (e) {
+    logError('Failed to load pending prompt', e);
+    return null;
+  }
+}
+
+/**
+ * Takes the prompt saved before sign-in for this tab alone, so Gemini tabs
+ * loading at the same time don't all replay it.
+ *
+ * Session storage has no compare-and-set, so the tab marks the entry with a
+ * random claim, waits for other tabs' claims to land, and owns the prompt only
+ * if its own claim is still there. The entry is then removed; hand it back with
+ * releasePendingPrompt() if this tab can't use it after all.
+ *
+ * @param {chrome.storage.StorageArea} [storageArea] - Optional storage area (for testing)
+ * @param {number} [now] - Current time (for testing)
+ * @returns {Promise<{prompt: string, submit: boolean, expires: number}|null>}
+ */
+async function claimPendingPrompt(storageArea = getSessionStorage(), now = Date.now()) {
+  const pending = await loadPendingPrompt(storageArea, now);
+  if (!pending || pending.claimedUntil > now) {
+    return null;
+  }
+
+  const { prompt, submit, expires } = pending;
+  const claim = Math.random().toString(36).slice(2);
+
+  try {
+    await storageArea.set({
+      [CONFIG.PENDING_PROMPT_KEY]: { prompt, submit, expires, claim, claimedUntil: now + CONFIG.PENDING_PROMPT_CLAIM_TTL }
+    });
+    await delay(CONFIG.PENDING_PROMPT_CLAIM_SETTLE);
+
+    const result = await storageArea.get(CONFIG.PENDING_PROMPT_KEY);
+    const entry = result[CONFIG.PENDING_PROMPT_KEY];
+    if (!entry || entry.claim !== claim) {
+      log('Another tab took the pending prompt');
+      return null;
+    }
+
+    await clearPendingPrompt(storageArea);
+    return { prompt, submit, expires };
+  } catch (e) {
+    logError('Failed to claim pending prompt', e);
+    return null;
+  }
+}
+
+/**
+ * Puts back a claimed prompt, unchanged and with its original expiry
+ * @param {{prompt: string, submit: boolean, expires: number}} pending - From claimPendingPrompt()
+ * @param {chrome.storage.StorageArea} [storageArea] - Optional storage area (for testing)
+ */
+async function releasePendingPrompt(pending, storageArea = getSessionStorage()) {
+  if (!storageArea) {
+    return;
+  }
+
+  try {
+    const { prompt, submit, expires } = pending;
+    await storageArea.set({ [CONFIG.PENDING_PROMPT_KEY]: { prompt, submit, expires } });
+  } catch (e) {
+    logError('Failed to put back pending prompt', e);
+  }
+}
+
+/**
+ * Whether the page is a new chat (not an existing conversation), where a
+ * prompt saved before sign-in belongs
+ * @param {Window} [windowObj] - Optional window object (for testing)
+ * @returns {boolean}
+ */
+function isNewChatPage(windowObj = (typeof window !== 'undefined' ? window : null)) {
+  return !!windowObj && CONFIG.NEW_CHAT_PATH_PATTERN.test(windowObj.location.pathname);
+}
+
+/**
+ * Deletes the prompt saved before sign-in
+ * @param {chrome.storage.StorageArea} [storageArea] - Optional storage area (for testing)
+ */
+async function clearPendingPrompt(storageArea = getSessionStorage()) {
+  if (!storageArea) {
+    return;
+  }
+
+  try {
+    await storageArea.remove(CONFIG.PENDING_PROMPT_KEY);
+  } catch (e) {
+    logError('Failed to clear pending prompt', e);
+  }
+}
+
+/**
+ * Shows a short-lived toast at the bottom of the page
+ * @param {string} message - The message to display
+ * @param {Document} [doc] - Optional document object (for testing)
+ */
+function showToast(message, doc = (typeof document !== 'undefined' ? document : null)) {
+  if (!doc || !doc.body) {
+    return;
+  }
+
+  const toast = doc.createElement('div');
+  toast.className = 'better-gemini-injector-toast';
+  toast.setAttribute('role', 'status');
+  toast.style.cssText = `
+    position: fixed;
+    bottom: 20px;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 999999;
+    background: #0056b3;
+    border: 1px solid #007bff;
+    color: white;
+    padding: 10px 16px;
+    border-radius: 6px;
+    font-family: 'Google Sans', Arial, sans-serif;
+    font-size: 14px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    max-width: 400px;
+  `;
+  toast.textContent = message;
+  doc.body.appendChild(toast);
+
+  setTimeout(() => toast.remove(), CONFIG.TIMEOUTS.TOAST);
+}
+
 // ============================================================================
 // DOM UTILITIES
 // ============================================================================
@@ -256,6 +542,20 @@ function isUserLoggedOut(windowObj = (typeof window !== 'undefined' ? window : n
   return false;
 }
 
+/**
+ * Checks for Gemini's signed-out landing page
+ * Only meaningful after the input field failed to appear (see SIGN_IN_LINKS)
+ * @param {Document} [doc] - Optional document object (for testing)
+ * @returns {boolean}
+ */
+function isSignInPage(doc = (typeof document !== 'undefined' ? document : null)) {
+  if (!doc) {
+    return false;
+  }
+  return !queryWithSelectors(CONFIG.SELECTORS.LOGGED_IN_INDICATORS, doc)
+    && !!queryWithSelectors(CONFIG.SELECTORS.SIGN_IN_LINKS, doc);
+}
+
 // ============================================================================
 // DOM READY DETECTION
 // ============================================================================
@@ -496,6 +796,107 @@ async function clickSendButton(attempt = 1, doc = (typeof document !== 'undefine
   return false;
 }
 
+/**
+ * Runs the prompt past the Sensitive Data Guard feature before it is sent.
+ * Redacting rewrites the prompt in place; cancelling leaves it unsent for the
+ * user to edit. Without the feature (or with it turned off) this is a no-op.
+ *
+ * @param {Element} inputElement - The contenteditable element holding the prompt
+ * @param {string} prompt - The prompt that was injected
+ * @param {Window} [windowObj] - Optional window object (for testing)
+ * @returns {Promise<boolean>} True if the prompt should be sent
+ */
+async function reviewBeforeSend(inputElement, prompt, windowObj = (typeof window !== 'undefined' ? window : null)) {
+  const guard = windowObj && windowObj.BetterGeminiSensitiveDataGuard;
+  if (!guard || typeof guard.review !== 'function') {
+    return true;
+  }
+
+  const decision = await guard.review(prompt);
+
+  if (decision.action === 'cancel') {
+    log('Send cancelled by the sensitive data check');
+    inputElement.focus();
+    return false;
+  }
+
+  if (decision.action === 'redact') {
+    log('Sending the redacted prompt');
+    injectText(inputElement, decision.text);
+    await delay(CONFIG.TIMEOUTS.AFTER_INJECTION);
+  }
+
+  // The guard also watches the send button; this prompt has been reviewed
+  guard.allowNextSend();
+  return true;
+}
+
+// ============================================================================
+// GENERATION STATUS
+// ============================================================================
+
+/**
+ * Checks whether Gemini is generating a response (its stop button is showing)
+ * @param {Document} [doc] - Optional document object (for testing)
+ * @returns {boolean}
+ */
+function isGenerating(doc = (typeof document !== 'undefined' ? document : null)) {
+  const stopButton = queryWithSelectors(CONFIG.SELECTORS.STOP_BUTTON, doc);
+  return !!stopButton && !stopButton.disabled;
+}
+
+/**
+ * Reports each start and end of a response to the background script,
+ * which badges the tab while Gemini is answering
+ * @param {Document} [doc] - Optional document object (for testing)
+ * @param {object} [chromeApi] - Optional Chrome API object (for testing)
+ * @returns {MutationObserver|null} The observer, or null if messaging is unavailable
+ */
+function watchGenerationStatus(doc = (typeof document !== 'undefined' ? document : null), chromeApi = (typeof chrome !== 'undefined' ? chrome : null)) {
+  const Messaging = globalThis.BetterGeminiMessaging;
+  if (!Messaging || !chromeApi || !chromeApi.runtime || typeof MutationObserver === 'undefined') {
+    return null;
+  }
+
+  let generating = false;
+  const observer = new MutationObserver(() => {
+    const nowGenerating = isGenerating(doc);
+    if (nowGenerating === generating) return;
+    generating = nowGenerating;
+
+    Messaging.sendMessage(Messaging.MESSAGE_TYPES.GENERATION_STATUS, { generating }, { chromeApi })
+      .catch(error => log('Could not report generation status:', error.message));
+  });
+
+  observer.observe(doc.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['disabled', 'aria-label'] });
+  return observer;
+}
+
+// ============================================================================
+// MODEL OVERRIDE
+// ============================================================================
+
+/**
+ * Applies a one-shot ?model= / ?effort= override from the launch URL through the
+ * Default Model feature, so the prompt is sent to the requested model.
+ * Resolves once the override is applied (or immediately if there is none).
+ * @param {Window} [windowObj] - Optional window object (for testing)
+ * @returns {Promise<boolean>} True if the model or effort was changed
+ */
+async function applyLaunchOverrides(windowObj = (typeof window !== 'undefined' ? window : null)) {
+  const defaultModel = windowObj && windowObj.BetterGeminiDefaultModel;
+  if (!defaultModel || typeof defaultModel.applyUrlOverrides !== 'function') {
+    return false;
+  }
+
+  try {
+    return await defaultModel.applyUrlOverrides();
+  } catch (e) {
+    logError('Failed to apply model override', e);
+    return false;
+  }
+}
+
 // ============================================================================
 // MAIN EXECUTION FLOW
 // ============================================================================
@@ -504,11 +905,11 @@ async function clickSendButton(attempt = 1, doc = (typeof document !== 'undefine
  * Main function that orchestrates the entire injection process
  *
  * Flow:
- * 1. Check for bg_prompt parameter
- * 2. Verify user is logged in
- * 3. Wait for input field
+ * 1. Check for bg_prompt parameter (or, on a new chat, a prompt saved before signing in)
+ * 2. Verify user is logged in (otherwise save the prompt for after sign-in)
+ * 3. Wait for input field (and apply any ?model= / ?effort= override)
  * 4. Inject text
- * 5. Auto-submit
+ * 5. Auto-submit after the sensitive data check (or just focus the input for bg_submit=0)
  * 6. Cleanup URL
  */
 async function main() {
@@ -518,20 +919,45 @@ async function main() {
   log('URL pathname:', window.location.pathname);
 
   // Step 1: Check for prompt parameter
-  const prompt = getPromptFromURL();
+  let prompt = await getPromptFromURL();
+  let autoSubmit = shouldAutoSubmit();
+  let resumed = false;
   log('Extracted prompt:', prompt ? `"${prompt.substring(0, 50)}..."` : 'null');
 
   if (!prompt) {
-    log('No prompt to inject, script idle');
-    return;
+    // Claimed before waiting for the input, so only one new-chat tab replays it
+    const pending = isNewChatPage() ? await claimPendingPrompt() : null;
+
+    if (!pending) {
+      log('No prompt to inject, script idle');
+      // "gem @pro" with no text still opens a chat on the requested model
+      await applyLaunchOverrides();
+      return;
+    }
+
+    // Step 1.5: Replay a launch interrupted by sign-in, once the chat input
+    // shows the user is signed in
+    try {
+      await waitForInputField();
+    } catch (e) {
+      log('Still signed out, keeping the pending prompt');
+      await releasePendingPrompt(pending);
+      return;
+    }
+
+    prompt = pending.prompt;
+    autoSubmit = pending.submit;
+    resumed = true;
+    log('Resuming prompt saved before sign-in');
   }
 
   // Step 2: Check if user is logged in
   // Small delay to allow page to render login indicators
   await delay(500);
   if (isUserLoggedOut()) {
-    logError('User appears to be logged out. Aborting injection.');
-    // Don't cleanup URL - let user retry after login
+    logError('User appears to be logged out. Saving prompt until sign-in completes.');
+    await savePendingPrompt(prompt, autoSubmit);
+    // Don't cleanup URL either - let user retry after login
     return;
   }
 
@@ -543,12 +969,19 @@ async function main() {
   try {
     // Step 3: Wait for the input field to appear
     log('Waiting for Gemini interface to load...');
-    const inputElement = await waitForInputField();
+    let inputElement = await waitForInputField();
 
     // Step 3.5: Wait a bit for the interface to fully stabilize
     log(`Input field found. Waiting ${CONFIG.TIMEOUTS.BEFORE_INJECTION}ms before injecting...`);
     await delay(CONFIG.TIMEOUTS.BEFORE_INJECTION);
 
+    // Step 3.6: Switch model / thinking level first if the launch asked for it
+    if (await applyLaunchOverrides()) {
+      // The picker may re-render the input area; look it up again
+      await delay(CONFIG.TIMEOUTS.BEFORE_INJECTION);
+      inputElement = await waitForInputField();
+    }
+
     // Step 4: Inject the prompt text
     log('Injecting prompt text...');
     const injected = injectText(inputElement, prompt);
@@ -558,17 +991,31 @@ async function main() {
       return;
     }
 
-    // Step 5: Wait before submitting (allow React to process)
-    log(`Waiting ${CONFIG.TIMEOUTS.AFTER_INJECTION}ms before submitting...`);
-    await delay(CONFIG.TIMEOUTS.AFTER_INJECTION);
-
-    // Step 6: Click the send button
-    const submitted = await clickSendButton();
+    if (resumed) {
+      showToast('Better Gemini: resumed the prompt you started before signing in');
+    }
 
-    if (submitted) {
-      log('Prompt submitted successfully!');
+    if (!autoSubmit) {
+      // Prefill only: leave the prompt for the user to edit or add attachments
+      inputElement.focus();
+      log('Prompt filled in without submitting');
     } else {
-      logError('Failed to submit prompt');
+      // Step 5: Wait before submitting (allow React to process)
+      log(`Waiting ${CONFIG.TIMEOUTS.AFTER_INJECTION}ms before submitting...`);
+      await delay(CONFIG.TIMEOUTS.AFTER_INJECTION);
+
+      // Step 6: Check for secrets, then click the send button
+      if (!await reviewBeforeSend(inputElement, prompt)) {
+        cleanupURL();
+        return;
+      }
+      const submitted = await clickSendButton();
+
+      if (submitted) {
+        log('Prompt submitted successfully!');
+      } else {
+        logError('Failed to submit prompt');
+      }
     }
 
     // Step 7: Cleanup URL regardless of submission success
@@ -579,15 +1026,21 @@ async function main() {
     logError('Injection process failed', error);
     // Cleanup URL to prevent retry loop
     cleanupURL();
+
+    // The input never appeared because Gemini is showing its signed-out page
+    if (isSignInPage()) {
+      await savePendingPrompt(prompt, autoSubmit);
+    }
   }
 }
 
 /**
  * Handles prompt injection triggered via message
  * @param {string} prompt - The prompt to inject
+ * @param {boolean} [submit=true] - False to only fill in the prompt
  * @returns {Promise<boolean>} Success status
  */
-async function injectPromptFromMessage(prompt) {
+async function injectPromptFromMessage(prompt, submit = true) {
   try {
     const inputElement = await waitForInputField();
 
@@ -597,8 +1050,14 @@ async function injectPromptFromMessage(prompt) {
     const injected = injectText(inputElement, prompt);
 
     if (injected) {
-      await delay(CONFIG.TIMEOUTS.AFTER_INJECTION);
-      await clickSendButton();
+      if (submit) {
+        await delay(CONFIG.TIMEOUTS.AFTER_INJECTION);
+        if (await reviewBeforeSend(inputElement, prompt)) {
+          await clickSendButton();
+        }
+      } else {
+        inputElement.focus();
+      }
       return true;
     }
     return false;
@@ -634,31 +1093,27 @@ if (IS_BROWSER_ENV && !IS_TEST_ENV) {
     // ============================================================================
 
     /**
-     * Handles messages from the background script
+     * Handles typed messages from the background script (see messaging.js)
      * Allows triggering injection programmatically
      */
-    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
-      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        log('Received message from background:', message);
-
-        if (message.action === 'injectPrompt' && message.prompt) {
-          // Inject prompt received from background script
-          injectPromptFromMessage(message.prompt).then(success => {
-            sendResponse({ success });
-          });
-          return true; // Keep channel open for async response
-        }
-
-        if (message.action === 'ping') {
-          sendResponse({ status: 'alive' });
-          return true;
-        }
-
-        sendResponse({ status: 'unknown_action' });
-        return true;
-      });
+    const Messaging = window.BetterGeminiMessaging;
+    if (Messaging && typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
+      const { MESSAGE_TYPES } = Messaging;
+
+      chrome.runtime.onMessage.addListener(Messaging.createRouter({
+        [MESSAGE_TYPES.PING]: () => ({ status: 'alive' }),
+
+        [MESSAGE_TYPES.INJECT_PROMPT]: async ({ prompt, submit }) => {
+          log('Received prompt from background:', prompt);
+          const success = await injectPromptFromMessage(prompt, submit !== false);
+          return { success };
+        },
+      }));
     }
 
+    // Let the background badge the tab while Gemini is answering
+    watchGenerationStatus();
+
     // ============================================================================
     // INITIALIZATION
     // ============================================================================
@@ -696,14 +1151,27 @@ if (IS_TEST_ENV) {
   module.exports = {
     // Core functions for testing
     getPromptFromURL,
+    redeemPromptToken,
+    shouldAutoSubmit,
     cleanupURL,
     waitForElement,
     waitForInputField,
     injectText,
     clickSendButton,
+    reviewBeforeSend,
     findSendButton,
+    isGenerating,
+    watchGenerationStatus,
     queryWithSelectors,
     isUserLoggedOut,
+    isSignInPage,
+    savePendingPrompt,
+    loadPendingPrompt,
+    claimPendingPrompt,
+    releasePendingPrompt,
+    clearPendingPrompt,
+    isNewChatPage,
+    showToast,
     delay,
     // Config for test inspection/modification
     CONFIG,
@@ -711,5 +1179,6 @@ if (IS_TEST_ENV) {
     injectTextWithInputEvent,
     main,
     injectPromptFromMessage,
+    applyLaunchOverrides,
   };
 }
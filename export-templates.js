@@ -0,0 +1,298 @@
+/**
+ * Better Gemini - Export Templates
+ *
+ * A small Mustache-style template language for chat exports, shared by the
+ * Export Chat button (content/features/export-full-chat.js) and the options
+ * page, which previews templates against the open chat.
+ *
+ *   {{title}} {{url}} {{model}} {{id}}    Chat title, address, model label, conversation id
+ *   {{date}} {{time}} {{datetime}}        Export time: 2026-03-05, 09:07, and the local format
+ *   {{#turns}} ... {{/turns}}             Repeated for every message, with:
+ *     {{role}} {{content}} {{index}}       "user" or "assistant", the text, and 1, 2, 3, ...
+ *     {{#user}} {{#assistant}}            Only for that role
+ *     {{#first}} {{#last}}                Only for the first or last message
+ *   {{#name}} ... {{/name}}               Only when name is set (e.g. {{#model}})
+ *   {{^name}} ... {{/name}}               Only when name is empty
+ *
+ * A section tag alone on its line takes the whole line with it, so templates
+ * can put tags on their own lines without adding blank lines to the output.
+ * Values are inserted as they are: exports are plain text, not HTML.
+ *
+ * Loaded as a plain script everywhere (content scripts can't use ES modules),
+ * so the API is exposed as globalThis.BetterGeminiExportTemplates, and through
+ * module.exports under Node for tests.
+ */
+
+(function() {
+  'use strict';
+
+  // ========== ENVIRONMENT DETECTION ==========
+  const IS_TEST_ENV = typeof module !== 'undefined' && module.exports;
+
+  // ========== LANGUAGE ==========
+
+  /**
+   * Variables available everywhere, and inside {{#turns}}
+   */
+  const CHAT_VARIABLES = ['title', 'url', 'model', 'id', 'date', 'time', 'datetime', 'turns'];
+  const TURN_VARIABLES = ['role', 'content', 'index', 'user', 'assistant', 'first', 'last'];
+
+  /**
+   * The layout the Markdown export has always used
+   */
+  const DEFAULT_TEMPLATE = [
+    '# {{title}}',
+    '*Exported on {{datetime}}*',
+    '',
+    '---',
+    '',
+    '{{#turns}}',
+    '## {{#user}}User{{/user}}{{#assistant}}Assistant{{/assistant}}',
+    '',
+    '{{content}}',
+    '{{^last}}',
+    '',
+    '{{#assistant}}',
+    '---',
+    '',
+    '{{/assistant}}',
+    '{{/last}}',
+    '{{/turns}}',
+    '',
+  ].join('\n');
+
+  const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([\w-]*)\s*\}\}/g;
+
+  /**
+   * Error raised for a template that can't be parsed
+   */
+  class TemplateError extends Error {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+      super(message);
+      this.name = 'TemplateError';
+    }
+  }
+
+  // ========== PARSING ==========
+
+  /**
+   * Whether a section tag is alone on its line, and where that line starts and ends
+   * @param {string} source
+   * @param {number} start - Index of the tag
+   * @param {number} end - Index just past the tag
+   * @returns {{start: number, end: number}|null} - The line, including its newline
+   */
+  function findStandaloneLine(source, start, end) {
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    if (source.slice(lineStart, start).trim() !== '') {
+      return null;
+    }
+
+    const newline = source.indexOf('\n', end);
+    const lineEnd = newline === -1 ? source.length : newline + 1;
+    if (source.slice(end, lineEnd).trim() !== '') {
+      return null;
+    }
+    return { start: lineStart, end: lineEnd };
+  }
+
+  /**
+   * Parse a template into a tree of text, variable and section nodes
+   * @param {string} source
+   * @returns {Array<object>}
+   * @throws {TemplateError} For unknown variables and unbalanced sections
+   */
+  function parseTemplate(source) {
+    if (typeof source !== 'string') {
+      throw new TemplateError('Template must be text');
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    let position = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      const [tag, sigil, name] = match;
+      const current = stack[stack.length - 1];
+      let textEnd = match.index;
+      let next = TAG_PATTERN.lastIndex;
+
+      if (sigil) {
+        const line = findStandaloneLine(source, match.index, next);
+        if (line) {
+          textEnd = Math.max(line.start, position);
+          next = line.end;
+        }
+      }
+      if (textEnd > position) {
+        current.children.push({ type: 'text', value: source.slice(position, textEnd) });
+      }
+      position = next;
+      TAG_PATTERN.lastIndex = next;
+
+      if (!name) {
+        throw new TemplateError(`Empty tag "${tag}"`);
+      }
+
+      const inTurns = stack.some(node => node.name === 'turns');
+      if (sigil !== '/' && !CHAT_VARIABLES.includes(name) && !(inTurns && TURN_VARIABLES.includes(name))) {
+        throw new TemplateError(TURN_VARIABLES.includes(name)
+          ? `{{${name}}} can only be used inside {{#turns}}`
+          : `Unknown variable {{${name}}}`);
+      }
+
+      if (sigil === '#' || sigil === '^') {
+        const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+        current.children.push(section);
+        stack.push(section);
+      } else if (sigil === '/') {
+        if (current === root || current.name !== name) {
+          throw new TemplateError(current === root
+            ? `{{/${name}}} has no matching {{#${name}}}`
+            : `{{/${name}}} found where {{/${current.name}}} was expected`);
+        }
+        stack.pop();
+      } else {
+        current.children.push({ type: 'variable', name });
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw new TemplateError(`{{${open.inverted ? '^' : '#'}${open.name}}} is never closed`);
+    }
+    if (position < source.length) {
+      root.children.push({ type: 'text', value: source.slice(position) });
+    }
+    return root.children;
+  }
+
+  /**
+   * Check a template without rendering it
+   * @param {string} source
+   * @returns {string|null} - What is wrong, or null if the template is valid
+   */
+  function validateTemplate(source) {
+    try {
+      parseTemplate(source);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  // ========== RENDERING ==========
+
+  /**
+   * Values a template can use for a chat
+   * @param {object} chat
+   * @param {string} chat.title
+   * @param {string} chat.url
+   * @param {string|null} [chat.model]
+   * @param {string|null} [chat.conversationId]
+   * @param {Array<{role: string, content: string}>} chat.turns
+   * @param {Date} [date] - Export time
+   * @returns {object}
+   */
+  function createContext(chat, date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    const turns = chat.turns || [];
+
+    return {
+      title: chat.title || '',
+      url: chat.url || '',
+      model: chat.model || '',
+      id: chat.conversationId || '',
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+      datetime: date.toLocaleString(),
+      turns: turns.map((turn, index) => ({
+        role: turn.role,
+        content: turn.content,
+        index: index + 1,
+        user: turn.role === 'user',
+        assistant: turn.role === 'assistant',
+        first: index === 0,
+        last: index === turns.length - 1,
+      })),
+    };
+  }
+
+  /**
+   * Render parsed nodes, looking names up from the innermost context outwards
+   * @param {Array<object>} nodes
+   * @param {Array<object>} contexts
+   * @returns {string}
+   */
+  function renderNodes(nodes, contexts) {
+    const lookup = name => {
+      for (let i = contexts.length - 1; i >= 0; i--) {
+        if (Object.prototype.hasOwnProperty.call(contexts[i], name)) {
+          return contexts[i][name];
+        }
+      }
+      return '';
+    };
+
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+
+      const value = lookup(node.name);
+      if (node.type === 'variable') {
+        return value === null || value === undefined || typeof value === 'boolean' || Array.isArray(value)
+          ? ''
+          : String(value);
+      }
+
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.inverted) {
+        return empty ? renderNodes(node.children, contexts) : '';
+      }
+      if (empty) {
+        return '';
+      }
+      if (Array.isArray(value)) {
+        return value.map(item => renderNodes(node.children, [...contexts, item])).join('');
+      }
+      return renderNodes(node.children, contexts);
+    }).join('');
+  }
+
+  /**
+   * Render a template for a chat
+   * @param {string} source
+   * @param {object} chat - See createContext()
+   * @param {Date} [date] - Export time
+   * @returns {string}
+   * @throws {TemplateError} If the template can't be parsed
+   */
+  function renderTemplate(source, chat, date = new Date()) {
+    return renderNodes(parseTemplate(source), [createContext(chat, date)]);
+  }
+
+  // ========== EXPORTS ==========
+
+  const api = {
+    CHAT_VARIABLES,
+    TURN_VARIABLES,
+    DEFAULT_TEMPLATE,
+    TemplateError,
+    parseTemplate,
+    validateTemplate,
+    createContext,
+    renderTemplate,
+  };
+
+  globalThis.BetterGeminiExportTemplates = api;
+
+  if (IS_TEST_ENV) {
+    module.exports = api;
+  }
+})();
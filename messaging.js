@@ -0,0 +1,318 @@
+/**
+ * Better Gemini - Message Protocol
+ *
+ * Typed, versioned messages between the background service worker, the
+ * content scripts on Gemini, the popup and the offscreen document.
+ *
+ * Every request is an envelope { bgProtocol, id, type, payload }. The reply
+ * carries the same id and either { ok: true, result } or
+ * { ok: false, error: { code, message } }, which sendMessage() turns back into
+ * a resolved value or a rejected MessagingError.
+ *
+ * Loaded as a plain script everywhere (content scripts can't use ES modules),
+ * so the API is exposed as globalThis.BetterGeminiMessaging, and through
+ * module.exports under Node for tests.
+ */
+
+(function() {
+  'use strict';
+
+  // ========== ENVIRONMENT DETECTION ==========
+  const IS_TEST_ENV = typeof module !== 'undefined' && module.exports;
+
+  // ========== PROTOCOL ==========
+
+  /**
+   * Bump when an envelope or payload changes incompatibly
+   */
+  const PROTOCOL_VERSION = 1;
+
+  /**
+   * How long sendMessage() waits for a reply by default (ms)
+   */
+  const DEFAULT_TIMEOUT_MS = 5000;
+
+  /**
+   * Message types, grouped by who handles them
+   */
+  const MESSAGE_TYPES = {
+    // Handled by the content scripts on a Gemini tab
+    PING: 'ping',
+    INJECT_PROMPT: 'injectPrompt',
+    GET_MODEL: 'getModel',
+    TRIGGER_EXPORT: 'triggerExport',
+    GET_CHAT: 'getChat',
+
+    // Handled by the background service worker
+    GENERATION_STATUS: 'generationStatus',
+    INDEX_CHATS: 'indexChats',
+    LAUNCH_PROMPT: 'launchPrompt',
+
+    // Handled by the offscreen document
+    READ_CLIPBOARD: 'readClipboard',
+  };
+
+  /**
+   * Payload fields per message type, checked with typeof ("array" for arrays)
+   * A leading "?" marks an optional field.
+   */
+  const PAYLOAD_SCHEMAS = {
+    [MESSAGE_TYPES.PING]: {},
+    [MESSAGE_TYPES.INJECT_PROMPT]: { prompt: 'string', submit: '?boolean' },
+    [MESSAGE_TYPES.GET_MODEL]: {},
+    [MESSAGE_TYPES.TRIGGER_EXPORT]: { format: '?string', template: '?string' },
+    [MESSAGE_TYPES.GET_CHAT]: {},
+    [MESSAGE_TYPES.GENERATION_STATUS]: { generating: 'boolean' },
+    [MESSAGE_TYPES.INDEX_CHATS]: { chats: 'array' },
+    [MESSAGE_TYPES.LAUNCH_PROMPT]: { prompt: 'string' },
+    [MESSAGE_TYPES.READ_CLIPBOARD]: {},
+  };
+
+  /**
+   * Error codes carried by MessagingError and error replies
+   */
+  const ERROR_CODES = {
+    TIMEOUT: 'timeout',
+    NO_RECEIVER: 'no_receiver',
+    UNKNOWN_TYPE: 'unknown_type',
+    INVALID_PAYLOAD: 'invalid_payload',
+    VERSION_MISMATCH: 'version_mismatch',
+    FORBIDDEN: 'forbidden',
+    HANDLER_ERROR: 'handler_error',
+    BAD_RESPONSE: 'bad_response',
+  };
+
+  /**
+   * Error raised by sendMessage() and thrown by handlers to pick a code
+   */
+  class MessagingError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message
+     */
+    constructor(code, message) {
+      super(message);
+      this.name = 'MessagingError';
+      this.code = code;
+    }
+  }
+
+  // ========== ENVELOPES ==========
+
+  function createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Check a payload against its type's schema
+   * @param {string} type
+   * @param {object} payload
+   * @returns {string|null} - What is wrong, or null if the payload is valid
+   */
+  function validatePayload(type, payload) {
+    const schema = PAYLOAD_SCHEMAS[type];
+    if (!schema) {
+      return `Unknown message type "${type}"`;
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return 'Payload must be an object';
+    }
+
+    for (const [field, spec] of Object.entries(schema)) {
+      const optional = spec.startsWith('?');
+      const expected = optional ? spec.slice(1) : spec;
+      const value = payload[field];
+      if (value === undefined) {
+        if (!optional) {
+          return `Missing "${field}"`;
+        }
+        continue;
+      }
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      if (actual !== expected) {
+        return `"${field}" must be ${expected === 'array' ? 'an array' : `a ${expected}`}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build a request envelope
+   * @param {string} type - One of MESSAGE_TYPES
+   * @param {object} [payload]
+   * @returns {{bgProtocol: number, id: string, type: string, payload: object}}
+   * @throws {MessagingError} If the type is unknown or the payload is invalid
+   */
+  function createMessage(type, payload = {}) {
+    const problem = validatePayload(type, payload);
+    if (problem) {
+      throw new MessagingError(PAYLOAD_SCHEMAS[type] ? ERROR_CODES.INVALID_PAYLOAD : ERROR_CODES.UNKNOWN_TYPE, problem);
+    }
+    return { bgProtocol: PROTOCOL_VERSION, id: createId(), type, payload };
+  }
+
+  /**
+   * Build a success reply to a request
+   * @param {object} message - The request envelope
+   * @param {*} result
+   */
+  function createResponse(message, result) {
+    return { bgProtocol: PROTOCOL_VERSION, id: message.id, ok: true, result: result === undefined ? null : result };
+  }
+
+  /**
+   * Build an error reply to a request
+   * @param {object} message - The request envelope
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} errorMessage
+   */
+  function createErrorResponse(message, code, errorMessage) {
+    return { bgProtocol: PROTOCOL_VERSION, id: message.id, ok: false, error: { code, message: errorMessage } };
+  }
+
+  /**
+   * Whether something received through chrome.runtime.onMessage is one of ours
+   * @param {*} message
+   * @returns {boolean}
+   */
+  function isProtocolMessage(message) {
+    return !!message && typeof message === 'object' &&
+      typeof message.bgProtocol === 'number' && typeof message.id === 'string' && typeof message.type === 'string';
+  }
+
+  // ========== SENDING ==========
+
+  /**
+   * Turn a reply into the handler's result, or throw its error
+   * @param {object} message - The request envelope
+   * @param {*} response - What came back
+   * @returns {*}
+   */
+  function unwrapResponse(message, response) {
+    if (response === undefined || response === null) {
+      throw new MessagingError(ERROR_CODES.NO_RECEIVER, `No handler answered "${message.type}"`);
+    }
+    if (typeof response !== 'object' || response.id !== message.id) {
+      throw new MessagingError(ERROR_CODES.BAD_RESPONSE, `Unexpected reply to "${message.type}"`);
+    }
+    if (!response.ok) {
+      const error = response.error || {};
+      throw new MessagingError(error.code || ERROR_CODES.HANDLER_ERROR, error.message || `"${message.type}" failed`);
+    }
+    return response.result;
+  }
+
+  /**
+   * Send a typed request and wait for its reply
+   *
+   * @param {string} type - One of MESSAGE_TYPES
+   * @param {object} [payload]
+   * @param {object} [options]
+   * @param {number} [options.tabId] - Send to this tab's content scripts instead of the extension
+   * @param {number} [options.timeout] - Give up after this long (ms); 0 waits indefinitely
+   * @param {object} [options.chromeApi] - Chrome API object (for testing)
+   * @returns {Promise<*>} - The handler's result
+   * @throws {MessagingError}
+   */
+  async function sendMessage(type, payload = {}, options = {}) {
+    const chromeApi = options.chromeApi || (typeof chrome !== 'undefined' ? chrome : null);
+    const timeoutMs = options.timeout === undefined ? DEFAULT_TIMEOUT_MS : options.timeout;
+    const message = createMessage(type, payload);
+
+    const request = Promise.resolve()
+      .then(() => (options.tabId !== undefined
+        ? chromeApi.tabs.sendMessage(options.tabId, message)
+        : chromeApi.runtime.sendMessage(message)))
+      .catch(error => {
+        // "Receiving end does not exist", "message port closed", extension reloaded, ...
+        throw new MessagingError(ERROR_CODES.NO_RECEIVER, error && error.message ? error.message : String(error));
+      });
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          reject(new MessagingError(ERROR_CODES.TIMEOUT, `"${type}" timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+      }
+    });
+
+    try {
+      return unwrapResponse(message, await Promise.race([request, timeout]));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // ========== RECEIVING ==========
+
+  /**
+   * Create a chrome.runtime.onMessage listener that dispatches to handlers
+   *
+   * Messages of other types are left alone (the listener returns false without
+   * answering), so every context can register its own router side by side.
+   * Handlers get (payload, sender) and may return a value or a promise; throw
+   * a MessagingError to reply with a specific error code.
+   *
+   * @param {Object<string, function(object, object): *>} handlers - Keyed by message type
+   * @returns {function(*, object, function): boolean}
+   */
+  function createRouter(handlers) {
+    return function(message, sender, sendResponse) {
+      if (!isProtocolMessage(message) || !Object.prototype.hasOwnProperty.call(handlers, message.type)) {
+        return false;
+      }
+
+      if (message.bgProtocol !== PROTOCOL_VERSION) {
+        sendResponse(createErrorResponse(message, ERROR_CODES.VERSION_MISMATCH,
+          `Protocol version ${message.bgProtocol} is not supported (expected ${PROTOCOL_VERSION})`));
+        return false;
+      }
+
+      const payload = message.payload === undefined ? {} : message.payload;
+      const problem = validatePayload(message.type, payload);
+      if (problem) {
+        sendResponse(createErrorResponse(message, ERROR_CODES.INVALID_PAYLOAD, problem));
+        return false;
+      }
+
+      Promise.resolve()
+        .then(() => handlers[message.type](payload, sender || {}))
+        .then(
+          result => sendResponse(createResponse(message, result)),
+          error => sendResponse(createErrorResponse(message,
+            (error && error.code) || ERROR_CODES.HANDLER_ERROR,
+            (error && error.message) || String(error)))
+        );
+      return true; // Reply asynchronously
+    };
+  }
+
+  // ========== EXPORTS ==========
+
+  const api = {
+    PROTOCOL_VERSION,
+    DEFAULT_TIMEOUT_MS,
+    MESSAGE_TYPES,
+    PAYLOAD_SCHEMAS,
+    ERROR_CODES,
+    MessagingError,
+    validatePayload,
+    createMessage,
+    createResponse,
+    createErrorResponse,
+    isProtocolMessage,
+    unwrapResponse,
+    sendMessage,
+    createRouter,
+  };
+
+  globalThis.BetterGeminiMessaging = api;
+
+  if (IS_TEST_ENV) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,27 @@
+/**
+ * Better Gemini - Offscreen Document Script
+ *
+ * Reads the clipboard for background.js, which has no DOM of its own
+ */
+
+/**
+ * Paste the clipboard into a textarea and return its plain text
+ * @returns {string}
+ */
+function readClipboardText() {
+  const textarea = document.getElementById('clipboard');
+  textarea.value = '';
+  textarea.focus();
+  document.execCommand('paste');
+  const text = textarea.value;
+  textarea.value = '';
+  return text;
+}
+
+const { MESSAGE_TYPES, createRouter } = globalThis.BetterGeminiMessaging;
+
+// Content scripts' and the popup's messages reach this page too; the router
+// only answers the types listed here
+chrome.runtime.onMessage.addListener(createRouter({
+  [MESSAGE_TYPES.READ_CLIPBOARD]: () => ({ text: readClipboardText() }),
+}));
@@ -0,0 +1,347 @@
+/**
+ * Better Gemini - Onboarding Page Script
+ *
+ * Opened by background.js on first install. Demos the "gem" keyword and the
+ * keyboard shortcuts, and saves the default model and feature toggles as they
+ * change (same storage as the options page). Settings decided by managed policy
+ * are shown locked, as on the options page.
+ *
+ * The cheat sheet is filled from SHORTCUT_DEFINITIONS (shortcut-definitions.js),
+ * the same list the in-page help popup shows.
+ */
+
+// Storage keys and defaults (settings-schema.js)
+const SettingsSchema = globalThis.BetterGeminiSettingsSchema;
+const STORAGE_KEY = SettingsSchema.STORAGE_KEYS.features;
+const MODEL_STORAGE_KEY = SettingsSchema.STORAGE_KEYS.defaultModel;
+const DEFAULT_MODEL = SettingsSchema.DEFAULTS.defaultModel;
+
+const GEMINI_URL = 'https://gemini.google.com/app';
+
+// Prompts typed out in the address bar demo
+const OMNIBOX_EXAMPLES = [
+  'explain quantum computing like I\'m five',
+  '@pro review this SQL query for injection risks',
+  '!page what are the main arguments here?',
+  '@thinking plan a three-day trip to Kyoto',
+  '>kubernetes'
+];
+
+// Address bar demo timing (ms)
+const DEMO_TIMING = {
+  TYPE: 55,       // Per character
+  HOLD: 1800,     // Finished prompt stays up
+  ERASE: 20       // Per character
+};
+
+// DOM element references
+const elements = {
+  omniboxDemoText: null,
+  globalShortcuts: null,
+  shortcutSheet: null,
+  openShortcutSettings: null,
+  exportMarkdown: null,
+  exportFullChat: null,
+  keyboardShortcuts: null,
+  widerChatWidth: null,
+  defaultModel: null,
+  sensitiveDataGuard: null,
+  selectedModel: null,
+  modelSelectorContainer: null,
+  openGeminiButton: null,
+  openOptionsButton: null,
+  saveStatus: null
+};
+
+// Timer hiding the "Saved" status
+let saveStatusTimer = null;
+
+// Settings decided by administrator policy, and the user's own values for them
+// so saving doesn't overwrite them with the policy's
+let managedLocks = SettingsSchema.getManagedLocks(SettingsSchema.NO_POLICIES);
+let userFeatures = {};
+let userModel = DEFAULT_MODEL;
+
+/**
+ * Initialize DOM element references
+ */
+function initializeElements() {
+  elements.omniboxDemoText = document.getElementById('omniboxDemoText');
+  elements.globalShortcuts = document.getElementById('globalShortcuts');
+  elements.shortcutSheet = document.getElementById('shortcutSheet');
+  elements.openShortcutSettings = document.getElementById('openShortcutSettings');
+  elements.exportMarkdown = document.getElementById('exportMarkdown');
+  elements.exportFullChat = document.getElementById('exportFullChat');
+  elements.keyboardShortcuts = document.getElementById('keyboardShortcuts');
+  elements.widerChatWidth = document.getElementById('widerChatWidth');
+  elements.defaultModel = document.getElementById('defaultModel');
+  elements.sensitiveDataGuard = document.getElementById('sensitiveDataGuard');
+  elements.selectedModel = document.getElementById('selectedModel');
+  elements.modelSelectorContainer = document.getElementById('modelSelectorContainer');
+  elements.openGeminiButton = document.getElementById('openGeminiButton');
+  elements.openOptionsButton = document.getElementById('openOptionsButton');
+  elements.saveStatus = document.getElementById('saveStatus');
+}
+
+// ========== SETTINGS ==========
+
+/**
+ * Load settings from chrome.storage.sync
+ */
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.sync.get([STORAGE_KEY, MODEL_STORAGE_KEY]);
+    const policies = await SettingsSchema.loadManagedPolicies(chrome.storage.managed);
+    userFeatures = SettingsSchema.withFeatureDefaults(result[STORAGE_KEY]);
+    userModel = result[MODEL_STORAGE_KEY] || DEFAULT_MODEL;
+
+    // Policies win over what the user saved
+    const settings = SettingsSchema.applyManagedFeatures(result[STORAGE_KEY], policies);
+
+    elements.exportMarkdown.checked = settings.exportMarkdown !== false;
+    elements.exportFullChat.checked = settings.exportFullChat !== false;
+    elements.keyboardShortcuts.checked = settings.keyboardShortcuts !== false;
+    elements.widerChatWidth.checked = settings.widerChatWidth !== false;
+    elements.defaultModel.checked = settings.defaultModel !== false;
+    elements.sensitiveDataGuard.checked = settings.sensitiveDataGuard !== false;
+    elements.selectedModel.value = policies.defaultModel || userModel;
+
+    lockManagedControls(policies);
+  } catch (error) {
+    console.error('[Better Gemini Onboarding] Error loading settings:', error);
+  }
+  updateModelSelectorVisibility();
+}
+
+/**
+ * Disable the controls decided by policy and say why under their description
+ * @param {object} policies - From SettingsSchema.loadManagedPolicies()
+ */
+function lockManagedControls(policies) {
+  managedLocks = SettingsSchema.getManagedLocks(policies);
+  managedLocks.features.forEach(name => {
+    lockControl(elements[name], policies.disabledFeatures.includes(name)
+      ? 'Turned off by your organization'
+      : 'Kept on by your organization');
+  });
+  if (managedLocks.defaultModel) {
+    lockControl(elements.selectedModel, 'Chosen by your organization');
+  }
+}
+
+/**
+ * Disable a control and add the reason to its description
+ * @param {HTMLElement} control
+ * @param {string} reason
+ */
+function lockControl(control, reason) {
+  control.disabled = true;
+  control.title = reason;
+
+  const note = document.createElement('p');
+  note.className = 'setting-description managed-note';
+  note.textContent = reason;
+  control.closest('.setting-item').querySelector('.setting-info').appendChild(note);
+}
+
+/**
+ * Save settings to chrome.storage.sync
+ */
+async function saveSettings() {
+  const settings = {
+    exportMarkdown: elements.exportMarkdown.checked,
+    exportFullChat: elements.exportFullChat.checked,
+    keyboardShortcuts: elements.keyboardShortcuts.checked,
+    widerChatWidth: elements.widerChatWidth.checked,
+    defaultModel: elements.defaultModel.checked,
+    sensitiveDataGuard: elements.sensitiveDataGuard.checked
+  };
+
+  // Settings locked by policy keep the user's own value
+  managedLocks.features.forEach(name => {
+    settings[name] = userFeatures[name];
+  });
+  const selectedModel = managedLocks.defaultModel ? userModel : elements.selectedModel.value;
+
+  updateModelSelectorVisibility();
+
+  try {
+    await chrome.storage.sync.set({
+      [STORAGE_KEY]: settings,
+      [MODEL_STORAGE_KEY]: selectedModel
+    });
+    showSaveStatus();
+  } catch (error) {
+    console.error('[Better Gemini Onboarding] Error saving settings:', error);
+  }
+}
+
+/**
+ * Show "Saved" briefly
+ */
+function showSaveStatus() {
+  clearTimeout(saveStatusTimer);
+  elements.saveStatus.textContent = 'Saved';
+  elements.saveStatus.className = 'save-status success';
+  saveStatusTimer = setTimeout(() => {
+    elements.saveStatus.textContent = '';
+    elements.saveStatus.className = 'save-status';
+  }, 1500);
+}
+
+/**
+ * Only show the model picker while Default Model is on
+ */
+function updateModelSelectorVisibility() {
+  elements.modelSelectorContainer.style.display = elements.defaultModel.checked ? 'flex' : 'none';
+}
+
+// ========== SHORTCUT CHEAT SHEET ==========
+
+/**
+ * Append a key/description pair to a definition list
+ * @param {HTMLElement} list - A <dl>
+ * @param {string} keys
+ * @param {string} description
+ */
+function appendShortcut(list, keys, description) {
+  const term = document.createElement('dt');
+  keys.split('+').forEach((key, index) => {
+    if (index > 0) {
+      term.append('+');
+    }
+    const kbd = document.createElement('kbd');
+    kbd.textContent = key;
+    term.appendChild(kbd);
+  });
+
+  const detail = document.createElement('dd');
+  detail.textContent = description;
+  list.append(term, detail);
+}
+
+/**
+ * Render the in-page shortcuts, grouped like the Gemini help popup
+ */
+function renderShortcutSheet() {
+  const shortcuts = globalThis.BetterGeminiShortcutDefinitions;
+  if (!shortcuts || !shortcuts.SHORTCUT_DEFINITIONS) {
+    return;
+  }
+
+  Object.entries(shortcuts.SHORTCUT_DEFINITIONS).forEach(([group, definitions]) => {
+    const column = document.createElement('div');
+    column.className = 'shortcut-group';
+
+    const heading = document.createElement('h3');
+    heading.textContent = group;
+
+    const list = document.createElement('dl');
+    list.className = 'shortcut-list';
+    definitions.forEach(({ keys, description }) => appendShortcut(list, keys, description));
+
+    column.append(heading, list);
+    elements.shortcutSheet.appendChild(column);
+  });
+}
+
+/**
+ * Render the browser-wide commands with the keys the user actually has
+ */
+async function renderGlobalShortcuts() {
+  try {
+    const commands = await chrome.commands.getAll();
+    commands
+      .filter(command => command.description)
+      .forEach(command => appendShortcut(elements.globalShortcuts, command.shortcut || 'Not set', command.description));
+  } catch (error) {
+    console.error('[Better Gemini Onboarding] Error loading commands:', error);
+  }
+}
+
+// ========== ADDRESS BAR DEMO ==========
+
+/**
+ * Type the example prompts after "gem" in a loop
+ */
+async function startOmniboxDemo() {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // No animation for users who asked for less motion
+  if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+    elements.omniboxDemoText.textContent = OMNIBOX_EXAMPLES[0];
+    return;
+  }
+
+  for (let i = 0; ; i = (i + 1) % OMNIBOX_EXAMPLES.length) {
+    const example = OMNIBOX_EXAMPLES[i];
+    for (let length = 1; length <= example.length; length++) {
+      elements.omniboxDemoText.textContent = example.slice(0, length);
+      await sleep(DEMO_TIMING.TYPE);
+    }
+    await sleep(DEMO_TIMING.HOLD);
+    for (let length = example.length - 1; length >= 0; length--) {
+      elements.omniboxDemoText.textContent = example.slice(0, length);
+      await sleep(DEMO_TIMING.ERASE);
+    }
+  }
+}
+
+// ========== NAVIGATION ==========
+
+/**
+ * Open Gemini in this tab to try things out
+ */
+function openGemini() {
+  window.location.href = GEMINI_URL;
+}
+
+/**
+ * Open chrome://extensions/shortcuts (pages can't link to chrome:// URLs)
+ * @param {Event} event
+ */
+function openShortcutSettings(event) {
+  event.preventDefault();
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+}
+
+/**
+ * Open the full options page
+ */
+function openOptionsPage() {
+  chrome.runtime.openOptionsPage();
+}
+
+/**
+ * Attach event listeners
+ */
+function attachEventListeners() {
+  [
+    elements.exportMarkdown,
+    elements.exportFullChat,
+    elements.keyboardShortcuts,
+    elements.widerChatWidth,
+    elements.defaultModel,
+    elements.sensitiveDataGuard,
+    elements.selectedModel
+  ].forEach(input => input.addEventListener('change', saveSettings));
+
+  elements.openShortcutSettings.addEventListener('click', openShortcutSettings);
+  elements.openGeminiButton.addEventListener('click', openGemini);
+  elements.openOptionsButton.addEventListener('click', openOptionsPage);
+}
+
+/**
+ * Initialize the onboarding page
+ */
+function initialize() {
+  initializeElements();
+  loadSettings();
+  renderShortcutSheet();
+  renderGlobalShortcuts();
+  attachEventListeners();
+  startOmniboxDemo();
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', initialize);
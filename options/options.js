@@ -4,35 +4,93 @@
  * Handles saving and loading of extension settings using chrome.storage.sync
  */
 
-// Storage key for all feature settings
-const STORAGE_KEY = 'betterGemini_features';
-const MODEL_STORAGE_KEY = 'betterGemini_defaultModel';
-const EFFORT_STORAGE_KEY = 'betterGemini_thinkingLevel';
-
-// Default settings - all features enabled by default
-const DEFAULT_SETTINGS = {
-  exportMarkdown: true,
-  exportFullChat: true,
-  keyboardShortcuts: true,
-  widerChatWidth: true,
-  defaultModel: true
-};
+// Storage keys and defaults (settings-schema.js)
+const SettingsSchema = globalThis.BetterGeminiSettingsSchema;
+const { STORAGE_KEYS, DEFAULTS } = SettingsSchema;
+
+// Export template language (export-templates.js) and messages to the Gemini tab (messaging.js)
+const ExportTemplates = globalThis.BetterGeminiExportTemplates;
+const Messaging = globalThis.BetterGeminiMessaging;
+
+const STORAGE_KEY = STORAGE_KEYS.features;
+const MODEL_STORAGE_KEY = STORAGE_KEYS.defaultModel;
+const EFFORT_STORAGE_KEY = STORAGE_KEYS.thinkingLevel;
+const TEMPLATES_STORAGE_KEY = STORAGE_KEYS.promptTemplates;
+const HISTORY_STORAGE_KEY = 'betterGemini_history'; // chrome.storage.local
+const HISTORY_ENABLED_STORAGE_KEY = STORAGE_KEYS.historyEnabled;
+const CONTEXT_MENU_STORAGE_KEY = STORAGE_KEYS.contextMenuTemplates;
+const TARGET_TAB_STORAGE_KEY = STORAGE_KEYS.targetTab;
+const GEMINI_TAB_CHAT_STORAGE_KEY = STORAGE_KEYS.geminiTabChat;
+const AUTO_SUBMIT_STORAGE_KEY = STORAGE_KEYS.autoSubmit;
+const DEFAULT_ACCOUNT_STORAGE_KEY = STORAGE_KEYS.defaultAccount;
+const GEMS_STORAGE_KEY = STORAGE_KEYS.gems;
+const SHOW_UPDATE_NOTES_STORAGE_KEY = STORAGE_KEYS.showUpdateNotes;
+const SENSITIVE_PATTERNS_STORAGE_KEY = STORAGE_KEYS.sensitivePatterns;
+const NOTE_FILENAME_PATTERN_STORAGE_KEY = STORAGE_KEYS.noteFilenamePattern;
+const NOTE_TAGS_STORAGE_KEY = STORAGE_KEYS.noteTags;
+const NOTE_TURN_STYLE_STORAGE_KEY = STORAGE_KEYS.noteTurnStyle;
+const EXPORT_TEMPLATES_STORAGE_KEY = STORAGE_KEYS.exportTemplates;
+const MARKDOWN_TEMPLATE_STORAGE_KEY = STORAGE_KEYS.markdownTemplate;
+
+// Template aliases and Gem names are typed after "gem /" and "gem #" so keep them to word characters
+const ALIAS_PATTERN = /^[\w-]+$/;
 
-// Default model (Flash exists on every account) and thinking level
-const DEFAULT_MODEL = 'flash';
-const DEFAULT_EFFORT = ''; // empty = leave Gemini's default thinking level untouched
+// Gem URLs look like https://gemini.google.com/gem/<id> (optionally under /u/N)
+const GEM_URL_PATTERN = /^https:\/\/gemini\.google\.com\/(?:u\/\d+\/)?gem\/([\w-]+)/;
+const GEM_ID_PATTERN = /^[\w-]+$/;
+
+// Default feature toggles, model, thinking level ('' = leave Gemini's default untouched),
+// target tab and reused-tab behavior
+const DEFAULT_SETTINGS = SettingsSchema.FEATURE_DEFAULTS;
+const DEFAULT_MODEL = DEFAULTS.defaultModel;
+const DEFAULT_EFFORT = DEFAULTS.thinkingLevel;
+const DEFAULT_TARGET_TAB = DEFAULTS.targetTab;
+const DEFAULT_GEMINI_TAB_CHAT = DEFAULTS.geminiTabChat;
+
+// Administrator policies (chrome.storage.managed), and the user's own values for
+// the settings they lock so saving doesn't overwrite them with the policy's
+let managedPolicies = SettingsSchema.NO_POLICIES;
+let lockedUserValues = {};
 
 // DOM element references
 const elements = {
+  managedNotice: null,
+  sharedTemplateList: null,
   exportMarkdown: null,
   exportFullChat: null,
   keyboardShortcuts: null,
   widerChatWidth: null,
   defaultModel: null,
+  sensitiveDataGuard: null,
+  sensitivePatterns: null,
+  noteFilenamePattern: null,
+  noteTags: null,
+  noteTurnStyle: null,
+  exportTemplateList: null,
+  addExportTemplateButton: null,
+  markdownTemplate: null,
   selectedModel: null,
   modelSelectorContainer: null,
   selectedEffort: null,
   effortSelectorContainer: null,
+  targetTab: null,
+  geminiTabChat: null,
+  geminiTabChatContainer: null,
+  autoSubmit: null,
+  defaultAccount: null,
+  templateList: null,
+  addTemplateButton: null,
+  gemList: null,
+  addGemButton: null,
+  historyEnabled: null,
+  historyCount: null,
+  clearHistoryButton: null,
+  showUpdateNotes: null,
+  exportSettingsButton: null,
+  importSettingsButton: null,
+  importSettingsFile: null,
+  resetSettingsButton: null,
+  contextMenuTemplates: [],
   saveButton: null,
   saveStatus: null
 };
@@ -41,15 +99,43 @@ const elements = {
  * Initialize DOM element references
  */
 function initializeElements() {
+  elements.managedNotice = document.getElementById('managedNotice');
+  elements.sharedTemplateList = document.getElementById('sharedTemplateList');
   elements.exportMarkdown = document.getElementById('exportMarkdown');
   elements.exportFullChat = document.getElementById('exportFullChat');
   elements.keyboardShortcuts = document.getElementById('keyboardShortcuts');
   elements.widerChatWidth = document.getElementById('widerChatWidth');
   elements.defaultModel = document.getElementById('defaultModel');
+  elements.sensitiveDataGuard = document.getElementById('sensitiveDataGuard');
+  elements.sensitivePatterns = document.getElementById('sensitivePatterns');
+  elements.noteFilenamePattern = document.getElementById('noteFilenamePattern');
+  elements.noteTags = document.getElementById('noteTags');
+  elements.noteTurnStyle = document.getElementById('noteTurnStyle');
+  elements.exportTemplateList = document.getElementById('exportTemplateList');
+  elements.addExportTemplateButton = document.getElementById('addExportTemplateButton');
+  elements.markdownTemplate = document.getElementById('markdownTemplate');
   elements.selectedModel = document.getElementById('selectedModel');
   elements.modelSelectorContainer = document.getElementById('modelSelectorContainer');
   elements.selectedEffort = document.getElementById('selectedEffort');
   elements.effortSelectorContainer = document.getElementById('effortSelectorContainer');
+  elements.targetTab = document.getElementById('targetTab');
+  elements.geminiTabChat = document.getElementById('geminiTabChat');
+  elements.geminiTabChatContainer = document.getElementById('geminiTabChatContainer');
+  elements.autoSubmit = document.getElementById('autoSubmit');
+  elements.defaultAccount = document.getElementById('defaultAccount');
+  elements.templateList = document.getElementById('templateList');
+  elements.addTemplateButton = document.getElementById('addTemplateButton');
+  elements.gemList = document.getElementById('gemList');
+  elements.addGemButton = document.getElementById('addGemButton');
+  elements.historyEnabled = document.getElementById('historyEnabled');
+  elements.historyCount = document.getElementById('historyCount');
+  elements.clearHistoryButton = document.getElementById('clearHistoryButton');
+  elements.showUpdateNotes = document.getElementById('showUpdateNotes');
+  elements.exportSettingsButton = document.getElementById('exportSettingsButton');
+  elements.importSettingsButton = document.getElementById('importSettingsButton');
+  elements.importSettingsFile = document.getElementById('importSettingsFile');
+  elements.resetSettingsButton = document.getElementById('resetSettingsButton');
+  elements.contextMenuTemplates = Array.from(document.querySelectorAll('[data-menu-kind]'));
   elements.saveButton = document.getElementById('saveButton');
   elements.saveStatus = document.getElementById('saveStatus');
 }
@@ -60,10 +146,38 @@ function initializeElements() {
  */
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get([STORAGE_KEY, MODEL_STORAGE_KEY, EFFORT_STORAGE_KEY]);
-    const settings = result[STORAGE_KEY] || DEFAULT_SETTINGS;
-    const selectedModel = result[MODEL_STORAGE_KEY] || DEFAULT_MODEL;
+    const result = await chrome.storage.sync.get([
+      STORAGE_KEY,
+      MODEL_STORAGE_KEY,
+      EFFORT_STORAGE_KEY,
+      TEMPLATES_STORAGE_KEY,
+      HISTORY_ENABLED_STORAGE_KEY,
+      CONTEXT_MENU_STORAGE_KEY,
+      TARGET_TAB_STORAGE_KEY,
+      GEMINI_TAB_CHAT_STORAGE_KEY,
+      AUTO_SUBMIT_STORAGE_KEY,
+      DEFAULT_ACCOUNT_STORAGE_KEY,
+      GEMS_STORAGE_KEY,
+      SHOW_UPDATE_NOTES_STORAGE_KEY,
+      SENSITIVE_PATTERNS_STORAGE_KEY,
+      NOTE_FILENAME_PATTERN_STORAGE_KEY,
+      NOTE_TAGS_STORAGE_KEY,
+      NOTE_TURN_STYLE_STORAGE_KEY,
+      EXPORT_TEMPLATES_STORAGE_KEY,
+      MARKDOWN_TEMPLATE_STORAGE_KEY
+    ]);
+    managedPolicies = await SettingsSchema.loadManagedPolicies(chrome.storage.managed);
+    lockedUserValues = {
+      features: SettingsSchema.withFeatureDefaults(result[STORAGE_KEY]),
+      defaultModel: result[MODEL_STORAGE_KEY] || DEFAULT_MODEL,
+      autoSubmit: result[AUTO_SUBMIT_STORAGE_KEY] !== false
+    };
+
+    // Policies win over what the user saved
+    const settings = SettingsSchema.applyManagedFeatures(result[STORAGE_KEY], managedPolicies);
+    const selectedModel = managedPolicies.defaultModel || result[MODEL_STORAGE_KEY] || DEFAULT_MODEL;
     const selectedEffort = result[EFFORT_STORAGE_KEY] ?? DEFAULT_EFFORT;
+    const templates = result[TEMPLATES_STORAGE_KEY] || [];
 
     // Apply settings to checkboxes
     elements.exportMarkdown.checked = settings.exportMarkdown !== false;
@@ -71,6 +185,12 @@ async function loadSettings() {
     elements.keyboardShortcuts.checked = settings.keyboardShortcuts !== false;
     elements.widerChatWidth.checked = settings.widerChatWidth !== false;
     elements.defaultModel.checked = settings.defaultModel !== false;
+    elements.sensitiveDataGuard.checked = settings.sensitiveDataGuard !== false;
+    elements.sensitivePatterns.value = (result[SENSITIVE_PATTERNS_STORAGE_KEY] || []).join('\n');
+    elements.noteFilenamePattern.value = result[NOTE_FILENAME_PATTERN_STORAGE_KEY] || DEFAULTS.noteFilenamePattern;
+    elements.noteTags.value = (result[NOTE_TAGS_STORAGE_KEY] || DEFAULTS.noteTags).join(' ');
+    elements.noteTurnStyle.value = result[NOTE_TURN_STYLE_STORAGE_KEY] || DEFAULTS.noteTurnStyle;
+    renderExportTemplates(result[EXPORT_TEMPLATES_STORAGE_KEY] || [], result[MARKDOWN_TEMPLATE_STORAGE_KEY] || '');
 
     // Apply selected model and thinking level
     elements.selectedModel.value = selectedModel;
@@ -79,21 +199,121 @@ async function loadSettings() {
     // Update model selector visibility
     updateModelSelectorVisibility();
 
+    // Apply target tab preferences
+    elements.targetTab.value = result[TARGET_TAB_STORAGE_KEY] || DEFAULT_TARGET_TAB;
+    elements.geminiTabChat.value = result[GEMINI_TAB_CHAT_STORAGE_KEY] || DEFAULT_GEMINI_TAB_CHAT;
+    updateGeminiTabChatVisibility();
+    elements.autoSubmit.checked = !managedPolicies.prefillOnly && result[AUTO_SUBMIT_STORAGE_KEY] !== false;
+    elements.defaultAccount.value = Number.isInteger(result[DEFAULT_ACCOUNT_STORAGE_KEY])
+      ? String(result[DEFAULT_ACCOUNT_STORAGE_KEY])
+      : '';
+
+    renderTemplates(templates);
+    renderGems(result[GEMS_STORAGE_KEY] || []);
+
+    elements.historyEnabled.checked = result[HISTORY_ENABLED_STORAGE_KEY] !== false;
+    updateHistoryCount();
+
+    applyContextMenuTemplates(result[CONTEXT_MENU_STORAGE_KEY] || {});
+
+    elements.showUpdateNotes.checked = result[SHOW_UPDATE_NOTES_STORAGE_KEY] !== false;
+
+    applyManagedLocks(managedPolicies);
+
     console.log('[Better Gemini] Settings loaded:', settings, 'Model:', selectedModel, 'Effort:', selectedEffort);
   } catch (error) {
     console.error('[Better Gemini] Error loading settings:', error);
     // Apply defaults on error
-    elements.exportMarkdown.checked = true;
-    elements.exportFullChat.checked = true;
-    elements.keyboardShortcuts.checked = true;
-    elements.widerChatWidth.checked = true;
-    elements.defaultModel.checked = true;
+    elements.exportMarkdown.checked = DEFAULT_SETTINGS.exportMarkdown;
+    elements.exportFullChat.checked = DEFAULT_SETTINGS.exportFullChat;
+    elements.keyboardShortcuts.checked = DEFAULT_SETTINGS.keyboardShortcuts;
+    elements.widerChatWidth.checked = DEFAULT_SETTINGS.widerChatWidth;
+    elements.defaultModel.checked = DEFAULT_SETTINGS.defaultModel;
+    elements.sensitiveDataGuard.checked = DEFAULT_SETTINGS.sensitiveDataGuard;
+    elements.sensitivePatterns.value = '';
+    elements.noteFilenamePattern.value = DEFAULTS.noteFilenamePattern;
+    elements.noteTags.value = DEFAULTS.noteTags.join(' ');
+    elements.noteTurnStyle.value = DEFAULTS.noteTurnStyle;
+    renderExportTemplates([], '');
     elements.selectedModel.value = DEFAULT_MODEL;
     elements.selectedEffort.value = DEFAULT_EFFORT;
     updateModelSelectorVisibility();
+    elements.targetTab.value = DEFAULT_TARGET_TAB;
+    elements.geminiTabChat.value = DEFAULT_GEMINI_TAB_CHAT;
+    updateGeminiTabChatVisibility();
+    elements.autoSubmit.checked = DEFAULTS.autoSubmit;
+    elements.defaultAccount.value = '';
+    renderTemplates([]);
+    renderGems([]);
+    elements.historyEnabled.checked = DEFAULTS.historyEnabled;
+    applyContextMenuTemplates({});
+    elements.showUpdateNotes.checked = DEFAULTS.showUpdateNotes;
   }
 }
 
+// ========== MANAGED POLICIES ==========
+
+/**
+ * Disable the controls decided by policy and show the shared prompt library
+ * @param {object} policies - From SettingsSchema.loadManagedPolicies()
+ */
+function applyManagedLocks(policies) {
+  const locks = SettingsSchema.getManagedLocks(policies);
+
+  locks.features.forEach(name => {
+    lockControl(elements[name], policies.disabledFeatures.includes(name)
+      ? 'Turned off by your organization'
+      : 'Kept on by your organization');
+  });
+  if (locks.defaultModel) {
+    lockControl(elements.selectedModel, 'Chosen by your organization');
+  }
+  if (locks.autoSubmit) {
+    lockControl(elements.autoSubmit, 'Your organization requires reviewing prompts before they are sent');
+  }
+
+  renderSharedTemplates(policies.promptLibrary);
+
+  elements.managedNotice.hidden = locks.features.length === 0 && !locks.defaultModel &&
+    !locks.autoSubmit && policies.promptLibrary.length === 0;
+}
+
+/**
+ * Disable a control and say why under its description
+ * @param {HTMLElement} control
+ * @param {string} reason
+ */
+function lockControl(control, reason) {
+  control.disabled = true;
+  control.title = reason;
+
+  const info = control.closest('.setting-item').querySelector('.setting-info');
+  if (!info.querySelector('.managed-note')) {
+    const note = document.createElement('p');
+    note.className = 'setting-description managed-note';
+    note.textContent = reason;
+    info.appendChild(note);
+  }
+}
+
+/**
+ * Show the organization's prompt templates, read-only, above the user's own
+ * @param {Array<{alias: string, template: string}>} library
+ */
+function renderSharedTemplates(library) {
+  elements.sharedTemplateList.textContent = '';
+  library.forEach(item => {
+    const row = createTemplateRow(item);
+    row.title = 'Shared by your organization';
+    row.querySelectorAll('input, textarea').forEach(field => {
+      field.readOnly = true;
+    });
+    row.querySelector('.btn-remove').remove();
+    elements.sharedTemplateList.appendChild(row);
+  });
+  elements.sharedTemplateList.hidden = library.length === 0;
+}
+
 /**
  * Updates the visibility of the model selector based on defaultModel toggle
  */
@@ -103,6 +323,647 @@ function updateModelSelectorVisibility() {
   elements.effortSelectorContainer.style.display = display;
 }
 
+/**
+ * Only show the reused-tab chat option when reusing a Gemini tab
+ */
+function updateGeminiTabChatVisibility() {
+  elements.geminiTabChatContainer.style.display = elements.targetTab.value === 'geminiTab' ? 'flex' : 'none';
+}
+
+// ========== PROMPT TEMPLATES ==========
+
+/**
+ * Render the template editor rows
+ * @param {Array<{alias: string, template: string}>} templates
+ */
+function renderTemplates(templates) {
+  elements.templateList.textContent = '';
+  templates.forEach(template => elements.templateList.appendChild(createTemplateRow(template)));
+  updateTemplateEmptyState();
+}
+
+/**
+ * Create one editable template row
+ * @param {{alias: string, template: string}} [template]
+ * @returns {HTMLElement}
+ */
+function createTemplateRow(template = { alias: '', template: '' }) {
+  const row = document.createElement('div');
+  row.className = 'list-row template-row';
+
+  const fields = document.createElement('div');
+  fields.className = 'list-row-fields';
+
+  const aliasInput = document.createElement('input');
+  aliasInput.type = 'text';
+  aliasInput.className = 'text-input template-alias';
+  aliasInput.placeholder = 'alias (e.g. tldr)';
+  aliasInput.value = template.alias;
+
+  const templateInput = document.createElement('textarea');
+  templateInput.className = 'text-area template-body';
+  templateInput.placeholder = 'Summarize the following in three bullet points:\n\n{{input}}';
+  templateInput.value = template.template;
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'btn-remove';
+  removeButton.title = 'Delete template';
+  removeButton.setAttribute('aria-label', 'Delete template');
+  removeButton.textContent = '\u00d7';
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    updateTemplateEmptyState();
+  });
+
+  fields.append(aliasInput, templateInput);
+  row.append(fields, removeButton);
+  return row;
+}
+
+/**
+ * Show a hint when there are no templates yet
+ */
+function updateTemplateEmptyState() {
+  const existing = elements.templateList.querySelector('.list-empty');
+  const hasRows = elements.templateList.querySelector('.template-row') !== null;
+
+  if (hasRows && existing) {
+    existing.remove();
+  } else if (!hasRows && !existing) {
+    const empty = document.createElement('p');
+    empty.className = 'list-empty';
+    empty.textContent = 'No templates yet.';
+    elements.templateList.appendChild(empty);
+  }
+}
+
+/**
+ * Append an empty template row and focus its alias field
+ */
+function addTemplate() {
+  const row = createTemplateRow();
+  elements.templateList.appendChild(row);
+  updateTemplateEmptyState();
+  row.querySelector('.template-alias').focus();
+}
+
+/**
+ * Read the template rows, skipping blank ones and flagging invalid aliases
+ * @returns {{templates: Array<{alias: string, template: string}>, error: string|null}}
+ */
+function collectTemplates() {
+  const templates = [];
+  const seen = new Set();
+  let error = null;
+
+  elements.templateList.querySelectorAll('.template-row').forEach(row => {
+    const aliasInput = row.querySelector('.template-alias');
+    const alias = aliasInput.value.trim().replace(/^\//, '').toLowerCase();
+    const template = row.querySelector('.template-body').value.trim();
+    aliasInput.classList.remove('invalid');
+
+    if (!alias && !template) {
+      return;
+    }
+
+    if (!ALIAS_PATTERN.test(alias) || seen.has(alias) || !template) {
+      aliasInput.classList.add('invalid');
+      error = error || (seen.has(alias)
+        ? `Duplicate template alias "/${alias}"`
+        : 'Templates need an alias (letters, numbers, - or _) and a body');
+      return;
+    }
+
+    seen.add(alias);
+    templates.push({ alias, template });
+  });
+
+  return { templates, error };
+}
+
+// ========== SAVED GEMS ==========
+
+/**
+ * Render the Gem editor rows
+ * @param {Array<{name: string, id: string}>} gems
+ */
+function renderGems(gems) {
+  elements.gemList.textContent = '';
+  gems.forEach(gem => elements.gemList.appendChild(createGemRow(gem)));
+  updateGemEmptyState();
+}
+
+/**
+ * Create one editable Gem row
+ * @param {{name: string, id: string}} [gem]
+ * @returns {HTMLElement}
+ */
+function createGemRow(gem = { name: '', id: '' }) {
+  const row = document.createElement('div');
+  row.className = 'list-row gem-row';
+
+  const fields = document.createElement('div');
+  fields.className = 'list-row-fields';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'text-input gem-name';
+  nameInput.placeholder = 'name (e.g. reviewer)';
+  nameInput.value = gem.name;
+
+  const idInput = document.createElement('input');
+  idInput.type = 'text';
+  idInput.className = 'text-input gem-id';
+  idInput.placeholder = 'https://gemini.google.com/gem/...';
+  idInput.value = gem.id ? `https://gemini.google.com/gem/${gem.id}` : '';
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'btn-remove';
+  removeButton.title = 'Delete Gem';
+  removeButton.setAttribute('aria-label', 'Delete Gem');
+  removeButton.textContent = '\u00d7';
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    updateGemEmptyState();
+  });
+
+  fields.append(nameInput, idInput);
+  row.append(fields, removeButton);
+  return row;
+}
+
+/**
+ * Show a hint when there are no Gems yet
+ */
+function updateGemEmptyState() {
+  const existing = elements.gemList.querySelector('.list-empty');
+  const hasRows = elements.gemList.querySelector('.gem-row') !== null;
+
+  if (hasRows && existing) {
+    existing.remove();
+  } else if (!hasRows && !existing) {
+    const empty = document.createElement('p');
+    empty.className = 'list-empty';
+    empty.textContent = 'No Gems saved yet.';
+    elements.gemList.appendChild(empty);
+  }
+}
+
+/**
+ * Append an empty Gem row and focus its name field
+ */
+function addGem() {
+  const row = createGemRow();
+  elements.gemList.appendChild(row);
+  updateGemEmptyState();
+  row.querySelector('.gem-name').focus();
+}
+
+/**
+ * Pull the Gem id out of a pasted Gem URL, or accept a bare id
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseGemId(value) {
+  const match = GEM_URL_PATTERN.exec(value);
+  if (match) {
+    return match[1];
+  }
+  return GEM_ID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Read the Gem rows, skipping blank ones and flagging invalid entries
+ * @returns {{gems: Array<{name: string, id: string}>, error: string|null}}
+ */
+function collectGems() {
+  const gems = [];
+  const seen = new Set();
+  let error = null;
+
+  elements.gemList.querySelectorAll('.gem-row').forEach(row => {
+    const nameInput = row.querySelector('.gem-name');
+    const idInput = row.querySelector('.gem-id');
+    const name = nameInput.value.trim().replace(/^#/, '').toLowerCase();
+    const idValue = idInput.value.trim();
+    const id = parseGemId(idValue);
+    nameInput.classList.remove('invalid');
+    idInput.classList.remove('invalid');
+
+    if (!name && !idValue) {
+      return;
+    }
+
+    if (!ALIAS_PATTERN.test(name) || seen.has(name)) {
+      nameInput.classList.add('invalid');
+      error = error || (seen.has(name)
+        ? `Duplicate Gem name "#${name}"`
+        : 'Gems need a name (letters, numbers, - or _)');
+      return;
+    }
+
+    if (!id) {
+      idInput.classList.add('invalid');
+      error = error || `"#${name}" needs a Gem URL like https://gemini.google.com/gem/...`;
+      return;
+    }
+
+    seen.add(name);
+    gems.push({ name, id });
+  });
+
+  return { gems, error };
+}
+
+// ========== CONTEXT MENU ==========
+
+/**
+ * Fill the context menu prompt fields; defaults show as placeholders
+ * @param {Object<string, string>} templates - Stored templates by menu kind
+ */
+function applyContextMenuTemplates(templates) {
+  elements.contextMenuTemplates.forEach(textarea => {
+    const kind = textarea.dataset.menuKind;
+    const builtIn = DEFAULTS.contextMenuTemplates[kind];
+    textarea.placeholder = builtIn;
+    textarea.value = templates[kind] && templates[kind] !== builtIn ? templates[kind] : '';
+  });
+}
+
+/**
+ * Read the context menu prompt fields (blank = use the default)
+ * @returns {Object<string, string>}
+ */
+function collectContextMenuTemplates() {
+  const templates = {};
+  elements.contextMenuTemplates.forEach(textarea => {
+    templates[textarea.dataset.menuKind] = textarea.value.trim();
+  });
+  return templates;
+}
+
+// ========== PROMPT HISTORY ==========
+
+/**
+ * Show how many prompts are currently recorded
+ */
+async function updateHistoryCount() {
+  try {
+    const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+    const count = (result[HISTORY_STORAGE_KEY] || []).length;
+    elements.historyCount.textContent = count === 0
+      ? 'No prompts recorded'
+      : `${count} prompt${count === 1 ? '' : 's'} recorded on this device`;
+    elements.clearHistoryButton.disabled = count === 0;
+  } catch (error) {
+    console.error('[Better Gemini] Error reading history:', error);
+  }
+}
+
+/**
+ * Delete all recorded prompts (takes effect immediately, no save needed)
+ */
+async function clearHistory() {
+  try {
+    await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+    console.log('[Better Gemini] History cleared');
+    await updateHistoryCount();
+  } catch (error) {
+    console.error('[Better Gemini] Error clearing history:', error);
+    showSaveError('Error clearing history');
+  }
+}
+
+// ========== SENSITIVE DATA ==========
+
+/**
+ * Read the extra sensitive data patterns, one regular expression per line
+ * @returns {{patterns: string[], error: string|null}}
+ */
+function collectSensitivePatterns() {
+  const patterns = elements.sensitivePatterns.value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '');
+  const invalid = patterns.find(pattern => !SettingsSchema.isRegexSource(pattern));
+
+  elements.sensitivePatterns.classList.toggle('invalid', !!invalid);
+  return invalid
+    ? { patterns, error: `"${invalid}" is not a valid regular expression` }
+    : { patterns, error: null };
+}
+
+// ========== NOTE EXPORT ==========
+
+/**
+ * Read the note tags, separated by spaces or commas, without leading #
+ * @returns {{tags: string[], error: string|null}}
+ */
+function collectNoteTags() {
+  const tags = elements.noteTags.value
+    .split(/[\s,]+/)
+    .map(tag => tag.replace(/^#/, ''))
+    .filter(tag => tag !== '');
+  const invalid = tags.find(tag => !SettingsSchema.TAG_PATTERN.test(tag));
+
+  elements.noteTags.classList.toggle('invalid', !!invalid);
+  return invalid
+    ? { tags, error: `Tag "${invalid}" can only use letters, numbers, -, _ and /` }
+    : { tags: [...new Set(tags)], error: null };
+}
+
+// ========== EXPORT TEMPLATES ==========
+
+/**
+ * Render the export template rows and the Markdown layout choice
+ * @param {Array<{name: string, template: string}>} templates
+ * @param {string} selected - Name of the template used for Markdown; '' = built-in
+ */
+function renderExportTemplates(templates, selected) {
+  elements.exportTemplateList.textContent = '';
+  templates.forEach(template => elements.exportTemplateList.appendChild(createExportTemplateRow(template)));
+  updateExportTemplateEmptyState();
+  updateMarkdownTemplateOptions(selected);
+}
+
+/**
+ * Create one editable export template row with a preview
+ * @param {{name: string, template: string}} [template]
+ * @returns {HTMLElement}
+ */
+function createExportTemplateRow(template = { name: '', template: '' }) {
+  const row = document.createElement('div');
+  row.className = 'list-row export-template-row';
+
+  const fields = document.createElement('div');
+  fields.className = 'list-row-fields';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'text-input export-template-name';
+  nameInput.placeholder = 'Name (e.g. Meeting notes)';
+  nameInput.value = template.name;
+  nameInput.addEventListener('input', () => updateMarkdownTemplateOptions(elements.markdownTemplate.value));
+
+  const templateInput = document.createElement('textarea');
+  templateInput.className = 'text-area export-template-body';
+  templateInput.spellcheck = false;
+  templateInput.placeholder = '# {{title}}\n\n{{#turns}}\n**{{role}}**: {{content}}\n\n{{/turns}}';
+  templateInput.value = template.template;
+
+  const previewButton = document.createElement('button');
+  previewButton.type = 'button';
+  previewButton.className = 'btn-secondary';
+  previewButton.textContent = 'Preview with open chat';
+
+  const status = document.createElement('p');
+  status.className = 'setting-description export-template-status';
+
+  const actions = document.createElement('div');
+  actions.className = 'list-row-actions';
+  actions.append(previewButton, status);
+
+  const preview = document.createElement('pre');
+  preview.className = 'template-preview';
+  preview.hidden = true;
+
+  previewButton.addEventListener('click', () => previewExportTemplate(row));
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'btn-remove';
+  removeButton.title = 'Delete export template';
+  removeButton.setAttribute('aria-label', 'Delete export template');
+  removeButton.textContent = '\u00d7';
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    updateExportTemplateEmptyState();
+    updateMarkdownTemplateOptions(elements.markdownTemplate.value);
+  });
+
+  fields.append(nameInput, templateInput, actions, preview);
+  row.append(fields, removeButton);
+  return row;
+}
+
+/**
+ * Show a hint when there are no export templates yet
+ */
+function updateExportTemplateEmptyState() {
+  const existing = elements.exportTemplateList.querySelector('.list-empty');
+  const hasRows = elements.exportTemplateList.querySelector('.export-template-row') !== null;
+
+  if (hasRows && existing) {
+    existing.remove();
+  } else if (!hasRows && !existing) {
+    const empty = document.createElement('p');
+    empty.className = 'list-empty';
+    empty.textContent = 'No export templates yet.';
+    elements.exportTemplateList.appendChild(empty);
+  }
+}
+
+/**
+ * Offer the named export templates as the Markdown layout
+ * @param {string} selected - Kept if a template still has that name
+ */
+function updateMarkdownTemplateOptions(selected) {
+  const names = [...new Set(Array.from(elements.exportTemplateList.querySelectorAll('.export-template-name'))
+    .map(input => input.value.trim())
+    .filter(name => name !== ''))];
+
+  elements.markdownTemplate.textContent = '';
+  elements.markdownTemplate.appendChild(new Option('Built-in', ''));
+  names.forEach(name => elements.markdownTemplate.appendChild(new Option(name, name)));
+  elements.markdownTemplate.value = names.includes(selected) ? selected : '';
+}
+
+/**
+ * Append an empty export template row and focus its name field
+ */
+function addExportTemplate() {
+  const row = createExportTemplateRow();
+  elements.exportTemplateList.appendChild(row);
+  updateExportTemplateEmptyState();
+  row.querySelector('.export-template-name').focus();
+}
+
+/**
+ * Read the export template rows, skipping blank ones and flagging invalid ones
+ * @returns {{templates: Array<{name: string, template: string}>, error: string|null}}
+ */
+function collectExportTemplates() {
+  const templates = [];
+  const seen = new Set();
+  let error = null;
+
+  elements.exportTemplateList.querySelectorAll('.export-template-row').forEach(row => {
+    const nameInput = row.querySelector('.export-template-name');
+    const templateInput = row.querySelector('.export-template-body');
+    const name = nameInput.value.trim();
+    const template = templateInput.value;
+    nameInput.classList.remove('invalid');
+    templateInput.classList.remove('invalid');
+
+    if (!name && !template.trim()) {
+      return;
+    }
+
+    if (!name || seen.has(name) || !template.trim()) {
+      nameInput.classList.add('invalid');
+      error = error || (seen.has(name)
+        ? `Duplicate export template name "${name}"`
+        : 'Export templates need a name and a template');
+      return;
+    }
+
+    const problem = ExportTemplates.validateTemplate(template);
+    if (problem) {
+      templateInput.classList.add('invalid');
+      error = error || `Export template "${name}": ${problem}`;
+      return;
+    }
+
+    seen.add(name);
+    templates.push({ name, template });
+  });
+
+  return { templates, error };
+}
+
+/**
+ * Find the Gemini tab the user looked at last
+ * @returns {Promise<object|null>}
+ */
+async function findGeminiTab() {
+  const tabs = await chrome.tabs.query({ url: 'https://gemini.google.com/*' });
+  return tabs.reduce((recent, tab) =>
+    (!recent || (tab.lastAccessed || 0) > (recent.lastAccessed || 0) ? tab : recent), null);
+}
+
+/**
+ * Render a row's template against the chat open in Gemini, without saving it
+ * @param {HTMLElement} row
+ */
+async function previewExportTemplate(row) {
+  const status = row.querySelector('.export-template-status');
+  const preview = row.querySelector('.template-preview');
+  const template = row.querySelector('.export-template-body').value;
+  const show = (message, text = null) => {
+    status.textContent = message;
+    preview.textContent = text || '';
+    preview.hidden = text === null;
+  };
+
+  const problem = ExportTemplates.validateTemplate(template);
+  if (problem) {
+    show(problem);
+    return;
+  }
+
+  try {
+    const tab = await findGeminiTab();
+    if (!tab) {
+      show('Open a chat on gemini.google.com to preview it here');
+      return;
+    }
+
+    const chat = await Messaging.sendMessage(Messaging.MESSAGE_TYPES.GET_CHAT, {}, { tabId: tab.id });
+    if (chat.turns.length === 0) {
+      show('The Gemini tab has no messages to preview with');
+      return;
+    }
+    show(`Preview of "${chat.title}"`, ExportTemplates.renderTemplate(template, chat));
+  } catch (error) {
+    // Tab opened before the extension was installed or reloaded: no content scripts
+    console.error('[Better Gemini] Error previewing export template:', error);
+    show('Could not read the chat. Reload the Gemini tab and try again.');
+  }
+}
+
+// ========== BACKUP & RESET ==========
+
+/**
+ * Download the saved settings as a JSON file
+ * Unsaved changes on the page are not included.
+ */
+async function exportSettings() {
+  try {
+    const stored = await chrome.storage.sync.get(Object.values(STORAGE_KEYS));
+    const data = SettingsSchema.createSettingsExport(stored);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `better-gemini-settings-${data.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    console.error('[Better Gemini] Error exporting settings:', error);
+    showSaveError('Error exporting settings');
+  }
+}
+
+/**
+ * Apply the settings file chosen in the import file picker
+ * Takes effect immediately, no save needed.
+ */
+async function importSettings() {
+  const file = elements.importSettingsFile.files[0];
+  elements.importSettingsFile.value = ''; // Allow picking the same file again
+  if (!file) {
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showSaveError('That file is not valid JSON');
+    return;
+  }
+
+  const { settings, errors } = SettingsSchema.parseSettingsImport(data);
+  if (errors.length > 0) {
+    console.warn('[Better Gemini] Settings file rejected:', errors);
+    showSaveError(errors[0]);
+    return;
+  }
+
+  try {
+    await chrome.storage.sync.set(SettingsSchema.toStorageItems(settings));
+    console.log('[Better Gemini] Settings imported:', Object.keys(settings));
+    await loadSettings();
+    showSaveConfirmation('Settings imported!');
+  } catch (error) {
+    console.error('[Better Gemini] Error importing settings:', error);
+    showSaveError('Error importing settings');
+  }
+}
+
+/**
+ * Remove every stored setting so the defaults apply again
+ * Prompt history (chrome.storage.local) is kept.
+ */
+async function resetSettings() {
+  if (!window.confirm('Reset all Better Gemini settings to their defaults? Your templates and Gems will be removed.')) {
+    return;
+  }
+
+  try {
+    await chrome.storage.sync.remove(Object.values(STORAGE_KEYS));
+    console.log('[Better Gemini] Settings reset to defaults');
+    await loadSettings();
+    showSaveConfirmation('Settings reset to defaults');
+  } catch (error) {
+    console.error('[Better Gemini] Error resetting settings:', error);
+    showSaveError('Error resetting settings');
+  }
+}
+
 /**
  * Save settings to chrome.storage.sync
  */
@@ -112,17 +973,53 @@ async function saveSettings() {
     exportFullChat: elements.exportFullChat.checked,
     keyboardShortcuts: elements.keyboardShortcuts.checked,
     widerChatWidth: elements.widerChatWidth.checked,
-    defaultModel: elements.defaultModel.checked
+    defaultModel: elements.defaultModel.checked,
+    sensitiveDataGuard: elements.sensitiveDataGuard.checked
   };
 
-  const selectedModel = elements.selectedModel.value;
+  // Settings locked by policy keep the user's own value
+  const locks = SettingsSchema.getManagedLocks(managedPolicies);
+  locks.features.forEach(name => {
+    settings[name] = lockedUserValues.features[name];
+  });
+
+  const selectedModel = locks.defaultModel ? lockedUserValues.defaultModel : elements.selectedModel.value;
   const selectedEffort = elements.selectedEffort.value;
+  const autoSubmit = locks.autoSubmit ? lockedUserValues.autoSubmit : elements.autoSubmit.checked;
+
+  const { templates, error } = collectTemplates();
+  const { gems, error: gemError } = collectGems();
+  const { patterns, error: patternError } = collectSensitivePatterns();
+  const { tags: noteTags, error: tagError } = collectNoteTags();
+  const { templates: exportTemplates, error: exportTemplateError } = collectExportTemplates();
+  const saveError = error || gemError || patternError || tagError || exportTemplateError;
+  if (saveError) {
+    showSaveError(saveError);
+    return;
+  }
 
   try {
     await chrome.storage.sync.set({
       [STORAGE_KEY]: settings,
       [MODEL_STORAGE_KEY]: selectedModel,
-      [EFFORT_STORAGE_KEY]: selectedEffort
+      [EFFORT_STORAGE_KEY]: selectedEffort,
+      [TARGET_TAB_STORAGE_KEY]: elements.targetTab.value,
+      [GEMINI_TAB_CHAT_STORAGE_KEY]: elements.geminiTabChat.value,
+      [AUTO_SUBMIT_STORAGE_KEY]: autoSubmit,
+      // null = plain /app (the browser's default account)
+      [DEFAULT_ACCOUNT_STORAGE_KEY]: elements.defaultAccount.value === '' ? null : Number(elements.defaultAccount.value),
+      [TEMPLATES_STORAGE_KEY]: templates,
+      [GEMS_STORAGE_KEY]: gems,
+      [HISTORY_ENABLED_STORAGE_KEY]: elements.historyEnabled.checked,
+      [CONTEXT_MENU_STORAGE_KEY]: collectContextMenuTemplates(),
+      [SHOW_UPDATE_NOTES_STORAGE_KEY]: elements.showUpdateNotes.checked,
+      [SENSITIVE_PATTERNS_STORAGE_KEY]: patterns,
+      [NOTE_FILENAME_PATTERN_STORAGE_KEY]: elements.noteFilenamePattern.value.trim() || DEFAULTS.noteFilenamePattern,
+      [NOTE_TAGS_STORAGE_KEY]: noteTags,
+      [NOTE_TURN_STYLE_STORAGE_KEY]: elements.noteTurnStyle.value,
+      [EXPORT_TEMPLATES_STORAGE_KEY]: exportTemplates,
+      // '' = the built-in layout
+      [MARKDOWN_TEMPLATE_STORAGE_KEY]: elements.markdownTemplate.value
     });
     console.log('[Better Gemini] Settings saved:', settings, 'Model:', selectedModel, 'Effort:', selectedEffort);
     showSaveConfirmation();
@@ -134,9 +1031,10 @@ async function saveSettings() {
 
 /**
  * Show save confirmation message
+ * @param {string} [message] - Text to display
  */
-function showSaveConfirmation() {
-  elements.saveStatus.textContent = 'Settings saved!';
+function showSaveConfirmation(message = 'Settings saved!') {
+  elements.saveStatus.textContent = message;
   elements.saveStatus.className = 'save-status success';
 
   // Clear the message after 3 seconds
@@ -148,9 +1046,10 @@ function showSaveConfirmation() {
 
 /**
  * Show save error message
+ * @param {string} [message] - Error text to display
  */
-function showSaveError() {
-  elements.saveStatus.textContent = 'Error saving settings';
+function showSaveError(message = 'Error saving settings') {
+  elements.saveStatus.textContent = message;
   elements.saveStatus.className = 'save-status error';
 
   // Clear the message after 3 seconds
@@ -172,6 +1071,27 @@ function initialize() {
 
   // Add event listener for defaultModel toggle to show/hide model selector
   elements.defaultModel.addEventListener('change', updateModelSelectorVisibility);
+
+  // Show the reused-tab chat option only for the Gemini tab target
+  elements.targetTab.addEventListener('change', updateGeminiTabChatVisibility);
+
+  // Add an empty prompt template row
+  elements.addTemplateButton.addEventListener('click', addTemplate);
+
+  // Add an empty saved Gem row
+  elements.addGemButton.addEventListener('click', addGem);
+
+  // Add an empty export template row
+  elements.addExportTemplateButton.addEventListener('click', addExportTemplate);
+
+  // Clear prompt history
+  elements.clearHistoryButton.addEventListener('click', clearHistory);
+
+  // Export, import and reset all settings
+  elements.exportSettingsButton.addEventListener('click', exportSettings);
+  elements.importSettingsButton.addEventListener('click', () => elements.importSettingsFile.click());
+  elements.importSettingsFile.addEventListener('change', importSettings);
+  elements.resetSettingsButton.addEventListener('click', resetSettings);
 }
 
 // Initialize when DOM is ready
@@ -4,18 +4,18 @@
  * Handles quick toggle settings with auto-save functionality
  */
 
-// Storage keys (must match options.js)
-const STORAGE_KEY = 'betterGemini_features';
-const MODEL_STORAGE_KEY = 'betterGemini_defaultModel';
-
-// Default settings - all features enabled by default
-const DEFAULT_SETTINGS = {
-  exportMarkdown: true,
-  exportFullChat: true,
-  keyboardShortcuts: true,
-  widerChatWidth: true,
-  defaultModel: true
-};
+// Typed messaging with the background and content scripts (messaging.js)
+const Messaging = globalThis.BetterGeminiMessaging;
+
+// Storage key and default feature toggles (settings-schema.js)
+const SettingsSchema = globalThis.BetterGeminiSettingsSchema;
+const STORAGE_KEY = SettingsSchema.STORAGE_KEYS.features;
+const DEFAULT_SETTINGS = SettingsSchema.FEATURE_DEFAULTS;
+
+// Feature toggles decided by administrator policy, and the user's own values for
+// them so saving doesn't overwrite them with the policy's
+let lockedFeatures = [];
+let userFeatures = {};
 
 // DOM element references
 const elements = {
@@ -24,6 +24,13 @@ const elements = {
   keyboardShortcuts: null,
   widerChatWidth: null,
   defaultModel: null,
+  sensitiveDataGuard: null,
+  askForm: null,
+  askPrompt: null,
+  sendPageButton: null,
+  geminiTab: null,
+  currentModel: null,
+  exportChatButton: null,
   openSettings: null,
   saveIndicator: null
 };
@@ -31,6 +38,9 @@ const elements = {
 // Debounce timer for save indicator
 let saveIndicatorTimer = null;
 
+// The active tab, if it is a Gemini tab with the content scripts running
+let geminiTabId = null;
+
 /**
  * Initialize DOM element references
  */
@@ -40,6 +50,13 @@ function initializeElements() {
   elements.keyboardShortcuts = document.getElementById('keyboardShortcuts');
   elements.widerChatWidth = document.getElementById('widerChatWidth');
   elements.defaultModel = document.getElementById('defaultModel');
+  elements.sensitiveDataGuard = document.getElementById('sensitiveDataGuard');
+  elements.askForm = document.getElementById('askForm');
+  elements.askPrompt = document.getElementById('askPrompt');
+  elements.sendPageButton = document.getElementById('sendPageButton');
+  elements.geminiTab = document.getElementById('geminiTab');
+  elements.currentModel = document.getElementById('currentModel');
+  elements.exportChatButton = document.getElementById('exportChatButton');
   elements.openSettings = document.getElementById('openSettings');
   elements.saveIndicator = document.getElementById('saveIndicator');
 }
@@ -50,7 +67,9 @@ function initializeElements() {
 async function loadSettings() {
   try {
     const result = await chrome.storage.sync.get([STORAGE_KEY]);
-    const settings = result[STORAGE_KEY] || DEFAULT_SETTINGS;
+    const policies = await SettingsSchema.loadManagedPolicies(chrome.storage.managed);
+    const settings = SettingsSchema.applyManagedFeatures(result[STORAGE_KEY], policies);
+    userFeatures = SettingsSchema.withFeatureDefaults(result[STORAGE_KEY]);
 
     // Apply settings to checkboxes
     elements.exportMarkdown.checked = settings.exportMarkdown !== false;
@@ -58,16 +77,45 @@ async function loadSettings() {
     elements.keyboardShortcuts.checked = settings.keyboardShortcuts !== false;
     elements.widerChatWidth.checked = settings.widerChatWidth !== false;
     elements.defaultModel.checked = settings.defaultModel !== false;
+    elements.sensitiveDataGuard.checked = settings.sensitiveDataGuard !== false;
+
+    lockManagedToggles(policies);
 
     console.log('[Better Gemini Popup] Settings loaded:', settings);
   } catch (error) {
     console.error('[Better Gemini Popup] Error loading settings:', error);
     // Apply defaults on error
-    elements.exportMarkdown.checked = true;
-    elements.exportFullChat.checked = true;
-    elements.keyboardShortcuts.checked = true;
-    elements.widerChatWidth.checked = true;
-    elements.defaultModel.checked = true;
+    elements.exportMarkdown.checked = DEFAULT_SETTINGS.exportMarkdown;
+    elements.exportFullChat.checked = DEFAULT_SETTINGS.exportFullChat;
+    elements.keyboardShortcuts.checked = DEFAULT_SETTINGS.keyboardShortcuts;
+    elements.widerChatWidth.checked = DEFAULT_SETTINGS.widerChatWidth;
+    elements.defaultModel.checked = DEFAULT_SETTINGS.defaultModel;
+    elements.sensitiveDataGuard.checked = DEFAULT_SETTINGS.sensitiveDataGuard;
+  }
+}
+
+/**
+ * Disable the toggles decided by policy, saying why in place of their description
+ * @param {object} policies - From SettingsSchema.loadManagedPolicies()
+ */
+function lockManagedToggles(policies) {
+  lockedFeatures = SettingsSchema.getManagedLocks(policies).features;
+  lockedFeatures.forEach(name => {
+    const toggle = elements[name];
+    const reason = policies.disabledFeatures.includes(name)
+      ? 'Turned off by your organization'
+      : 'Kept on by your organization';
+    toggle.disabled = true;
+
+    const item = toggle.closest('.toggle-item');
+    item.title = reason;
+    item.classList.add('managed');
+    item.querySelector('.toggle-description').textContent = reason;
+  });
+
+  // The tab would refuse anyway; don't offer what the organization turned off
+  if (SettingsSchema.applyManagedFeatures({}, policies).exportFullChat === false) {
+    elements.exportChatButton.hidden = true;
   }
 }
 
@@ -80,9 +128,15 @@ async function saveSettings() {
     exportFullChat: elements.exportFullChat.checked,
     keyboardShortcuts: elements.keyboardShortcuts.checked,
     widerChatWidth: elements.widerChatWidth.checked,
-    defaultModel: elements.defaultModel.checked
+    defaultModel: elements.defaultModel.checked,
+    sensitiveDataGuard: elements.sensitiveDataGuard.checked
   };
 
+  // Toggles locked by policy keep the user's own value
+  lockedFeatures.forEach(name => {
+    settings[name] = userFeatures[name];
+  });
+
   try {
     await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
     console.log('[Better Gemini Popup] Settings saved:', settings);
@@ -118,6 +172,87 @@ function openOptionsPage(event) {
   chrome.runtime.openOptionsPage();
 }
 
+/**
+ * Send the prompt to the background, which handles it like the omnibox
+ * (modifiers, templates and {{selection}}-style placeholders all work)
+ */
+async function askGemini(event) {
+  event.preventDefault();
+  const prompt = elements.askPrompt.value.trim();
+  if (!prompt) {
+    return;
+  }
+
+  await launchFromPopup(prompt);
+}
+
+/**
+ * Send the current page's text, with the typed text (if any) as the question
+ */
+async function sendPage() {
+  await launchFromPopup(`!page ${elements.askPrompt.value.trim()}`);
+}
+
+/**
+ * Hand a prompt to the background and close the popup
+ * @param {string} prompt - Text as it would be typed after "gem"
+ */
+async function launchFromPopup(prompt) {
+  try {
+    await Messaging.sendMessage(Messaging.MESSAGE_TYPES.LAUNCH_PROMPT, { prompt }, { timeout: 0 });
+    window.close();
+  } catch (error) {
+    console.error('[Better Gemini Popup] Error sending prompt:', error);
+  }
+}
+
+/**
+ * Show the current model and an export button when the active tab is Gemini
+ */
+async function loadGeminiTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.url || !tab.url.startsWith('https://gemini.google.com/')) {
+      return;
+    }
+
+    const { name } = await Messaging.sendMessage(Messaging.MESSAGE_TYPES.GET_MODEL, {}, { tabId: tab.id });
+    geminiTabId = tab.id;
+    elements.currentModel.textContent = name || 'Unknown';
+    elements.geminiTab.hidden = false;
+  } catch (error) {
+    // Tab opened before the extension was installed or reloaded: no content scripts
+    console.log('[Better Gemini Popup] Gemini tab not reachable:', error.message);
+  }
+}
+
+/**
+ * Ask the Gemini tab to download its chat
+ */
+async function exportChat() {
+  const button = elements.exportChatButton;
+  try {
+    await Messaging.sendMessage(Messaging.MESSAGE_TYPES.TRIGGER_EXPORT, { format: 'markdown' }, { tabId: geminiTabId });
+    button.textContent = 'Downloaded!';
+  } catch (error) {
+    console.error('[Better Gemini Popup] Error exporting chat:', error);
+    button.textContent = 'Nothing to export';
+  }
+  setTimeout(() => {
+    button.textContent = 'Export chat';
+  }, 2000);
+}
+
+/**
+ * Enter sends, Shift+Enter adds a new line
+ */
+function handleAskKeydown(event) {
+  if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+    event.preventDefault();
+    elements.askForm.requestSubmit();
+  }
+}
+
 /**
  * Attach event listeners to toggle inputs
  */
@@ -128,13 +263,22 @@ function attachEventListeners() {
     elements.exportFullChat,
     elements.keyboardShortcuts,
     elements.widerChatWidth,
-    elements.defaultModel
+    elements.defaultModel,
+    elements.sensitiveDataGuard
   ];
 
   toggles.forEach(toggle => {
     toggle.addEventListener('change', saveSettings);
   });
 
+  // Ask Gemini box
+  elements.askForm.addEventListener('submit', askGemini);
+  elements.askPrompt.addEventListener('keydown', handleAskKeydown);
+  elements.sendPageButton.addEventListener('click', sendPage);
+
+  // Current Gemini tab
+  elements.exportChatButton.addEventListener('click', exportChat);
+
   // Open settings link
   elements.openSettings.addEventListener('click', openOptionsPage);
 }
@@ -145,6 +289,7 @@ function attachEventListeners() {
 function initialize() {
   initializeElements();
   loadSettings();
+  loadGeminiTab();
   attachEventListeners();
 }
 
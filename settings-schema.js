@@ -0,0 +1,578 @@
+/**
+ * Better Gemini - Settings Schema
+ *
+ * The one place that lists the user settings kept in chrome.storage.sync: their
+ * storage keys, default values, and the schema version they were written with.
+ *
+ * When a setting is renamed, changes shape or gains a new value, bump
+ * SCHEMA_VERSION and add a migration. background.js runs migrateSettings() from
+ * onInstalled, so stored values are upgraded once, before any page reads them.
+ *
+ * Policies from chrome.storage.managed (see managed_schema.json) are merged
+ * over the stored settings by whoever reads them.
+ *
+ * Loaded as a plain script everywhere (content scripts can't use ES modules),
+ * so the API is exposed as globalThis.BetterGeminiSettingsSchema, and through
+ * module.exports under Node for tests.
+ */
+
+(function() {
+  'use strict';
+
+  // ========== ENVIRONMENT DETECTION ==========
+  const IS_TEST_ENV = typeof module !== 'undefined' && module.exports;
+
+  // ========== SCHEMA ==========
+
+  /**
+   * Bump when adding a migration
+   */
+  const SCHEMA_VERSION = 1;
+
+  /**
+   * Version the stored settings were last migrated to
+   */
+  const VERSION_STORAGE_KEY = 'betterGemini_settingsVersion';
+
+  /**
+   * chrome.storage.sync keys, by setting name
+   */
+  const STORAGE_KEYS = {
+    features: 'betterGemini_features',
+    defaultModel: 'betterGemini_defaultModel',
+    thinkingLevel: 'betterGemini_thinkingLevel',
+    targetTab: 'betterGemini_targetTab',
+    geminiTabChat: 'betterGemini_geminiTabChat',
+    autoSubmit: 'betterGemini_autoSubmit',
+    defaultAccount: 'betterGemini_defaultAccount',
+    historyEnabled: 'betterGemini_historyEnabled',
+    showUpdateNotes: 'betterGemini_showUpdateNotes',
+    promptTemplates: 'betterGemini_promptTemplates',
+    contextMenuTemplates: 'betterGemini_contextMenuTemplates',
+    gems: 'betterGemini_gems',
+    sensitivePatterns: 'betterGemini_sensitivePatterns',
+    noteFilenamePattern: 'betterGemini_noteFilenamePattern',
+    noteTags: 'betterGemini_noteTags',
+    noteTurnStyle: 'betterGemini_noteTurnStyle',
+    exportTemplates: 'betterGemini_exportTemplates',
+    markdownTemplate: 'betterGemini_markdownTemplate',
+  };
+
+  /**
+   * Feature toggles - all features enabled by default
+   */
+  const FEATURE_DEFAULTS = Object.freeze({
+    exportMarkdown: true,
+    exportFullChat: true,
+    keyboardShortcuts: true,
+    widerChatWidth: true,
+    defaultModel: true,
+    sensitiveDataGuard: true,
+  });
+
+  /**
+   * Model keys the Default Model feature understands
+   * Must match CONFIG.MODELS in content/features/default-model.js (minus aliases)
+   */
+  const MODELS = ['flash-lite', 'flash', 'thinking', 'pro'];
+
+  /**
+   * Thinking levels ('' = leave Gemini's default untouched)
+   * Must match CONFIG.EFFORTS in content/features/default-model.js
+   */
+  const THINKING_LEVELS = ['', 'standard', 'extended'];
+
+  /**
+   * Where prompts open, and what a reused Gemini tab does with them
+   */
+  const TARGET_TABS = ['currentTab', 'newTab', 'geminiTab'];
+  const GEMINI_TAB_CHATS = ['new', 'current'];
+
+  /**
+   * Context menu kinds with an editable prompt
+   * Must match CONTEXT_MENU_ITEMS in background.js
+   */
+  const CONTEXT_MENU_KINDS = ['selection', 'page', 'link'];
+
+  /**
+   * How the note export marks each turn: Obsidian callouts or headings, or a
+   * Logseq outline
+   */
+  const NOTE_TURN_STYLES = ['callout', 'heading', 'outline'];
+
+  /**
+   * Note tags, as Obsidian and Logseq accept them without quoting (no spaces)
+   */
+  const TAG_PATTERN = /^[\w/-]+$/;
+
+  /**
+   * Template aliases, Gem names and Gem ids are typed after "gem /" and "gem #"
+   */
+  const ALIAS_PATTERN = /^[\w-]+$/;
+
+  /**
+   * Default value of every setting, by setting name
+   */
+  const DEFAULTS = Object.freeze({
+    features: FEATURE_DEFAULTS,
+    defaultModel: 'flash', // Flash exists on every account
+    thinkingLevel: '',
+    targetTab: 'currentTab', // Follow how the launch was invoked
+    geminiTabChat: 'new',
+    autoSubmit: true,
+    defaultAccount: null, // Plain /app (the browser's default account)
+    historyEnabled: true,
+    showUpdateNotes: true,
+    promptTemplates: [],
+    // Built-in prompt of each context menu entry; a blank stored prompt falls back to these
+    contextMenuTemplates: Object.freeze({
+      selection: 'Explain the following:\n\n{{selection}}',
+      page: 'Summarize this page:\n\n{{title}}\n{{url}}',
+      link: 'Explain what this link is about:\n\n{{link}}',
+    }),
+    gems: [],
+    sensitivePatterns: [], // Extra regexes for the Sensitive Data Guard
+    noteFilenamePattern: '{title} {date}',
+    noteTags: ['gemini'],
+    noteTurnStyle: 'callout',
+    exportTemplates: [], // { name, template } in the export-templates.js language
+    markdownTemplate: '', // Name of the export template used for Markdown; '' = built-in
+  });
+
+  // ========== DEFAULTS ==========
+
+  /**
+   * A fresh copy of the defaults, safe to modify
+   * @returns {Object} - Setting name -> default value
+   */
+  function getDefaults() {
+    return JSON.parse(JSON.stringify(DEFAULTS));
+  }
+
+  /**
+   * Stored feature toggles with defaults filled in for any that are missing
+   * @param {Object} [features] - Value of the features key, if any
+   * @returns {Object}
+   */
+  function withFeatureDefaults(features) {
+    const result = { ...FEATURE_DEFAULTS };
+    if (features && typeof features === 'object') {
+      Object.keys(FEATURE_DEFAULTS).forEach(name => {
+        if (typeof features[name] === 'boolean') {
+          result[name] = features[name];
+        }
+      });
+    }
+    return result;
+  }
+
+  // ========== MIGRATIONS ==========
+
+  /**
+   * Ordered migrations. Each takes the stored settings by setting name (missing
+   * settings are absent) and returns them upgraded to its version. Delete a
+   * setting to remove it from storage so its default applies again.
+   */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Fill in missing feature toggles and drop model values the options page no longer offers',
+      migrate(settings) {
+        if (settings.features !== undefined) {
+          settings.features = withFeatureDefaults(settings.features);
+        }
+
+        // "fast" was an early name for Flash
+        if (settings.defaultModel === 'fast') {
+          settings.defaultModel = 'flash';
+        } else if (settings.defaultModel !== undefined && !MODELS.includes(settings.defaultModel)) {
+          delete settings.defaultModel;
+        }
+
+        if (settings.thinkingLevel !== undefined && !THINKING_LEVELS.includes(settings.thinkingLevel)) {
+          delete settings.thinkingLevel;
+        }
+        return settings;
+      },
+    },
+  ];
+
+  /**
+   * Run migrations over a copy of some settings
+   * @param {Object} settings - Setting name -> value
+   * @param {Array} migrations - Already filtered and in order
+   * @returns {Object} - The migrated copy
+   */
+  function applyMigrations(settings, migrations) {
+    let migrated = JSON.parse(JSON.stringify(settings));
+    migrations.forEach(migration => {
+      migrated = migration.migrate(migrated) || migrated;
+    });
+    return migrated;
+  }
+
+  /**
+   * Run the migrations newer than the stored settings version
+   * @param {Object} storageArea - chrome.storage.sync (or a compatible area)
+   * @param {Array} [migrations] - Override for testing
+   * @returns {Promise<{from: number, to: number, updated: string[], removed: string[]}>}
+   */
+  async function migrateSettings(storageArea, migrations = MIGRATIONS) {
+    const names = Object.keys(STORAGE_KEYS);
+    const result = await storageArea.get([VERSION_STORAGE_KEY, ...names.map(name => STORAGE_KEYS[name])]);
+    const from = Number.isInteger(result[VERSION_STORAGE_KEY]) ? result[VERSION_STORAGE_KEY] : 0;
+    const pending = migrations.filter(migration => migration.version > from);
+    const to = pending.length > 0 ? pending[pending.length - 1].version : from;
+
+    if (pending.length === 0) {
+      return { from, to, updated: [], removed: [] };
+    }
+
+    const stored = {};
+    names.forEach(name => {
+      if (result[STORAGE_KEYS[name]] !== undefined) {
+        stored[name] = result[STORAGE_KEYS[name]];
+      }
+    });
+
+    const settings = applyMigrations(stored, pending);
+
+    const updated = names.filter(name =>
+      settings[name] !== undefined && JSON.stringify(settings[name]) !== JSON.stringify(stored[name])
+    );
+    const removed = names.filter(name => stored[name] !== undefined && settings[name] === undefined);
+
+    if (removed.length > 0) {
+      await storageArea.remove(removed.map(name => STORAGE_KEYS[name]));
+    }
+    await storageArea.set({
+      ...Object.fromEntries(updated.map(name => [STORAGE_KEYS[name], settings[name]])),
+      [VERSION_STORAGE_KEY]: to,
+    });
+
+    return { from, to, updated, removed };
+  }
+
+  // ========== IMPORT & EXPORT ==========
+
+  /**
+   * Marks a settings file as ours
+   */
+  const EXPORT_FORMAT = 'better-gemini-settings';
+
+  const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isBoolean = value => typeof value === 'boolean';
+  const oneOf = values => value => values.includes(value);
+
+  /**
+   * Checks for a non-empty string that compiles as a regular expression
+   */
+  function isRegexSource(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return false;
+    }
+    try {
+      new RegExp(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Checks that a list holds objects whose `key` field is a unique alias and
+   * whose `other` field is accepted by `isValidOther`
+   */
+  function isAliasList(key, other, isValidOther) {
+    return value => {
+      if (!Array.isArray(value)) {
+        return false;
+      }
+      const seen = new Set();
+      return value.every(item => {
+        if (!isPlainObject(item) || typeof item[key] !== 'string' || !ALIAS_PATTERN.test(item[key]) ||
+            seen.has(item[key]) || !isValidOther(item[other])) {
+          return false;
+        }
+        seen.add(item[key]);
+        return true;
+      });
+    };
+  }
+
+  /**
+   * Checks that a template parses in the export-templates.js language. Pages
+   * that import settings load export-templates.js alongside this file.
+   */
+  function isTemplateSource(value) {
+    const ExportTemplates = globalThis.BetterGeminiExportTemplates ||
+      (IS_TEST_ENV ? require('./export-templates.js') : null);
+    return !ExportTemplates || ExportTemplates.validateTemplate(value) === null;
+  }
+
+  /**
+   * Checks a list of { name, template } export templates with unique, non-blank
+   * names and templates that parse
+   */
+  function isNamedTemplateList(value) {
+    if (!Array.isArray(value)) {
+      return false;
+    }
+    const names = new Set();
+    return value.every(item => {
+      if (!isPlainObject(item) || typeof item.name !== 'string' || item.name.trim() === '' ||
+          names.has(item.name) || typeof item.template !== 'string' || item.template.trim() === '' ||
+          !isTemplateSource(item.template)) {
+        return false;
+      }
+      names.add(item.name);
+      return true;
+    });
+  }
+
+  /**
+   * Accepted values per setting
+   */
+  const VALIDATORS = {
+    features: value => isPlainObject(value) &&
+      Object.keys(value).every(name => name in FEATURE_DEFAULTS && isBoolean(value[name])),
+    defaultModel: oneOf(MODELS),
+    thinkingLevel: oneOf(THINKING_LEVELS),
+    targetTab: oneOf(TARGET_TABS),
+    geminiTabChat: oneOf(GEMINI_TAB_CHATS),
+    autoSubmit: isBoolean,
+    defaultAccount: value => value === null || (Number.isInteger(value) && value >= 0),
+    historyEnabled: isBoolean,
+    showUpdateNotes: isBoolean,
+    promptTemplates: isAliasList('alias', 'template', template => typeof template === 'string' && template.trim() !== ''),
+    contextMenuTemplates: value => isPlainObject(value) &&
+      Object.keys(value).every(kind => CONTEXT_MENU_KINDS.includes(kind) && typeof value[kind] === 'string'),
+    gems: isAliasList('name', 'id', id => typeof id === 'string' && ALIAS_PATTERN.test(id)),
+    sensitivePatterns: value => Array.isArray(value) && value.every(isRegexSource),
+    noteFilenamePattern: value => typeof value === 'string' && value.trim() !== '',
+    noteTags: value => Array.isArray(value) && value.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag)),
+    noteTurnStyle: oneOf(NOTE_TURN_STYLES),
+    exportTemplates: isNamedTemplateList,
+    markdownTemplate: value => typeof value === 'string',
+  };
+
+  /**
+   * Build a settings file from chrome.storage.sync contents
+   * Settings that were never saved are written with their defaults, so the file
+   * describes the whole configuration.
+   *
+   * @param {Object} stored - Storage key -> value, as returned by storage.get()
+   * @param {Date} [date] - Export time
+   * @returns {{format: string, schemaVersion: number, exportedAt: string, settings: Object}}
+   */
+  function createSettingsExport(stored, date = new Date()) {
+    const defaults = getDefaults();
+    const settings = {};
+    Object.keys(STORAGE_KEYS).forEach(name => {
+      const value = stored[STORAGE_KEYS[name]];
+      settings[name] = value === undefined ? defaults[name] : value;
+    });
+
+    return {
+      format: EXPORT_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: date.toISOString(),
+      settings,
+    };
+  }
+
+  /**
+   * Validate a parsed settings file and upgrade it to the current schema
+   * Settings missing from the file are left out, so importing them keeps the
+   * current values.
+   *
+   * @param {*} data - Parsed JSON
+   * @returns {{settings: Object, errors: string[]}} - Setting name -> value; nothing to import if errors is non-empty
+   */
+  function parseSettingsImport(data) {
+    if (!isPlainObject(data) || data.format !== EXPORT_FORMAT || !isPlainObject(data.settings)) {
+      return { settings: {}, errors: ['Not a Better Gemini settings file'] };
+    }
+
+    const version = data.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) {
+      return { settings: {}, errors: ['The settings file has no valid schemaVersion'] };
+    }
+    if (version > SCHEMA_VERSION) {
+      return { settings: {}, errors: ['The settings file is from a newer version of Better Gemini; update the extension first'] };
+    }
+
+    const settings = applyMigrations(data.settings, MIGRATIONS.filter(migration => migration.version > version));
+    const errors = [];
+    Object.keys(settings).forEach(name => {
+      if (!(name in VALIDATORS)) {
+        errors.push(`Unknown setting "${name}"`);
+      } else if (!VALIDATORS[name](settings[name])) {
+        errors.push(`Invalid value for "${name}"`);
+      }
+    });
+
+    return { settings: errors.length > 0 ? {} : settings, errors };
+  }
+
+  /**
+   * Storage items for some settings
+   * @param {Object} settings - Setting name -> value
+   * @returns {Object} - Storage key -> value, ready for storage.set()
+   */
+  function toStorageItems(settings) {
+    return Object.fromEntries(Object.keys(settings).map(name => [STORAGE_KEYS[name], settings[name]]));
+  }
+
+  // ========== MANAGED POLICIES ==========
+
+  /**
+   * Policies an administrator can set through chrome.storage.managed
+   * (described to the browser by managed_schema.json):
+   *   - defaultModel: model every chat starts with; also keeps Default Model on
+   *   - disabledFeatures: feature toggles forced off
+   *   - promptLibrary: shared { alias, template } prompts, ahead of the user's own
+   *   - prefillOnly: never send prompts automatically
+   */
+  const NO_POLICIES = Object.freeze({
+    defaultModel: null,
+    disabledFeatures: [],
+    promptLibrary: [],
+    prefillOnly: false,
+  });
+
+  /**
+   * Keep only well-formed policy values (Chrome validates against the schema,
+   * but other browsers may not)
+   * @param {Object} [raw] - Contents of chrome.storage.managed
+   * @returns {{defaultModel: string|null, disabledFeatures: string[], promptLibrary: Array, prefillOnly: boolean}}
+   */
+  function normalizeManagedPolicies(raw) {
+    if (!isPlainObject(raw)) {
+      return { ...NO_POLICIES };
+    }
+
+    const library = Array.isArray(raw.promptLibrary) ? raw.promptLibrary : [];
+    const seen = new Set();
+    return {
+      defaultModel: MODELS.includes(raw.defaultModel) ? raw.defaultModel : null,
+      disabledFeatures: Array.isArray(raw.disabledFeatures)
+        ? raw.disabledFeatures.filter(name => name in FEATURE_DEFAULTS)
+        : [],
+      promptLibrary: library
+        .filter(item => isPlainObject(item) && typeof item.alias === 'string' && typeof item.template === 'string')
+        .map(item => ({ alias: item.alias.replace(/^\//, '').toLowerCase(), template: item.template }))
+        .filter(item => {
+          if (!ALIAS_PATTERN.test(item.alias) || !item.template.trim() || seen.has(item.alias)) {
+            return false;
+          }
+          seen.add(item.alias);
+          return true;
+        }),
+      prefillOnly: raw.prefillOnly === true,
+    };
+  }
+
+  /**
+   * Read the managed policies
+   * Never throws - without a managed storage area or policies, nothing is enforced.
+   *
+   * @param {Object} [storageArea] - chrome.storage.managed
+   * @returns {Promise<Object>} - Policies as from normalizeManagedPolicies()
+   */
+  async function loadManagedPolicies(storageArea) {
+    if (!storageArea) {
+      return normalizeManagedPolicies(null);
+    }
+    try {
+      return normalizeManagedPolicies(await storageArea.get(null));
+    } catch (error) {
+      return normalizeManagedPolicies(null);
+    }
+  }
+
+  /**
+   * Effective feature toggles: the user's, with policy-disabled features off and
+   * Default Model kept on while a policy picks the model
+   * @param {Object} [features] - Value of the features key, if any
+   * @param {Object} policies - As from normalizeManagedPolicies()
+   * @returns {Object}
+   */
+  function applyManagedFeatures(features, policies) {
+    const result = withFeatureDefaults(features);
+    if (policies.defaultModel) {
+      result.defaultModel = true;
+    }
+    policies.disabledFeatures.forEach(name => {
+      result[name] = false;
+    });
+    return result;
+  }
+
+  /**
+   * Shared prompts first; the user's templates fill in the aliases the library doesn't use
+   * @param {Array} templates - The user's { alias, template } list
+   * @param {Array} library - policies.promptLibrary
+   * @returns {Array}
+   */
+  function mergePromptLibrary(templates, library) {
+    const shared = new Set(library.map(item => item.alias));
+    return [...library, ...templates.filter(item => !shared.has(item.alias))];
+  }
+
+  /**
+   * Which controls a policy decides, for disabling them in the settings pages
+   * @param {Object} policies - As from normalizeManagedPolicies()
+   * @returns {{features: string[], defaultModel: boolean, autoSubmit: boolean}}
+   */
+  function getManagedLocks(policies) {
+    const features = [...policies.disabledFeatures];
+    if (policies.defaultModel && !features.includes('defaultModel')) {
+      features.push('defaultModel');
+    }
+    return {
+      features,
+      defaultModel: !!policies.defaultModel,
+      autoSubmit: policies.prefillOnly,
+    };
+  }
+
+  // ========== EXPORTS ==========
+
+  const api = {
+    SCHEMA_VERSION,
+    VERSION_STORAGE_KEY,
+    STORAGE_KEYS,
+    FEATURE_DEFAULTS,
+    MODELS,
+    THINKING_LEVELS,
+    TARGET_TABS,
+    GEMINI_TAB_CHATS,
+    CONTEXT_MENU_KINDS,
+    NOTE_TURN_STYLES,
+    TAG_PATTERN,
+    DEFAULTS,
+    MIGRATIONS,
+    EXPORT_FORMAT,
+    VALIDATORS,
+    isRegexSource,
+    getDefaults,
+    withFeatureDefaults,
+    migrateSettings,
+    createSettingsExport,
+    parseSettingsImport,
+    toStorageItems,
+    NO_POLICIES,
+    normalizeManagedPolicies,
+    loadManagedPolicies,
+    applyManagedFeatures,
+    mergePromptLibrary,
+    getManagedLocks,
+  };
+
+  globalThis.BetterGeminiSettingsSchema = api;
+
+  if (IS_TEST_ENV) {
+    module.exports = api;
+  }
+})();
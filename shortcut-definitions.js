@@ -0,0 +1,78 @@
+/**
+ * Better Gemini - Shortcut Definitions
+ *
+ * The in-page keyboard shortcuts as they are shown to the user, grouped by
+ * section. keyboard-shortcuts.js builds its help popup from this list, and the
+ * onboarding page builds its cheat sheet from it, without loading the content
+ * script itself.
+ *
+ * Loaded as a plain script everywhere (content scripts can't use ES modules),
+ * so the list is exposed as globalThis.BetterGeminiShortcutDefinitions, and
+ * through module.exports under Node for tests.
+ */
+
+(function() {
+  'use strict';
+
+  // ========== ENVIRONMENT DETECTION ==========
+  const IS_TEST_ENV = typeof module !== 'undefined' && module.exports;
+
+  // ========== PLATFORM ==========
+
+  const isMac = typeof navigator !== 'undefined' &&
+    String(navigator.platform || '').toUpperCase().indexOf('MAC') >= 0;
+  const modKeyLabel = isMac ? 'Cmd' : 'Ctrl';
+
+  // ========== DEFINITIONS ==========
+
+  /**
+   * Keyboard shortcut definitions for help display
+   */
+  const SHORTCUT_DEFINITIONS = {
+    'Chat Management': [
+      { keys: `${modKeyLabel}+Shift+O`, description: 'Open new chat' },
+      { keys: `${modKeyLabel}+Shift+Backspace`, description: 'Delete current chat' },
+      { keys: `${modKeyLabel}+B`, description: 'Toggle sidebar' },
+      { keys: 'Alt+1-9', description: 'Go to nth chat in sidebar' },
+      { keys: `${modKeyLabel}+Shift+=`, description: 'Next chat' },
+      { keys: `${modKeyLabel}+Shift+-`, description: 'Previous chat' },
+    ],
+    'Text Input & Editing': [
+      { keys: 'Shift+Esc', description: 'Focus chat input' },
+      { keys: `${modKeyLabel}+Shift+E`, description: 'Edit text' },
+      { keys: `${modKeyLabel}+Shift+;`, description: 'Copy last code block' },
+      { keys: `${modKeyLabel}+Shift+\'`, description: 'Copy second-to-last code block' },
+      { keys: `${modKeyLabel}+Shift+C`, description: 'Copy response' },
+      { keys: `${modKeyLabel}+Shift+K`, description: 'Stop/start generation' },
+    ],
+    'Draft Navigation': [
+      { keys: `${modKeyLabel}+Shift+D`, description: 'Generate more drafts' },
+      { keys: `${modKeyLabel}+Shift+,`, description: 'Previous draft' },
+      { keys: `${modKeyLabel}+Shift+.`, description: 'Next draft' },
+    ],
+    'Sharing': [
+      { keys: `${modKeyLabel}+Shift+L`, description: 'Copy prompt/response link' },
+      { keys: `${modKeyLabel}+Shift+M`, description: 'Copy chat link' },
+    ],
+    'Audio & Files': [
+      { keys: `${modKeyLabel}+Shift+Y`, description: 'Play/pause audio' },
+      { keys: `${modKeyLabel}+Shift+S`, description: 'Voice to text' },
+      { keys: `${modKeyLabel}+O`, description: 'Open file' },
+    ],
+    'Help': [
+      { keys: `${modKeyLabel}+Shift+?`, description: 'Show this help popup' },
+    ],
+  };
+
+  // ========== EXPORTS ==========
+
+  const api = {
+    SHORTCUT_DEFINITIONS,
+  };
+
+  globalThis.BetterGeminiShortcutDefinitions = api;
+
+  if (IS_TEST_ENV) {
+    module.exports = api;
+  }
+})();
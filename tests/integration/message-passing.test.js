@@ -2,9 +2,20 @@
  * Integration Tests for Message Passing
  *
  * Tests the REAL message passing between background and content scripts
- * by recreating actual message handlers from background.js and injector.js
+ * through the REAL messaging.js router, with the handlers from background.js
+ * and a recreation of the ones registered by injector.js
  */
 
+import {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  PROTOCOL_VERSION,
+  createMessage,
+  createRouter,
+  sendMessage,
+} from '../../messaging.js';
+import { createMessageHandlers } from '../../background.js';
+
 // ========== REAL CONFIGURATION ==========
 const CONFIG = {
   URL_PARAM: 'bg_prompt',
@@ -25,12 +36,7 @@ const CONFIG = {
  * Implementation matches background.js chrome.runtime.onMessage.addListener
  */
 function createBackgroundMessageHandler() {
-  return (message, sender, sendResponse) => {
-    // REAL implementation from background.js
-    // Just acknowledges receipt for now
-    sendResponse({ received: true });
-    return false; // No async response
-  };
+  return createRouter(createMessageHandlers(chrome));
 }
 
 // ========== REAL MESSAGE HANDLER from injector.js ==========
@@ -117,25 +123,27 @@ async function injectPromptFromMessage(prompt) {
  * Implementation matches injector.js chrome.runtime.onMessage.addListener
  */
 function createContentScriptMessageHandler() {
-  return (message, sender, sendResponse) => {
-    // REAL implementation from injector.js
+  return createRouter({
+    [MESSAGE_TYPES.PING]: () => ({ status: 'alive' }),
 
-    if (message.action === 'injectPrompt' && message.prompt) {
-      // Inject prompt received from background script
-      injectPromptFromMessage(message.prompt).then(success => {
-        sendResponse({ success });
-      });
-      return true; // Keep channel open for async response
-    }
+    [MESSAGE_TYPES.INJECT_PROMPT]: async ({ prompt }) => {
+      const success = await injectPromptFromMessage(prompt);
+      return { success };
+    },
+  });
+}
 
-    if (message.action === 'ping') {
-      sendResponse({ status: 'alive' });
-      return true;
+/**
+ * Delivers a message to a handler and resolves with its reply
+ * (undefined if the handler left the message alone)
+ */
+function dispatch(handler, message, sender = { tab: { id: 1 } }) {
+  return new Promise(resolve => {
+    const keepsChannelOpen = handler(message, sender, resolve);
+    if (!keepsChannelOpen) {
+      resolve(undefined);
     }
-
-    sendResponse({ status: 'unknown_action' });
-    return true;
-  };
+  });
 }
 
 // ========== TESTS ==========
@@ -153,31 +161,7 @@ describe('Message Passing - Real Component Integration', () => {
       backgroundHandler = createBackgroundMessageHandler();
     });
 
-    test('acknowledges all messages with { received: true }', () => {
-      const sendResponse = jest.fn();
-
-      backgroundHandler(
-        { any: 'message' },
-        { tab: { id: 1 } },
-        sendResponse
-      );
-
-      expect(sendResponse).toHaveBeenCalledWith({ received: true });
-    });
-
-    test('returns false (no async response)', () => {
-      const sendResponse = jest.fn();
-
-      const result = backgroundHandler(
-        { any: 'message' },
-        { tab: { id: 1 } },
-        sendResponse
-      );
-
-      expect(result).toBe(false);
-    });
-
-    test('handles various message formats', () => {
+    test('leaves messages outside the protocol unanswered', () => {
       const messages = [
         { action: 'test' },
         { type: 'query', data: 123 },
@@ -188,8 +172,26 @@ describe('Message Passing - Real Component Integration', () => {
 
       messages.forEach(message => {
         const sendResponse = jest.fn();
-        backgroundHandler(message, { tab: { id: 1 } }, sendResponse);
-        expect(sendResponse).toHaveBeenCalledWith({ received: true });
+        expect(backgroundHandler(message, { tab: { id: 1 } }, sendResponse)).toBe(false);
+        expect(sendResponse).not.toHaveBeenCalled();
+      });
+    });
+
+    test('leaves message types it does not handle to other listeners', () => {
+      const sendResponse = jest.fn();
+
+      const result = backgroundHandler(createMessage(MESSAGE_TYPES.PING), { tab: { id: 1 } }, sendResponse);
+
+      expect(result).toBe(false);
+      expect(sendResponse).not.toHaveBeenCalled();
+    });
+
+    test('answers its own types asynchronously', async () => {
+      const message = createMessage(MESSAGE_TYPES.INDEX_CHATS, { chats: [] });
+      const sender = { tab: { id: 1 }, url: 'https://gemini.google.com/app' };
+
+      await expect(dispatch(backgroundHandler, message, sender)).resolves.toEqual({
+        bgProtocol: PROTOCOL_VERSION, id: message.id, ok: true, result: { indexed: 0 },
       });
     });
   });
@@ -201,69 +203,43 @@ describe('Message Passing - Real Component Integration', () => {
       contentHandler = createContentScriptMessageHandler();
     });
 
-    describe('ping action', () => {
-      test('responds with { status: "alive" }', () => {
-        const sendResponse = jest.fn();
+    describe('ping', () => {
+      test('responds with { status: "alive" }', async () => {
+        const response = await dispatch(contentHandler, createMessage(MESSAGE_TYPES.PING));
 
-        contentHandler(
-          { action: 'ping' },
-          { tab: { id: 1 } },
-          sendResponse
-        );
-
-        expect(sendResponse).toHaveBeenCalledWith({ status: 'alive' });
+        expect(response).toMatchObject({ ok: true, result: { status: 'alive' } });
       });
 
       test('returns true to keep channel open', () => {
-        const sendResponse = jest.fn();
-
-        const result = contentHandler(
-          { action: 'ping' },
-          { tab: { id: 1 } },
-          sendResponse
-        );
+        const result = contentHandler(createMessage(MESSAGE_TYPES.PING), { tab: { id: 1 } }, jest.fn());
 
         expect(result).toBe(true);
       });
     });
 
-    describe('unknown action', () => {
-      test('responds with { status: "unknown_action" }', () => {
+    describe('unknown messages', () => {
+      test('ignores the old untyped format', () => {
         const sendResponse = jest.fn();
 
-        contentHandler(
-          { action: 'unsupported' },
-          { tab: { id: 1 } },
-          sendResponse
-        );
-
-        expect(sendResponse).toHaveBeenCalledWith({ status: 'unknown_action' });
+        expect(contentHandler({ action: 'ping' }, { tab: { id: 1 } }, sendResponse)).toBe(false);
+        expect(sendResponse).not.toHaveBeenCalled();
       });
 
-      test('handles missing action property', () => {
+      test('ignores types handled elsewhere', () => {
         const sendResponse = jest.fn();
 
-        contentHandler(
-          { type: 'not_action' },
-          { tab: { id: 1 } },
-          sendResponse
-        );
-
-        expect(sendResponse).toHaveBeenCalledWith({ status: 'unknown_action' });
+        expect(contentHandler(createMessage(MESSAGE_TYPES.GET_MODEL), { tab: { id: 1 } }, sendResponse)).toBe(false);
+        expect(sendResponse).not.toHaveBeenCalled();
       });
     });
 
-    describe('injectPrompt action', () => {
-      test('requires prompt parameter', () => {
-        const sendResponse = jest.fn();
+    describe('injectPrompt', () => {
+      test('requires prompt parameter', async () => {
+        const message = { ...createMessage(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'x' }), payload: {} };
 
-        contentHandler(
-          { action: 'injectPrompt' }, // No prompt
-          { tab: { id: 1 } },
-          sendResponse
-        );
+        const response = await dispatch(contentHandler, message);
 
-        expect(sendResponse).toHaveBeenCalledWith({ status: 'unknown_action' });
+        expect(response).toMatchObject({ ok: false, error: { code: ERROR_CODES.INVALID_PAYLOAD } });
       });
 
       test('returns true for async response', async () => {
@@ -271,12 +247,11 @@ describe('Message Passing - Real Component Integration', () => {
           <div contenteditable="true"></div>
           <button aria-label="Send message">Send</button>
         `;
-        const sendResponse = jest.fn();
 
         const result = contentHandler(
-          { action: 'injectPrompt', prompt: 'test' },
+          createMessage(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'test' }),
           { tab: { id: 1 } },
-          sendResponse
+          jest.fn()
         );
 
         expect(result).toBe(true);
@@ -287,73 +262,44 @@ describe('Message Passing - Real Component Integration', () => {
           <div contenteditable="true" id="input"></div>
           <button aria-label="Send message">Send</button>
         `;
-        const sendResponse = jest.fn();
 
-        contentHandler(
-          { action: 'injectPrompt', prompt: 'Hello from message' },
-          { tab: { id: 1 } },
-          sendResponse
-        );
-
-        // Wait for async injection
-        await new Promise(resolve => setTimeout(resolve, 400));
+        const response = await dispatch(contentHandler, createMessage(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'Hello from message' }));
 
-        expect(sendResponse).toHaveBeenCalledWith({ success: true });
+        expect(response.result).toEqual({ success: true });
         expect(document.execCommand).toHaveBeenCalledWith('insertText', false, 'Hello from message');
       });
 
       test('handles missing input field', async () => {
         document.body.innerHTML = '<div>No input</div>';
-        const sendResponse = jest.fn();
-
-        contentHandler(
-          { action: 'injectPrompt', prompt: 'test' },
-          { tab: { id: 1 } },
-          sendResponse
-        );
 
-        // Wait for async failure
-        await new Promise(resolve => setTimeout(resolve, 100));
+        const response = await dispatch(contentHandler, createMessage(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'test' }));
 
-        expect(sendResponse).toHaveBeenCalledWith({ success: false });
+        expect(response.result).toEqual({ success: false });
       });
     });
   });
 
   describe('Message Format Compatibility', () => {
     test('injectPrompt message format is consistent', () => {
-      const validMessage = {
-        action: 'injectPrompt',
-        prompt: 'Test prompt'
-      };
+      const message = createMessage(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'Test prompt' });
 
-      expect(validMessage).toHaveProperty('action', 'injectPrompt');
-      expect(validMessage).toHaveProperty('prompt');
-      expect(typeof validMessage.prompt).toBe('string');
+      expect(message).toHaveProperty('bgProtocol', PROTOCOL_VERSION);
+      expect(message).toHaveProperty('type', 'injectPrompt');
+      expect(typeof message.id).toBe('string');
+      expect(message.payload).toEqual({ prompt: 'Test prompt' });
     });
 
     test('ping message format is consistent', () => {
-      const validMessage = { action: 'ping' };
-
-      expect(validMessage).toHaveProperty('action', 'ping');
+      expect(createMessage(MESSAGE_TYPES.PING)).toMatchObject({ type: 'ping', payload: {} });
     });
 
-    test('response formats are consistent', () => {
-      // Background response
-      const bgResponse = { received: true };
-      expect(bgResponse).toHaveProperty('received', true);
-
-      // Content script ping response
-      const pingResponse = { status: 'alive' };
-      expect(pingResponse).toHaveProperty('status', 'alive');
+    test('response formats are consistent', async () => {
+      const contentHandler = createContentScriptMessageHandler();
+      const message = createMessage(MESSAGE_TYPES.PING);
 
-      // Content script inject response
-      const injectResponse = { success: true };
-      expect(injectResponse).toHaveProperty('success', true);
+      const response = await dispatch(contentHandler, message);
 
-      // Unknown action response
-      const unknownResponse = { status: 'unknown_action' };
-      expect(unknownResponse).toHaveProperty('status', 'unknown_action');
+      expect(response).toEqual({ bgProtocol: PROTOCOL_VERSION, id: message.id, ok: true, result: { status: 'alive' } });
     });
   });
 
@@ -443,6 +389,12 @@ describe('Message Passing - Real Component Integration', () => {
   });
 
   describe('Cross-Component Communication Flow', () => {
+    beforeEach(() => {
+      // Route tab messages to the content script, like Chrome does
+      const contentHandler = createContentScriptMessageHandler();
+      chrome.tabs.sendMessage.mockImplementation((tabId, message) => dispatch(contentHandler, message, {}));
+    });
+
     test('simulates full message flow: background → content', async () => {
       // Setup content script DOM
       document.body.innerHTML = `
@@ -450,38 +402,16 @@ describe('Message Passing - Real Component Integration', () => {
         <button aria-label="Send message">Send</button>
       `;
 
-      // Create handlers
-      const contentHandler = createContentScriptMessageHandler();
-
-      // Simulate background sending message to content script
-      const message = { action: 'injectPrompt', prompt: 'Cross-component test' };
-      const sendResponse = jest.fn();
-
-      // Content script receives and processes
-      contentHandler(message, { tab: { id: 1 } }, sendResponse);
-
-      // Wait for async processing
-      await new Promise(resolve => setTimeout(resolve, 400));
+      // Background sends the prompt and waits for the typed reply
+      const result = await sendMessage(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'Cross-component test' }, { tabId: 1, timeout: 0 });
 
       // Verify injection happened
       expect(document.execCommand).toHaveBeenCalledWith('insertText', false, 'Cross-component test');
-      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      expect(result).toEqual({ success: true });
     });
 
-    test('ping-pong communication for health check', () => {
-      const contentHandler = createContentScriptMessageHandler();
-      const sendResponse = jest.fn();
-
-      // Background sends ping
-      const result = contentHandler(
-        { action: 'ping' },
-        { tab: { id: 1, url: 'https://gemini.google.com/app' } },
-        sendResponse
-      );
-
-      // Content script responds
-      expect(result).toBe(true);
-      expect(sendResponse).toHaveBeenCalledWith({ status: 'alive' });
+    test('ping-pong communication for health check', async () => {
+      await expect(sendMessage(MESSAGE_TYPES.PING, {}, { tabId: 1 })).resolves.toEqual({ status: 'alive' });
     });
   });
 });
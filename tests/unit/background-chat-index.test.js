@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for background.js chat search
+ * Tests the ">query" past-chat index using REAL exported functions
+ */
+
+import {
+  handleInputEntered,
+  getOmniboxSuggestions,
+  isGeminiChatUrl,
+  loadChatIndex,
+  updateChatIndex,
+  parseChatSearch,
+  findChatMatches,
+  getChatSuggestions,
+  CHAT_INDEX_STORAGE_KEY,
+  CHAT_INDEX_MAX_ENTRIES,
+  TARGET_TAB_STORAGE_KEY,
+} from '../../background.js';
+import { URL_PARAM } from '../../config.js';
+
+const CHATS = [
+  { title: 'Kubernetes pod networking', url: 'https://gemini.google.com/app/aaa111' },
+  { title: 'Sourdough starter schedule', url: 'https://gemini.google.com/app/bbb222' },
+  { title: 'Kustomize overlays', url: 'https://gemini.google.com/u/1/app/ccc333' },
+];
+
+describe('Background Chat Index - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('isGeminiChatUrl', () => {
+    test('accepts conversation URLs', () => {
+      expect(isGeminiChatUrl('https://gemini.google.com/app/abc123')).toBe(true);
+      expect(isGeminiChatUrl('https://gemini.google.com/u/2/app/abc123')).toBe(true);
+      expect(isGeminiChatUrl('https://gemini.google.com/gem/coder/abc123')).toBe(true);
+    });
+
+    test('rejects other URLs and plain text', () => {
+      expect(isGeminiChatUrl('https://gemini.google.com/app')).toBe(false);
+      expect(isGeminiChatUrl('https://gemini.google.com/gem/coder')).toBe(false);
+      expect(isGeminiChatUrl('https://evil.example/app/abc123')).toBe(false);
+      expect(isGeminiChatUrl('kubernetes')).toBe(false);
+    });
+  });
+
+  describe('updateChatIndex', () => {
+    test('stores sidebar chats with a timestamp', async () => {
+      await updateChatIndex(CHATS, chrome, 42);
+
+      const index = await loadChatIndex();
+      expect(index).toHaveLength(3);
+      expect(index[0]).toEqual({ ...CHATS[0], timestamp: 42 });
+    });
+
+    test('puts freshly seen chats first and keeps older ones', async () => {
+      await updateChatIndex(CHATS, chrome, 1);
+      await updateChatIndex([{ title: 'Renamed starter chat', url: CHATS[1].url }], chrome, 2);
+
+      const index = await loadChatIndex();
+      expect(index.map(c => c.title)).toEqual([
+        'Renamed starter chat',
+        'Kubernetes pod networking',
+        'Kustomize overlays',
+      ]);
+    });
+
+    test('drops malformed entries and collapses whitespace', async () => {
+      await updateChatIndex([
+        { title: '  Spaced \n title ', url: 'https://gemini.google.com/app/ddd444' },
+        { title: 'Not a chat', url: 'https://gemini.google.com/app' },
+        { title: 'Elsewhere', url: 'https://example.com/app/x' },
+        { title: '', url: 'https://gemini.google.com/app/eee555' },
+        null,
+      ], chrome, 1);
+
+      const index = await loadChatIndex();
+      expect(index).toEqual([{ title: 'Spaced title', url: 'https://gemini.google.com/app/ddd444', timestamp: 1 }]);
+    });
+
+    test('caps the index size', async () => {
+      const many = Array.from({ length: CHAT_INDEX_MAX_ENTRIES + 10 }, (_, i) => ({
+        title: `Chat ${i}`,
+        url: `https://gemini.google.com/app/id${i}`,
+      }));
+
+      await updateChatIndex(many, chrome, 1);
+
+      expect(await loadChatIndex()).toHaveLength(CHAT_INDEX_MAX_ENTRIES);
+    });
+
+    test('ignores non-array input', async () => {
+      await updateChatIndex('nope', chrome, 1);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parseChatSearch / findChatMatches', () => {
+    test('only treats ">" prefixed text as a search', () => {
+      expect(parseChatSearch('>kube')).toBe('kube');
+      expect(parseChatSearch('> kube ')).toBe('kube');
+      expect(parseChatSearch('>')).toBe('');
+      expect(parseChatSearch('kube')).toBeNull();
+    });
+
+    test('fuzzy-matches titles, best first', () => {
+      expect(findChatMatches('kube', CHATS).map(c => c.url)).toEqual([CHATS[0].url]);
+      expect(findChatMatches('ku', CHATS).map(c => c.url)).toEqual([CHATS[0].url, CHATS[2].url]);
+    });
+
+    test('lists the most recent chats for an empty query', () => {
+      expect(findChatMatches('', CHATS, 2)).toEqual(CHATS.slice(0, 2));
+    });
+
+    test('builds suggestions that carry the chat URL', () => {
+      const [suggestion] = getChatSuggestions([{ title: 'Q&A', url: CHATS[0].url }]);
+      expect(suggestion.content).toBe(CHATS[0].url);
+      expect(suggestion.description).toBe(`<dim>Chat:</dim> Q&amp;A <url>${CHATS[0].url}</url>`);
+    });
+  });
+
+  describe('omnibox integration', () => {
+    beforeEach(async () => {
+      await chrome.storage.local.set({ [CHAT_INDEX_STORAGE_KEY]: CHATS });
+    });
+
+    test('suggests matching chats for ">query"', async () => {
+      const suggestions = await getOmniboxSuggestions('>sourdough');
+
+      expect(suggestions.map(s => s.content)).toEqual([CHATS[1].url]);
+    });
+
+    test('opens a picked chat URL instead of sending it as a prompt', async () => {
+      await handleInputEntered(CHATS[2].url, 'currentTab');
+
+      expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: CHATS[2].url });
+    });
+
+    test('opens the best match on Enter', async () => {
+      await handleInputEntered('>kube', 'newForegroundTab');
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: CHATS[0].url, active: true });
+    });
+
+    test('honors the new tab preference', async () => {
+      await chrome.storage.sync.set({ [TARGET_TAB_STORAGE_KEY]: 'newTab' });
+
+      await handleInputEntered('>kube', 'currentTab');
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: CHATS[0].url, active: true });
+    });
+
+    test('sends the text as a prompt when nothing matches', async () => {
+      await handleInputEntered('> quoted text', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe('> quoted text');
+    });
+
+    test('does not record searches in history', async () => {
+      await handleInputEntered('>kube', 'currentTab');
+
+      expect(chrome.storage.local.set).not.toHaveBeenCalledWith(
+        expect.objectContaining({ betterGemini_history: expect.anything() })
+      );
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for background.js keyboard commands
+ * Tests the global shortcuts using REAL exported functions
+ */
+
+import {
+  readClipboard,
+  readSelection,
+  handleCommand,
+  COMMANDS,
+  CONTEXT_MENU_STORAGE_KEY,
+} from '../../background.js';
+import { createResponse, MESSAGE_TYPES } from '../../messaging.js';
+import { URL_PARAM } from '../../config.js';
+
+const TAB = { id: 7, url: 'https://example.com/article', title: 'An Article' };
+
+/**
+ * Returns the decoded prompt from the URL of the newly created tab
+ */
+function getCreatedPrompt() {
+  const [{ url }] = chrome.tabs.create.mock.calls[0];
+  return new URL(url).searchParams.get(URL_PARAM);
+}
+
+/**
+ * Makes the offscreen document answer the next clipboard read with this text
+ */
+function answerClipboard(text) {
+  chrome.runtime.sendMessage.mockImplementationOnce(async message => createResponse(message, { text }));
+}
+
+describe('Background Keyboard Commands - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('readClipboard', () => {
+    test('asks the offscreen document for the clipboard text', async () => {
+      answerClipboard('copied text');
+
+      await expect(readClipboard()).resolves.toBe('copied text');
+
+      expect(chrome.offscreen.createDocument).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'offscreen/offscreen.html', reasons: ['CLIPBOARD'] })
+      );
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ type: MESSAGE_TYPES.READ_CLIPBOARD }));
+      expect(chrome.offscreen.closeDocument).toHaveBeenCalled();
+    });
+
+    test('still reads when the document is already open', async () => {
+      chrome.offscreen.createDocument.mockRejectedValueOnce(new Error('Only a single offscreen document may be created.'));
+      answerClipboard('again');
+
+      await expect(readClipboard()).resolves.toBe('again');
+    });
+
+    test('returns empty string when reading fails', async () => {
+      chrome.runtime.sendMessage.mockRejectedValueOnce(new Error('no receiver'));
+
+      await expect(readClipboard()).resolves.toBe('');
+      expect(chrome.offscreen.closeDocument).toHaveBeenCalled();
+    });
+
+    test('returns empty string without the offscreen API', async () => {
+      await expect(readClipboard({ runtime: chrome.runtime })).resolves.toBe('');
+    });
+  });
+
+  describe('readSelection', () => {
+    test('returns the trimmed selection from the tab', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: '  picked words ' }]);
+
+      await expect(readSelection(TAB)).resolves.toBe('picked words');
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith(
+        expect.objectContaining({ target: { tabId: 7 } })
+      );
+    });
+
+    test('returns empty string on pages that cannot be scripted', async () => {
+      chrome.scripting.executeScript.mockRejectedValueOnce(new Error('Cannot access a chrome:// URL'));
+
+      await expect(readSelection(TAB)).resolves.toBe('');
+    });
+
+    test('returns empty string without a tab', async () => {
+      await expect(readSelection(undefined)).resolves.toBe('');
+    });
+  });
+
+  describe('handleCommand', () => {
+    test('opens the clipboard contents in a new tab', async () => {
+      answerClipboard('  what is this error?  ');
+
+      await handleCommand(COMMANDS.askClipboard, TAB);
+
+      expect(getCreatedPrompt()).toBe('what is this error?');
+    });
+
+    test('ignores an empty clipboard', async () => {
+      answerClipboard('   ');
+
+      await handleCommand(COMMANDS.askClipboard, TAB);
+
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test('asks about the selection with the context menu template', async () => {
+      await chrome.storage.sync.set({ [CONTEXT_MENU_STORAGE_KEY]: { selection: 'Define: {{selection}} ({{title}})' } });
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: 'entropy' }]);
+
+      await handleCommand(COMMANDS.askSelection, TAB);
+
+      expect(getCreatedPrompt()).toBe('Define: entropy (An Article)');
+    });
+
+    test('ignores the selection command when nothing is selected', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: '' }]);
+
+      await handleCommand(COMMANDS.askSelection, TAB);
+
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test('focuses the most recent Gemini tab', async () => {
+      chrome.tabs.query.mockResolvedValueOnce([
+        { id: 3, windowId: 1, url: 'https://gemini.google.com/app/old', lastAccessed: 10 },
+        { id: 4, windowId: 2, url: 'https://gemini.google.com/app/new', lastAccessed: 20 },
+      ]);
+
+      await handleCommand(COMMANDS.focusGemini, TAB);
+
+      expect(chrome.tabs.update).toHaveBeenCalledWith(4, { active: true });
+      expect(chrome.windows.update).toHaveBeenCalledWith(2, { focused: true });
+    });
+
+    test('opens Gemini when no Gemini tab is open', async () => {
+      chrome.tabs.query.mockResolvedValueOnce([]);
+
+      await handleCommand(COMMANDS.focusGemini, TAB);
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://gemini.google.com/app', active: true });
+    });
+
+    test('ignores unknown commands', async () => {
+      await handleCommand('something-else', TAB);
+
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+      expect(chrome.tabs.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for background.js context menus
+ * Tests the "Ask Gemini" right-click entries using REAL exported functions
+ */
+
+import {
+  fillPlaceholders,
+  loadContextMenuTemplates,
+  getContextMenuKind,
+  buildContextMenuPrompt,
+  createContextMenus,
+  handleContextMenuClick,
+  CONTEXT_MENU_ITEMS,
+  CONTEXT_MENU_STORAGE_KEY,
+} from '../../background.js';
+import { URL_PARAM } from '../../config.js';
+import { STORAGE_KEYS, DEFAULTS } from '../../settings-schema.js';
+
+const TAB = { id: 1, url: 'https://example.com/article', title: 'An Article' };
+
+/**
+ * Returns the decoded prompt from the URL of the newly created tab
+ */
+function getCreatedPrompt() {
+  const [{ url }] = chrome.tabs.create.mock.calls[0];
+  return new URL(url).searchParams.get(URL_PARAM);
+}
+
+describe('Background Context Menus - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('fillPlaceholders', () => {
+    test('replaces known placeholders', () => {
+      expect(fillPlaceholders('{{title}} - {{url}}', { title: 'T', url: 'U' })).toBe('T - U');
+    });
+
+    test('replaces every occurrence', () => {
+      expect(fillPlaceholders('{{a}}{{a}}', { a: 'x' })).toBe('xx');
+    });
+
+    test('leaves unknown placeholders untouched', () => {
+      expect(fillPlaceholders('{{other}}', { title: 'T' })).toBe('{{other}}');
+    });
+  });
+
+  describe('getContextMenuKind', () => {
+    test('maps menu item ids to kinds', () => {
+      expect(getContextMenuKind(CONTEXT_MENU_ITEMS.selection.id)).toBe('selection');
+      expect(getContextMenuKind(CONTEXT_MENU_ITEMS.page.id)).toBe('page');
+      expect(getContextMenuKind(CONTEXT_MENU_ITEMS.link.id)).toBe('link');
+    });
+
+    test('returns null for foreign ids', () => {
+      expect(getContextMenuKind('someOtherExtensionItem')).toBeNull();
+    });
+  });
+
+  describe('loadContextMenuTemplates', () => {
+    test('returns defaults when nothing is stored', async () => {
+      const templates = await loadContextMenuTemplates();
+      expect(templates.selection).toBe(CONTEXT_MENU_ITEMS.selection.defaultTemplate);
+      expect(templates.page).toBe(CONTEXT_MENU_ITEMS.page.defaultTemplate);
+      expect(templates.link).toBe(CONTEXT_MENU_ITEMS.link.defaultTemplate);
+    });
+
+    test('takes its storage key and built-in prompts from the settings schema', async () => {
+      expect(CONTEXT_MENU_STORAGE_KEY).toBe(STORAGE_KEYS.contextMenuTemplates);
+      await expect(loadContextMenuTemplates()).resolves.toEqual(DEFAULTS.contextMenuTemplates);
+    });
+
+    test('uses stored templates and falls back for blank ones', async () => {
+      await chrome.storage.sync.set({
+        [CONTEXT_MENU_STORAGE_KEY]: { selection: 'Fix grammar: {{selection}}', page: '  ' },
+      });
+
+      const templates = await loadContextMenuTemplates();
+      expect(templates.selection).toBe('Fix grammar: {{selection}}');
+      expect(templates.page).toBe(CONTEXT_MENU_ITEMS.page.defaultTemplate);
+    });
+  });
+
+  describe('buildContextMenuPrompt', () => {
+    const templates = {
+      selection: 'Explain: {{selection}} (from {{title}})',
+      page: 'Summarize {{url}}',
+      link: 'What is {{link}}?',
+    };
+
+    test('fills the selection template', () => {
+      const prompt = buildContextMenuPrompt('selection', { selectionText: ' word ' }, TAB, templates);
+      expect(prompt).toBe('Explain: word (from An Article)');
+    });
+
+    test('prefers the page URL from the click data', () => {
+      const prompt = buildContextMenuPrompt('page', { pageUrl: 'https://frame.example' }, TAB, templates);
+      expect(prompt).toBe('Summarize https://frame.example');
+    });
+
+    test('falls back to the tab URL', () => {
+      expect(buildContextMenuPrompt('page', {}, TAB, templates)).toBe('Summarize https://example.com/article');
+    });
+
+    test('fills the link template', () => {
+      const prompt = buildContextMenuPrompt('link', { linkUrl: 'https://a.example' }, TAB, templates);
+      expect(prompt).toBe('What is https://a.example?');
+    });
+
+    test('returns empty string when there is no selection or link', () => {
+      expect(buildContextMenuPrompt('selection', { selectionText: '  ' }, TAB, templates)).toBe('');
+      expect(buildContextMenuPrompt('link', {}, TAB, templates)).toBe('');
+    });
+  });
+
+  describe('createContextMenus', () => {
+    test('recreates one entry per menu kind, plus "Send page"', () => {
+      createContextMenus();
+
+      expect(chrome.contextMenus.removeAll).toHaveBeenCalled();
+      expect(chrome.contextMenus.create).toHaveBeenCalledTimes(Object.keys(CONTEXT_MENU_ITEMS).length + 1);
+      expect(chrome.contextMenus.create).toHaveBeenCalledWith({
+        id: CONTEXT_MENU_ITEMS.selection.id,
+        title: CONTEXT_MENU_ITEMS.selection.title,
+        contexts: ['selection'],
+      });
+    });
+
+    test('does nothing without the context menus API', () => {
+      expect(() => createContextMenus({})).not.toThrow();
+    });
+  });
+
+  describe('handleContextMenuClick', () => {
+    test('opens the prompt in a new foreground tab', async () => {
+      await handleContextMenuClick(
+        { menuItemId: CONTEXT_MENU_ITEMS.selection.id, selectionText: 'entropy' },
+        TAB
+      );
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith(expect.objectContaining({ active: true }));
+      expect(getCreatedPrompt()).toBe('Explain the following:\n\nentropy');
+    });
+
+    test('uses the stored template', async () => {
+      await chrome.storage.sync.set({ [CONTEXT_MENU_STORAGE_KEY]: { link: 'Is {{link}} safe?' } });
+
+      await handleContextMenuClick({ menuItemId: CONTEXT_MENU_ITEMS.link.id, linkUrl: 'https://x.example' }, TAB);
+
+      expect(getCreatedPrompt()).toBe('Is https://x.example safe?');
+    });
+
+    test('ignores clicks on other menu items', async () => {
+      await handleContextMenuClick({ menuItemId: 'unknown' }, TAB);
+
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test('ignores selection clicks without text', async () => {
+      await handleContextMenuClick({ menuItemId: CONTEXT_MENU_ITEMS.selection.id, selectionText: '' }, TAB);
+
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+  });
+});
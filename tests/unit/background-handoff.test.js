@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for background.js long prompt handoff
+ * Tests storing long prompts in session storage using REAL exported functions
+ */
+
+import {
+  shouldHandoffPrompt,
+  storePromptHandoff,
+  buildLaunchUrl,
+  handleInputEntered,
+  GEMINI_BASE_URL,
+  HANDOFF_URL_PARAM,
+  HANDOFF_KEY_PREFIX,
+  HANDOFF_TTL_MS,
+} from '../../background.js';
+import { URL_PARAM } from '../../config.js';
+
+const LONG_PROMPT = 'Why does this fail?\n\n' + 'ERROR at line 42: something broke\n'.repeat(100);
+
+describe('Background Prompt Handoff - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('shouldHandoffPrompt', () => {
+    test('keeps short prompts in the URL', () => {
+      expect(shouldHandoffPrompt('explain quantum computing')).toBe(false);
+    });
+
+    test('hands off long prompts', () => {
+      expect(shouldHandoffPrompt(LONG_PROMPT)).toBe(true);
+    });
+  });
+
+  describe('storePromptHandoff', () => {
+    test('stores the prompt under a one-time token', async () => {
+      const token = await storePromptHandoff(LONG_PROMPT, chrome, 1000);
+
+      expect(token).toEqual(expect.any(String));
+      expect(chrome.storage.session._getData()[HANDOFF_KEY_PREFIX + token]).toEqual({
+        prompt: LONG_PROMPT,
+        expires: 1000 + HANDOFF_TTL_MS,
+      });
+    });
+
+    test('creates a different token each time', async () => {
+      const first = await storePromptHandoff('a', chrome);
+      const second = await storePromptHandoff('b', chrome);
+      expect(first).not.toBe(second);
+    });
+
+    test('drops expired handoffs and keeps other session data', async () => {
+      await chrome.storage.session.set({
+        [`${HANDOFF_KEY_PREFIX}old`]: { prompt: 'old', expires: 500 },
+        [`${HANDOFF_KEY_PREFIX}fresh`]: { prompt: 'fresh', expires: 5000 },
+        unrelated: true,
+      });
+
+      await storePromptHandoff('new', chrome, 1000);
+
+      const data = chrome.storage.session._getData();
+      expect(data[`${HANDOFF_KEY_PREFIX}old`]).toBeUndefined();
+      expect(data[`${HANDOFF_KEY_PREFIX}fresh`]).toBeDefined();
+      expect(data.unrelated).toBe(true);
+    });
+
+    test('returns null without session storage', async () => {
+      expect(await storePromptHandoff('a', { storage: {} })).toBeNull();
+    });
+  });
+
+  describe('buildLaunchUrl', () => {
+    test('uses the prompt parameter for short prompts', async () => {
+      const url = await buildLaunchUrl('hello', URL_PARAM);
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe('hello');
+      expect(chrome.storage.session.set).not.toHaveBeenCalled();
+    });
+
+    test('puts only the token in the URL for long prompts', async () => {
+      const url = new URL(await buildLaunchUrl(LONG_PROMPT, URL_PARAM, { model: 'pro' }));
+      const token = url.searchParams.get(HANDOFF_URL_PARAM);
+
+      expect(`${url.origin}${url.pathname}`).toBe(GEMINI_BASE_URL);
+      expect(url.searchParams.get(URL_PARAM)).toBeNull();
+      expect(url.searchParams.get('model')).toBe('pro');
+      expect(chrome.storage.session._getData()[HANDOFF_KEY_PREFIX + token].prompt).toBe(LONG_PROMPT);
+    });
+
+    test('falls back to the prompt parameter if storing fails', async () => {
+      chrome.storage.session.set.mockRejectedValueOnce(new Error('quota'));
+
+      const url = await buildLaunchUrl(LONG_PROMPT, URL_PARAM);
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe(LONG_PROMPT);
+    });
+  });
+
+  describe('handleInputEntered with a long prompt', () => {
+    test('navigates with a handoff token', async () => {
+      await handleInputEntered(LONG_PROMPT, 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(url).toContain(`${HANDOFF_URL_PARAM}=`);
+      expect(url).not.toContain('ERROR');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for background.js install and update handling
+ * Tests settings migration and the onboarding and changelog pages using REAL exported functions
+ */
+
+import {
+  handleInstalled,
+  migrateStoredSettings,
+  isUpdateNotesEnabled,
+  ONBOARDING_PAGE_PATH,
+  CHANGELOG_PAGE_PATH,
+  SHOW_UPDATE_NOTES_STORAGE_KEY,
+} from '../../background.js';
+import { SCHEMA_VERSION, VERSION_STORAGE_KEY, STORAGE_KEYS } from '../../settings-schema.js';
+
+describe('Background Install & Update - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('isUpdateNotesEnabled', () => {
+    test('defaults to on', async () => {
+      expect(await isUpdateNotesEnabled()).toBe(true);
+    });
+
+    test('respects the "don\'t show update notes" setting', async () => {
+      await chrome.storage.sync.set({ [SHOW_UPDATE_NOTES_STORAGE_KEY]: false });
+      expect(await isUpdateNotesEnabled()).toBe(false);
+    });
+  });
+
+  describe('migrateStoredSettings', () => {
+    test('upgrades stored settings to the current schema', async () => {
+      await chrome.storage.sync.set({ [STORAGE_KEYS.defaultModel]: 'fast' });
+
+      const summary = await migrateStoredSettings();
+
+      expect(summary.to).toBe(SCHEMA_VERSION);
+      expect(chrome.storage.sync._getData()[STORAGE_KEYS.defaultModel]).toBe('flash');
+    });
+
+    test('returns null when storage fails', async () => {
+      chrome.storage.sync.get.mockRejectedValueOnce(new Error('Storage error'));
+
+      expect(await migrateStoredSettings()).toBeNull();
+    });
+  });
+
+  describe('handleInstalled', () => {
+    test('migrates settings on install and update', async () => {
+      await handleInstalled({ reason: 'update', previousVersion: '0.9.0' });
+
+      expect(chrome.storage.sync._getData()[VERSION_STORAGE_KEY]).toBe(SCHEMA_VERSION);
+    });
+
+    test('leaves settings alone on browser updates', async () => {
+      await handleInstalled({ reason: 'chrome_update' });
+
+      expect(chrome.storage.sync._getData()).not.toHaveProperty(VERSION_STORAGE_KEY);
+    });
+
+    test('opens the onboarding page on first install', async () => {
+      const url = await handleInstalled({ reason: 'install' });
+
+      expect(url).toBe(`chrome-extension://better-gemini/${ONBOARDING_PAGE_PATH}`);
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url });
+    });
+
+    test('opens the changelog after an update, noting the previous version', async () => {
+      const url = await handleInstalled({ reason: 'update', previousVersion: '0.9.0' });
+
+      expect(url).toBe(`chrome-extension://better-gemini/${CHANGELOG_PAGE_PATH}?from=0.9.0`);
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url });
+    });
+
+    test('stays quiet when update notes are turned off', async () => {
+      await chrome.storage.sync.set({ [SHOW_UPDATE_NOTES_STORAGE_KEY]: false });
+
+      expect(await handleInstalled({ reason: 'update', previousVersion: '0.9.0' })).toBeNull();
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test('ignores reloads of the same version', async () => {
+      const { version } = chrome.runtime.getManifest();
+
+      expect(await handleInstalled({ reason: 'update', previousVersion: version })).toBeNull();
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test('ignores browser updates', async () => {
+      expect(await handleInstalled({ reason: 'chrome_update' })).toBeNull();
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test('always sets up the context menus', async () => {
+      await handleInstalled({ reason: 'chrome_update' });
+
+      expect(chrome.contextMenus.create).toHaveBeenCalled();
+    });
+  });
+});
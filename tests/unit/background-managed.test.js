@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for background.js managed policies
+ * Tests the shared prompt library and forced prefill-only mode using REAL exported functions
+ */
+
+import {
+  loadManagedPolicies,
+  isAutoSubmitEnabled,
+  loadPromptTemplates,
+  handleInputEntered,
+  launchPrompt,
+  TEMPLATES_STORAGE_KEY,
+  AUTO_SUBMIT_STORAGE_KEY,
+} from '../../background.js';
+import { NO_POLICIES } from '../../settings-schema.js';
+import { URL_PARAM } from '../../config.js';
+
+const LIBRARY = [{ alias: 'incident', template: 'Write an incident summary:\n\n{{input}}' }];
+
+/**
+ * Returns the search params of the URL the current tab was navigated to
+ */
+function getNavigatedParams() {
+  const [, { url }] = chrome.tabs.update.mock.calls[0];
+  return new URL(url).searchParams;
+}
+
+describe('Background Managed Policies - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('loadManagedPolicies', () => {
+    test('enforces nothing without policies', async () => {
+      await expect(loadManagedPolicies()).resolves.toEqual(NO_POLICIES);
+    });
+
+    test('enforces nothing without a managed storage area', async () => {
+      await expect(loadManagedPolicies({ storage: { sync: chrome.storage.sync } })).resolves.toEqual(NO_POLICIES);
+    });
+
+    test('enforces nothing when managed storage fails', async () => {
+      chrome.storage.managed.get.mockRejectedValueOnce(new Error('No schema'));
+      await expect(loadManagedPolicies()).resolves.toEqual(NO_POLICIES);
+    });
+
+    test('reads the policies', async () => {
+      chrome.storage.managed._setData({ prefillOnly: true, defaultModel: 'pro' });
+
+      const policies = await loadManagedPolicies();
+
+      expect(policies.prefillOnly).toBe(true);
+      expect(policies.defaultModel).toBe('pro');
+    });
+  });
+
+  describe('shared prompt library', () => {
+    test('is offered alongside the user\'s templates', async () => {
+      chrome.storage.managed._setData({ promptLibrary: LIBRARY });
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: [{ alias: 'tldr', template: 'Summarize:' }] });
+
+      await expect(loadPromptTemplates()).resolves.toEqual([...LIBRARY, { alias: 'tldr', template: 'Summarize:' }]);
+    });
+
+    test('wins over a user template with the same alias', async () => {
+      chrome.storage.managed._setData({ promptLibrary: LIBRARY });
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: [{ alias: 'incident', template: 'Mine' }] });
+
+      await expect(loadPromptTemplates()).resolves.toEqual(LIBRARY);
+    });
+
+    test('is still offered when the user\'s templates can\'t be read', async () => {
+      chrome.storage.managed._setData({ promptLibrary: LIBRARY });
+      chrome.storage.sync.get.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(loadPromptTemplates()).resolves.toEqual(LIBRARY);
+    });
+
+    test('expands from the omnibox', async () => {
+      chrome.storage.managed._setData({ promptLibrary: LIBRARY });
+
+      await handleInputEntered('/incident db failover at 09:00', 'currentTab');
+
+      expect(getNavigatedParams().get(URL_PARAM)).toBe('Write an incident summary:\n\ndb failover at 09:00');
+    });
+  });
+
+  describe('prefill-only policy', () => {
+    test('turns auto-submit off even if the user enabled it', async () => {
+      chrome.storage.managed._setData({ prefillOnly: true });
+      await chrome.storage.sync.set({ [AUTO_SUBMIT_STORAGE_KEY]: true });
+
+      await expect(isAutoSubmitEnabled()).resolves.toBe(false);
+    });
+
+    test('applies to omnibox launches', async () => {
+      chrome.storage.managed._setData({ prefillOnly: true });
+
+      await handleInputEntered('explain CRDTs', 'currentTab');
+
+      expect(getNavigatedParams().get('bg_submit')).toBe('0');
+    });
+
+    test('applies to every other entry point', async () => {
+      chrome.storage.managed._setData({ prefillOnly: true });
+
+      await launchPrompt('explain this selection', 'currentTab');
+
+      expect(getNavigatedParams().get('bg_submit')).toBe('0');
+    });
+
+    test('leaves launches alone when off', async () => {
+      await launchPrompt('explain this selection', 'currentTab');
+
+      expect(getNavigatedParams().get('bg_submit')).toBeNull();
+    });
+  });
+});
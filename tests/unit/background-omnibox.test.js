@@ -0,0 +1,588 @@
+/**
+ * Unit Tests for background.js omnibox syntax
+ * Tests prompt templates and omnibox suggestions using REAL exported functions
+ */
+
+import {
+  handleInputEntered,
+  loadPromptTemplates,
+  parseTemplateAlias,
+  expandPromptTemplate,
+  getTemplateSuggestions,
+  isHistoryEnabled,
+  loadHistory,
+  recordHistory,
+  fuzzyScore,
+  findHistoryMatches,
+  getOmniboxSuggestions,
+  parseLaunchModifiers,
+  appendLaunchParams,
+  buildGeminiUrl,
+  GEMINI_BASE_URL,
+  TEMPLATES_STORAGE_KEY,
+  HISTORY_STORAGE_KEY,
+  HISTORY_ENABLED_STORAGE_KEY,
+  HISTORY_MAX_ENTRIES,
+  AUTO_SUBMIT_STORAGE_KEY,
+  DEFAULT_ACCOUNT_STORAGE_KEY,
+  getGeminiAppUrl,
+  getAccountFromUrl,
+  getLaunchBaseUrl,
+  resolveGemLaunch,
+  getGemSuggestions,
+  GEMS_STORAGE_KEY,
+} from '../../background.js';
+import { URL_PARAM } from '../../config.js';
+
+const TEMPLATES = [
+  { alias: 'tldr', template: 'Summarize in three bullet points:' },
+  { alias: 'review', template: 'Review this code for bugs:\n\n{{input}}\n\nBe concise.' },
+  { alias: 'translate', template: 'Translate to French: {{input}}' },
+];
+
+const GEMS = [
+  { name: 'reviewer', id: 'a1b2c3' },
+  { name: 'planner', id: 'd4e5f6' },
+];
+
+/**
+ * Returns the decoded prompt from the URL the current tab was navigated to
+ */
+function getNavigatedPrompt() {
+  const [, { url }] = chrome.tabs.update.mock.calls[0];
+  return new URL(url).searchParams.get(URL_PARAM);
+}
+
+describe('Background Omnibox - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('parseTemplateAlias', () => {
+    test('splits alias and input', () => {
+      expect(parseTemplateAlias('/tldr some long article')).toEqual({
+        alias: 'tldr',
+        input: 'some long article',
+      });
+    });
+
+    test('lower-cases the alias', () => {
+      expect(parseTemplateAlias('/TLDR text').alias).toBe('tldr');
+    });
+
+    test('keeps multi-line input intact', () => {
+      expect(parseTemplateAlias('/review a\nb').input).toBe('a\nb');
+    });
+
+    test('returns empty input for a bare alias', () => {
+      expect(parseTemplateAlias('/tldr')).toEqual({ alias: 'tldr', input: '' });
+    });
+
+    test('returns null for text without a leading slash', () => {
+      expect(parseTemplateAlias('explain /tldr')).toBeNull();
+    });
+
+    test('returns null for a lone slash', () => {
+      expect(parseTemplateAlias('/')).toBeNull();
+    });
+  });
+
+  describe('expandPromptTemplate', () => {
+    test('appends input after templates without the {{input}} token', () => {
+      expect(expandPromptTemplate('/tldr my text', TEMPLATES))
+        .toBe('Summarize in three bullet points:\n\nmy text');
+    });
+
+    test('substitutes the {{input}} token', () => {
+      expect(expandPromptTemplate('/translate hello', TEMPLATES))
+        .toBe('Translate to French: hello');
+    });
+
+    test('keeps text around the {{input}} token', () => {
+      expect(expandPromptTemplate('/review x = 1', TEMPLATES))
+        .toBe('Review this code for bugs:\n\nx = 1\n\nBe concise.');
+    });
+
+    test('sends the template alone when no input is given', () => {
+      expect(expandPromptTemplate('/tldr', TEMPLATES)).toBe('Summarize in three bullet points:');
+    });
+
+    test('matches aliases case-insensitively', () => {
+      expect(expandPromptTemplate('/TlDr text', TEMPLATES))
+        .toBe('Summarize in three bullet points:\n\ntext');
+    });
+
+    test('leaves unknown aliases untouched', () => {
+      expect(expandPromptTemplate('/unknown text', TEMPLATES)).toBe('/unknown text');
+    });
+
+    test('leaves plain prompts untouched', () => {
+      expect(expandPromptTemplate('what is 2+2', TEMPLATES)).toBe('what is 2+2');
+    });
+  });
+
+  describe('getTemplateSuggestions', () => {
+    test('lists all templates for a bare slash', () => {
+      expect(getTemplateSuggestions('/', TEMPLATES)).toHaveLength(3);
+    });
+
+    test('filters templates by alias prefix', () => {
+      const suggestions = getTemplateSuggestions('/tr', TEMPLATES);
+      expect(suggestions).toHaveLength(1);
+      expect(suggestions[0].content).toBe('/translate ');
+    });
+
+    test('escapes the template preview for the omnibox XML', () => {
+      const [suggestion] = getTemplateSuggestions('/x', [{ alias: 'x', template: 'a < b & c' }]);
+      expect(suggestion.description).toContain('a &lt; b &amp; c');
+    });
+
+    test('stops suggesting once the user types past the alias', () => {
+      expect(getTemplateSuggestions('/tldr some text', TEMPLATES)).toEqual([]);
+    });
+
+    test('returns nothing for plain prompts', () => {
+      expect(getTemplateSuggestions('hello', TEMPLATES)).toEqual([]);
+    });
+  });
+
+  describe('loadPromptTemplates', () => {
+    test('returns stored templates', async () => {
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: TEMPLATES });
+      await expect(loadPromptTemplates()).resolves.toEqual(TEMPLATES);
+    });
+
+    test('returns an empty list when nothing is stored', async () => {
+      await expect(loadPromptTemplates()).resolves.toEqual([]);
+    });
+
+    test('drops malformed entries', async () => {
+      await chrome.storage.sync.set({
+        [TEMPLATES_STORAGE_KEY]: [null, { alias: 'a' }, { alias: 'ok', template: 'T' }],
+      });
+      await expect(loadPromptTemplates()).resolves.toEqual([{ alias: 'ok', template: 'T' }]);
+    });
+
+    test('returns an empty list when storage is unavailable', async () => {
+      await expect(loadPromptTemplates({ tabs: chrome.tabs })).resolves.toEqual([]);
+    });
+
+    test('returns an empty list when storage read fails', async () => {
+      chrome.storage.sync.get.mockRejectedValueOnce(new Error('boom'));
+      await expect(loadPromptTemplates()).resolves.toEqual([]);
+    });
+  });
+
+  describe('handleInputEntered with templates', () => {
+    test('expands the alias before building the URL', async () => {
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: TEMPLATES });
+
+      await handleInputEntered('/translate good morning', 'currentTab');
+
+      expect(getNavigatedPrompt()).toBe('Translate to French: good morning');
+    });
+
+    test('sends plain prompts unchanged', async () => {
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: TEMPLATES });
+
+      await handleInputEntered('plain question', 'currentTab');
+
+      expect(getNavigatedPrompt()).toBe('plain question');
+    });
+  });
+
+  describe('recordHistory', () => {
+    test('stores prompts newest first with a timestamp', async () => {
+      await recordHistory('first', chrome, 1);
+      await recordHistory('second', chrome, 2);
+
+      await expect(loadHistory()).resolves.toEqual([
+        { text: 'second', timestamp: 2 },
+        { text: 'first', timestamp: 1 },
+      ]);
+    });
+
+    test('moves a repeated prompt to the front instead of duplicating it', async () => {
+      await recordHistory('a', chrome, 1);
+      await recordHistory('b', chrome, 2);
+      await recordHistory('a', chrome, 3);
+
+      const history = await loadHistory();
+      expect(history.map(e => e.text)).toEqual(['a', 'b']);
+      expect(history[0].timestamp).toBe(3);
+    });
+
+    test('caps the number of stored prompts', async () => {
+      for (let i = 0; i < HISTORY_MAX_ENTRIES + 5; i++) {
+        await recordHistory(`prompt ${i}`, chrome, i);
+      }
+
+      const history = await loadHistory();
+      expect(history).toHaveLength(HISTORY_MAX_ENTRIES);
+      expect(history[0].text).toBe(`prompt ${HISTORY_MAX_ENTRIES + 4}`);
+    });
+
+    test('records nothing when the user opted out', async () => {
+      await chrome.storage.sync.set({ [HISTORY_ENABLED_STORAGE_KEY]: false });
+
+      await recordHistory('secret');
+
+      expect(chrome.storage.local._getData()[HISTORY_STORAGE_KEY]).toBeUndefined();
+    });
+
+    test('is enabled unless explicitly turned off', async () => {
+      await expect(isHistoryEnabled()).resolves.toBe(true);
+    });
+  });
+
+  describe('fuzzyScore / findHistoryMatches', () => {
+    test('ranks substring matches above scattered matches', () => {
+      expect(fuzzyScore('kube', 'explain kubernetes')).toBeGreaterThan(fuzzyScore('kube', 'k u b e'));
+    });
+
+    test('matches characters in order with gaps', () => {
+      expect(fuzzyScore('qc', 'quantum computing')).not.toBeNull();
+    });
+
+    test('rejects out-of-order characters', () => {
+      expect(fuzzyScore('cq', 'quantum')).toBeNull();
+    });
+
+    test('is case-insensitive', () => {
+      expect(fuzzyScore('RUST', 'learn rust')).not.toBeNull();
+    });
+
+    test('returns best matches first and excludes the exact input', () => {
+      const history = [
+        { text: 'react hooks', timestamp: 3 },
+        { text: 'rest api design', timestamp: 2 },
+        { text: 'react', timestamp: 1 },
+      ];
+      expect(findHistoryMatches('react', history).map(e => e.text)).toEqual(['react hooks']);
+    });
+
+    test('respects the limit', () => {
+      const history = Array.from({ length: 10 }, (_, i) => ({ text: `go ${i}`, timestamp: i }));
+      expect(findHistoryMatches('go', history, 3)).toHaveLength(3);
+    });
+  });
+
+  describe('getOmniboxSuggestions', () => {
+    test('returns nothing for empty input', async () => {
+      await expect(getOmniboxSuggestions('   ')).resolves.toEqual([]);
+    });
+
+    test('puts the "Ask Gemini" suggestion first, then history matches', async () => {
+      await recordHistory('explain kubernetes pods', chrome, 1);
+
+      const suggestions = await getOmniboxSuggestions('kube');
+
+      expect(suggestions[0]).toEqual({ content: 'kube', description: 'Ask Gemini: "kube"' });
+      expect(suggestions[1].content).toBe('explain kubernetes pods');
+      expect(suggestions[1].description).toContain('History:');
+    });
+
+    test('hides history when the user opted out', async () => {
+      await recordHistory('explain kubernetes pods', chrome, 1);
+      await chrome.storage.sync.set({ [HISTORY_ENABLED_STORAGE_KEY]: false });
+
+      await expect(getOmniboxSuggestions('kube')).resolves.toHaveLength(1);
+    });
+
+    test('shows template aliases while typing a slash command', async () => {
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: TEMPLATES });
+
+      const suggestions = await getOmniboxSuggestions('/re');
+
+      expect(suggestions.map(s => s.content)).toEqual(['/review ']);
+    });
+  });
+
+  describe('handleInputEntered history', () => {
+    test('records the text as typed, before template expansion', async () => {
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: TEMPLATES });
+
+      await handleInputEntered('/tldr article', 'currentTab');
+
+      const [entry] = await loadHistory();
+      expect(entry.text).toBe('/tldr article');
+    });
+  });
+
+  describe('parseLaunchModifiers', () => {
+    test('strips leading model and effort tokens', () => {
+      expect(parseLaunchModifiers('@pro !extended explain CRDTs')).toEqual({
+        text: 'explain CRDTs',
+        model: 'pro',
+        effort: 'extended',
+      });
+    });
+
+    test('accepts the tokens in either order', () => {
+      expect(parseLaunchModifiers('!standard @flash-lite hi')).toEqual({
+        text: 'hi',
+        model: 'flash-lite',
+        effort: 'standard',
+      });
+    });
+
+    test('is case-insensitive', () => {
+      expect(parseLaunchModifiers('@PRO hi').model).toBe('pro');
+    });
+
+    test('leaves tokens later in the prompt alone', () => {
+      expect(parseLaunchModifiers('email me @pro')).toEqual({ text: 'email me @pro' });
+    });
+
+    test('stops at an unknown modifier', () => {
+      expect(parseLaunchModifiers('@someone !extended hi')).toEqual({ text: '@someone !extended hi' });
+    });
+
+    test('only takes the first model token', () => {
+      expect(parseLaunchModifiers('@pro @flash hi')).toEqual({ text: '@flash hi', model: 'pro' });
+    });
+
+    test('allows modifiers without a prompt', () => {
+      expect(parseLaunchModifiers('@thinking')).toEqual({ text: '', model: 'thinking' });
+    });
+  });
+
+  describe('buildGeminiUrl with launch options', () => {
+    test('appends model and effort params', () => {
+      const url = new URL(buildGeminiUrl('hi', URL_PARAM, { model: 'pro', effort: 'extended' }));
+      expect(url.searchParams.get(URL_PARAM)).toBe('hi');
+      expect(url.searchParams.get('model')).toBe('pro');
+      expect(url.searchParams.get('effort')).toBe('extended');
+    });
+
+    test('appendLaunchParams starts a query string when needed', () => {
+      expect(appendLaunchParams(GEMINI_BASE_URL, { model: 'flash' })).toBe(`${GEMINI_BASE_URL}?model=flash`);
+    });
+
+    test('appendLaunchParams leaves the URL alone without options', () => {
+      expect(appendLaunchParams(GEMINI_BASE_URL)).toBe(GEMINI_BASE_URL);
+    });
+  });
+
+  describe('handleInputEntered with launch modifiers', () => {
+    test('passes modifiers in the URL and strips them from the prompt', async () => {
+      await handleInputEntered('@pro !extended explain CRDTs', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      const parsed = new URL(url);
+      expect(parsed.searchParams.get(URL_PARAM)).toBe('explain CRDTs');
+      expect(parsed.searchParams.get('model')).toBe('pro');
+      expect(parsed.searchParams.get('effort')).toBe('extended');
+    });
+
+    test('opens a new chat on the requested model when there is no prompt', async () => {
+      await handleInputEntered('@pro', 'currentTab');
+
+      expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: `${GEMINI_BASE_URL}?model=pro` });
+    });
+
+    test('expands templates after the modifiers', async () => {
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: TEMPLATES });
+
+      await handleInputEntered('@pro /translate hello', 'currentTab');
+
+      expect(getNavigatedPrompt()).toBe('Translate to French: hello');
+    });
+
+    test('describes the modifiers in the suggestion', async () => {
+      const [suggestion] = await getOmniboxSuggestions('@pro explain');
+      expect(suggestion.description).toBe('Ask Gemini <dim>(pro)</dim>: "explain"');
+    });
+  });
+
+  describe('prefill-only launches', () => {
+    test('parses a leading "?" token', () => {
+      expect(parseLaunchModifiers('? @pro draft a reply')).toEqual({
+        text: 'draft a reply',
+        model: 'pro',
+        submit: false,
+      });
+    });
+
+    test('leaves a "?" later in the prompt alone', () => {
+      expect(parseLaunchModifiers('what is this ?')).toEqual({ text: 'what is this ?' });
+    });
+
+    test('adds bg_submit=0 to the URL', async () => {
+      await handleInputEntered('? draft a reply', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      const parsed = new URL(url);
+      expect(parsed.searchParams.get(URL_PARAM)).toBe('draft a reply');
+      expect(parsed.searchParams.get('bg_submit')).toBe('0');
+    });
+
+    test('submits by default', async () => {
+      await handleInputEntered('draft a reply', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(new URL(url).searchParams.get('bg_submit')).toBeNull();
+    });
+
+    test('follows the global auto-submit setting', async () => {
+      await chrome.storage.sync.set({ [AUTO_SUBMIT_STORAGE_KEY]: false });
+
+      await handleInputEntered('draft a reply', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(new URL(url).searchParams.get('bg_submit')).toBe('0');
+    });
+
+    test('describes prefill-only launches in the suggestion', async () => {
+      const [suggestion] = await getOmniboxSuggestions('? draft');
+      expect(suggestion.description).toBe('Ask Gemini <dim>(prefill only)</dim>: "draft"');
+    });
+  });
+
+  describe('account routing', () => {
+    test('builds account-specific app URLs', () => {
+      expect(getGeminiAppUrl()).toBe(GEMINI_BASE_URL);
+      expect(getGeminiAppUrl(null)).toBe(GEMINI_BASE_URL);
+      expect(getGeminiAppUrl(0)).toBe('https://gemini.google.com/u/0/app');
+      expect(getGeminiAppUrl(2)).toBe('https://gemini.google.com/u/2/app');
+    });
+
+    test('reads the account from a URL', () => {
+      expect(getAccountFromUrl('https://gemini.google.com/u/1/app/abc')).toBe(1);
+      expect(getAccountFromUrl('https://gemini.google.com/app')).toBeNull();
+      expect(getAccountFromUrl('garbage')).toBeNull();
+    });
+
+    test('parses a leading "~N" token', () => {
+      expect(parseLaunchModifiers('~1 @pro plan my week')).toEqual({
+        text: 'plan my week',
+        account: 1,
+        model: 'pro',
+      });
+    });
+
+    test('leaves other tildes alone', () => {
+      expect(parseLaunchModifiers('~about 5 minutes')).toEqual({ text: '~about 5 minutes' });
+    });
+
+    test('routes "~N" launches to the account path', async () => {
+      await handleInputEntered('~1 plan my week', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      const parsed = new URL(url);
+      expect(parsed.pathname).toBe('/u/1/app');
+      expect(parsed.searchParams.get(URL_PARAM)).toBe('plan my week');
+    });
+
+    test('uses the default account setting', async () => {
+      await chrome.storage.sync.set({ [DEFAULT_ACCOUNT_STORAGE_KEY]: 2 });
+
+      await handleInputEntered('plan my week', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(new URL(url).pathname).toBe('/u/2/app');
+    });
+
+    test('"~N" overrides the default account', async () => {
+      await chrome.storage.sync.set({ [DEFAULT_ACCOUNT_STORAGE_KEY]: 2 });
+
+      await handleInputEntered('~0 plan my week', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(new URL(url).pathname).toBe('/u/0/app');
+    });
+
+    test('opens the default account home page for empty input', async () => {
+      await chrome.storage.sync.set({ [DEFAULT_ACCOUNT_STORAGE_KEY]: 1 });
+
+      await handleInputEntered('  ', 'currentTab');
+
+      expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: 'https://gemini.google.com/u/1/app' });
+    });
+
+    test('describes the account in the suggestion', async () => {
+      const [suggestion] = await getOmniboxSuggestions('~1 plan');
+      expect(suggestion.description).toBe('Ask Gemini <dim>(account 1)</dim>: "plan"');
+    });
+  });
+
+  describe('saved Gems', () => {
+    test('builds Gem URLs, keeping the account prefix', () => {
+      expect(getLaunchBaseUrl({ gem: 'a1b2c3' })).toBe('https://gemini.google.com/gem/a1b2c3');
+      expect(getLaunchBaseUrl({ gem: 'a1b2c3', account: 1 })).toBe('https://gemini.google.com/u/1/gem/a1b2c3');
+      expect(getLaunchBaseUrl({ account: 1 })).toBe('https://gemini.google.com/u/1/app');
+    });
+
+    test('resolves a leading "#name" to the saved Gem', () => {
+      expect(resolveGemLaunch('#Reviewer check this', GEMS)).toEqual({ gem: GEMS[0], text: 'check this' });
+      expect(resolveGemLaunch('#planner', GEMS)).toEqual({ gem: GEMS[1], text: '' });
+    });
+
+    test('leaves unknown names and mid-prompt hashes alone', () => {
+      expect(resolveGemLaunch('#1 priority today', GEMS)).toBeNull();
+      expect(resolveGemLaunch('fix issue #reviewer', GEMS)).toBeNull();
+    });
+
+    test('suggests Gems by prefix', () => {
+      expect(getGemSuggestions('#re', GEMS).map(s => s.content)).toEqual(['#reviewer ']);
+      expect(getGemSuggestions('#', GEMS)).toHaveLength(2);
+      expect(getGemSuggestions('#reviewer go', GEMS)).toEqual([]);
+    });
+
+    test('opens the Gem with the prompt', async () => {
+      await chrome.storage.sync.set({ [GEMS_STORAGE_KEY]: GEMS });
+
+      await handleInputEntered('#reviewer check this', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      const parsed = new URL(url);
+      expect(parsed.pathname).toBe('/gem/a1b2c3');
+      expect(parsed.searchParams.get(URL_PARAM)).toBe('check this');
+    });
+
+    test('combines with "~N" and templates', async () => {
+      await chrome.storage.sync.set({ [GEMS_STORAGE_KEY]: GEMS, [TEMPLATES_STORAGE_KEY]: TEMPLATES });
+
+      await handleInputEntered('~1 #reviewer /translate hello', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      const parsed = new URL(url);
+      expect(parsed.pathname).toBe('/u/1/gem/a1b2c3');
+      expect(parsed.searchParams.get(URL_PARAM)).toBe('Translate to French: hello');
+    });
+
+    test('opens the Gem without a prompt for a bare "#name"', async () => {
+      await chrome.storage.sync.set({ [GEMS_STORAGE_KEY]: GEMS });
+
+      await handleInputEntered('#planner', 'currentTab');
+
+      expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: 'https://gemini.google.com/gem/d4e5f6' });
+    });
+
+    test('sends unknown "#name" prompts to a plain chat', async () => {
+      await chrome.storage.sync.set({ [GEMS_STORAGE_KEY]: GEMS });
+
+      await handleInputEntered('#1 priority', 'currentTab');
+
+      expect(getNavigatedPrompt()).toBe('#1 priority');
+    });
+
+    test('suggests Gem names after modifiers', async () => {
+      await chrome.storage.sync.set({ [GEMS_STORAGE_KEY]: GEMS });
+
+      const suggestions = await getOmniboxSuggestions('@pro #pl');
+
+      expect(suggestions).toEqual([
+        { content: '@pro #planner ', description: '<match>#planner</match> <dim>Gem</dim>' },
+      ]);
+    });
+
+    test('describes the Gem in the "Ask" suggestion', async () => {
+      await chrome.storage.sync.set({ [GEMS_STORAGE_KEY]: GEMS });
+
+      const [suggestion] = await getOmniboxSuggestions('#reviewer check this');
+
+      expect(suggestion.description).toBe('Ask Gem <match>#reviewer</match>: "check this"');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit Tests for background.js "Send page to Gemini"
+ * Tests readable text extraction and the page prompt using REAL exported functions
+ */
+
+import {
+  handleInputEntered,
+  handleContextMenuClick,
+  parseLaunchModifiers,
+  extractReadableText,
+  truncateText,
+  extractPageContent,
+  buildPagePrompt,
+  sendPageToGemini,
+  SEND_PAGE_MENU_ITEM,
+  PAGE_CONTEXT_MAX_CHARS,
+  HANDOFF_URL_PARAM,
+} from '../../background.js';
+import { URL_PARAM } from '../../config.js';
+
+const TAB = { id: 7, url: 'https://example.com/article', title: 'An Article' };
+const PAGE = { title: 'An Article', url: 'https://example.com/article', text: 'First paragraph.\n\nSecond paragraph.' };
+
+const ARTICLE_HTML = `
+  <header><nav><a href="/">Home</a> <a href="/about">About</a></nav></header>
+  <div class="layout">
+    <aside class="sidebar"><p>Subscribe to our newsletter, it is great, really, you will love it.</p></aside>
+    <div class="content">
+      <h1>How tides work</h1>
+      <p>Tides are caused by the gravitational pull of the moon, and to a lesser extent, the sun.</p>
+      <p>The water on the side facing the moon bulges outward, while inertia creates a second bulge.</p>
+      <pre>high   06:12
+low    12:25</pre>
+      <script>track();</script>
+    </div>
+  </div>
+  <footer><p>Copyright 2026, Example Corp, all rights reserved worldwide.</p></footer>
+`;
+
+describe('Background Send Page - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+    document.title = 'Tides';
+    document.body.innerHTML = '';
+  });
+
+  describe('extractReadableText', () => {
+    test('keeps the main content and drops page chrome', () => {
+      document.body.innerHTML = ARTICLE_HTML;
+
+      const { title, text } = extractReadableText();
+
+      expect(title).toBe('Tides');
+      expect(text).toContain('How tides work');
+      expect(text).toContain('Tides are caused by the gravitational pull of the moon');
+      expect(text).not.toContain('Home');
+      expect(text).not.toContain('newsletter');
+      expect(text).not.toContain('Copyright');
+      expect(text).not.toContain('track()');
+    });
+
+    test('separates blocks and keeps preformatted whitespace', () => {
+      document.body.innerHTML = ARTICLE_HTML;
+
+      const { text } = extractReadableText();
+
+      expect(text).toContain('the sun.\n\nThe water');
+      expect(text).toContain('high   06:12\nlow    12:25');
+    });
+
+    test('prefers an enclosing article', () => {
+      document.body.innerHTML = `
+        <article>
+          <h1>Title inside article</h1>
+          <div><p>Body text that is long enough to be scored, with a comma or two, here.</p></div>
+        </article>
+        <div><p>Unrelated text</p></div>
+      `;
+
+      const { text } = extractReadableText();
+
+      expect(text).toContain('Title inside article');
+      expect(text).not.toContain('Unrelated');
+    });
+
+    test('falls back to the whole body for pages without paragraphs', () => {
+      document.body.innerHTML = '<div>Just <b>some</b> text</div>';
+
+      expect(extractReadableText().text).toBe('Just some text');
+    });
+  });
+
+  describe('truncateText', () => {
+    test('leaves short text alone', () => {
+      expect(truncateText('short', 100)).toEqual({ text: 'short', truncated: false });
+    });
+
+    test('cuts at a paragraph boundary near the budget', () => {
+      const text = `${'a'.repeat(90)}\n\n${'b'.repeat(50)}`;
+      expect(truncateText(text, 100)).toEqual({ text: 'a'.repeat(90), truncated: true });
+    });
+
+    test('cuts at a word boundary when there is no paragraph nearby', () => {
+      const text = `${'word '.repeat(30)}`;
+      const result = truncateText(text, 100);
+      expect(result.truncated).toBe(true);
+      expect(result.text.length).toBeLessThanOrEqual(100);
+      expect(result.text.endsWith('word')).toBe(true);
+    });
+  });
+
+  describe('buildPagePrompt', () => {
+    test('puts the page first and the question last', () => {
+      expect(buildPagePrompt(PAGE, 'What is the gist?')).toBe(
+        'Page: An Article\nURL: https://example.com/article\n\n"""\nFirst paragraph.\n\nSecond paragraph.\n"""\n\nWhat is the gist?'
+      );
+    });
+
+    test('notes when the page was shortened', () => {
+      const prompt = buildPagePrompt({ ...PAGE, text: 'x '.repeat(PAGE_CONTEXT_MAX_CHARS) }, 'q');
+      expect(prompt).toContain('(Page content was shortened to fit.)');
+      expect(prompt.length).toBeLessThan(PAGE_CONTEXT_MAX_CHARS + 200);
+    });
+
+    test('sends just the title and URL when there is no text', () => {
+      expect(buildPagePrompt({ ...PAGE, text: '' }, '')).toBe('Page: An Article\nURL: https://example.com/article');
+    });
+  });
+
+  describe('extractPageContent', () => {
+    test('runs the extractor in the tab', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: PAGE }]);
+
+      await expect(extractPageContent(TAB)).resolves.toEqual(PAGE);
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith({ target: { tabId: 7 }, func: extractReadableText });
+    });
+
+    test('returns null for pages that cannot be scripted', async () => {
+      chrome.scripting.executeScript.mockRejectedValueOnce(new Error('Cannot access a chrome:// URL'));
+
+      await expect(extractPageContent(TAB)).resolves.toBeNull();
+    });
+  });
+
+  describe('sendPageToGemini', () => {
+    test('sends the page with the question', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: PAGE }]);
+
+      await sendPageToGemini('Summarize', TAB, 'newForegroundTab');
+
+      const [{ url }] = chrome.tabs.create.mock.calls[0];
+      const params = new URL(url).searchParams;
+      expect(params.get(URL_PARAM)).toBe(buildPagePrompt(PAGE, 'Summarize'));
+      expect(params.get('bg_submit')).toBeNull();
+    });
+
+    test('only prefills when there is no question', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: PAGE }]);
+
+      await sendPageToGemini('', TAB, 'newForegroundTab');
+
+      const [{ url }] = chrome.tabs.create.mock.calls[0];
+      expect(new URL(url).searchParams.get('bg_submit')).toBe('0');
+    });
+
+    test('hands large pages off through session storage instead of the URL', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: { ...PAGE, text: 'lorem ipsum '.repeat(2000) } }]);
+
+      await sendPageToGemini('Summarize', TAB, 'newForegroundTab');
+
+      const [{ url }] = chrome.tabs.create.mock.calls[0];
+      const params = new URL(url).searchParams;
+      expect(params.get(URL_PARAM)).toBeNull();
+      expect(params.get(HANDOFF_URL_PARAM)).toBeTruthy();
+      expect(url.length).toBeLessThan(200);
+    });
+
+    test('falls back to the title and URL when the page cannot be read', async () => {
+      chrome.scripting.executeScript.mockRejectedValueOnce(new Error('nope'));
+
+      await sendPageToGemini('Summarize', TAB, 'newForegroundTab');
+
+      const [{ url }] = chrome.tabs.create.mock.calls[0];
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe(
+        'Page: An Article\nURL: https://example.com/article\n\nSummarize'
+      );
+    });
+  });
+
+  describe('entry points', () => {
+    test('parses "!page" as a launch modifier', () => {
+      expect(parseLaunchModifiers('@pro !page key points?')).toEqual({ text: 'key points?', model: 'pro', page: true });
+    });
+
+    test('"gem !page <question>" sends the active tab', async () => {
+      chrome.tabs.query.mockResolvedValueOnce([TAB]);
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: PAGE }]);
+
+      await handleInputEntered('!page What is the gist?', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe(buildPagePrompt(PAGE, 'What is the gist?'));
+    });
+
+    test('the context menu entry sends the clicked page', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: PAGE }]);
+
+      await handleContextMenuClick({ menuItemId: SEND_PAGE_MENU_ITEM.id, pageUrl: TAB.url }, TAB);
+
+      const [{ url }] = chrome.tabs.create.mock.calls[0];
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe(buildPagePrompt(PAGE, ''));
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for background.js prompt placeholders
+ * Tests {{clipboard}}, {{selection}}, {{url}}, {{title}} and {{date}} using REAL exported functions
+ */
+
+import {
+  handleInputEntered,
+  handleContextMenuClick,
+  getUsedPlaceholders,
+  formatDate,
+  getActiveTab,
+  resolvePlaceholderValues,
+  resolvePromptPlaceholders,
+  CONTEXT_MENU_ITEMS,
+  CONTEXT_MENU_STORAGE_KEY,
+  TEMPLATES_STORAGE_KEY,
+} from '../../background.js';
+import { createResponse } from '../../messaging.js';
+import { URL_PARAM } from '../../config.js';
+
+const TAB = { id: 7, url: 'https://example.com/article', title: 'An Article' };
+const NOW = new Date(2026, 0, 5, 12, 0, 0);
+
+/**
+ * Makes the offscreen document answer the next clipboard read with this text
+ */
+function answerClipboard(text) {
+  chrome.runtime.sendMessage.mockImplementationOnce(async message => createResponse(message, { text }));
+}
+
+describe('Background Prompt Placeholders - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('getUsedPlaceholders / formatDate', () => {
+    test('lists only known page placeholders', () => {
+      expect(getUsedPlaceholders('{{title}} {{input}} {{url}} {{nope}}')).toEqual(['url', 'title']);
+      expect(getUsedPlaceholders('plain')).toEqual([]);
+    });
+
+    test('formats dates as YYYY-MM-DD', () => {
+      expect(formatDate(NOW)).toBe('2026-01-05');
+    });
+  });
+
+  describe('getActiveTab', () => {
+    test('returns the active tab of the focused window', async () => {
+      chrome.tabs.query.mockResolvedValueOnce([TAB]);
+
+      await expect(getActiveTab()).resolves.toBe(TAB);
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ active: true, lastFocusedWindow: true });
+    });
+
+    test('returns null when the query fails', async () => {
+      chrome.tabs.query.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(getActiveTab()).resolves.toBeNull();
+    });
+  });
+
+  describe('resolvePlaceholderValues', () => {
+    test('reads the tab, date, selection and clipboard', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: 'picked' }]);
+      answerClipboard(' copied ');
+
+      const values = await resolvePlaceholderValues('{{url}} {{title}} {{date}} {{selection}} {{clipboard}}', TAB, chrome, [], NOW);
+
+      expect(values).toEqual({
+        url: TAB.url,
+        title: TAB.title,
+        date: '2026-01-05',
+        selection: 'picked',
+        clipboard: 'copied',
+      });
+    });
+
+    test('only reads the clipboard and selection when used', async () => {
+      await resolvePlaceholderValues('{{url}}', TAB);
+
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+      expect(chrome.offscreen.createDocument).not.toHaveBeenCalled();
+    });
+
+    test('skips placeholders the caller fills in', async () => {
+      const values = await resolvePlaceholderValues('{{selection}} {{url}}', TAB, chrome, ['selection']);
+
+      expect(values).toEqual({ url: TAB.url });
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+
+    test('uses empty values without a tab', async () => {
+      await expect(resolvePlaceholderValues('{{url}}{{title}}', null)).resolves.toEqual({ url: '', title: '' });
+    });
+  });
+
+  describe('resolvePromptPlaceholders', () => {
+    test('does not expand placeholders inside page text', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: 'see {{clipboard}}' }]);
+
+      await expect(resolvePromptPlaceholders('translate {{selection}}', TAB)).resolves.toBe('translate see {{clipboard}}');
+      expect(chrome.offscreen.createDocument).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('entry points', () => {
+    test('omnibox prompts are filled from the active tab', async () => {
+      chrome.tabs.query.mockResolvedValueOnce([TAB]);
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: 'bonjour' }]);
+
+      await handleInputEntered('translate {{selection}} from {{title}}', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe('translate bonjour from An Article');
+    });
+
+    test('omnibox templates can use placeholders', async () => {
+      await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: [{ alias: 'cite', template: '{{input}} (source: {{url}})' }] });
+      chrome.tabs.query.mockResolvedValueOnce([TAB]);
+
+      await handleInputEntered('/cite quote', 'currentTab');
+
+      const [, { url }] = chrome.tabs.update.mock.calls[0];
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe('quote (source: https://example.com/article)');
+    });
+
+    test('plain omnibox prompts do not look up the tab', async () => {
+      await handleInputEntered('plain question', 'currentTab');
+
+      expect(chrome.tabs.query).not.toHaveBeenCalledWith({ active: true, lastFocusedWindow: true });
+    });
+
+    test('context menu templates can use {{clipboard}} alongside the selection', async () => {
+      await chrome.storage.sync.set({ [CONTEXT_MENU_STORAGE_KEY]: { selection: 'Compare {{selection}} with {{clipboard}}' } });
+      answerClipboard('beta');
+
+      await handleContextMenuClick({ menuItemId: CONTEXT_MENU_ITEMS.selection.id, selectionText: 'alpha' }, TAB);
+
+      const [{ url }] = chrome.tabs.create.mock.calls[0];
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe('Compare alpha with beta');
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+  });
+});
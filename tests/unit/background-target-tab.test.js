@@ -0,0 +1,297 @@
+/**
+ * Unit Tests for background.js target tab preference
+ * Tests reusing an open Gemini tab using REAL exported functions
+ */
+
+import {
+  loadLaunchPreferences,
+  resolveDisposition,
+  findRecentGeminiTab,
+  isNewChatUrl,
+  sendTabMessage,
+  waitForTabLoad,
+  launchInGeminiTab,
+  launchPrompt,
+  GEMINI_BASE_URL,
+  TARGET_TAB_STORAGE_KEY,
+  GEMINI_TAB_CHAT_STORAGE_KEY,
+  DEFAULT_ACCOUNT_STORAGE_KEY,
+} from '../../background.js';
+import { URL_PARAM } from '../../config.js';
+import { createResponse, createErrorResponse, MESSAGE_TYPES, ERROR_CODES } from '../../messaging.js';
+
+const CHAT_TAB = { id: 7, url: 'https://gemini.google.com/app/abc123', windowId: 2, lastAccessed: 200 };
+const NEW_CHAT_TAB = { id: 8, url: 'https://gemini.google.com/app', windowId: 1, lastAccessed: 300 };
+const OTHER_TAB = { id: 1, url: 'https://example.com', active: true, windowId: 1, lastAccessed: 400 };
+
+/**
+ * Makes the tab's content script answer like injector.js does
+ */
+function answerMessages({ alive = true, success = true } = {}) {
+  chrome.tabs.sendMessage.mockImplementation(async (tabId, message) => {
+    if (message.type === MESSAGE_TYPES.PING) {
+      if (!alive) throw new Error('Receiving end does not exist.');
+      return createResponse(message, { status: 'alive' });
+    }
+    if (message.type === MESSAGE_TYPES.INJECT_PROMPT) {
+      return createResponse(message, { success });
+    }
+    return undefined;
+  });
+}
+
+/**
+ * Returns the types of messages sent to tabs
+ */
+function sentTypes() {
+  return chrome.tabs.sendMessage.mock.calls.map(([, message]) => message.type);
+}
+
+describe('Background Target Tab - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('loadLaunchPreferences', () => {
+    test('defaults to the current tab and a new chat', async () => {
+      expect(await loadLaunchPreferences()).toEqual({ targetTab: 'currentTab', geminiTabChat: 'new', defaultAccount: null });
+    });
+
+    test('reads stored preferences', async () => {
+      await chrome.storage.sync.set({
+        [TARGET_TAB_STORAGE_KEY]: 'geminiTab',
+        [GEMINI_TAB_CHAT_STORAGE_KEY]: 'current',
+        [DEFAULT_ACCOUNT_STORAGE_KEY]: 1,
+      });
+      expect(await loadLaunchPreferences()).toEqual({ targetTab: 'geminiTab', geminiTabChat: 'current', defaultAccount: 1 });
+    });
+
+    test('ignores unknown values', async () => {
+      await chrome.storage.sync.set({ [TARGET_TAB_STORAGE_KEY]: 'sideways' });
+      expect((await loadLaunchPreferences()).targetTab).toBe('currentTab');
+    });
+  });
+
+  describe('resolveDisposition', () => {
+    test('opens plain Enter in a new tab with the newTab preference', () => {
+      expect(resolveDisposition('currentTab', 'newTab')).toBe('newForegroundTab');
+    });
+
+    test('keeps explicit dispositions', () => {
+      expect(resolveDisposition('newBackgroundTab', 'newTab')).toBe('newBackgroundTab');
+      expect(resolveDisposition('currentTab', 'currentTab')).toBe('currentTab');
+    });
+  });
+
+  describe('isNewChatUrl', () => {
+    test('recognizes a fresh chat', () => {
+      expect(isNewChatUrl('https://gemini.google.com/app')).toBe(true);
+      expect(isNewChatUrl('https://gemini.google.com/app/?hl=en')).toBe(true);
+      expect(isNewChatUrl('https://gemini.google.com/u/1/app')).toBe(true);
+    });
+
+    test('rejects conversations and junk', () => {
+      expect(isNewChatUrl(CHAT_TAB.url)).toBe(false);
+      expect(isNewChatUrl('not a url')).toBe(false);
+    });
+  });
+
+  describe('findRecentGeminiTab', () => {
+    test('picks the most recently accessed Gemini tab', async () => {
+      chrome.tabs._setTabs([OTHER_TAB, CHAT_TAB, NEW_CHAT_TAB]);
+      expect((await findRecentGeminiTab()).id).toBe(NEW_CHAT_TAB.id);
+    });
+
+    test('returns null when no Gemini tab is open', async () => {
+      expect(await findRecentGeminiTab()).toBeNull();
+    });
+
+    test('only considers tabs on the requested account', async () => {
+      const workTab = { id: 9, url: 'https://gemini.google.com/u/1/app/xyz', windowId: 1, lastAccessed: 100 };
+      chrome.tabs._setTabs([CHAT_TAB, NEW_CHAT_TAB, workTab]);
+
+      expect((await findRecentGeminiTab(chrome, 1)).id).toBe(workTab.id);
+      // Tabs without /u/<index> are on account 0
+      expect((await findRecentGeminiTab(chrome, 0)).id).toBe(NEW_CHAT_TAB.id);
+      expect(await findRecentGeminiTab(chrome, 2)).toBeNull();
+    });
+  });
+
+  describe('sendTabMessage', () => {
+    test('resolves null when there is no receiver', async () => {
+      expect(await sendTabMessage(1, MESSAGE_TYPES.PING, {})).toBeNull();
+    });
+
+    test('resolves null on timeout', async () => {
+      chrome.tabs.sendMessage.mockImplementation(() => new Promise(() => {}));
+      expect(await sendTabMessage(1, MESSAGE_TYPES.PING, {}, chrome, 10)).toBeNull();
+    });
+
+    test('resolves null when the handler fails', async () => {
+      chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+        createErrorResponse(message, ERROR_CODES.HANDLER_ERROR, 'boom'));
+      expect(await sendTabMessage(1, MESSAGE_TYPES.PING, {}, chrome, 100)).toBeNull();
+    });
+
+    test('sends a typed envelope and returns the result', async () => {
+      answerMessages();
+      expect(await sendTabMessage(1, MESSAGE_TYPES.PING, {}, chrome, 100)).toEqual({ status: 'alive' });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(1, expect.objectContaining({ type: 'ping', payload: {}, bgProtocol: 1 }));
+    });
+  });
+
+  describe('waitForTabLoad', () => {
+    test('resolves true once the tab completes', async () => {
+      const loaded = waitForTabLoad(7);
+      chrome.tabs.onUpdated._trigger(8, { status: 'complete' });
+      chrome.tabs.onUpdated._trigger(7, { status: 'loading' });
+      chrome.tabs.onUpdated._trigger(7, { status: 'complete' });
+
+      expect(await loaded).toBe(true);
+      expect(chrome.tabs.onUpdated._getListeners()).toHaveLength(0);
+    });
+
+    test('resolves false on timeout', async () => {
+      expect(await waitForTabLoad(7, chrome, 10)).toBe(false);
+    });
+  });
+
+  describe('launchInGeminiTab', () => {
+    test('returns false when no Gemini tab is open', async () => {
+      expect(await launchInGeminiTab('hi', {}, 'new')).toBe(false);
+    });
+
+    test('delivers the prompt by message in the current chat', async () => {
+      chrome.tabs._setTabs([CHAT_TAB]);
+      answerMessages();
+
+      expect(await launchInGeminiTab('hi there', {}, 'current')).toBe(true);
+
+      expect(chrome.tabs.update).toHaveBeenCalledWith(CHAT_TAB.id, { active: true });
+      expect(chrome.windows.update).toHaveBeenCalledWith(CHAT_TAB.windowId, { focused: true });
+      expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(CHAT_TAB.id, expect.objectContaining({ type: MESSAGE_TYPES.INJECT_PROMPT, payload: { prompt: 'hi there', submit: true } }));
+      expect(chrome.tabs.update).not.toHaveBeenCalledWith(CHAT_TAB.id, expect.objectContaining({ url: expect.any(String) }));
+    });
+
+    test('starts a new chat before delivering the prompt', async () => {
+      chrome.tabs._setTabs([CHAT_TAB]);
+      answerMessages();
+      chrome.tabs.update.mockImplementation(async (tabId, props) => {
+        if (props.url) setTimeout(() => chrome.tabs.onUpdated._trigger(tabId, { status: 'complete' }), 0);
+        return { id: tabId };
+      });
+
+      await launchInGeminiTab('hi', {}, 'new');
+
+      expect(chrome.tabs.update).toHaveBeenCalledWith(CHAT_TAB.id, { url: GEMINI_BASE_URL });
+      expect(sentTypes()).toEqual(['ping', 'injectPrompt']);
+    });
+
+    test('does not reload a tab that is already on a new chat', async () => {
+      chrome.tabs._setTabs([NEW_CHAT_TAB]);
+      answerMessages();
+
+      await launchInGeminiTab('hi', {}, 'new');
+
+      expect(chrome.tabs.update).toHaveBeenCalledTimes(1);
+      expect(sentTypes()).toEqual(['ping', 'injectPrompt']);
+    });
+
+    test('falls back to the URL when the content script does not answer', async () => {
+      chrome.tabs._setTabs([NEW_CHAT_TAB]);
+      answerMessages({ alive: false });
+
+      await launchInGeminiTab('hi', {}, 'new');
+
+      expect(sentTypes()).not.toContain('injectPrompt');
+      const [, { url }] = chrome.tabs.update.mock.calls[1];
+      expect(new URL(url).searchParams.get(URL_PARAM)).toBe('hi');
+    });
+
+    test('falls back to the URL when injection fails', async () => {
+      chrome.tabs._setTabs([NEW_CHAT_TAB]);
+      answerMessages({ success: false });
+
+      await launchInGeminiTab('hi', {}, 'current');
+
+      expect(chrome.tabs.update).toHaveBeenLastCalledWith(NEW_CHAT_TAB.id, { url: expect.stringContaining(`${URL_PARAM}=hi`) });
+    });
+
+    test('passes prefill-only launches to the content script', async () => {
+      chrome.tabs._setTabs([NEW_CHAT_TAB]);
+      answerMessages();
+
+      await launchInGeminiTab('hi', { submit: false }, 'current');
+
+      expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(NEW_CHAT_TAB.id, expect.objectContaining({ type: MESSAGE_TYPES.INJECT_PROMPT, payload: { prompt: 'hi', submit: false } }));
+    });
+
+    test('keeps the tab on its account when starting a new chat', async () => {
+      const workTab = { id: 9, url: 'https://gemini.google.com/u/1/app/xyz', windowId: 1 };
+      chrome.tabs._setTabs([workTab]);
+      answerMessages({ success: false });
+      chrome.tabs.update.mockImplementation(async (tabId, props) => {
+        if (props.url) setTimeout(() => chrome.tabs.onUpdated._trigger(tabId, { status: 'complete' }), 0);
+        return { id: tabId };
+      });
+
+      await launchInGeminiTab('hi', {}, 'new');
+
+      expect(chrome.tabs.update).toHaveBeenCalledWith(workTab.id, { url: 'https://gemini.google.com/u/1/app' });
+      expect(chrome.tabs.update).toHaveBeenLastCalledWith(workTab.id, {
+        url: expect.stringMatching(/^https:\/\/gemini\.google\.com\/u\/1\/app\?/),
+      });
+    });
+
+    test('uses the URL for model overrides', async () => {
+      chrome.tabs._setTabs([CHAT_TAB]);
+      answerMessages();
+
+      await launchInGeminiTab('hi', { model: 'pro' }, 'current');
+
+      expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+      expect(chrome.tabs.update).toHaveBeenLastCalledWith(CHAT_TAB.id, { url: expect.stringContaining('model=pro') });
+    });
+  });
+
+  describe('launchPrompt with target tab preference', () => {
+    test('opens a new tab for plain Enter with the newTab preference', async () => {
+      await chrome.storage.sync.set({ [TARGET_TAB_STORAGE_KEY]: 'newTab' });
+
+      await launchPrompt('hi', 'currentTab');
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: expect.stringContaining(`${URL_PARAM}=hi`), active: true });
+    });
+
+    test('reuses a Gemini tab with the geminiTab preference', async () => {
+      await chrome.storage.sync.set({
+        [TARGET_TAB_STORAGE_KEY]: 'geminiTab',
+        [GEMINI_TAB_CHAT_STORAGE_KEY]: 'current',
+      });
+      chrome.tabs._setTabs([OTHER_TAB, CHAT_TAB]);
+      answerMessages();
+
+      await launchPrompt('hi', 'currentTab');
+
+      expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(CHAT_TAB.id, expect.objectContaining({ type: MESSAGE_TYPES.INJECT_PROMPT, payload: { prompt: 'hi', submit: true } }));
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test('falls back to the disposition when no Gemini tab is open', async () => {
+      await chrome.storage.sync.set({ [TARGET_TAB_STORAGE_KEY]: 'geminiTab' });
+
+      await launchPrompt('hi', 'newForegroundTab');
+
+      expect(chrome.tabs.create).toHaveBeenCalled();
+    });
+
+    test('leaves explicit background tabs alone', async () => {
+      await chrome.storage.sync.set({ [TARGET_TAB_STORAGE_KEY]: 'geminiTab' });
+      chrome.tabs._setTabs([CHAT_TAB]);
+
+      await launchPrompt('hi', 'newBackgroundTab');
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: expect.any(String), active: false });
+    });
+  });
+});
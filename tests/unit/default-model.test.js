@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for content/features/default-model.js
+ * Tests the one-shot ?model= / ?effort= launch override and the model policy using REAL functions
+ */
+
+// Loaded before default-model.js on Gemini pages (defines globalThis.BetterGeminiSettingsSchema)
+require('../../settings-schema.js');
+
+const {
+  CONFIG,
+  getModelFromUrl,
+  getEffortFromUrl,
+  isSameChat,
+  applyUrlOverrides,
+  loadManagedModel,
+} = require('../../content/features/default-model.js');
+
+describe('Default Model - URL override', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  describe('getModelFromUrl', () => {
+    test('reads a known model key', () => {
+      window.location.search = '?model=pro';
+      expect(getModelFromUrl()).toBe('pro');
+    });
+
+    test('ignores unknown models', () => {
+      window.location.search = '?model=ultra';
+      expect(getModelFromUrl()).toBeNull();
+    });
+
+    test('returns null without the param', () => {
+      expect(getModelFromUrl()).toBeNull();
+    });
+  });
+
+  describe('getEffortFromUrl', () => {
+    test('reads a known effort level', () => {
+      window.location.search = '?bg_prompt=hi&effort=extended';
+      expect(getEffortFromUrl()).toBe('extended');
+    });
+
+    test('ignores unknown effort levels', () => {
+      window.location.search = '?effort=maximum';
+      expect(getEffortFromUrl()).toBeNull();
+    });
+
+    test('uses the same keys as the effort selector', () => {
+      expect(Object.keys(CONFIG.EFFORTS)).toEqual(['standard', 'extended']);
+    });
+  });
+
+  describe('isSameChat', () => {
+    test('treats an unchanged path as the same chat', () => {
+      expect(isSameChat('/app/abc', '/app/abc')).toBe(true);
+    });
+
+    test('follows a new chat to the id it gets after the first prompt', () => {
+      expect(isSameChat('/app', '/app/abc123')).toBe(true);
+      expect(isSameChat('/u/1/app', '/u/1/app/abc123')).toBe(true);
+    });
+
+    test('follows a new Gem chat to its conversation id', () => {
+      expect(isSameChat('/gem/coder', '/gem/coder/abc123')).toBe(true);
+      expect(isSameChat('/u/1/gem/coder', '/u/1/gem/coder/abc123')).toBe(true);
+      expect(isSameChat('/gem/coder', '/gem/other')).toBe(false);
+    });
+
+    test('treats another conversation as a different chat', () => {
+      expect(isSameChat('/app/abc', '/app/def')).toBe(false);
+    });
+
+    test('treats starting a new chat as a different chat', () => {
+      expect(isSameChat('/app/abc', '/app')).toBe(false);
+    });
+  });
+
+  describe('applyUrlOverrides', () => {
+    test('resolves false immediately when the URL has no override', async () => {
+      await expect(applyUrlOverrides()).resolves.toBe(false);
+    });
+  });
+
+  describe('loadManagedModel', () => {
+    test('returns the model set by policy', async () => {
+      chrome.storage.managed._setData({ defaultModel: 'pro' });
+      await expect(loadManagedModel()).resolves.toBe('pro');
+    });
+
+    test('returns null without a policy', async () => {
+      await expect(loadManagedModel()).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,654 @@
+/**
+ * Unit Tests for content/features/export-full-chat.js
+ * Tests chat extraction, the export formats and export templates using REAL functions
+ */
+
+const {
+  init,
+  destroy,
+  extractFullChat,
+  formatChatAsMarkdown,
+  formatChatAsHtml,
+  formatChatAsJson,
+  formatChatAsNote,
+  getTurnBlockUuid,
+  generateNoteFilename,
+  getChatDetails,
+  enterSelectionMode,
+  convertElementToHtml,
+  highlightCode,
+  exportChat,
+  handleTriggerExport,
+  EXPORT_FORMATS,
+} = require('../../content/features/export-full-chat.js');
+
+// jsdom's Blob has no text()
+const readDownload = () => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(URL.createObjectURL.mock.calls[0][0]);
+});
+
+/**
+ * Builds a conversation the way Gemini renders it
+ * @param {Array<[string, string]>} pairs - [user text, response HTML]
+ */
+function renderChat(pairs) {
+  document.body.innerHTML = pairs.map(([user, response]) => `
+    <div class="conversation-container">
+      <user-query><div class="query-content">${user}</div></user-query>
+      <model-response><div class="markdown">${response}</div></model-response>
+    </div>
+  `).join('');
+}
+
+describe('Export Full Chat - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+    document.body.innerHTML = '';
+    document.title = 'Sorting help - Google Gemini';
+  });
+
+  describe('extractFullChat', () => {
+    test('returns user text and assistant markdown with their elements', () => {
+      renderChat([['How do I sort?', '<p>Use <code>sorted()</code></p>']]);
+
+      const turns = extractFullChat();
+
+      expect(turns.map(({ role, content }) => ({ role, content }))).toEqual([
+        { role: 'user', content: 'How do I sort?' },
+        { role: 'assistant', content: 'Use `sorted()`' },
+      ]);
+      expect(turns[1].element.classList.contains('markdown')).toBe(true);
+    });
+
+    test('skips empty turns', () => {
+      renderChat([['', '<p>Hello</p>']]);
+      expect(extractFullChat().map(turn => turn.role)).toEqual(['assistant']);
+    });
+  });
+
+  describe('formatChatAsMarkdown', () => {
+    test('renders the built-in layout by default', () => {
+      renderChat([['Hi', '<p>Hello</p>'], ['Bye', '<p>Goodbye</p>']]);
+
+      const markdown = formatChatAsMarkdown(extractFullChat());
+
+      expect(markdown).toMatch(/^# Sorting help\n\*Exported on .+\*\n\n---\n\n## User\n\nHi\n\n## Assistant\n\nHello\n\n---\n\n## User/);
+      expect(markdown.endsWith('## Assistant\n\nGoodbye\n')).toBe(true);
+    });
+
+    test('renders through the given template', () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+      const template = '{{title}}\n{{#turns}}{{index}} {{role}}: {{content}}\n{{/turns}}';
+      expect(formatChatAsMarkdown(extractFullChat(), { template })).toBe('Sorting help\n1 user: Hi\n2 assistant: Hello\n');
+    });
+  });
+
+  describe('getChatDetails', () => {
+    test('describes the chat without the source elements', () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+      expect(getChatDetails(extractFullChat())).toEqual({
+        title: 'Sorting help',
+        url: 'https://gemini.google.com/app',
+        model: null,
+        conversationId: null,
+        turns: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }],
+      });
+    });
+  });
+
+  describe('convertElementToHtml', () => {
+    const convert = (html, images) => {
+      const container = document.createElement('div');
+      container.innerHTML = html;
+      return convertElementToHtml(container, images);
+    };
+
+    test('keeps formatting and tables', () => {
+      expect(convert('<p><strong>Bold</strong> and <em>italic</em></p>')).toBe('<p><strong>Bold</strong> and <em>italic</em></p>');
+      expect(convert('<table><tr><th>A</th></tr><tr><td colspan="2">1</td></tr></table>'))
+        .toBe('<table><tbody><tr><th>A</th></tr><tr><td colspan="2">1</td></tr></tbody></table>');
+    });
+
+    test('drops classes, styles, scripts, event handlers and Gemini controls', () => {
+      const html = convert(
+        '<p class="x" style="color:red" onclick="alert(1)">Hi<script>alert(1)</script></p>' +
+        '<button>Copy</button><span class="cdk-visually-hidden">hidden</span>'
+      );
+      expect(html).toBe('<p>Hi</p>');
+    });
+
+    test('keeps only safe link URLs', () => {
+      expect(convert('<a href="https://example.com">ok</a><a href="javascript:alert(1)">bad</a>'))
+        .toBe('<a href="https://example.com">ok</a><a>bad</a>');
+    });
+
+    test('inlines fetched images and links to the others', () => {
+      const images = new Map([['https://example.com/a.png', 'data:image/png;base64,QQ==']]);
+
+      expect(convert('<img src="https://example.com/a.png" alt="A">', images))
+        .toBe('<img src="data:image/png;base64,QQ==" alt="A">');
+      expect(convert('<img src="https://example.com/b.png" alt="B"><img src="https://example.com/c.png">'))
+        .toBe('<a class="image-link" href="https://example.com/b.png">Image: B</a>' +
+          '<a class="image-link" href="https://example.com/c.png">Image</a>');
+      expect(convert('<img src="blob:x" alt="Upload"><img src="javascript:alert(1)">')).toBe('Upload');
+    });
+
+    test('escapes text', () => {
+      expect(convert('<p>&lt;b&gt; &amp; "quotes"</p>')).toBe('<p>&lt;b&gt; &amp; &quot;quotes&quot;</p>');
+    });
+
+    test('keeps Gemini\'s own code highlighting without the code block header', () => {
+      const html = convert(
+        '<code-block><div class="code-block-decoration"><span>Python</span><button>Copy</button></div>' +
+        '<pre><code class="language-python"><span class="hljs-keyword">def</span> <span class="other">f</span>():\n</code></pre></code-block>'
+      );
+      expect(html).toBe('<pre data-lang="python"><code class="language-python"><span class="hljs-keyword">def</span> f():</code></pre>');
+    });
+
+    test('highlights code blocks that have no highlighting', () => {
+      expect(convert('<pre><code class="language-js">return "x";</code></pre>')).toBe(
+        '<pre data-lang="js"><code class="language-js"><span class="hljs-keyword">return</span> <span class="hljs-string">&quot;x&quot;</span>;</code></pre>'
+      );
+    });
+  });
+
+  describe('highlightCode', () => {
+    test('marks comments, strings, numbers and keywords', () => {
+      expect(highlightCode('const n = 42; // answer')).toBe(
+        '<span class="hljs-keyword">const</span> n = <span class="hljs-number">42</span>; <span class="hljs-comment">// answer</span>'
+      );
+    });
+
+    test('uses # comments for languages that have them', () => {
+      expect(highlightCode('x = 1  # note', 'python')).toContain('<span class="hljs-comment"># note</span>');
+      expect(highlightCode('#include <x>', 'c')).not.toContain('hljs-comment');
+    });
+
+    test('does not highlight keywords inside strings', () => {
+      expect(highlightCode("'return if'")).toBe('<span class="hljs-string">&#39;return if&#39;</span>');
+    });
+  });
+
+  describe('formatChatAsHtml', () => {
+    test('returns an empty string without turns', () => {
+      expect(formatChatAsHtml([])).toBe('');
+    });
+
+    test('builds a standalone document with a contents list of user turns', () => {
+      renderChat([
+        ['First &lt;question&gt;', '<p>Answer one</p>'],
+        ['Second question', '<p>Answer two</p>'],
+      ]);
+
+      const html = formatChatAsHtml(extractFullChat());
+
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('<title>Sorting help</title>');
+      expect(html).toContain('prefers-color-scheme: dark');
+      expect(html).toContain('<li><a href="#turn-1">First &lt;question&gt;</a></li>');
+      expect(html).toContain('<li><a href="#turn-2">Second question</a></li>');
+      expect(html).toContain('<section class="turn turn-user" id="turn-2">');
+      expect(html).toContain('<div class="turn-content"><p>Answer two</p></div>');
+      expect(html).not.toMatch(/<script|<link|src="chrome-extension/);
+    });
+
+    test('carries images inside the file so it works offline', async () => {
+      renderChat([['Draw a cat', '<p>Here you go</p><p><img src="https://lh3.googleusercontent.com/cat" alt="A cat"></p>' +
+        '<p><img src="https://lh3.googleusercontent.com/dog" alt="A dog"></p>']]);
+      global.fetch = jest.fn(async src => {
+        if (src.endsWith('/dog')) {
+          throw new TypeError('Failed to fetch');
+        }
+        return { ok: true, blob: async () => new Blob(['cat'], { type: 'image/png' }) };
+      });
+
+      const turns = extractFullChat();
+      const html = formatChatAsHtml(turns, await EXPORT_FORMATS.html.loadOptions({ turns }));
+      delete global.fetch;
+
+      expect(html).toContain('<img src="data:image/png;base64,Y2F0" alt="A cat">');
+      expect(html).toContain('<a class="image-link" href="https://lh3.googleusercontent.com/dog">Image: A dog</a>');
+      expect(html).not.toMatch(/<img[^>]+src="https?:/);
+    });
+
+    test('shortens long user turns in the contents list', () => {
+      const long = 'word '.repeat(40);
+      const html = formatChatAsHtml([{ role: 'user', content: long }]);
+      expect(html).toMatch(/<a href="#turn-1">[^<]{79}…<\/a>/);
+    });
+  });
+
+  describe('formatChatAsJson', () => {
+    const openChat = path => {
+      window.location.pathname = path;
+      window.location.href = `https://gemini.google.com${path}`;
+    };
+
+    beforeEach(() => {
+      openChat('/app/abc123');
+    });
+
+    afterEach(() => {
+      openChat('/app');
+    });
+
+    test('returns an empty string without turns', () => {
+      expect(formatChatAsJson([])).toBe('');
+    });
+
+    test('includes chat details, the model label and the export time', () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+      document.body.insertAdjacentHTML('beforeend',
+        '<button data-test-id="bard-mode-menu-button" aria-label="Open mode picker, currently 2.5 Pro"></button>');
+
+      const chat = JSON.parse(formatChatAsJson(extractFullChat()));
+
+      expect(chat).toMatchObject({
+        version: 1,
+        title: 'Sorting help',
+        url: 'https://gemini.google.com/app/abc123',
+        conversationId: 'abc123',
+        model: '2.5 Pro',
+      });
+      expect(new Date(chat.exportedAt).toISOString()).toBe(chat.exportedAt);
+    });
+
+    test('reads the conversation id from Gem chats and leaves it null for new chats', () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+
+      openChat('/u/1/gem/reviewer/def456');
+      expect(JSON.parse(formatChatAsJson(extractFullChat())).conversationId).toBe('def456');
+
+      openChat('/app');
+      expect(JSON.parse(formatChatAsJson(extractFullChat())).conversationId).toBeNull();
+    });
+
+    test('describes each turn with its HTML, markdown, code, links and tables', () => {
+      renderChat([[
+        'Compare them',
+        '<p>See <a href="https://example.com/docs">the docs</a></p>' +
+        '<pre><code class="language-python">print(1)\n</code></pre>' +
+        '<table><tr><th>Name</th><th>Speed</th></tr><tr><td>A</td><td>Fast</td></tr></table>',
+      ]]);
+
+      const { turns } = JSON.parse(formatChatAsJson(extractFullChat()));
+
+      expect(turns[0]).toEqual({
+        index: 0,
+        role: 'user',
+        markdown: 'Compare them',
+        html: 'Compare them',
+        codeBlocks: [],
+        links: [],
+        tables: [],
+      });
+      expect(turns[1]).toMatchObject({
+        index: 1,
+        role: 'assistant',
+        codeBlocks: [{ language: 'python', code: 'print(1)' }],
+        links: [{ text: 'the docs', href: 'https://example.com/docs' }],
+        tables: [{ headers: ['Name', 'Speed'], rows: [['A', 'Fast']]}],
+      });
+      expect(turns[1].markdown).toContain('```python\nprint(1)\n```');
+      expect(turns[1].html).toContain('<code class="language-python">');
+    });
+
+    test('keeps tables without a header row as plain rows', () => {
+      renderChat([['Hi', '<table><tr><td>1</td><td>2</td></tr></table>']]);
+      const { turns } = JSON.parse(formatChatAsJson(extractFullChat()));
+      expect(turns[1].tables).toEqual([{ headers: [], rows: [['1', '2']] }]);
+    });
+  });
+
+  describe('formatChatAsNote', () => {
+    afterEach(() => {
+      window.location.pathname = '/app';
+      window.location.href = 'https://gemini.google.com/app';
+    });
+
+    test('returns an empty string without turns', () => {
+      expect(formatChatAsNote([])).toBe('');
+    });
+
+    test('starts with YAML frontmatter describing the chat', () => {
+      window.location.pathname = '/app/abc123';
+      window.location.href = 'https://gemini.google.com/app/abc123';
+      document.body.innerHTML =
+        '<button data-test-id="bard-mode-menu-button"><span class="input-area-switch-label">Flash</span></button>';
+
+      const note = formatChatAsNote([{ role: 'user', content: 'Hi' }], { tags: ['gemini', 'ai/chats'], turnStyle: 'callout' });
+
+      expect(note).toMatch(new RegExp(
+        '^---\\ntitle: "Sorting help"\\nsource: "https://gemini.google.com/app/abc123"\\n' +
+        'conversation_id: "abc123"\\nexported: \\d{4}-\\d{2}-\\d{2}\\nmodel: "Flash"\\n' +
+        'tags:\\n  - gemini\\n  - ai/chats\\n---\\n'
+      ));
+    });
+
+    test('leaves out unknown details and quotes titles safely', () => {
+      document.title = 'Re: "quotes" - Google Gemini';
+      const note = formatChatAsNote([{ role: 'user', content: 'Hi' }], { tags: [], turnStyle: 'callout' });
+
+      expect(note).toContain('title: "Re: \\"quotes\\""');
+      expect(note).toContain('tags: []');
+      expect(note).not.toMatch(/conversation_id|model:/);
+    });
+
+    test('writes each turn as a callout followed by its block id', () => {
+      const note = formatChatAsNote([
+        { role: 'user', content: 'How do I sort?' },
+        { role: 'assistant', content: 'Use `sorted()`:\n\n```python\nsorted(x)\n```' },
+      ]);
+
+      expect(note).toContain('> [!question] You\n> How do I sort?\n\n^turn-1\n\n');
+      expect(note).toContain('> [!note] Gemini\n> Use `sorted()`:\n>\n> ```python\n> sorted(x)\n> ```\n\n^turn-2\n');
+    });
+
+    test('writes each turn under a heading in the heading style', () => {
+      const note = formatChatAsNote(
+        [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }],
+        { tags: [], turnStyle: 'heading' }
+      );
+
+      expect(note.endsWith('---\n\n## You\n\nHi\n\n^turn-1\n\n## Gemini\n\nHello\n\n^turn-2\n')).toBe(true);
+    });
+
+    test('writes each turn as a Logseq block with a UUID id in the outline style', () => {
+      window.location.pathname = '/app/abc123';
+      window.location.href = 'https://gemini.google.com/app/abc123';
+
+      const note = formatChatAsNote(
+        [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Use:\n\n```python\nsorted(x)\n```' }],
+        { tags: [], turnStyle: 'outline' }
+      );
+
+      expect(note.endsWith(
+        `---\n\n- **You**\n  id:: ${getTurnBlockUuid('abc123', 1)}\n  Hi\n` +
+        `- **Gemini**\n  id:: ${getTurnBlockUuid('abc123', 2)}\n  Use:\n\n  \`\`\`python\n  sorted(x)\n  \`\`\`\n`
+      )).toBe(true);
+      expect(note).not.toContain('^turn-');
+    });
+  });
+
+  describe('getTurnBlockUuid', () => {
+    test('is a UUID that stays the same for the same chat and turn', () => {
+      const uuid = getTurnBlockUuid('abc123', 1);
+
+      expect(uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-8[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(getTurnBlockUuid('abc123', 1)).toBe(uuid);
+      expect(getTurnBlockUuid('abc123', 2)).not.toBe(uuid);
+      expect(getTurnBlockUuid('def456', 1)).not.toBe(uuid);
+    });
+  });
+
+  describe('generateNoteFilename', () => {
+    const date = new Date(2026, 2, 5, 9, 7);
+
+    test('fills in the placeholders', () => {
+      window.location.pathname = '/app/abc123';
+      expect(generateNoteFilename('{date} {time} {title} ({id})', date)).toBe('2026-03-05 09-07 Sorting help (abc123).md');
+      window.location.pathname = '/app';
+    });
+
+    test('removes characters that break files or links and keeps unknown placeholders', () => {
+      document.title = 'What is a|b? [draft] #1 - Google Gemini';
+      expect(generateNoteFilename('{title} {nope}', date)).toBe('What is ab draft 1 {nope}.md');
+    });
+
+    test('falls back to a default name when nothing is left', () => {
+      expect(generateNoteFilename('{model}', date)).toBe('Gemini Chat.md');
+    });
+  });
+
+  describe('exportChat', () => {
+    beforeEach(() => {
+      global.URL.createObjectURL = jest.fn(() => 'blob:export');
+      global.URL.revokeObjectURL = jest.fn();
+    });
+
+    test('downloads an .html file for the html format', async () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+
+      const result = await exportChat('download', 'html');
+
+      expect(result).toEqual({ turns: 2, filename: expect.stringMatching(/^Sorting-help-\d{4}-\d{2}-\d{2}\.html$/) });
+      expect(URL.createObjectURL.mock.calls[0][0].type).toBe(EXPORT_FORMATS.html.mimeType);
+    });
+
+    test('downloads a .json file for the json format', async () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+
+      const result = await exportChat('download', 'json');
+
+      expect(result.filename).toMatch(/\.json$/);
+      expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/json;charset=utf-8');
+    });
+
+    test('downloads a note named and tagged from the stored settings', async () => {
+      chrome.storage.sync._setData({
+        betterGemini_noteFilenamePattern: 'Gemini - {title}',
+        betterGemini_noteTags: ['inbox'],
+        betterGemini_noteTurnStyle: 'heading',
+      });
+      renderChat([['Hi', '<p>Hello</p>']]);
+
+      const result = await exportChat('download', 'note');
+      const note = await readDownload();
+
+      expect(result.filename).toBe('Gemini - Sorting help.md');
+      expect(note).toContain('tags:\n  - inbox\n');
+      expect(note).toContain('## You\n\nHi');
+    });
+
+    test('uses the default note settings when none are stored', async () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+
+      const result = await exportChat('download', 'note');
+      const note = await readDownload();
+
+      expect(result.filename).toMatch(/^Sorting help \d{4}-\d{2}-\d{2}\.md$/);
+      expect(note).toContain('  - gemini\n');
+      expect(note).toContain('> [!question] You');
+    });
+
+    test('uses the export template picked in the options for Markdown', async () => {
+      chrome.storage.sync._setData({
+        betterGemini_exportTemplates: [{ name: 'Brief', template: '{{#turns}}{{content}}|{{/turns}}' }],
+        betterGemini_markdownTemplate: 'Brief',
+      });
+      renderChat([['Hi', '<p>Hello</p>']]);
+
+      await exportChat('download');
+
+      expect(await readDownload()).toBe('Hi|Hello|');
+    });
+
+    test('falls back to the built-in layout when the picked template is gone', async () => {
+      chrome.storage.sync._setData({ betterGemini_markdownTemplate: 'Deleted' });
+      renderChat([['Hi', '<p>Hello</p>']]);
+
+      await exportChat('download');
+
+      expect(await readDownload()).toMatch(/^# Sorting help\n/);
+    });
+
+    test('rejects a named template that does not exist', async () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+      await expect(exportChat('download', 'markdown', 'Deleted')).rejects.toThrow('Export template "Deleted" not found');
+    });
+
+    test('rejects unknown formats', async () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+      await expect(exportChat('download', 'pdf')).rejects.toThrow('Unknown export format "pdf"');
+    });
+  });
+
+  describe('handleTriggerExport', () => {
+    beforeEach(() => {
+      global.URL.createObjectURL = jest.fn(() => 'blob:export');
+      global.URL.revokeObjectURL = jest.fn();
+      renderChat([['Hi', '<p>Hello</p>']]);
+    });
+
+    test('downloads the chat in the requested format', async () => {
+      const result = await handleTriggerExport({ format: 'json' });
+
+      expect(result.filename).toMatch(/\.json$/);
+      expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses when policy turns Export Full Chat off', async () => {
+      chrome.storage.managed._setData({ disabledFeatures: ['exportFullChat'] });
+
+      await expect(handleTriggerExport({})).rejects.toMatchObject({
+        name: 'MessagingError',
+        code: 'forbidden',
+      });
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown formats as an invalid payload', async () => {
+      await expect(handleTriggerExport({ format: 'pdf' })).rejects.toMatchObject({ code: 'invalid_payload' });
+    });
+  });
+
+  describe('export menu', () => {
+    beforeEach(() => {
+      window.location.hostname = 'gemini.google.com';
+      global.URL.createObjectURL = jest.fn(() => 'blob:export');
+      global.URL.revokeObjectURL = jest.fn();
+    });
+
+    afterEach(() => {
+      destroy();
+      delete window.location.hostname;
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    test('lists export templates and downloads with the one clicked', async () => {
+      chrome.storage.sync._setData({
+        betterGemini_exportTemplates: [{ name: 'Brief <notes>', template: '{{#turns}}{{content}}|{{/turns}}' }],
+      });
+      renderChat([['Hi', '<p>Hello</p>']]);
+      init();
+
+      document.getElementById('better-gemini-export-chat-btn').click();
+      await flush();
+
+      const item = document.querySelector('[data-template="Brief <notes>"]');
+      expect(item.textContent.trim()).toBe('Download: Brief <notes>');
+
+      item.click();
+      await flush();
+
+      expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+      expect(await readDownload()).toBe('Hi|Hello|');
+    });
+
+    test('shows no template section without templates', async () => {
+      renderChat([['Hi', '<p>Hello</p>']]);
+      init();
+
+      document.getElementById('better-gemini-export-chat-btn').click();
+      await flush();
+
+      expect(document.querySelector('.export-template-items').children).toHaveLength(0);
+    });
+  });
+
+  describe('selection mode', () => {
+    beforeEach(() => {
+      window.location.hostname = 'gemini.google.com';
+      global.URL.createObjectURL = jest.fn(() => 'blob:export');
+      global.URL.revokeObjectURL = jest.fn();
+      renderChat([['One', '<p>1</p>'], ['Two', '<p>2</p>'], ['Three', '<p>3</p>'], ['Four', '<p>4</p>']]);
+      init();
+    });
+
+    afterEach(() => {
+      destroy();
+      delete window.location.hostname;
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const checkboxes = () => Array.from(document.querySelectorAll('.better-gemini-turn-checkbox input'));
+    const clickCheckbox = (index, shiftKey = false) => {
+      checkboxes()[index].dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey }));
+    };
+    const exportButton = () => document.querySelector('#better-gemini-export-selection-bar .selection-export');
+
+    test('starts from the menu with a checkbox on every turn', () => {
+      document.getElementById('better-gemini-export-chat-btn').click();
+      document.querySelector('#better-gemini-export-chat-btn-menu [data-action="select"]').click();
+
+      expect(checkboxes()).toHaveLength(4);
+      expect(exportButton().textContent).toBe('Export 0 turns');
+      expect(exportButton().disabled).toBe(true);
+    });
+
+    test('exports only the selected turns', () => {
+      enterSelectionMode();
+      clickCheckbox(1);
+      clickCheckbox(3);
+
+      expect(extractFullChat().map(turn => turn.content)).toEqual(['Two', '2', 'Four', '4']);
+      expect(exportButton().textContent).toBe('Export 2 turns');
+    });
+
+    test('selects a range with Shift-click', () => {
+      enterSelectionMode();
+      clickCheckbox(0);
+      clickCheckbox(2, true);
+
+      expect(checkboxes().map(checkbox => checkbox.checked)).toEqual([true, true, true, false]);
+      expect(document.querySelectorAll('.better-gemini-selected-turn')).toHaveLength(3);
+
+      clickCheckbox(1, true);
+      expect(checkboxes().map(checkbox => checkbox.checked)).toEqual([true, false, false, false]);
+      expect(exportButton().textContent).toBe('Export 1 turn');
+    });
+
+    test('downloads the selection in the picked format and leaves selection mode', async () => {
+      enterSelectionMode();
+      clickCheckbox(2);
+
+      const select = document.querySelector('#better-gemini-export-selection-bar select');
+      select.selectedIndex = Array.from(select.options).findIndex(option => option.dataset.format === 'json');
+      exportButton().click();
+      await flush();
+
+      const json = JSON.parse(await readDownload());
+      expect(json.turns.map(turn => turn.markdown)).toEqual(['Three', '3']);
+      expect(checkboxes()).toHaveLength(0);
+      expect(document.getElementById('better-gemini-export-selection-bar')).toBeNull();
+      expect(extractFullChat()).toHaveLength(8);
+    });
+
+    test('offers export templates in the format picker', async () => {
+      chrome.storage.sync._setData({
+        betterGemini_exportTemplates: [{ name: 'Brief', template: '{{#turns}}{{content}}|{{/turns}}' }],
+      });
+      enterSelectionMode();
+      await flush();
+
+      const option = document.querySelector('#better-gemini-export-selection-bar option[data-template="Brief"]');
+      expect(option.textContent).toBe('Template: Brief');
+    });
+
+    test('Escape and Cancel remove the checkboxes and the bar', () => {
+      enterSelectionMode();
+      clickCheckbox(0);
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      expect(checkboxes()).toHaveLength(0);
+      expect(document.querySelector('.better-gemini-selected-turn')).toBeNull();
+
+      enterSelectionMode();
+      document.querySelector('#better-gemini-export-selection-bar .selection-cancel').click();
+      expect(document.getElementById('better-gemini-export-selection-bar')).toBeNull();
+    });
+  });
+});
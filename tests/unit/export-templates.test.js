@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for export-templates.js
+ * Tests parsing and rendering of export templates using REAL functions
+ */
+
+const {
+  DEFAULT_TEMPLATE,
+  TemplateError,
+  parseTemplate,
+  validateTemplate,
+  createContext,
+  renderTemplate,
+} = require('../../export-templates.js');
+
+const DATE = new Date(2026, 2, 5, 9, 7);
+
+const CHAT = {
+  title: 'Sorting help',
+  url: 'https://gemini.google.com/app/abc123',
+  model: '2.5 Pro',
+  conversationId: 'abc123',
+  turns: [
+    { role: 'user', content: 'How do I sort?' },
+    { role: 'assistant', content: 'Use `sorted()`' },
+    { role: 'user', content: 'Thanks' },
+  ],
+};
+
+const render = source => renderTemplate(source, CHAT, DATE);
+
+describe('Export Templates - REAL FUNCTIONS', () => {
+  describe('createContext', () => {
+    test('exposes the chat details and export time', () => {
+      expect(createContext(CHAT, DATE)).toMatchObject({
+        title: 'Sorting help',
+        url: 'https://gemini.google.com/app/abc123',
+        model: '2.5 Pro',
+        id: 'abc123',
+        date: '2026-03-05',
+        time: '09:07',
+        datetime: DATE.toLocaleString(),
+      });
+    });
+
+    test('numbers turns from 1 and marks their role and position', () => {
+      const { turns } = createContext(CHAT, DATE);
+      expect(turns[0]).toEqual({
+        role: 'user', content: 'How do I sort?', index: 1, user: true, assistant: false, first: true, last: false,
+      });
+      expect(turns[2]).toMatchObject({ index: 3, first: false, last: true });
+    });
+
+    test('uses empty strings for unknown details', () => {
+      expect(createContext({ title: 'T', url: '', turns: [] }, DATE)).toMatchObject({ model: '', id: '' });
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('fills in variables', () => {
+      expect(render('{{title}} ({{model}}, {{date}}) {{ url }}'))
+        .toBe('Sorting help (2.5 Pro, 2026-03-05) https://gemini.google.com/app/abc123');
+    });
+
+    test('repeats the turns section for every turn', () => {
+      expect(render('{{#turns}}{{index}}. {{role}}: {{content}}\n{{/turns}}')).toBe(
+        '1. user: How do I sort?\n2. assistant: Use `sorted()`\n3. user: Thanks\n'
+      );
+    });
+
+    test('renders role and position sections only where they apply', () => {
+      expect(render('{{#turns}}{{#user}}Q{{/user}}{{#assistant}}A{{/assistant}}{{^last}}, {{/last}}{{/turns}}'))
+        .toBe('Q, A, Q');
+    });
+
+    test('can still use chat variables inside turns', () => {
+      expect(render('{{#turns}}{{#first}}{{title}}{{/first}}{{/turns}}')).toBe('Sorting help');
+    });
+
+    test('shows sections for set values and inverted sections for empty ones', () => {
+      expect(render('{{#model}}Model: {{model}}{{/model}}{{^id}}new chat{{/id}}')).toBe('Model: 2.5 Pro');
+      expect(renderTemplate('{{#model}}Model: {{model}}{{/model}}{{^turns}}empty{{/turns}}', { title: 'T', turns: [] }, DATE))
+        .toBe('empty');
+    });
+
+    test('drops lines that only hold a section tag', () => {
+      const source = '{{#turns}}\n  {{#user}}\n> {{content}}\n  {{/user}}\n{{/turns}}\nEnd';
+      expect(render(source)).toBe('> How do I sort?\n> Thanks\nEnd');
+    });
+
+    test('inserts values as they are, without escaping or further expansion', () => {
+      const chat = { title: '<b> & {{url}}', url: 'x', turns: [] };
+      expect(renderTemplate('{{title}}', chat, DATE)).toBe('<b> & {{url}}');
+    });
+
+    test('keeps the built-in layout of the Markdown export', () => {
+      expect(render(DEFAULT_TEMPLATE)).toBe([
+        '# Sorting help',
+        `*Exported on ${DATE.toLocaleString()}*`,
+        '',
+        '---',
+        '',
+        '## User',
+        '',
+        'How do I sort?',
+        '',
+        '## Assistant',
+        '',
+        'Use `sorted()`',
+        '',
+        '---',
+        '',
+        '## User',
+        '',
+        'Thanks',
+        '',
+      ].join('\n'));
+    });
+  });
+
+  describe('parseTemplate', () => {
+    test.each([
+      ['{{#turns}}', '{{#turns}} is never closed'],
+      ['{{/turns}}', '{{/turns}} has no matching {{#turns}}'],
+      ['{{#turns}}{{#user}}{{/turns}}{{/user}}', '{{/turns}} found where {{/user}} was expected'],
+      ['{{content}}', '{{content}} can only be used inside {{#turns}}'],
+      ['{{author}}', 'Unknown variable {{author}}'],
+      ['{{ }}', 'Empty tag "{{ }}"'],
+    ])('rejects %s', (source, message) => {
+      expect(() => parseTemplate(source)).toThrow(new TemplateError(message));
+    });
+
+    test('leaves text without tags alone', () => {
+      expect(parseTemplate('Just { text }')).toEqual([{ type: 'text', value: 'Just { text }' }]);
+    });
+  });
+
+  describe('validateTemplate', () => {
+    test('returns null for a valid template and the problem otherwise', () => {
+      expect(validateTemplate(DEFAULT_TEMPLATE)).toBeNull();
+      expect(validateTemplate('{{#turns}}')).toBe('{{#turns}} is never closed');
+      expect(validateTemplate(null)).toBe('Template must be text');
+    });
+  });
+});
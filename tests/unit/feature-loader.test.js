@@ -12,6 +12,8 @@ const {
   initWiderChat,
   destroyKeyboardShortcuts,
   destroyWiderChat,
+  initSensitiveDataGuard,
+  destroySensitiveDataGuard,
   DEFAULT_SETTINGS,
   STORAGE_KEY,
   getFeaturesInitialized,
@@ -23,6 +25,7 @@ describe('Feature Loader - Unit Tests', () => {
   let originalBetterGeminiExport;
   let originalBetterGeminiKeyboardShortcuts;
   let originalBetterGeminiWiderChat;
+  let originalBetterGeminiSensitiveDataGuard;
 
   beforeEach(() => {
     global.resetAllMocks();
@@ -34,11 +37,13 @@ describe('Feature Loader - Unit Tests', () => {
     originalBetterGeminiExport = window.BetterGeminiExport;
     originalBetterGeminiKeyboardShortcuts = window.BetterGeminiKeyboardShortcuts;
     originalBetterGeminiWiderChat = window.BetterGeminiWiderChat;
+    originalBetterGeminiSensitiveDataGuard = window.BetterGeminiSensitiveDataGuard;
 
     // Clear any window features
     delete window.BetterGeminiExport;
     delete window.BetterGeminiKeyboardShortcuts;
     delete window.BetterGeminiWiderChat;
+    delete window.BetterGeminiSensitiveDataGuard;
   });
 
   afterEach(() => {
@@ -52,6 +57,9 @@ describe('Feature Loader - Unit Tests', () => {
     if (originalBetterGeminiWiderChat) {
       window.BetterGeminiWiderChat = originalBetterGeminiWiderChat;
     }
+    if (originalBetterGeminiSensitiveDataGuard) {
+      window.BetterGeminiSensitiveDataGuard = originalBetterGeminiSensitiveDataGuard;
+    }
   });
 
   describe('DEFAULT_SETTINGS', () => {
@@ -62,16 +70,18 @@ describe('Feature Loader - Unit Tests', () => {
         keyboardShortcuts: true,
         widerChatWidth: true,
         defaultModel: true,
+        sensitiveDataGuard: true,
       });
     });
 
     test('includes all features', () => {
-      expect(Object.keys(DEFAULT_SETTINGS)).toHaveLength(5);
+      expect(Object.keys(DEFAULT_SETTINGS)).toHaveLength(6);
       expect(DEFAULT_SETTINGS).toHaveProperty('exportMarkdown');
       expect(DEFAULT_SETTINGS).toHaveProperty('exportFullChat');
       expect(DEFAULT_SETTINGS).toHaveProperty('keyboardShortcuts');
       expect(DEFAULT_SETTINGS).toHaveProperty('widerChatWidth');
       expect(DEFAULT_SETTINGS).toHaveProperty('defaultModel');
+      expect(DEFAULT_SETTINGS).toHaveProperty('sensitiveDataGuard');
     });
   });
 
@@ -101,7 +111,27 @@ describe('Feature Loader - Unit Tests', () => {
 
       const settings = await loadSettings();
 
-      expect(settings).toEqual(customSettings);
+      // Toggles missing from storage (e.g. added in a later version) use their defaults
+      expect(settings).toEqual({ ...DEFAULT_SETTINGS, ...customSettings });
+    });
+
+    test('ignores non-boolean stored toggles', async () => {
+      await chrome.storage.sync.set({ [STORAGE_KEY]: { exportFullChat: 'no', widerChatWidth: false } });
+
+      const settings = await loadSettings();
+
+      expect(settings.exportFullChat).toBe(true);
+      expect(settings.widerChatWidth).toBe(false);
+    });
+
+    test('applies managed policies over stored settings', async () => {
+      await chrome.storage.sync.set({ [STORAGE_KEY]: { exportFullChat: true, defaultModel: false } });
+      chrome.storage.managed._setData({ disabledFeatures: ['exportFullChat'], defaultModel: 'pro' });
+
+      const settings = await loadSettings();
+
+      expect(settings.exportFullChat).toBe(false);
+      expect(settings.defaultModel).toBe(true);
     });
 
     test('returns default settings on storage error', async () => {
@@ -243,6 +273,31 @@ describe('Feature Loader - Unit Tests', () => {
       expect(mockExportInit).not.toHaveBeenCalled();
     });
 
+    test('keeps policy-disabled features off when the user turns them on', async () => {
+      chrome.storage.managed._setData({ disabledFeatures: ['widerChatWidth'] });
+      await loadSettings();
+      const mockWiderChatInit = jest.fn();
+      window.BetterGeminiWiderChat = { init: mockWiderChatInit, destroy: jest.fn() };
+
+      handleSettingsChange({ [STORAGE_KEY]: { newValue: { widerChatWidth: true } } }, 'sync');
+
+      expect(mockWiderChatInit).not.toHaveBeenCalled();
+    });
+
+    test('re-reads settings when policies change', async () => {
+      const mockWiderChatInit = jest.fn();
+      const mockWiderChatDestroy = jest.fn();
+      window.BetterGeminiWiderChat = { init: mockWiderChatInit, destroy: mockWiderChatDestroy };
+      await initializeFeatures();
+      expect(mockWiderChatInit).toHaveBeenCalled();
+
+      chrome.storage.managed._setData({ disabledFeatures: ['widerChatWidth'] });
+      handleSettingsChange({ disabledFeatures: { newValue: ['widerChatWidth'] } }, 'managed');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockWiderChatDestroy).toHaveBeenCalled();
+    });
+
     test('enables feature when settings change from false to true', () => {
       const mockWiderChatInit = jest.fn();
       window.BetterGeminiWiderChat = { init: mockWiderChatInit, destroy: jest.fn() };
@@ -417,6 +472,18 @@ describe('Feature Loader - Unit Tests', () => {
         expect(mockInit).toHaveBeenCalledTimes(1);
       });
     });
+
+    describe('initSensitiveDataGuard()', () => {
+      test('calls init on BetterGeminiSensitiveDataGuard', () => {
+        const mockInit = jest.fn();
+        window.BetterGeminiSensitiveDataGuard = { init: mockInit };
+
+        initSensitiveDataGuard();
+
+        expect(mockInit).toHaveBeenCalled();
+        expect(getFeaturesInitialized().sensitiveDataGuard).toBe(true);
+      });
+    });
   });
 
   describe('Feature Destruction', () => {
@@ -487,6 +554,33 @@ describe('Feature Loader - Unit Tests', () => {
         expect(mockDestroy).not.toHaveBeenCalled();
       });
     });
+
+    describe('destroySensitiveDataGuard()', () => {
+      test('is destroyed when turned off in settings', () => {
+        const mockDestroy = jest.fn();
+        window.BetterGeminiSensitiveDataGuard = {
+          init: jest.fn(),
+          destroy: mockDestroy,
+        };
+        initSensitiveDataGuard();
+
+        handleSettingsChange({
+          [STORAGE_KEY]: { newValue: { sensitiveDataGuard: false } },
+        }, 'sync');
+
+        expect(mockDestroy).toHaveBeenCalled();
+        expect(getFeaturesInitialized().sensitiveDataGuard).toBe(false);
+      });
+
+      test('does nothing if feature not initialized', () => {
+        const mockDestroy = jest.fn();
+        window.BetterGeminiSensitiveDataGuard = { init: jest.fn(), destroy: mockDestroy };
+
+        destroySensitiveDataGuard();
+
+        expect(mockDestroy).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('getFeaturesInitialized()', () => {
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for content/injector.js pending prompt replay
+ * Tests that a prompt saved before sign-in is replayed once, into a new chat,
+ * using REAL functions
+ */
+
+const {
+  main,
+  savePendingPrompt,
+  claimPendingPrompt,
+  isNewChatPage,
+  CONFIG,
+} = require('../../content/injector.js');
+
+/**
+ * Renders a signed-in Gemini chat and counts clicks on its send button
+ * @returns {{sends: number}}
+ */
+function renderGemini() {
+  document.body.innerHTML = `
+    <rich-textarea><div contenteditable="true"></div></rich-textarea>
+    <button aria-label="Send message">Send</button>
+  `;
+  const counter = { sends: 0 };
+  document.querySelector('button').addEventListener('click', () => counter.sends++);
+  return counter;
+}
+
+/**
+ * Points the mocked location at a Gemini path
+ * @param {string} pathname
+ */
+function visit(pathname) {
+  window.location.pathname = pathname;
+  window.location.href = `https://gemini.google.com${pathname}`;
+}
+
+const insertedTexts = () => document.execCommand.mock.calls
+  .filter(([command]) => command === 'insertText')
+  .map(([, , text]) => text);
+
+describe('Pending prompt replay - REAL FUNCTIONS', () => {
+  const domReady = CONFIG.TIMEOUTS.DOM_READY;
+
+  beforeEach(() => {
+    global.resetAllMocks();
+    document.body.innerHTML = '';
+    document.execCommand.mockClear();
+    visit('/app');
+  });
+
+  afterEach(() => {
+    CONFIG.TIMEOUTS.DOM_READY = domReady;
+    visit('/app');
+  });
+
+  describe('isNewChatPage', () => {
+    test.each(['/app', '/app/', '/u/1/app', '/gem/abc-123'])('is true for %s', pathname => {
+      expect(isNewChatPage({ location: { pathname } })).toBe(true);
+    });
+
+    test.each(['/app/abc123', '/u/1/app/abc123', '/gem/abc/def456', '/settings'])('is false for %s', pathname => {
+      expect(isNewChatPage({ location: { pathname } })).toBe(false);
+    });
+  });
+
+  describe('claimPendingPrompt', () => {
+    test('hands the prompt over once and removes it', async () => {
+      await savePendingPrompt('hello', false, chrome.storage.session, 1000);
+
+      expect(await claimPendingPrompt(chrome.storage.session, 2000)).toEqual({
+        prompt: 'hello', submit: false, expires: 1000 + CONFIG.PENDING_PROMPT_TTL,
+      });
+      expect(chrome.storage.session._getData()[CONFIG.PENDING_PROMPT_KEY]).toBeUndefined();
+      expect(await claimPendingPrompt(chrome.storage.session, 2000)).toBeNull();
+    });
+
+    test('leaves a prompt another tab is claiming alone', async () => {
+      chrome.storage.session._setData({
+        [CONFIG.PENDING_PROMPT_KEY]: { prompt: 'hello', submit: true, expires: 9000, claim: 'other', claimedUntil: 3000 },
+      });
+
+      expect(await claimPendingPrompt(chrome.storage.session, 2000)).toBeNull();
+      expect(chrome.storage.session._getData()[CONFIG.PENDING_PROMPT_KEY].claim).toBe('other');
+    });
+  });
+
+  describe('main', () => {
+    test('replays the prompt in only one of two tabs loading at once', async () => {
+      const counter = renderGemini();
+      await savePendingPrompt('resume me', true, chrome.storage.session);
+
+      await Promise.all([main(), main()]);
+
+      expect(insertedTexts()).toEqual(['resume me']);
+      expect(counter.sends).toBe(1);
+      expect(chrome.storage.session._getData()[CONFIG.PENDING_PROMPT_KEY]).toBeUndefined();
+    }, 10000);
+
+    test('does not replay the prompt into an existing conversation', async () => {
+      const counter = renderGemini();
+      visit('/app/abc123');
+      await savePendingPrompt('resume me', true, chrome.storage.session);
+
+      await main();
+
+      expect(insertedTexts()).toEqual([]);
+      expect(counter.sends).toBe(0);
+      expect(chrome.storage.session._getData()[CONFIG.PENDING_PROMPT_KEY].prompt).toBe('resume me');
+    });
+
+    test('puts the prompt back, with its expiry, while still signed out', async () => {
+      CONFIG.TIMEOUTS.DOM_READY = 50;
+      await savePendingPrompt('resume me', true, chrome.storage.session, 1000);
+      const saved = chrome.storage.session._getData()[CONFIG.PENDING_PROMPT_KEY];
+      const now = jest.spyOn(Date, 'now').mockReturnValue(2000);
+
+      await main();
+      now.mockRestore();
+
+      expect(chrome.storage.session._getData()[CONFIG.PENDING_PROMPT_KEY]).toEqual(saved);
+    });
+  });
+});
@@ -8,6 +8,7 @@ import {
   injectTextWithInputEvent,
   findSendButton,
   clickSendButton,
+  isGenerating,
   delay,
   CONFIG,
 } from '../../content/injector-core.js';
@@ -164,6 +165,23 @@ describe('Content Script Text Injection - REAL FUNCTIONS', () => {
     });
   });
 
+  describe('isGenerating - REAL FUNCTION', () => {
+    test('is true while the stop button is showing', () => {
+      document.body.innerHTML = '<button aria-label="Stop response">Stop</button>';
+      expect(isGenerating()).toBe(true);
+    });
+
+    test('is false with only the send button', () => {
+      document.body.innerHTML = '<button aria-label="Send message">Send</button>';
+      expect(isGenerating()).toBe(false);
+    });
+
+    test('ignores a disabled stop button', () => {
+      document.body.innerHTML = '<button data-test-id="stop-button" disabled>Stop</button>';
+      expect(isGenerating()).toBe(false);
+    });
+  });
+
   describe('clickSendButton - REAL FUNCTION', () => {
     test('clicks enabled button', () => {
       document.body.innerHTML = '<button id="send">Send</button>';
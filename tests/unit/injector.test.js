@@ -5,9 +5,15 @@
 
 import {
   getPromptFromURL,
+  getPromptTokenFromURL,
+  redeemPromptToken,
+  shouldAutoSubmit,
   cleanupURL,
   queryWithSelectors,
   isUserLoggedOut,
+  isSignInPage,
+  savePendingPrompt,
+  loadPendingPrompt,
   CONFIG,
 } from '../../content/injector-core.js';
 
@@ -68,7 +74,62 @@ describe('Content Script Injector - REAL FUNCTIONS', () => {
     });
   });
 
+  describe('prompt handoff tokens - REAL FUNCTIONS', () => {
+    const KEY = `${CONFIG.HANDOFF_KEY_PREFIX}abc`;
+
+    test('reads the token parameter', () => {
+      expect(getPromptTokenFromURL('?bg_token=abc')).toBe('abc');
+      expect(getPromptTokenFromURL('?bg_prompt=abc')).toBeNull();
+    });
+
+    test('redeems and deletes a valid token', async () => {
+      await chrome.storage.session.set({ [KEY]: { prompt: 'long prompt', expires: 2000 } });
+
+      expect(await redeemPromptToken('abc', chrome.storage.session, 1000)).toBe('long prompt');
+      expect(chrome.storage.session._getData()[KEY]).toBeUndefined();
+    });
+
+    test('works only once', async () => {
+      await chrome.storage.session.set({ [KEY]: { prompt: 'long prompt', expires: 2000 } });
+
+      await redeemPromptToken('abc', chrome.storage.session, 1000);
+      expect(await redeemPromptToken('abc', chrome.storage.session, 1000)).toBeNull();
+    });
+
+    test('rejects and deletes expired tokens', async () => {
+      await chrome.storage.session.set({ [KEY]: { prompt: 'long prompt', expires: 2000 } });
+
+      expect(await redeemPromptToken('abc', chrome.storage.session, 3000)).toBeNull();
+      expect(chrome.storage.session._getData()[KEY]).toBeUndefined();
+    });
+
+    test('returns null for unknown tokens', async () => {
+      expect(await redeemPromptToken('nope', chrome.storage.session)).toBeNull();
+    });
+  });
+
+  describe('shouldAutoSubmit - REAL FUNCTION', () => {
+    test('submits by default', () => {
+      expect(shouldAutoSubmit('?bg_prompt=hi')).toBe(true);
+      expect(shouldAutoSubmit('?bg_prompt=hi&bg_submit=1')).toBe(true);
+    });
+
+    test('only fills in the prompt for bg_submit=0', () => {
+      expect(shouldAutoSubmit('?bg_prompt=hi&bg_submit=0')).toBe(false);
+    });
+  });
+
   describe('cleanupURL - REAL FUNCTION', () => {
+    test('removes bg_submit parameter', () => {
+      expect(cleanupURL('https://gemini.google.com/app?bg_prompt=hi&bg_submit=0'))
+        .toBe('https://gemini.google.com/app');
+    });
+
+    test('removes bg_token parameter', () => {
+      expect(cleanupURL('https://gemini.google.com/app?bg_token=abc&model=pro'))
+        .toBe('https://gemini.google.com/app?model=pro');
+    });
+
     test('removes bg_prompt parameter', () => {
       const cleaned = cleanupURL('https://gemini.google.com/app?bg_prompt=test');
       expect(cleaned).not.toContain('bg_prompt');
@@ -196,6 +257,44 @@ describe('Content Script Injector - REAL FUNCTIONS', () => {
     });
   });
 
+  describe('isSignInPage - REAL FUNCTION', () => {
+    test('detects the signed-out landing page', () => {
+      document.body.innerHTML = '<a href="https://accounts.google.com/ServiceLogin?continue=x">Sign in</a>';
+      expect(isSignInPage()).toBe(true);
+    });
+
+    test('ignores account links on signed-in pages', () => {
+      document.body.innerHTML = `
+        <a href="https://accounts.google.com/ServiceLogin?continue=x">Switch account</a>
+        <div contenteditable="true"></div>
+      `;
+      expect(isSignInPage()).toBe(false);
+    });
+
+    test('returns false for an empty page', () => {
+      expect(isSignInPage()).toBe(false);
+    });
+  });
+
+  describe('pending prompt - REAL FUNCTIONS', () => {
+    test('round-trips a saved prompt', async () => {
+      await savePendingPrompt('hello', false, chrome.storage.session, 1000);
+
+      expect(await loadPendingPrompt(chrome.storage.session, 2000)).toEqual({ prompt: 'hello', submit: false });
+    });
+
+    test('expires after the TTL and removes the entry', async () => {
+      await savePendingPrompt('hello', true, chrome.storage.session, 1000);
+
+      expect(await loadPendingPrompt(chrome.storage.session, 1000 + CONFIG.PENDING_PROMPT_TTL)).toBeNull();
+      expect(chrome.storage.session._getData()[CONFIG.PENDING_PROMPT_KEY]).toBeUndefined();
+    });
+
+    test('returns null when nothing is pending', async () => {
+      expect(await loadPendingPrompt(chrome.storage.session)).toBeNull();
+    });
+  });
+
   describe('CONFIG structure', () => {
     test('has URL_PARAM defined', () => {
       expect(CONFIG.URL_PARAM).toBe('bg_prompt');
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for content/features/keyboard-shortcuts.js sidebar chat index
+ * Tests that the chats listed in the sidebar are reported to the background for
+ * the address bar's >query search, using REAL functions
+ */
+
+const Messaging = require('../../messaging.js');
+const {
+  collectSidebarChats,
+  reportSidebarChats,
+  stopChatIndexSync,
+} = require('../../content/features/keyboard-shortcuts.js');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Keyboard Shortcuts - sidebar chat index', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+    stopChatIndexSync();
+    window.BetterGeminiMessaging = { ...Messaging, sendMessage: jest.fn().mockResolvedValue({}) };
+  });
+
+  afterEach(() => {
+    delete window.BetterGeminiMessaging;
+    document.body.innerHTML = '';
+  });
+
+  describe('collectSidebarChats', () => {
+    test('reads the title and absolute URL of each chat', () => {
+      document.body.innerHTML = `
+        <div data-test-id="conversation">
+          <a href="/app/abc123"><div class="conversation-title">  Sorting
+            help </div></a>
+        </div>
+        <a class="conversation-item" href="https://gemini.google.com/u/1/app/def456">Trip plan</a>
+      `;
+
+      expect(collectSidebarChats()).toEqual([
+        { title: 'Sorting help', url: 'https://gemini.google.com/app/abc123' },
+        { title: 'Trip plan', url: 'https://gemini.google.com/u/1/app/def456' },
+      ]);
+    });
+
+    test('skips items without a link or a title', () => {
+      document.body.innerHTML = `
+        <div data-test-id="conversation"><span>No link</span></div>
+        <div data-test-id="conversation"><a href="/app/abc123"> </a></div>
+      `;
+
+      expect(collectSidebarChats()).toEqual([]);
+    });
+  });
+
+  describe('reportSidebarChats', () => {
+    test('sends the chats to the background', async () => {
+      document.body.innerHTML = '<a class="conversation-item" href="/app/abc123">Sorting help</a>';
+
+      reportSidebarChats();
+      await flush();
+
+      expect(window.BetterGeminiMessaging.sendMessage).toHaveBeenCalledWith(Messaging.MESSAGE_TYPES.INDEX_CHATS, {
+        chats: [{ title: 'Sorting help', url: 'https://gemini.google.com/app/abc123' }],
+      });
+    });
+
+    test('only sends again once the list changes', async () => {
+      document.body.innerHTML = '<a class="conversation-item" href="/app/abc123">Sorting help</a>';
+      reportSidebarChats();
+      reportSidebarChats();
+      await flush();
+
+      expect(window.BetterGeminiMessaging.sendMessage).toHaveBeenCalledTimes(1);
+
+      document.body.innerHTML += '<a class="conversation-item" href="/app/def456">Trip plan</a>';
+      reportSidebarChats();
+      await flush();
+
+      expect(window.BetterGeminiMessaging.sendMessage).toHaveBeenCalledTimes(2);
+      expect(window.BetterGeminiMessaging.sendMessage.mock.calls[1][1].chats).toHaveLength(2);
+    });
+
+    test('sends nothing while the sidebar is empty', () => {
+      reportSidebarChats();
+
+      expect(window.BetterGeminiMessaging.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for messaging.js
+ * Tests the typed message protocol and the background's handlers using REAL functions
+ */
+
+import {
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  MessagingError,
+  validatePayload,
+  createMessage,
+  createResponse,
+  isProtocolMessage,
+  sendMessage,
+  createRouter,
+} from '../../messaging.js';
+import {
+  createMessageHandlers,
+  isGeminiSender,
+  loadChatIndex,
+  GENERATING_BADGE_TEXT,
+} from '../../background.js';
+
+const GEMINI_SENDER = { tab: { id: 7 }, url: 'https://gemini.google.com/app/abc123' };
+
+/**
+ * Delivers a message to an onMessage listener and resolves with its reply
+ * (undefined if the listener did not answer)
+ */
+function dispatch(listener, message, sender = {}) {
+  return new Promise(resolve => {
+    const keepsChannelOpen = listener(message, sender, resolve);
+    if (!keepsChannelOpen) {
+      resolve(undefined);
+    }
+  });
+}
+
+describe('Messaging - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('validatePayload / createMessage', () => {
+    test('accepts payloads matching the schema', () => {
+      expect(validatePayload(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'hi' })).toBeNull();
+      expect(validatePayload(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'hi', submit: false })).toBeNull();
+      expect(validatePayload(MESSAGE_TYPES.INDEX_CHATS, { chats: [] })).toBeNull();
+    });
+
+    test('describes what is wrong', () => {
+      expect(validatePayload(MESSAGE_TYPES.INJECT_PROMPT, {})).toBe('Missing "prompt"');
+      expect(validatePayload(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'hi', submit: 'no' })).toBe('"submit" must be a boolean');
+      expect(validatePayload(MESSAGE_TYPES.INDEX_CHATS, { chats: {} })).toBe('"chats" must be an array');
+      expect(validatePayload(MESSAGE_TYPES.PING, null)).toBe('Payload must be an object');
+      expect(validatePayload('nope', {})).toBe('Unknown message type "nope"');
+    });
+
+    test('builds a versioned envelope with a unique id', () => {
+      const first = createMessage(MESSAGE_TYPES.PING);
+      const second = createMessage(MESSAGE_TYPES.PING);
+
+      expect(first).toEqual({ bgProtocol: PROTOCOL_VERSION, id: expect.any(String), type: 'ping', payload: {} });
+      expect(first.id).not.toBe(second.id);
+      expect(isProtocolMessage(first)).toBe(true);
+      expect(isProtocolMessage({ action: 'ping' })).toBe(false);
+    });
+
+    test('refuses invalid messages before sending', () => {
+      expect(() => createMessage(MESSAGE_TYPES.LAUNCH_PROMPT, { prompt: 42 })).toThrow(MessagingError);
+      expect(() => createMessage('nope')).toThrow(expect.objectContaining({ code: ERROR_CODES.UNKNOWN_TYPE }));
+    });
+  });
+
+  describe('sendMessage', () => {
+    test('resolves with the handler result', async () => {
+      chrome.runtime.sendMessage.mockImplementation(async message => createResponse(message, { text: 'hi' }));
+
+      await expect(sendMessage(MESSAGE_TYPES.READ_CLIPBOARD)).resolves.toEqual({ text: 'hi' });
+    });
+
+    test('sends to a tab when given a tab id', async () => {
+      chrome.tabs.sendMessage.mockImplementation(async (tabId, message) => createResponse(message, { status: 'alive' }));
+
+      await sendMessage(MESSAGE_TYPES.PING, {}, { tabId: 3 });
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, expect.objectContaining({ type: 'ping' }));
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('rejects with no_receiver when nobody answers', async () => {
+      chrome.runtime.sendMessage.mockRejectedValue(new Error('Receiving end does not exist.'));
+      await expect(sendMessage(MESSAGE_TYPES.PING)).rejects.toMatchObject({ code: ERROR_CODES.NO_RECEIVER });
+
+      chrome.runtime.sendMessage.mockResolvedValue(undefined);
+      await expect(sendMessage(MESSAGE_TYPES.PING)).rejects.toMatchObject({ code: ERROR_CODES.NO_RECEIVER });
+    });
+
+    test('rejects with timeout when the reply takes too long', async () => {
+      chrome.runtime.sendMessage.mockImplementation(() => new Promise(() => {}));
+
+      await expect(sendMessage(MESSAGE_TYPES.PING, {}, { timeout: 10 })).rejects.toMatchObject({ code: ERROR_CODES.TIMEOUT });
+    });
+
+    test('rejects replies to a different request', async () => {
+      chrome.runtime.sendMessage.mockImplementation(async message => createResponse({ ...message, id: 'other' }, {}));
+
+      await expect(sendMessage(MESSAGE_TYPES.PING)).rejects.toMatchObject({ code: ERROR_CODES.BAD_RESPONSE });
+    });
+  });
+
+  describe('createRouter', () => {
+    test('dispatches to the handler and wraps its result', async () => {
+      const router = createRouter({ [MESSAGE_TYPES.INJECT_PROMPT]: async ({ prompt }) => ({ echoed: prompt }) });
+      const message = createMessage(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'hello' });
+
+      await expect(dispatch(router, message)).resolves.toEqual({
+        bgProtocol: PROTOCOL_VERSION, id: message.id, ok: true, result: { echoed: 'hello' },
+      });
+    });
+
+    test('leaves other messages to other listeners', async () => {
+      const router = createRouter({ [MESSAGE_TYPES.PING]: () => 'pong' });
+
+      expect(router({ action: 'ping' }, {}, jest.fn())).toBe(false);
+      expect(router(createMessage(MESSAGE_TYPES.GET_MODEL), {}, jest.fn())).toBe(false);
+    });
+
+    test('reports version mismatches and invalid payloads', async () => {
+      const router = createRouter({ [MESSAGE_TYPES.INJECT_PROMPT]: jest.fn() });
+      const message = createMessage(MESSAGE_TYPES.INJECT_PROMPT, { prompt: 'hi' });
+
+      const newer = await dispatch(router, { ...message, bgProtocol: PROTOCOL_VERSION + 1 });
+      const invalid = await dispatch(router, { ...message, payload: { prompt: 1 } });
+
+      expect(newer.error.code).toBe(ERROR_CODES.VERSION_MISMATCH);
+      expect(invalid.error.code).toBe(ERROR_CODES.INVALID_PAYLOAD);
+    });
+
+    test('turns thrown errors into error replies', async () => {
+      const router = createRouter({
+        [MESSAGE_TYPES.PING]: () => { throw new Error('boom'); },
+        [MESSAGE_TYPES.GET_MODEL]: () => { throw new MessagingError(ERROR_CODES.FORBIDDEN, 'nope'); },
+      });
+
+      const failed = await dispatch(router, createMessage(MESSAGE_TYPES.PING));
+      const forbidden = await dispatch(router, createMessage(MESSAGE_TYPES.GET_MODEL));
+
+      expect(failed).toMatchObject({ ok: false, error: { code: ERROR_CODES.HANDLER_ERROR, message: 'boom' } });
+      expect(forbidden).toMatchObject({ ok: false, error: { code: ERROR_CODES.FORBIDDEN, message: 'nope' } });
+    });
+
+    test('round-trips through sendMessage', async () => {
+      const router = createRouter({ [MESSAGE_TYPES.PING]: () => ({ status: 'alive' }) });
+      chrome.tabs.sendMessage.mockImplementation((tabId, message) => dispatch(router, message));
+
+      await expect(sendMessage(MESSAGE_TYPES.PING, {}, { tabId: 1 })).resolves.toEqual({ status: 'alive' });
+    });
+  });
+
+  describe('background handlers', () => {
+    let router;
+
+    beforeEach(() => {
+      router = createRouter(createMessageHandlers(chrome));
+    });
+
+    test('isGeminiSender only accepts Gemini content scripts', () => {
+      expect(isGeminiSender(GEMINI_SENDER)).toBe(true);
+      expect(isGeminiSender({ tab: { id: 1 }, url: 'https://evil.example/' })).toBe(false);
+      expect(isGeminiSender({ url: 'https://gemini.google.com/app' })).toBe(false);
+    });
+
+    test('indexes chats reported from Gemini', async () => {
+      const chats = [{ title: 'A chat', url: 'https://gemini.google.com/app/aaa111' }];
+
+      const response = await dispatch(router, createMessage(MESSAGE_TYPES.INDEX_CHATS, { chats }), GEMINI_SENDER);
+
+      expect(response.result).toEqual({ indexed: 1 });
+      expect(await loadChatIndex()).toHaveLength(1);
+    });
+
+    test('refuses chats from other pages', async () => {
+      const message = createMessage(MESSAGE_TYPES.INDEX_CHATS, { chats: [] });
+
+      const response = await dispatch(router, message, { tab: { id: 1 }, url: 'https://evil.example/' });
+
+      expect(response.error.code).toBe(ERROR_CODES.FORBIDDEN);
+    });
+
+    test('launches prompts from extension pages only', async () => {
+      const message = createMessage(MESSAGE_TYPES.LAUNCH_PROMPT, { prompt: 'from the popup' });
+
+      const fromPage = await dispatch(router, message, GEMINI_SENDER);
+      expect(fromPage.error.code).toBe(ERROR_CODES.FORBIDDEN);
+      expect(chrome.tabs.update).not.toHaveBeenCalled();
+
+      const fromPopup = await dispatch(router, message, {});
+      expect(fromPopup.ok).toBe(true);
+      expect(chrome.tabs.create).toHaveBeenCalled();
+    });
+
+    test('badges the tab while Gemini is generating', async () => {
+      await dispatch(router, createMessage(MESSAGE_TYPES.GENERATION_STATUS, { generating: true }), GEMINI_SENDER);
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 7, text: GENERATING_BADGE_TEXT });
+
+      await dispatch(router, createMessage(MESSAGE_TYPES.GENERATION_STATUS, { generating: false }), GEMINI_SENDER);
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 7, text: '' });
+    });
+  });
+});
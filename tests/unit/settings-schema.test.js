@@ -0,0 +1,395 @@
+/**
+ * Unit Tests for settings-schema.js
+ * Tests the settings defaults, storage migrations, settings files and managed policies using REAL functions
+ */
+
+import {
+  SCHEMA_VERSION,
+  VERSION_STORAGE_KEY,
+  STORAGE_KEYS,
+  FEATURE_DEFAULTS,
+  DEFAULTS,
+  MIGRATIONS,
+  EXPORT_FORMAT,
+  getDefaults,
+  withFeatureDefaults,
+  migrateSettings,
+  createSettingsExport,
+  parseSettingsImport,
+  toStorageItems,
+  NO_POLICIES,
+  normalizeManagedPolicies,
+  loadManagedPolicies,
+  applyManagedFeatures,
+  mergePromptLibrary,
+  getManagedLocks,
+} from '../../settings-schema.js';
+
+describe('Settings Schema - REAL FUNCTIONS', () => {
+  beforeEach(() => {
+    global.resetAllMocks();
+  });
+
+  describe('schema', () => {
+    test('has a default for every stored setting', () => {
+      expect(Object.keys(DEFAULTS).sort()).toEqual(Object.keys(STORAGE_KEYS).sort());
+    });
+
+    test('enables every feature by default', () => {
+      Object.values(FEATURE_DEFAULTS).forEach(value => expect(value).toBe(true));
+    });
+
+    test('ends at the version of the last migration', () => {
+      expect(MIGRATIONS[MIGRATIONS.length - 1].version).toBe(SCHEMA_VERSION);
+    });
+
+    test('getDefaults returns a copy', () => {
+      const defaults = getDefaults();
+      defaults.features.exportMarkdown = false;
+      defaults.gems.push({ name: 'x' });
+
+      expect(FEATURE_DEFAULTS.exportMarkdown).toBe(true);
+      expect(DEFAULTS.gems).toEqual([]);
+    });
+  });
+
+  describe('withFeatureDefaults', () => {
+    test('returns the defaults when nothing is stored', () => {
+      expect(withFeatureDefaults(undefined)).toEqual(FEATURE_DEFAULTS);
+    });
+
+    test('keeps stored toggles and fills in missing ones', () => {
+      expect(withFeatureDefaults({ widerChatWidth: false })).toEqual({ ...FEATURE_DEFAULTS, widerChatWidth: false });
+    });
+
+    test('drops unknown and non-boolean values', () => {
+      const features = withFeatureDefaults({ exportMarkdown: 'off', removedFeature: false });
+
+      expect(features.exportMarkdown).toBe(true);
+      expect(features).not.toHaveProperty('removedFeature');
+    });
+  });
+
+  describe('migrateSettings', () => {
+    test('records the schema version on a fresh install', async () => {
+      const summary = await migrateSettings(chrome.storage.sync);
+
+      expect(summary).toEqual({ from: 0, to: SCHEMA_VERSION, updated: [], removed: [] });
+      expect(chrome.storage.sync._getData()).toEqual({ [VERSION_STORAGE_KEY]: SCHEMA_VERSION });
+    });
+
+    test('fills in feature toggles added since they were saved', async () => {
+      await chrome.storage.sync.set({ [STORAGE_KEYS.features]: { exportMarkdown: false, widerChatWidth: true } });
+
+      const summary = await migrateSettings(chrome.storage.sync);
+
+      expect(summary.updated).toEqual(['features']);
+      expect(chrome.storage.sync._getData()[STORAGE_KEYS.features]).toEqual({ ...FEATURE_DEFAULTS, exportMarkdown: false });
+    });
+
+    test('maps the legacy "fast" model to Flash', async () => {
+      await chrome.storage.sync.set({ [STORAGE_KEYS.defaultModel]: 'fast' });
+
+      await migrateSettings(chrome.storage.sync);
+
+      expect(chrome.storage.sync._getData()[STORAGE_KEYS.defaultModel]).toBe('flash');
+    });
+
+    test('removes unknown model and thinking level values so the defaults apply', async () => {
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.defaultModel]: 'ultra',
+        [STORAGE_KEYS.thinkingLevel]: 'maximum',
+      });
+
+      const summary = await migrateSettings(chrome.storage.sync);
+
+      expect(summary.removed).toEqual(['defaultModel', 'thinkingLevel']);
+      expect(chrome.storage.sync._getData()).toEqual({ [VERSION_STORAGE_KEY]: SCHEMA_VERSION });
+    });
+
+    test('leaves valid settings alone', async () => {
+      const stored = {
+        [STORAGE_KEYS.features]: { ...FEATURE_DEFAULTS, exportFullChat: false },
+        [STORAGE_KEYS.defaultModel]: 'pro',
+        [STORAGE_KEYS.thinkingLevel]: '',
+        [STORAGE_KEYS.autoSubmit]: false,
+      };
+      await chrome.storage.sync.set(stored);
+
+      const summary = await migrateSettings(chrome.storage.sync);
+
+      expect(summary.updated).toEqual([]);
+      expect(summary.removed).toEqual([]);
+      expect(chrome.storage.sync._getData()).toEqual({ ...stored, [VERSION_STORAGE_KEY]: SCHEMA_VERSION });
+    });
+
+    test('does nothing once settings are current', async () => {
+      await chrome.storage.sync.set({ [VERSION_STORAGE_KEY]: SCHEMA_VERSION, [STORAGE_KEYS.defaultModel]: 'fast' });
+
+      const summary = await migrateSettings(chrome.storage.sync);
+
+      expect(summary).toEqual({ from: SCHEMA_VERSION, to: SCHEMA_VERSION, updated: [], removed: [] });
+      expect(chrome.storage.sync.set).toHaveBeenCalledTimes(1); // Only the setup above
+    });
+
+    test('runs only the migrations newer than the stored version, in order', async () => {
+      await chrome.storage.sync.set({ [VERSION_STORAGE_KEY]: 1, [STORAGE_KEYS.targetTab]: 'reuse' });
+      const migrations = [
+        { version: 1, migrate: jest.fn() },
+        {
+          version: 2,
+          migrate: settings => ({ ...settings, targetTab: settings.targetTab === 'reuse' ? 'geminiTab' : settings.targetTab }),
+        },
+        { version: 3, migrate: settings => ({ ...settings, autoSubmit: settings.targetTab === 'geminiTab' }) },
+      ];
+
+      const summary = await migrateSettings(chrome.storage.sync, migrations);
+
+      expect(migrations[0].migrate).not.toHaveBeenCalled();
+      expect(summary).toEqual({ from: 1, to: 3, updated: ['targetTab', 'autoSubmit'], removed: [] });
+      expect(chrome.storage.sync._getData()).toEqual({
+        [VERSION_STORAGE_KEY]: 3,
+        [STORAGE_KEYS.targetTab]: 'geminiTab',
+        [STORAGE_KEYS.autoSubmit]: true,
+      });
+    });
+  });
+
+  describe('createSettingsExport', () => {
+    test('writes every setting, using defaults for unsaved ones', () => {
+      const data = createSettingsExport(
+        { [STORAGE_KEYS.defaultModel]: 'pro', [STORAGE_KEYS.gems]: [{ name: 'coder', id: 'abc123' }] },
+        new Date('2026-03-01T10:00:00Z')
+      );
+
+      expect(data).toEqual({
+        format: EXPORT_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: '2026-03-01T10:00:00.000Z',
+        settings: { ...getDefaults(), defaultModel: 'pro', gems: [{ name: 'coder', id: 'abc123' }] },
+      });
+    });
+
+    test('round-trips through parseSettingsImport', () => {
+      const data = JSON.parse(JSON.stringify(createSettingsExport({ [STORAGE_KEYS.autoSubmit]: false })));
+
+      expect(parseSettingsImport(data)).toEqual({
+        settings: { ...getDefaults(), autoSubmit: false },
+        errors: [],
+      });
+    });
+  });
+
+  describe('parseSettingsImport', () => {
+    const file = (settings, schemaVersion = SCHEMA_VERSION) => ({ format: EXPORT_FORMAT, schemaVersion, settings });
+
+    test('accepts a partial file', () => {
+      expect(parseSettingsImport(file({ thinkingLevel: 'extended' }))).toEqual({
+        settings: { thinkingLevel: 'extended' },
+        errors: [],
+      });
+    });
+
+    test.each([
+      ['not an object', 'settings'],
+      ['another format', { format: 'other', schemaVersion: 1, settings: {} }],
+      ['no settings', { format: EXPORT_FORMAT, schemaVersion: 1 }],
+    ])('rejects %s', (_, data) => {
+      expect(parseSettingsImport(data)).toEqual({ settings: {}, errors: ['Not a Better Gemini settings file'] });
+    });
+
+    test('rejects files from a newer schema', () => {
+      const { errors } = parseSettingsImport(file({}, SCHEMA_VERSION + 1));
+
+      expect(errors[0]).toMatch(/newer version/);
+    });
+
+    test('upgrades files from an older schema', () => {
+      expect(parseSettingsImport(file({ defaultModel: 'fast' }, 0)).settings).toEqual({ defaultModel: 'flash' });
+    });
+
+    test('reports unknown settings and invalid values, importing nothing', () => {
+      const result = parseSettingsImport(file({
+        autoSubmit: 'yes',
+        targetTab: 'popup',
+        features: { exportMarkdown: false, darkMode: true },
+        promptTemplates: [{ alias: 'tldr', template: 'Summarize' }, { alias: 'tldr', template: 'Again' }],
+        gems: [{ name: 'coder', id: 'not a gem id' }],
+        contextMenuTemplates: { image: 'Describe' },
+        defaultAccount: -1,
+        favouriteColour: 'blue',
+        historyEnabled: true,
+      }));
+
+      expect(result.settings).toEqual({});
+      expect(result.errors).toEqual([
+        'Invalid value for "autoSubmit"',
+        'Invalid value for "targetTab"',
+        'Invalid value for "features"',
+        'Invalid value for "promptTemplates"',
+        'Invalid value for "gems"',
+        'Invalid value for "contextMenuTemplates"',
+        'Invalid value for "defaultAccount"',
+        'Unknown setting "favouriteColour"',
+      ]);
+    });
+
+    test('accepts valid templates, Gems and account', () => {
+      const settings = {
+        promptTemplates: [{ alias: 'tldr', template: 'Summarize: {{selection}}' }],
+        gems: [{ name: 'coder', id: 'a1b2c3' }],
+        contextMenuTemplates: { page: 'Critique {{url}}' },
+        defaultAccount: 2,
+      };
+
+      expect(parseSettingsImport(file(settings))).toEqual({ settings, errors: [] });
+    });
+
+    test('accepts sensitive data patterns only if they compile', () => {
+      expect(parseSettingsImport(file({ sensitivePatterns: ['PROJ-\\d{4}'] })).errors).toEqual([]);
+      expect(parseSettingsImport(file({ sensitivePatterns: ['(unclosed'] })).errors)
+        .toEqual(['Invalid value for "sensitivePatterns"']);
+    });
+
+    test('accepts export templates with unique names', () => {
+      const settings = {
+        exportTemplates: [{ name: 'Brief', template: '{{#turns}}{{content}}{{/turns}}' }],
+        markdownTemplate: 'Brief',
+      };
+      expect(parseSettingsImport(file(settings))).toEqual({ settings, errors: [] });
+
+      const duplicate = { name: 'Brief', template: 'x' };
+      expect(parseSettingsImport(file({ exportTemplates: [duplicate, duplicate] })).errors)
+        .toEqual(['Invalid value for "exportTemplates"']);
+      expect(parseSettingsImport(file({ exportTemplates: [{ name: ' ', template: 'x' }] })).errors)
+        .toEqual(['Invalid value for "exportTemplates"']);
+    });
+
+    test('rejects export templates that do not parse', () => {
+      const settings = {
+        exportTemplates: [{ name: 'Broken', template: '{{#turns}}{{content}}' }],
+        markdownTemplate: 'Broken',
+      };
+      expect(parseSettingsImport(file(settings)).errors).toEqual(['Invalid value for "exportTemplates"']);
+    });
+
+    test('accepts note export settings with valid tags and styles', () => {
+      const settings = { noteFilenamePattern: '{date} {title}', noteTags: ['gemini', 'ai/chats'], noteTurnStyle: 'heading' };
+      expect(parseSettingsImport(file(settings))).toEqual({ settings, errors: [] });
+      expect(parseSettingsImport(file({ noteTags: ['two words'], noteTurnStyle: 'table' })).errors).toEqual([
+        'Invalid value for "noteTags"',
+        'Invalid value for "noteTurnStyle"',
+      ]);
+    });
+  });
+
+  describe('toStorageItems', () => {
+    test('maps setting names to storage keys', () => {
+      expect(toStorageItems({ defaultModel: 'pro', showUpdateNotes: false })).toEqual({
+        [STORAGE_KEYS.defaultModel]: 'pro',
+        [STORAGE_KEYS.showUpdateNotes]: false,
+      });
+    });
+  });
+
+  describe('normalizeManagedPolicies', () => {
+    test('enforces nothing without policies', () => {
+      expect(normalizeManagedPolicies(undefined)).toEqual(NO_POLICIES);
+      expect(normalizeManagedPolicies({})).toEqual(NO_POLICIES);
+    });
+
+    test('keeps well-formed policies', () => {
+      const policies = {
+        defaultModel: 'thinking',
+        disabledFeatures: ['widerChatWidth'],
+        promptLibrary: [{ alias: 'incident', template: 'Summarize the incident' }],
+        prefillOnly: true,
+      };
+
+      expect(normalizeManagedPolicies(policies)).toEqual(policies);
+    });
+
+    test('drops values that are not in the schema', () => {
+      expect(normalizeManagedPolicies({
+        defaultModel: 'ultra',
+        disabledFeatures: ['darkMode', 'exportFullChat'],
+        promptLibrary: [
+          { alias: '/Incident', template: 'Summarize' },
+          { alias: 'incident', template: 'Duplicate' },
+          { alias: 'has space', template: 'x' },
+          { alias: 'empty', template: '  ' },
+          'tldr',
+        ],
+        prefillOnly: 'yes',
+      })).toEqual({
+        defaultModel: null,
+        disabledFeatures: ['exportFullChat'],
+        promptLibrary: [{ alias: 'incident', template: 'Summarize' }],
+        prefillOnly: false,
+      });
+    });
+  });
+
+  describe('loadManagedPolicies', () => {
+    test('reads the managed storage area', async () => {
+      chrome.storage.managed._setData({ prefillOnly: true });
+
+      expect(await loadManagedPolicies(chrome.storage.managed)).toEqual({ ...NO_POLICIES, prefillOnly: true });
+    });
+
+    test('enforces nothing without a storage area or when reading fails', async () => {
+      chrome.storage.managed.get.mockRejectedValueOnce(new Error('Managed storage unavailable'));
+
+      expect(await loadManagedPolicies(undefined)).toEqual(NO_POLICIES);
+      expect(await loadManagedPolicies(chrome.storage.managed)).toEqual(NO_POLICIES);
+    });
+  });
+
+  describe('applyManagedFeatures', () => {
+    test('turns off disabled features whatever the user chose', () => {
+      const policies = { ...NO_POLICIES, disabledFeatures: ['keyboardShortcuts'] };
+
+      expect(applyManagedFeatures({ keyboardShortcuts: true, widerChatWidth: false }, policies)).toEqual({
+        ...FEATURE_DEFAULTS,
+        keyboardShortcuts: false,
+        widerChatWidth: false,
+      });
+    });
+
+    test('keeps Default Model on while a policy picks the model', () => {
+      const policies = { ...NO_POLICIES, defaultModel: 'pro' };
+
+      expect(applyManagedFeatures({ defaultModel: false }, policies).defaultModel).toBe(true);
+    });
+
+    test('lets disabling Default Model win over a model policy', () => {
+      const policies = { ...NO_POLICIES, defaultModel: 'pro', disabledFeatures: ['defaultModel'] };
+
+      expect(applyManagedFeatures(undefined, policies).defaultModel).toBe(false);
+    });
+  });
+
+  describe('mergePromptLibrary', () => {
+    test('puts shared prompts first and drops user templates with the same alias', () => {
+      const library = [{ alias: 'tldr', template: 'Shared' }];
+      const templates = [{ alias: 'tldr', template: 'Mine' }, { alias: 'review', template: 'Review' }];
+
+      expect(mergePromptLibrary(templates, library)).toEqual([library[0], templates[1]]);
+    });
+  });
+
+  describe('getManagedLocks', () => {
+    test('locks nothing without policies', () => {
+      expect(getManagedLocks(NO_POLICIES)).toEqual({ features: [], defaultModel: false, autoSubmit: false });
+    });
+
+    test('locks the controls each policy decides', () => {
+      expect(getManagedLocks({
+        ...NO_POLICIES,
+        defaultModel: 'flash',
+        disabledFeatures: ['exportMarkdown'],
+        prefillOnly: true,
+      })).toEqual({ features: ['exportMarkdown', 'defaultModel'], defaultModel: true, autoSubmit: true });
+    });
+  });
+});
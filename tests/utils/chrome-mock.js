@@ -102,12 +102,29 @@ function createTabsMock() {
     tabs = tabs.filter(t => t.id !== tabId);
   };
 
+  // No content script answers by default, like a tab without the extension
+  const sendMessageImpl = async () => {
+    throw new Error('Could not establish connection. Receiving end does not exist.');
+  };
+
+  const updatedListeners = [];
+
   const mock = {
     create: jest.fn(createImpl),
     update: jest.fn(updateImpl),
     query: jest.fn(queryImpl),
     get: jest.fn(getImpl),
     remove: jest.fn(removeImpl),
+    sendMessage: jest.fn(sendMessageImpl),
+    onUpdated: {
+      addListener: jest.fn((callback) => updatedListeners.push(callback)),
+      removeListener: jest.fn((callback) => {
+        const idx = updatedListeners.indexOf(callback);
+        if (idx > -1) updatedListeners.splice(idx, 1);
+      }),
+      _trigger: (tabId, changeInfo, tab) => updatedListeners.forEach(cb => cb(tabId, changeInfo, tab)),
+      _getListeners: () => updatedListeners,
+    },
     _getTabs: () => tabs,
     _setTabs: (newTabs) => { tabs = newTabs; },
     _reset: () => {
@@ -118,12 +135,22 @@ function createTabsMock() {
       mock.query.mockClear();
       mock.get.mockClear();
       mock.remove.mockClear();
+      mock.sendMessage.mockClear();
+      mock.onUpdated.addListener.mockClear();
+      mock.onUpdated.removeListener.mockClear();
+      updatedListeners.length = 0;
       // Re-apply implementations
       mock.create.mockImplementation(createImpl);
       mock.update.mockImplementation(updateImpl);
       mock.query.mockImplementation(queryImpl);
       mock.get.mockImplementation(getImpl);
       mock.remove.mockImplementation(removeImpl);
+      mock.sendMessage.mockImplementation(sendMessageImpl);
+      mock.onUpdated.addListener.mockImplementation((callback) => updatedListeners.push(callback));
+      mock.onUpdated.removeListener.mockImplementation((callback) => {
+        const idx = updatedListeners.indexOf(callback);
+        if (idx > -1) updatedListeners.splice(idx, 1);
+      });
     },
   };
 
@@ -171,19 +198,52 @@ function createOmniboxMock() {
   };
 }
 
+/**
+ * Creates mock context menus API
+ */
+function createContextMenusMock() {
+  const clickListeners = [];
+
+  const removeAllImpl = (callback) => {
+    if (callback) callback();
+    return Promise.resolve();
+  };
+
+  const mock = {
+    create: jest.fn(),
+    removeAll: jest.fn(removeAllImpl),
+    onClicked: {
+      addListener: jest.fn((callback) => clickListeners.push(callback)),
+      _trigger: (info, tab) => clickListeners.forEach(cb => cb(info, tab)),
+    },
+    _reset: () => {
+      clickListeners.length = 0;
+      mock.create.mockClear();
+      mock.removeAll.mockClear();
+      // Re-apply implementation
+      mock.removeAll.mockImplementation(removeAllImpl);
+    },
+  };
+
+  return mock;
+}
+
 /**
  * Creates mock runtime API
  */
 function createRuntimeMock() {
   const messageListeners = [];
   const installedListeners = [];
+  const getManifestImpl = () => ({
+    name: 'Better Gemini',
+    version: '1.0.0',
+    manifest_version: 3,
+  });
+  const getURLImpl = (path) => `chrome-extension://better-gemini/${path}`;
 
   return {
-    getManifest: jest.fn(() => ({
-      name: 'Better Gemini',
-      version: '1.0.0',
-      manifest_version: 3,
-    })),
+    getManifest: jest.fn(getManifestImpl),
+    getURL: jest.fn(getURLImpl),
     onMessage: {
       addListener: jest.fn((callback) => messageListeners.push(callback)),
       removeListener: jest.fn((callback) => {
@@ -198,9 +258,11 @@ function createRuntimeMock() {
       _trigger: (details) => installedListeners.forEach(cb => cb(details)),
     },
     sendMessage: jest.fn(async (message) => ({ received: true })),
-    _reset: () => {
+    _reset() {
       messageListeners.length = 0;
       installedListeners.length = 0;
+      this.getManifest.mockImplementation(getManifestImpl);
+      this.getURL.mockImplementation(getURLImpl);
     },
   };
 }
@@ -213,10 +275,29 @@ const chromeMock = {
     local: createStorageArea(),
     sync: createStorageArea(),
     session: createStorageArea(),
+    // Read-only in the browser; tests fill it with _setData()
+    managed: createStorageArea(),
   },
   tabs: createTabsMock(),
+  windows: {
+    update: jest.fn(async (windowId, updateInfo) => ({ id: windowId, ...updateInfo })),
+  },
   omnibox: createOmniboxMock(),
+  contextMenus: createContextMenusMock(),
   runtime: createRuntimeMock(),
+  commands: {
+    onCommand: {
+      addListener: jest.fn(),
+    },
+  },
+  offscreen: {
+    createDocument: jest.fn(async () => {}),
+    closeDocument: jest.fn(async () => {}),
+  },
+  action: {
+    setBadgeText: jest.fn(async () => {}),
+    setBadgeBackgroundColor: jest.fn(async () => {}),
+  },
   scripting: {
     executeScript: jest.fn(async () => [{ result: true }]),
     insertCSS: jest.fn(async () => {}),
@@ -231,13 +312,15 @@ const chromeMock = {
     this.storage.local._reset();
     this.storage.sync._reset();
     this.storage.session._reset();
+    this.storage.managed._reset();
     this.tabs._reset();
     this.omnibox._reset();
+    this.contextMenus._reset();
     this.runtime._reset();
     // Note: Don't call jest.clearAllMocks() here as it clears mock implementations
     // Individual _reset() methods handle clearing their own mocks
   },
 };
 
-module.exports = { chromeMock, createStorageArea, createTabsMock, createOmniboxMock, createRuntimeMock };
+module.exports = { chromeMock, createStorageArea, createTabsMock, createOmniboxMock, createContextMenusMock, createRuntimeMock };
 